@@ -6,6 +6,18 @@ usePlugin('solidity-coverage');
 usePlugin('@nomiclabs/buidler-solhint');
 usePlugin('buidler-contract-sizer');
 
+require('./tasks/deploy');
+require('./tasks/drop');
+require('./tasks/auction');
+require('./tasks/dutch');
+require('./tasks/garment');
+require('./tasks/materials');
+require('./tasks/outfit');
+require('./tasks/roles');
+require('./tasks/sale');
+require('./tasks/sealed');
+require('./tasks/keeper');
+
 const INFURA_PROJECT_ID = process.env.INFURA_PROJECT_ID;
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
 
@@ -6,15 +6,20 @@ import "@openzeppelin/contracts/GSN/Context.sol";
 import "@openzeppelin/contracts/math/SafeMath.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/SafeERC20.sol";
 import "./DigitalaxAccessControls.sol";
+import "./DigitalaxAuctionBidLedger.sol";
 import "./garment/IDigitalaxGarmentNFT.sol";
+import "./DigitalaxGarmentRevenue.sol";
 
 /**
  * @notice Primary sale auction contract for Digitalax NFTs
  */
-contract DigitalaxAuction is Context, ReentrancyGuard {
+contract DigitalaxAuction is Context, ReentrancyGuard, DigitalaxGarmentRevenue {
     using SafeMath for uint256;
     using Address for address payable;
+    using SafeERC20 for IERC20;
 
     /// @notice Event emitted only on construction. To be used by indexers
     event DigitalaxAuctionContractDeployed();
@@ -24,7 +29,8 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
     );
 
     event AuctionCreated(
-        uint256 indexed garmentTokenId
+        uint256 indexed garmentTokenId,
+        uint256 indexed auctionId
     );
 
     event UpdateAuctionEndTime(
@@ -50,6 +56,22 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
         uint256 platformFee
     );
 
+    event UpdatePlatformFeeOnTotal(
+        bool platformFeeOnTotal
+    );
+
+    event UpdateDesignerPlatformFee(
+        address indexed designer,
+        uint256 platformFee,
+        bool enabled
+    );
+
+    event AuctionPlatformFee(
+        uint256 indexed garmentTokenId,
+        uint256 platformFee,
+        bool feeOnTotal
+    );
+
     event UpdatePlatformFeeRecipient(
         address payable platformFeeRecipient
     );
@@ -62,6 +84,53 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
         uint256 bidWithdrawalLockTime
     );
 
+    event UpdateBidExtensionWindow(
+        uint256 bidExtensionWindow
+    );
+
+    event UpdateBidExtensionTime(
+        uint256 bidExtensionTime
+    );
+
+    event UpdatePaymentToken(
+        address indexed paymentToken,
+        bool allowed
+    );
+
+    event AuctionPaymentToken(
+        uint256 indexed garmentTokenId,
+        address indexed paymentToken
+    );
+
+    event UpdateAuctionBuyNowPrice(
+        uint256 indexed garmentTokenId,
+        uint256 buyNowPrice
+    );
+
+    event UpdatePullRefunds(
+        bool pullRefunds
+    );
+
+    event UpdateAllowContractBidders(
+        bool allowContractBidders
+    );
+
+    event UpdateBidLedger(
+        address indexed bidLedger
+    );
+
+    event RefundCredited(
+        address indexed bidder,
+        address indexed paymentToken,
+        uint256 amount
+    );
+
+    event RefundWithdrawn(
+        address indexed bidder,
+        address indexed paymentToken,
+        uint256 amount
+    );
+
     event BidPlaced(
         uint256 indexed garmentTokenId,
         address indexed bidder,
@@ -85,16 +154,31 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
         uint256 winningBid
     );
 
+    event RevenuePaid(
+        uint256 indexed garmentTokenId,
+        address indexed recipient,
+        address paymentToken,
+        uint256 amount
+    );
+
     event AuctionCancelled(
         uint256 indexed garmentTokenId
     );
 
+    event AuctionBoughtNow(
+        uint256 indexed garmentTokenId,
+        address indexed buyer,
+        uint256 price
+    );
+
     /// @notice Parameters of an auction
     struct Auction {
+        uint256 garmentTokenId;
         uint256 reservePrice;
         uint256 startTime;
         uint256 endTime;
         bool resulted;
+        bool cancelled;
     }
 
     /// @notice Information about the sender that placed a bit on an auction
@@ -104,12 +188,63 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
         uint256 lastBidTime;
     }
 
-    /// @notice Garment ERC721 Token ID -> Auction Parameters
+    /// @notice Platform fee charged when an auction is resulted
+    struct PlatformFee {
+        uint256 platformFee;
+        bool feeOnTotal;
+    }
+
+    /// @notice How the platform fee of a new auction is set - the designer or global fee, or one given when it is created
+    enum PlatformFeeMode {Default, AboveReserve, OnTotal}
+
+    /// @notice Platform fee rate of a designer, used instead of the global platform fee when enabled
+    struct DesignerPlatformFee {
+        uint256 platformFee;
+        bool enabled;
+    }
+
+    /// @notice Auction ID -> Auction Parameters
     mapping(uint256 => Auction) public auctions;
 
-    /// @notice Garment ERC721 Token ID -> highest bidder info (if a bid has been received)
+    /// @notice Garment ERC721 Token ID -> its open or last resulted auction ID, zero when not listed or the auction was cancelled
+    mapping(uint256 => uint256) public garmentAuctionIds;
+
+    /// @dev Garment ERC721 Token ID -> every auction ID of the garment, oldest first, read through getGarmentAuctions()
+    mapping(uint256 => uint256[]) private garmentAuctions;
+
+    /// @notice Auction ID -> highest bidder info (if a bid has been received)
     mapping(uint256 => HighestBid) public highestBids;
 
+    /// @notice Auction ID -> ERC20 token the auction is paid in, zero address when paid in ETH
+    mapping(uint256 => address) public auctionPaymentTokens;
+
+    /// @notice Auction ID -> bid which ends the auction straight away, zero when the auction has no buy-now price
+    mapping(uint256 => uint256) public buyNowPrices;
+
+    /// @notice Auction ID -> platform fee of the auction, fixed when it is created
+    mapping(uint256 => PlatformFee) public auctionPlatformFees;
+
+    /// @notice the last auction ID created
+    uint256 public auctionIdPointer;
+
+    /// @notice Designer -> platform fee rate for auctions of their garments
+    mapping(address => DesignerPlatformFee) public designerPlatformFees;
+
+    /// @notice ERC20 tokens which auctions can be created in
+    mapping(address => bool) public paymentTokens;
+
+    /// @notice Bidder -> payment token (zero address for ETH) -> refunds waiting to be withdrawn
+    mapping(address => mapping(address => uint256)) public pendingRefunds;
+
+    /// @notice when set every refund is credited for the bidder to withdraw, otherwise only refunds which cannot be sent are
+    bool public pullRefunds;
+
+    /// @notice whether smart contracts (i.e. multisigs and smart wallets) can bid
+    bool public allowContractBidders;
+
+    /// @notice optional record of every bid, zero address when bids are not recorded
+    DigitalaxAuctionBidLedger public bidLedger;
+
     /// @notice Garment ERC721 NFT - the only NFT that can be auctioned in this contract
     IDigitalaxGarmentNFT public garmentNft;
 
@@ -122,9 +257,18 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
     /// @notice global bid withdrawal lock time
     uint256 public bidWithdrawalLockTime = 20 minutes;
 
+    /// @notice a bid placed this close to the end of an auction extends it, to stop sniping - zero disables extensions
+    uint256 public bidExtensionWindow;
+
+    /// @notice how far the end of an auction is pushed out by a bid placed in the extension window
+    uint256 public bidExtensionTime;
+
     /// @notice global platform fee, assumed to always be to 1 decimal place i.e. 120 = 12.0%
     uint256 public platformFee = 120;
 
+    /// @notice when set new auctions take the platform fee from the whole winning bid, otherwise only from the amount above the reserve
+    bool public platformFeeOnTotal;
+
     /// @notice where to send platform fee funds to
     address payable public platformFeeRecipient;
 
@@ -161,13 +305,20 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
      @param _reservePrice Garment cannot be sold for less than this or minBidIncrement, whichever is higher
      @param _startTimestamp Unix epoch in seconds for the auction start time
      @param _endTimestamp Unix epoch in seconds for the auction end time.
+     @param _buyNowPrice A bid of at least this buys the garment straight away, zero for no buy-now price
+     @param _platformFee Platform fee of the auction to 1 decimal place i.e. 120 = 12.0%, ignored unless a fee mode is given
+     @param _platformFeeMode Default takes the designer or global platform fee, otherwise only admin can set the fee of the auction
+     @return auctionId ID of the new auction
      */
     function createAuction(
         uint256 _garmentTokenId,
         uint256 _reservePrice,
         uint256 _startTimestamp,
-        uint256 _endTimestamp
-    ) external whenNotPaused {
+        uint256 _endTimestamp,
+        uint256 _buyNowPrice,
+        uint256 _platformFee,
+        PlatformFeeMode _platformFeeMode
+    ) external whenNotPaused returns (uint256 auctionId) {
         // Ensure caller has privileges
         require(
             accessControls.hasMinterRole(_msgSender()),
@@ -180,11 +331,15 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
             "DigitalaxAuction.createAuction: Not owner and or contract not approved"
         );
 
-        _createAuction(
+        return _createAuction(
             _garmentTokenId,
+            address(0),
             _reservePrice,
             _startTimestamp,
-            _endTimestamp
+            _endTimestamp,
+            _buyNowPrice,
+            _platformFee,
+            _platformFeeMode
         );
     }
 
@@ -197,16 +352,23 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
      @param _reservePrice Garment cannot be sold for less than this or minBidIncrement, whichever is higher
      @param _startTimestamp Unix epoch in seconds for the auction start time
      @param _endTimestamp Unix epoch in seconds for the auction end time.
+     @param _buyNowPrice A bid of at least this buys the garment straight away, zero for no buy-now price
+     @param _platformFee Platform fee of the auction to 1 decimal place i.e. 120 = 12.0%, ignored unless a fee mode is given
+     @param _platformFeeMode Default takes the designer or global platform fee, otherwise only admin can set the fee of the auction
+     @return auctionId ID of the new auction
      */
     function createAuctionOnBehalfOfOwner(
         uint256 _garmentTokenId,
         uint256 _reservePrice,
         uint256 _startTimestamp,
-        uint256 _endTimestamp
-    ) external {
+        uint256 _endTimestamp,
+        uint256 _buyNowPrice,
+        uint256 _platformFee,
+        PlatformFeeMode _platformFeeMode
+    ) external returns (uint256 auctionId) {
         // Ensure caller has privileges
         require(
-            accessControls.hasAdminRole(_msgSender()) || accessControls.hasSmartContractRole(_msgSender()),
+            _isAdminOrSmartContract(),
             "DigitalaxAuction.createAuctionOnBehalfOfOwner: Sender must have admin or smart contract role"
         );
 
@@ -215,50 +377,148 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
             "DigitalaxAuction.createAuctionOnBehalfOfOwner: Cannot create an auction if you do not have approval"
         );
 
-        _createAuction(
+        return _createAuction(
             _garmentTokenId,
+            address(0),
             _reservePrice,
             _startTimestamp,
-            _endTimestamp
+            _endTimestamp,
+            _buyNowPrice,
+            _platformFee,
+            _platformFeeMode
         );
     }
 
     /**
-     @notice Places a new bid, out bidding the existing bidder if found and criteria is reached
-     @dev Only callable when the auction is open
-     @dev Bids from smart contracts are prohibited to prevent griefing with always reverting receiver
+     @notice Creates a new auction for a given garment, paid for in an allowed ERC20 token
+     @dev Same rules as `createAuction()` apply
      @param _garmentTokenId Token ID of the garment being auctioned
+     @param _paymentToken ERC20 token bids are placed in, must be allowed by an admin
+     @param _reservePrice Garment cannot be sold for less than this or minBidIncrement, whichever is higher
+     @param _startTimestamp Unix epoch in seconds for the auction start time
+     @param _endTimestamp Unix epoch in seconds for the auction end time.
+     @param _buyNowPrice A bid of at least this buys the garment straight away, zero for no buy-now price
+     @param _platformFee Platform fee of the auction to 1 decimal place i.e. 120 = 12.0%, ignored unless a fee mode is given
+     @param _platformFeeMode Default takes the designer or global platform fee, otherwise only admin can set the fee of the auction
+     @return auctionId ID of the new auction
      */
-    function placeBid(uint256 _garmentTokenId) external payable nonReentrant whenNotPaused {
-        require(_msgSender().isContract() == false, "DigitalaxAuction.placeBid: No contracts permitted");
+    function createTokenAuction(
+        uint256 _garmentTokenId,
+        address _paymentToken,
+        uint256 _reservePrice,
+        uint256 _startTimestamp,
+        uint256 _endTimestamp,
+        uint256 _buyNowPrice,
+        uint256 _platformFee,
+        PlatformFeeMode _platformFeeMode
+    ) external whenNotPaused returns (uint256 auctionId) {
+        // Ensure caller has privileges
+        require(
+            accessControls.hasMinterRole(_msgSender()),
+            "DigitalaxAuction.createTokenAuction: Sender must have the minter role"
+        );
 
-        // Check the auction to see if this is a valid bid
-        Auction storage auction = auctions[_garmentTokenId];
+        // Check owner of the token is the creator and approved
+        require(
+            garmentNft.ownerOf(_garmentTokenId) == _msgSender() && garmentNft.isApproved(_garmentTokenId, address(this)),
+            "DigitalaxAuction.createTokenAuction: Not owner and or contract not approved"
+        );
 
-        // Ensure auction is in flight
+        require(paymentTokens[_paymentToken], "DigitalaxAuction.createTokenAuction: Payment token not allowed");
+
+        return _createAuction(
+            _garmentTokenId,
+            _paymentToken,
+            _reservePrice,
+            _startTimestamp,
+            _endTimestamp,
+            _buyNowPrice,
+            _platformFee,
+            _platformFeeMode
+        );
+    }
+
+    /**
+     @notice Admin or smart contract can list approved Garments, paid for in an allowed ERC20 token
+     @dev Same rules as `createAuctionOnBehalfOfOwner()` apply
+     @param _garmentTokenId Token ID of the garment being auctioned
+     @param _paymentToken ERC20 token bids are placed in, must be allowed by an admin
+     @param _reservePrice Garment cannot be sold for less than this or minBidIncrement, whichever is higher
+     @param _startTimestamp Unix epoch in seconds for the auction start time
+     @param _endTimestamp Unix epoch in seconds for the auction end time.
+     @param _buyNowPrice A bid of at least this buys the garment straight away, zero for no buy-now price
+     @param _platformFee Platform fee of the auction to 1 decimal place i.e. 120 = 12.0%, ignored unless a fee mode is given
+     @param _platformFeeMode Default takes the designer or global platform fee, otherwise only admin can set the fee of the auction
+     @return auctionId ID of the new auction
+     */
+    function createTokenAuctionOnBehalfOfOwner(
+        uint256 _garmentTokenId,
+        address _paymentToken,
+        uint256 _reservePrice,
+        uint256 _startTimestamp,
+        uint256 _endTimestamp,
+        uint256 _buyNowPrice,
+        uint256 _platformFee,
+        PlatformFeeMode _platformFeeMode
+    ) external returns (uint256 auctionId) {
+        // Ensure caller has privileges
         require(
-            _getNow() >= auction.startTime && _getNow() <= auction.endTime,
-            "DigitalaxAuction.placeBid: Bidding outside of the auction window"
+            _isAdminOrSmartContract(),
+            "DigitalaxAuction.createTokenAuctionOnBehalfOfOwner: Sender must have admin or smart contract role"
         );
 
-        uint256 bidAmount = msg.value;
+        require(
+            garmentNft.isApproved(_garmentTokenId, address(this)),
+            "DigitalaxAuction.createTokenAuctionOnBehalfOfOwner: Cannot create an auction if you do not have approval"
+        );
 
-        // Ensure bid adheres to outbid increment and threshold
-        HighestBid storage highestBid = highestBids[_garmentTokenId];
-        uint256 minBidRequired = highestBid.bid.add(minBidIncrement);
-        require(bidAmount >= minBidRequired, "DigitalaxAuction.placeBid: Failed to outbid highest bidder");
+        require(paymentTokens[_paymentToken], "DigitalaxAuction.createTokenAuctionOnBehalfOfOwner: Payment token not allowed");
 
-        // Refund existing top bidder if found
-        if (highestBid.bidder != address(0)) {
-            _refundHighestBidder(highestBid.bidder, highestBid.bid);
-        }
+        return _createAuction(
+            _garmentTokenId,
+            _paymentToken,
+            _reservePrice,
+            _startTimestamp,
+            _endTimestamp,
+            _buyNowPrice,
+            _platformFee,
+            _platformFeeMode
+        );
+    }
 
-        // assign top bidder and bid time
-        highestBid.bidder = _msgSender();
-        highestBid.bid = bidAmount;
-        highestBid.lastBidTime = _getNow();
+    /**
+     @notice Places a new bid, out bidding the existing bidder if found and criteria is reached
+     @dev Only callable when the auction is open
+     @dev Bids from smart contracts are banned unless allowed by an admin
+     @dev A bid at or above the buy-now price of the auction buys the garment straight away
+     @dev Only the buy-now price is paid, anything bid above it is refunded like an outbid bid
+     @param _garmentTokenId Token ID of the garment being auctioned
+     */
+    function placeBid(uint256 _garmentTokenId) external payable nonReentrant whenNotPaused {
+        require(
+            auctionPaymentTokens[garmentAuctionIds[_garmentTokenId]] == address(0),
+            "DigitalaxAuction.placeBid: Auction is paid in a token, use placeTokenBid"
+        );
+
+        _placeBid(_garmentTokenId, msg.value);
+    }
+
+    /**
+     @notice Places a new bid in the payment token of the auction, out bidding the existing bidder if found and criteria is reached
+     @dev Only callable when the auction is open
+     @dev The bid is escrowed in this contract so the sender must have approved this contract for the amount
+     @dev The bid is what this contract receives, so tokens taking a fee on transfer bid less than `_amount`
+     @param _garmentTokenId Token ID of the garment being auctioned
+     @param _amount Bid in the smallest unit of the payment token
+     */
+    function placeTokenBid(uint256 _garmentTokenId, uint256 _amount) external nonReentrant whenNotPaused {
+        IERC20 paymentToken = IERC20(auctionPaymentTokens[garmentAuctionIds[_garmentTokenId]]);
+        require(address(paymentToken) != address(0), "DigitalaxAuction.placeTokenBid: Auction is paid in ETH, use placeBid");
+
+        uint256 balanceBefore = paymentToken.balanceOf(address(this));
+        paymentToken.safeTransferFrom(_msgSender(), address(this), _amount);
 
-        emit BidPlaced(_garmentTokenId, _msgSender(), bidAmount);
+        _placeBid(_garmentTokenId, paymentToken.balanceOf(address(this)).sub(balanceBefore));
     }
 
     /**
@@ -267,7 +527,8 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
      @param _garmentTokenId Token ID of the garment being auctioned
      */
     function withdrawBid(uint256 _garmentTokenId) external nonReentrant whenNotPaused {
-        HighestBid storage highestBid = highestBids[_garmentTokenId];
+        uint256 auctionId = garmentAuctionIds[_garmentTokenId];
+        HighestBid storage highestBid = highestBids[auctionId];
 
         // Ensure highest bidder is the caller
         require(highestBid.bidder == _msgSender(), "DigitalaxAuction.withdrawBid: You are not the highest bidder");
@@ -278,19 +539,35 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
             "DigitalaxAuction.withdrawBid: Cannot withdraw until lock time has passed"
         );
 
-        require(_getNow() < auctions[_garmentTokenId].endTime, "DigitalaxAuction.withdrawBid: Past auction end");
+        require(_getNow() < auctions[auctionId].endTime, "DigitalaxAuction.withdrawBid: Past auction end");
 
         uint256 previousBid = highestBid.bid;
 
         // Clean up the existing top bid
-        delete highestBids[_garmentTokenId];
+        delete highestBids[auctionId];
 
         // Refund the top bidder
-        _refundHighestBidder(_msgSender(), previousBid);
+        _refundHighestBidder(auctionId, _msgSender(), previousBid);
 
         emit BidWithdrawn(_garmentTokenId, _msgSender(), previousBid);
     }
 
+    /**
+     @notice Withdraws any refunds credited to the sender, rather than sent, when they were outbid
+     @param _paymentToken ERC20 token the refunds are in, zero address for ETH
+     */
+    function withdrawRefund(address _paymentToken) external nonReentrant {
+        uint256 amount = pendingRefunds[_msgSender()][_paymentToken];
+        require(amount > 0, "DigitalaxAuction.withdrawRefund: Nothing to withdraw");
+
+        delete pendingRefunds[_msgSender()][_paymentToken];
+
+        bool success = _transferFunds(_paymentToken, _msgSender(), amount);
+        require(success, "DigitalaxAuction.withdrawRefund: Failed to send refund");
+
+        emit RefundWithdrawn(_msgSender(), _paymentToken, amount);
+    }
+
     //////////
     // Admin /
     //////////
@@ -304,12 +581,13 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
      */
     function resultAuction(uint256 _garmentTokenId) external nonReentrant {
         require(
-            accessControls.hasAdminRole(_msgSender()) || accessControls.hasSmartContractRole(_msgSender()),
+            _isAdminOrSmartContract(),
             "DigitalaxAuction.resultAuction: Sender must be admin or smart contract"
         );
 
         // Check the auction to see if it can be resulted
-        Auction storage auction = auctions[_garmentTokenId];
+        uint256 auctionId = garmentAuctionIds[_garmentTokenId];
+        Auction storage auction = auctions[auctionId];
 
         // Check the auction real
         require(auction.endTime > 0, "DigitalaxAuction.resultAuction: Auction does not exist");
@@ -324,7 +602,7 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
         require(garmentNft.isApproved(_garmentTokenId, address(this)), "DigitalaxAuction.resultAuction: auction not approved");
 
         // Get info on who the highest bidder is
-        HighestBid storage highestBid = highestBids[_garmentTokenId];
+        HighestBid storage highestBid = highestBids[auctionId];
         address winner = highestBid.bidder;
         uint256 winningBid = highestBid.bid;
 
@@ -334,55 +612,25 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
         // Ensure there is a winner
         require(winner != address(0), "DigitalaxAuction.resultAuction: no open bids");
 
-        // Result the auction
-        auctions[_garmentTokenId].resulted = true;
-
-        // Clean up the highest bid
-        delete highestBids[_garmentTokenId];
-
-        // Record the primary sale price for the garment
-        garmentNft.setPrimarySalePrice(_garmentTokenId, winningBid);
-
-        if (winningBid > auction.reservePrice) {
-            // Work out total above the reserve
-            uint256 aboveReservePrice = winningBid.sub(auction.reservePrice);
-
-            // Work out platform fee from above reserve amount
-            uint256 platformFeeAboveReserve = aboveReservePrice.mul(platformFee).div(1000);
-
-            // Send platform fee
-            (bool platformTransferSuccess,) = platformFeeRecipient.call{value : platformFeeAboveReserve}("");
-            require(platformTransferSuccess, "DigitalaxAuction.resultAuction: Failed to send platform fee");
-
-            // Send remaining to designer
-            (bool designerTransferSuccess,) = garmentNft.garmentDesigners(_garmentTokenId).call{value : winningBid.sub(platformFeeAboveReserve)}("");
-            require(designerTransferSuccess, "DigitalaxAuction.resultAuction: Failed to send the designer their royalties");
-        } else {
-            // Send all to the designer
-            (bool designerTransferSuccess,) = garmentNft.garmentDesigners(_garmentTokenId).call{value : winningBid}("");
-            require(designerTransferSuccess, "DigitalaxAuction.resultAuction: Failed to send the designer their royalties");
-        }
-
-        // Transfer the token to the winner
-        garmentNft.safeTransferFrom(garmentNft.ownerOf(_garmentTokenId), winner, _garmentTokenId);
-
-        emit AuctionResulted(_garmentTokenId, winner, winningBid);
+        _settleAuction(auctionId, winner, winningBid);
     }
 
     /**
      @notice Cancels and inflight and un-resulted auctions, returning the funds to the top bidder if found
      @dev Only admin
+     @dev The cancelled auction is kept under its auction ID and the garment can be listed again
      @param _garmentTokenId Token ID of the garment being auctioned
      */
     function cancelAuction(uint256 _garmentTokenId) external nonReentrant {
         // Admin only resulting function
         require(
-            accessControls.hasAdminRole(_msgSender()) || accessControls.hasSmartContractRole(_msgSender()),
+            _isAdminOrSmartContract(),
             "DigitalaxAuction.cancelAuction: Sender must be admin or smart contract"
         );
 
         // Check valid and not resulted
-        Auction storage auction = auctions[_garmentTokenId];
+        uint256 auctionId = garmentAuctionIds[_garmentTokenId];
+        Auction storage auction = auctions[auctionId];
 
         // Check auction is real
         require(auction.endTime > 0, "DigitalaxAuction.cancelAuction: Auction does not exist");
@@ -391,16 +639,17 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
         require(!auction.resulted, "DigitalaxAuction.cancelAuction: auction already resulted");
 
         // refund existing top bidder if found
-        HighestBid storage highestBid = highestBids[_garmentTokenId];
+        HighestBid storage highestBid = highestBids[auctionId];
         if (highestBid.bidder != address(0)) {
-            _refundHighestBidder(highestBid.bidder, highestBid.bid);
+            _refundHighestBidder(auctionId, highestBid.bidder, highestBid.bid);
 
             // Clear up highest bid
-            delete highestBids[_garmentTokenId];
+            delete highestBids[auctionId];
         }
 
-        // Remove auction and top bidder
-        delete auctions[_garmentTokenId];
+        // Close the auction, freeing up the garment to be listed again
+        auction.cancelled = true;
+        delete garmentAuctionIds[_garmentTokenId];
 
         emit AuctionCancelled(_garmentTokenId);
     }
@@ -410,7 +659,7 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
      @dev Only admin
      */
     function toggleIsPaused() external {
-        require(accessControls.hasAdminRole(_msgSender()), "DigitalaxAuction.toggleIsPaused: Sender must be admin");
+        require(_isAdmin(), "DigitalaxAuction.toggleIsPaused: Sender must be admin");
         isPaused = !isPaused;
         emit PauseToggled(isPaused);
     }
@@ -421,7 +670,7 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
      @param _minBidIncrement New bid step in WEI
      */
     function updateMinBidIncrement(uint256 _minBidIncrement) external {
-        require(accessControls.hasAdminRole(_msgSender()), "DigitalaxAuction.updateMinBidIncrement: Sender must be admin");
+        require(_isAdmin(), "DigitalaxAuction.updateMinBidIncrement: Sender must be admin");
         minBidIncrement = _minBidIncrement;
         emit UpdateMinBidIncrement(_minBidIncrement);
     }
@@ -432,11 +681,79 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
      @param _bidWithdrawalLockTime New bid withdrawal lock time
      */
     function updateBidWithdrawalLockTime(uint256 _bidWithdrawalLockTime) external {
-        require(accessControls.hasAdminRole(_msgSender()), "DigitalaxAuction.updateBidWithdrawalLockTime: Sender must be admin");
+        require(_isAdmin(), "DigitalaxAuction.updateBidWithdrawalLockTime: Sender must be admin");
         bidWithdrawalLockTime = _bidWithdrawalLockTime;
         emit UpdateBidWithdrawalLockTime(_bidWithdrawalLockTime);
     }
 
+    /**
+     @notice Update how close to the end of an auction a bid has to be placed to extend it, across all auctions
+     @dev Only admin
+     @param _bidExtensionWindow New extension window in seconds, zero disables extensions
+     */
+    function updateBidExtensionWindow(uint256 _bidExtensionWindow) external {
+        require(_isAdmin(), "DigitalaxAuction.updateBidExtensionWindow: Sender must be admin");
+        bidExtensionWindow = _bidExtensionWindow;
+        emit UpdateBidExtensionWindow(_bidExtensionWindow);
+    }
+
+    /**
+     @notice Update how far a bid placed in the extension window pushes out the end of an auction, across all auctions
+     @dev Only admin
+     @param _bidExtensionTime New extension time in seconds
+     */
+    function updateBidExtensionTime(uint256 _bidExtensionTime) external {
+        require(_isAdmin(), "DigitalaxAuction.updateBidExtensionTime: Sender must be admin");
+        bidExtensionTime = _bidExtensionTime;
+        emit UpdateBidExtensionTime(_bidExtensionTime);
+    }
+
+    /**
+     @notice Allow or disallow an ERC20 token for new auctions - existing auctions keep their payment token
+     @dev Only admin
+     @param _paymentToken ERC20 token
+     @param _allowed whether new auctions can be created in it
+     */
+    function updatePaymentToken(address _paymentToken, bool _allowed) external {
+        require(_isAdmin(), "DigitalaxAuction.updatePaymentToken: Sender must be admin");
+        require(_paymentToken != address(0), "DigitalaxAuction.updatePaymentToken: Zero address");
+        paymentTokens[_paymentToken] = _allowed;
+        emit UpdatePaymentToken(_paymentToken, _allowed);
+    }
+
+    /**
+     @notice Switch between crediting every refund for bidders to withdraw and only crediting the ones which cannot be sent
+     @dev Only admin
+     @param _pullRefunds whether every refund is credited
+     */
+    function updatePullRefunds(bool _pullRefunds) external {
+        require(_isAdmin(), "DigitalaxAuction.updatePullRefunds: Sender must be admin");
+        pullRefunds = _pullRefunds;
+        emit UpdatePullRefunds(_pullRefunds);
+    }
+
+    /**
+     @notice Allow or ban bids from smart contracts
+     @dev Only admin
+     @param _allowContractBidders whether smart contracts can bid
+     */
+    function updateAllowContractBidders(bool _allowContractBidders) external {
+        require(_isAdmin(), "DigitalaxAuction.updateAllowContractBidders: Sender must be admin");
+        allowContractBidders = _allowContractBidders;
+        emit UpdateAllowContractBidders(_allowContractBidders);
+    }
+
+    /**
+     @notice Start, stop or move the on-chain record of every bid - bids already recorded stay in the old ledger
+     @dev Only admin
+     @param _bidLedger ledger the auction is allowed to record bids in, zero address to stop recording
+     */
+    function updateBidLedger(DigitalaxAuctionBidLedger _bidLedger) external {
+        require(_isAdmin(), "DigitalaxAuction.updateBidLedger: Sender must be admin");
+        bidLedger = _bidLedger;
+        emit UpdateBidLedger(address(_bidLedger));
+    }
+
     /**
      @notice Update the current reserve price for an auction
      @dev Only admin
@@ -446,19 +763,76 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
      */
     function updateAuctionReservePrice(uint256 _garmentTokenId, uint256 _reservePrice) external {
         require(
-            accessControls.hasAdminRole(_msgSender()),
+            _isAdmin(),
             "DigitalaxAuction.updateAuctionReservePrice: Sender must be admin"
         );
 
+        Auction storage auction = auctions[garmentAuctionIds[_garmentTokenId]];
+
         require(
-            auctions[_garmentTokenId].endTime > 0,
+            auction.endTime > 0,
             "DigitalaxAuction.updateAuctionReservePrice: No Auction exists"
         );
 
-        auctions[_garmentTokenId].reservePrice = _reservePrice;
+        auction.reservePrice = _reservePrice;
         emit UpdateAuctionReservePrice(_garmentTokenId, _reservePrice);
     }
 
+    /**
+     @notice Overrides the platform fee of an auction
+     @dev Only admin
+     @dev Auction must exist and not be resulted
+     @param _garmentTokenId Token ID of the garment being auctioned
+     @param _platformFee Platform fee to 1 decimal place i.e. 120 = 12.0%
+     @param _feeOnTotal Take the fee from the whole winning bid instead of the amount above the reserve
+     */
+    function updateAuctionPlatformFee(uint256 _garmentTokenId, uint256 _platformFee, bool _feeOnTotal) external {
+        require(
+            _isAdmin(),
+            "DigitalaxAuction.updateAuctionPlatformFee: Sender must be admin"
+        );
+
+        uint256 auctionId = garmentAuctionIds[_garmentTokenId];
+
+        require(
+            auctions[auctionId].endTime > 0 && !auctions[auctionId].resulted,
+            "DigitalaxAuction.updateAuctionPlatformFee: No open auction exists"
+        );
+
+        require(_platformFee <= 1000, "DigitalaxAuction.updateAuctionPlatformFee: Fee above 100%");
+
+        _setAuctionPlatformFee(auctionId, _garmentTokenId, _platformFee, _feeOnTotal);
+    }
+
+    /**
+     @notice Update the buy-now price for an auction
+     @dev Only admin
+     @dev Auction must exist
+     @param _garmentTokenId Token ID of the garment being auctioned
+     @param _buyNowPrice New buy-now price (WEI value), zero removes it
+     */
+    function updateAuctionBuyNowPrice(uint256 _garmentTokenId, uint256 _buyNowPrice) external {
+        require(
+            _isAdmin(),
+            "DigitalaxAuction.updateAuctionBuyNowPrice: Sender must be admin"
+        );
+
+        uint256 auctionId = garmentAuctionIds[_garmentTokenId];
+
+        require(
+            auctions[auctionId].endTime > 0,
+            "DigitalaxAuction.updateAuctionBuyNowPrice: No Auction exists"
+        );
+
+        require(
+            _buyNowPrice == 0 || _buyNowPrice >= auctions[auctionId].reservePrice,
+            "DigitalaxAuction.updateAuctionBuyNowPrice: Buy now price below reserve"
+        );
+
+        buyNowPrices[auctionId] = _buyNowPrice;
+        emit UpdateAuctionBuyNowPrice(_garmentTokenId, _buyNowPrice);
+    }
+
     /**
      @notice Update the current start time for an auction
      @dev Only admin
@@ -468,16 +842,18 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
      */
     function updateAuctionStartTime(uint256 _garmentTokenId, uint256 _startTime) external {
         require(
-            accessControls.hasAdminRole(_msgSender()),
+            _isAdmin(),
             "DigitalaxAuction.updateAuctionStartTime: Sender must be admin"
         );
 
+        Auction storage auction = auctions[garmentAuctionIds[_garmentTokenId]];
+
         require(
-            auctions[_garmentTokenId].endTime > 0,
+            auction.endTime > 0,
             "DigitalaxAuction.updateAuctionStartTime: No Auction exists"
         );
 
-        auctions[_garmentTokenId].startTime = _startTime;
+        auction.startTime = _startTime;
         emit UpdateAuctionStartTime(_garmentTokenId, _startTime);
     }
 
@@ -490,15 +866,18 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
      */
     function updateAuctionEndTime(uint256 _garmentTokenId, uint256 _endTimestamp) external {
         require(
-            accessControls.hasAdminRole(_msgSender()),
+            _isAdmin(),
             "DigitalaxAuction.updateAuctionEndTime: Sender must be admin"
         );
+
+        Auction storage auction = auctions[garmentAuctionIds[_garmentTokenId]];
+
         require(
-            auctions[_garmentTokenId].endTime > 0,
+            auction.endTime > 0,
             "DigitalaxAuction.updateAuctionEndTime: No Auction exists"
         );
         require(
-            auctions[_garmentTokenId].startTime < _endTimestamp,
+            auction.startTime < _endTimestamp,
             "DigitalaxAuction.updateAuctionEndTime: End time must be greater than start"
         );
         require(
@@ -506,7 +885,7 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
             "DigitalaxAuction.updateAuctionEndTime: End time passed. Nobody can bid"
         );
 
-        auctions[_garmentTokenId].endTime = _endTimestamp;
+        auction.endTime = _endTimestamp;
         emit UpdateAuctionEndTime(_garmentTokenId, _endTimestamp);
     }
 
@@ -517,7 +896,7 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
      */
     function updateAccessControls(DigitalaxAccessControls _accessControls) external {
         require(
-            accessControls.hasAdminRole(_msgSender()),
+            _isAdmin(),
             "DigitalaxAuction.updateAccessControls: Sender must be admin"
         );
 
@@ -534,14 +913,50 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
      */
     function updatePlatformFee(uint256 _platformFee) external {
         require(
-            accessControls.hasAdminRole(_msgSender()),
+            _isAdmin(),
             "DigitalaxAuction.updatePlatformFee: Sender must be admin"
         );
 
+        require(_platformFee <= 1000, "DigitalaxAuction.updatePlatformFee: Fee above 100%");
+
         platformFee = _platformFee;
         emit UpdatePlatformFee(_platformFee);
     }
 
+    /**
+     @notice Method for choosing whether new auctions take the platform fee from the whole winning bid or the amount above the reserve
+     @dev Only admin
+     @param _platformFeeOnTotal take the fee from the whole winning bid
+     */
+    function updatePlatformFeeOnTotal(bool _platformFeeOnTotal) external {
+        require(
+            _isAdmin(),
+            "DigitalaxAuction.updatePlatformFeeOnTotal: Sender must be admin"
+        );
+
+        platformFeeOnTotal = _platformFeeOnTotal;
+        emit UpdatePlatformFeeOnTotal(_platformFeeOnTotal);
+    }
+
+    /**
+     @notice Method for setting the platform fee of new auctions for a designer's garments
+     @dev Only admin
+     @param _designer garment designer
+     @param _platformFee platform fee to 1 decimal place i.e. 120 = 12.0%
+     @param _enabled use the designer fee instead of the global platform fee, false goes back to the global fee
+     */
+    function updateDesignerPlatformFee(address _designer, uint256 _platformFee, bool _enabled) external {
+        require(
+            _isAdmin(),
+            "DigitalaxAuction.updateDesignerPlatformFee: Sender must be admin"
+        );
+
+        require(_platformFee <= 1000, "DigitalaxAuction.updateDesignerPlatformFee: Fee above 100%");
+
+        designerPlatformFees[_designer] = DesignerPlatformFee(_platformFee, _enabled);
+        emit UpdateDesignerPlatformFee(_designer, _platformFee, _enabled);
+    }
+
     /**
      @notice Method for updating platform fee address
      @dev Only admin
@@ -549,7 +964,7 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
      */
     function updatePlatformFeeRecipient(address payable _platformFeeRecipient) external {
         require(
-            accessControls.hasAdminRole(_msgSender()),
+            _isAdmin(),
             "DigitalaxAuction.updatePlatformFeeRecipient: Sender must be admin"
         );
 
@@ -564,14 +979,15 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
     ///////////////
 
     /**
-     @notice Method for getting all info about the auction
+     @notice Method for getting all info about the current auction of a garment
+     @dev Use `auctions()` for past auctions
      @param _garmentTokenId Token ID of the garment being auctioned
      */
     function getAuction(uint256 _garmentTokenId)
     external
     view
     returns (uint256 _reservePrice, uint256 _startTime, uint256 _endTime, bool _resulted) {
-        Auction storage auction = auctions[_garmentTokenId];
+        Auction storage auction = auctions[garmentAuctionIds[_garmentTokenId]];
         return (
         auction.reservePrice,
         auction.startTime,
@@ -581,7 +997,7 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
     }
 
     /**
-     @notice Method for getting all info about the highest bidder
+     @notice Method for getting all info about the highest bidder on the current auction of a garment
      @param _garmentTokenId Token ID of the garment being auctioned
      */
     function getHighestBidder(uint256 _garmentTokenId) external view returns (
@@ -589,7 +1005,7 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
         uint256 _bid,
         uint256 _lastBidTime
     ) {
-        HighestBid storage highestBid = highestBids[_garmentTokenId];
+        HighestBid storage highestBid = highestBids[garmentAuctionIds[_garmentTokenId]];
         return (
             highestBid.bidder,
             highestBid.bid,
@@ -597,6 +1013,15 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
         );
     }
 
+    /**
+     @notice Method for getting the IDs of every auction of a garment, including cancelled ones
+     @param _garmentTokenId Token ID of the garment
+     @return _auctionIds Auction IDs, oldest first
+     */
+    function getGarmentAuctions(uint256 _garmentTokenId) external view returns (uint256[] memory _auctionIds) {
+        return garmentAuctions[_garmentTokenId];
+    }
+
     /////////////////////////
     // Internal and Private /
     /////////////////////////
@@ -605,46 +1030,253 @@ contract DigitalaxAuction is Context, ReentrancyGuard {
         return block.timestamp;
     }
 
+    /// @dev Role checks go through these rather than calling the access controls inline, keeping the contract under the size limit
+    function _isAdmin() private view returns (bool) {
+        return accessControls.hasAdminRole(_msgSender());
+    }
+
+    function _isAdminOrSmartContract() private view returns (bool) {
+        return accessControls.hasAdminRole(_msgSender()) || accessControls.hasSmartContractRole(_msgSender());
+    }
+
     /**
      @notice Private method doing the heavy lifting of creating an auction
      @param _garmentTokenId Token ID of the garment being auctioned
+     @param _paymentToken ERC20 token bids are placed in, zero address for ETH
      @param _reservePrice Garment cannot be sold for less than this or minBidIncrement, whichever is higher
      @param _startTimestamp Unix epoch in seconds for the auction start time
      @param _endTimestamp Unix epoch in seconds for the auction end time.
+     @param _buyNowPrice A bid of at least this buys the garment straight away, zero for no buy-now price
+     @param _platformFee Platform fee of the auction to 1 decimal place i.e. 120 = 12.0%, ignored unless a fee mode is given
+     @param _platformFeeMode Default takes the designer or global platform fee, otherwise only admin can set the fee of the auction
+     @return auctionId ID of the new auction
      */
     function _createAuction(
         uint256 _garmentTokenId,
+        address _paymentToken,
         uint256 _reservePrice,
         uint256 _startTimestamp,
-        uint256 _endTimestamp
-    ) private {
-        // Ensure a token cannot be re-listed if previously successfully sold
-        require(auctions[_garmentTokenId].endTime == 0, "DigitalaxAuction.createAuction: Cannot relist");
+        uint256 _endTimestamp,
+        uint256 _buyNowPrice,
+        uint256 _platformFee,
+        PlatformFeeMode _platformFeeMode
+    ) private returns (uint256 auctionId) {
+        // Ensure a token cannot be re-listed while it is still being auctioned
+        uint256 previousAuctionId = garmentAuctionIds[_garmentTokenId];
+        require(previousAuctionId == 0 || auctions[previousAuctionId].resulted, "DigitalaxAuction.createAuction: Cannot relist");
 
         // Check end time not before start time and that end is in the future
         require(_endTimestamp > _startTimestamp, "DigitalaxAuction.createAuction: End time must be greater than start");
         require(_endTimestamp > _getNow(), "DigitalaxAuction.createAuction: End time passed. Nobody can bid.");
+        require(_buyNowPrice == 0 || _buyNowPrice >= _reservePrice, "DigitalaxAuction.createAuction: Buy now price below reserve");
+        require(_platformFeeMode == PlatformFeeMode.Default || _isAdmin(), "DigitalaxAuction.createAuction: Only admin can set the platform fee");
+        require(_platformFeeMode == PlatformFeeMode.Default || _platformFee <= 1000, "DigitalaxAuction.createAuction: Fee above 100%");
+
+        auctionIdPointer = auctionIdPointer.add(1);
+        auctionId = auctionIdPointer;
 
         // Setup the auction
-        auctions[_garmentTokenId] = Auction({
+        auctions[auctionId] = Auction({
+        garmentTokenId : _garmentTokenId,
         reservePrice : _reservePrice,
         startTime : _startTimestamp,
         endTime : _endTimestamp,
-        resulted : false
+        resulted : false,
+        cancelled : false
         });
+        auctionPaymentTokens[auctionId] = _paymentToken;
+        buyNowPrices[auctionId] = _buyNowPrice;
+
+        garmentAuctionIds[_garmentTokenId] = auctionId;
+        garmentAuctions[_garmentTokenId].push(auctionId);
+
+        emit AuctionCreated(_garmentTokenId, auctionId);
+
+        // Fix the platform fee, using the one given or otherwise the designer's rate if they have one
+        if (_platformFeeMode == PlatformFeeMode.Default) {
+            DesignerPlatformFee storage designerFee = designerPlatformFees[garmentNft.garmentDesigners(_garmentTokenId)];
+            _setAuctionPlatformFee(auctionId, _garmentTokenId, designerFee.enabled ? designerFee.platformFee : platformFee, platformFeeOnTotal);
+        } else {
+            _setAuctionPlatformFee(auctionId, _garmentTokenId, _platformFee, _platformFeeMode == PlatformFeeMode.OnTotal);
+        }
 
-        emit AuctionCreated(_garmentTokenId);
+        if (_paymentToken != address(0)) {
+            emit AuctionPaymentToken(_garmentTokenId, _paymentToken);
+        }
+
+        if (_buyNowPrice > 0) {
+            emit UpdateAuctionBuyNowPrice(_garmentTokenId, _buyNowPrice);
+        }
+    }
+
+    function _setAuctionPlatformFee(uint256 _auctionId, uint256 _garmentTokenId, uint256 _platformFee, bool _feeOnTotal) private {
+        auctionPlatformFees[_auctionId] = PlatformFee(_platformFee, _feeOnTotal);
+        emit AuctionPlatformFee(_garmentTokenId, _platformFee, _feeOnTotal);
+    }
+
+    /**
+     @notice Private method doing the heavy lifting of placing a bid, once the funds are held by this contract
+     @param _garmentTokenId Token ID of the garment being auctioned
+     @param _bidAmount Bid in ETH or the payment token of the auction
+     */
+    function _placeBid(uint256 _garmentTokenId, uint256 _bidAmount) private {
+        require(allowContractBidders || _msgSender().isContract() == false, "DigitalaxAuction.placeBid: No contracts permitted");
+
+        // Check the auction to see if this is a valid bid
+        uint256 auctionId = garmentAuctionIds[_garmentTokenId];
+        Auction storage auction = auctions[auctionId];
+
+        // Ensure auction is in flight
+        uint256 bidTime = _getNow();
+        require(
+            bidTime >= auction.startTime && bidTime <= auction.endTime,
+            "DigitalaxAuction.placeBid: Bidding outside of the auction window"
+        );
+
+        // Ensure the garment has not already been bought at the buy-now price
+        require(!auction.resulted, "DigitalaxAuction.placeBid: Auction already resulted");
+
+        // Ensure bid adheres to outbid increment and threshold
+        HighestBid storage highestBid = highestBids[auctionId];
+        uint256 minBidRequired = highestBid.bid.add(minBidIncrement);
+        require(_bidAmount >= minBidRequired, "DigitalaxAuction.placeBid: Failed to outbid highest bidder");
+
+        // A bid above the buy-now price only pays the buy-now price, the rest goes back to the bidder
+        uint256 buyNowPrice = buyNowPrices[auctionId];
+        if (buyNowPrice > 0 && _bidAmount > buyNowPrice) {
+            _refundHighestBidder(auctionId, _msgSender(), _bidAmount.sub(buyNowPrice));
+            _bidAmount = buyNowPrice;
+        }
+
+        // Refund existing top bidder if found
+        if (highestBid.bidder != address(0)) {
+            _refundHighestBidder(auctionId, highestBid.bidder, highestBid.bid);
+        }
+
+        // assign top bidder and bid time
+        highestBid.bidder = _msgSender();
+        highestBid.bid = _bidAmount;
+        highestBid.lastBidTime = bidTime;
+
+        emit BidPlaced(_garmentTokenId, _msgSender(), _bidAmount);
+
+        if (address(bidLedger) != address(0)) {
+            bidLedger.recordBid(auctionId, _msgSender(), _bidAmount, bidTime);
+        }
+
+        // End the auction straight away once the buy-now price is reached
+        if (buyNowPrice > 0 && _bidAmount == buyNowPrice) {
+            require(garmentNft.isApproved(_garmentTokenId, address(this)), "DigitalaxAuction.placeBid: auction not approved");
+
+            _settleAuction(auctionId, _msgSender(), _bidAmount);
+            emit AuctionBoughtNow(_garmentTokenId, _msgSender(), _bidAmount);
+            return;
+        }
+
+        // Push the end time out if the bid landed in the closing window
+        if (auction.endTime.sub(bidTime) < bidExtensionWindow && bidExtensionTime > 0) {
+            auction.endTime = auction.endTime.add(bidExtensionTime);
+            emit UpdateAuctionEndTime(_garmentTokenId, auction.endTime);
+        }
+    }
+
+    /**
+     @notice Private method doing the sale - records the sale price, pays the platform fee and designer (or seller) then transfers the garment
+     @dev Shared by resulting an auction and a bid reaching the buy-now price
+     @param _auctionId ID of the auction
+     @param _winner Address the garment is transferred to
+     @param _winningBid Amount in WEI (or the smallest unit of the payment token) the garment sold for
+     */
+    function _settleAuction(uint256 _auctionId, address _winner, uint256 _winningBid) private {
+        Auction storage auction = auctions[_auctionId];
+        uint256 garmentTokenId = auction.garmentTokenId;
+        address paymentToken = auctionPaymentTokens[_auctionId];
+
+        // Result the auction
+        auction.resulted = true;
+
+        // Clean up the highest bid
+        delete highestBids[_auctionId];
+
+        // A garment which has already had its primary sale is being resold by its owner
+        address seller = garmentNft.ownerOf(garmentTokenId);
+        bool isResale = garmentNft.primarySalePrice(garmentTokenId) > 0;
+
+        // Record the sale price, take the platform fee of the auction and send the rest to the designer or the seller of a resale
+        PlatformFee storage fee = auctionPlatformFees[_auctionId];
+        _settleSale(
+            garmentNft,
+            garmentTokenId,
+            paymentToken,
+            _winningBid,
+            _platformFeeAmount(_winningBid, auction.reservePrice, fee.platformFee, fee.feeOnTotal),
+            isResale ? seller : address(0)
+        );
+
+        // Transfer the token to the _winner
+        garmentNft.safeTransferFrom(seller, _winner, garmentTokenId);
+
+        emit AuctionResulted(garmentTokenId, _winner, _winningBid);
+    }
+
+    /**
+     @notice Sends the platform fee of a sale in ETH or the payment token
+     */
+    function _payPlatformFee(address _paymentToken, uint256 _amount) internal override {
+        bool platformTransferSuccess = _transferFunds(_paymentToken, platformFeeRecipient, _amount);
+        require(platformTransferSuccess, "DigitalaxAuction._settleAuction: Failed to send platform fee");
+    }
+
+    /**
+     @notice Sends one recipient their share of the sale in ETH or the payment token
+     @dev Also pays the seller of a resale
+     */
+    function _payRevenue(uint256 _garmentTokenId, address _paymentToken, address _recipient, uint256 _amount) internal override {
+        bool transferSuccess = _transferFunds(_paymentToken, _recipient, _amount);
+        require(transferSuccess, "DigitalaxAuction._settleAuction: Failed to send the sale proceeds");
+
+        emit RevenuePaid(_garmentTokenId, _recipient, _paymentToken, _amount);
     }
 
     /**
      @notice Used for sending back escrowed funds from a previous bid
+     @dev Refunds which cannot be sent are credited for the bidder to withdraw, so a bidder cannot block being outbid
+     @dev ETH is pushed with the gas stipend of a plain transfer, so a bidder cannot use up the gas of whoever outbids them either
+     @param _auctionId ID of the auction, which decides whether the bid was in ETH or a token
      @param _currentHighestBidder Address of the last highest bidder
-     @param _currentHighestBid Ether amount in WEI that the bidder sent when placing their bid
+     @param _currentHighestBid Amount in WEI (or the smallest unit of the payment token) that the bidder sent when placing their bid
      */
-    function _refundHighestBidder(address payable _currentHighestBidder, uint256 _currentHighestBid) private {
-        // refund previous best (if bid exists)
-        (bool successRefund,) = _currentHighestBidder.call{value : _currentHighestBid}("");
-        require(successRefund, "DigitalaxAuction._refundHighestBidder: failed to refund previous bidder");
-        emit BidRefunded(_currentHighestBidder, _currentHighestBid);
+    function _refundHighestBidder(uint256 _auctionId, address payable _currentHighestBidder, uint256 _currentHighestBid) private {
+        address paymentToken = auctionPaymentTokens[_auctionId];
+
+        if (!pullRefunds && (paymentToken == address(0)
+            ? _currentHighestBidder.send(_currentHighestBid)
+            : _transferFunds(paymentToken, _currentHighestBidder, _currentHighestBid))) {
+            emit BidRefunded(_currentHighestBidder, _currentHighestBid);
+            return;
+        }
+
+        pendingRefunds[_currentHighestBidder][paymentToken] = pendingRefunds[_currentHighestBidder][paymentToken].add(_currentHighestBid);
+        emit RefundCredited(_currentHighestBidder, paymentToken, _currentHighestBid);
+    }
+
+    /**
+     @notice Sends escrowed funds in ETH or an ERC20 token
+     @dev Never reverts when the transfer fails, it is up to the caller what to do
+     @param _paymentToken ERC20 token to send, zero address for ETH
+     @return true if the funds were sent
+     */
+    function _transferFunds(address _paymentToken, address _recipient, uint256 _amount) private returns (bool) {
+        if (_paymentToken == address(0)) {
+            (bool success,) = _recipient.call{value : _amount}("");
+            return success;
+        }
+
+        // Same checks as SafeERC20 without reverting - tokens which return nothing are treated as successful
+        if (!Address.isContract(_paymentToken)) {
+            return false;
+        }
+        (bool success, bytes memory data) = _paymentToken.call(abi.encodeWithSelector(IERC20.transfer.selector, _recipient, _amount));
+        return success && (data.length == 0 || abi.decode(data, (bool)));
     }
 }
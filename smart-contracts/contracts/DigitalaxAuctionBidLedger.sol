@@ -0,0 +1,153 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.12;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+
+/**
+ * @notice Optional on-chain record of every bid placed in DigitalaxAuction
+ * @dev The auction only keeps the highest bid, so this keeps the full history and per bidder stats for anyone reading
+ * the chain without an indexer. Bids are recorded by the auction contract against its auction IDs.
+ */
+contract DigitalaxAuctionBidLedger {
+    using SafeMath for uint256;
+
+    /// @notice Event emitted only on construction. To be used by indexers
+    event DigitalaxAuctionBidLedgerContractDeployed();
+
+    event BidRecorded(
+        uint256 indexed auctionId,
+        address indexed bidder,
+        uint256 bid
+    );
+
+    /// @notice A single bid placed in an auction
+    struct Bid {
+        address bidder;
+        uint256 bid;
+        uint256 time;
+    }
+
+    /// @notice Totals for one bidder in an auction
+    struct BidderStats {
+        uint256 bidCount;
+        uint256 maxBid;
+    }
+
+    /// @notice Auction contract allowed to record bids
+    address public auction;
+
+    /// @dev Auction ID -> every bid placed, oldest first
+    mapping(uint256 => Bid[]) private bids;
+
+    /// @dev Auction ID -> each bidder once, in the order of their first bid
+    mapping(uint256 => address[]) private bidders;
+
+    /// @notice Auction ID -> bidder -> how many bids they have placed and their highest
+    mapping(uint256 => mapping(address => BidderStats)) public bidderStats;
+
+    constructor(address _auction) public {
+        require(_auction != address(0), "DigitalaxAuctionBidLedger: Invalid auction");
+        auction = _auction;
+
+        emit DigitalaxAuctionBidLedgerContractDeployed();
+    }
+
+    /**
+     @notice Records a bid which has been accepted by the auction
+     @dev Only the auction contract
+     @param _auctionId ID of the auction bid on
+     @param _bidder Address of the bidder
+     @param _bid Amount bid in ETH or the payment token of the auction
+     @param _time Time the bid was placed, as seen by the auction
+     */
+    function recordBid(uint256 _auctionId, address _bidder, uint256 _bid, uint256 _time) external {
+        require(msg.sender == auction, "DigitalaxAuctionBidLedger.recordBid: Sender must be the auction");
+
+        bids[_auctionId].push(Bid(_bidder, _bid, _time));
+
+        BidderStats storage stats = bidderStats[_auctionId][_bidder];
+        if (stats.bidCount == 0) {
+            bidders[_auctionId].push(_bidder);
+        }
+        stats.bidCount = stats.bidCount.add(1);
+
+        // Bids have to beat the highest bid so a bidder's latest is always their highest, unless recorded out of order
+        if (_bid > stats.maxBid) {
+            stats.maxBid = _bid;
+        }
+
+        emit BidRecorded(_auctionId, _bidder, _bid);
+    }
+
+    ///////////////
+    // Accessors //
+    ///////////////
+
+    /**
+     @notice Number of bids and unique bidders in an auction
+     @param _auctionId ID of the auction
+     */
+    function getAuctionStats(uint256 _auctionId) external view returns (uint256 _bidCount, uint256 _uniqueBidders) {
+        return (bids[_auctionId].length, bidders[_auctionId].length);
+    }
+
+    /**
+     @notice A page of the bids placed in an auction, oldest first
+     @dev Pages past the last bid are empty
+     @param _auctionId ID of the auction
+     @param _offset Index of the first bid to return
+     @param _limit Maximum number of bids to return
+     */
+    function getBids(uint256 _auctionId, uint256 _offset, uint256 _limit)
+    external
+    view
+    returns (address[] memory _bidders, uint256[] memory _bids, uint256[] memory _times) {
+        Bid[] storage auctionBids = bids[_auctionId];
+        uint256 size = _pageSize(auctionBids.length, _offset, _limit);
+
+        _bidders = new address[](size);
+        _bids = new uint256[](size);
+        _times = new uint256[](size);
+        for (uint256 i = 0; i < size; i++) {
+            Bid storage bid = auctionBids[_offset + i];
+            _bidders[i] = bid.bidder;
+            _bids[i] = bid.bid;
+            _times[i] = bid.time;
+        }
+    }
+
+    /**
+     @notice A page of the unique bidders in an auction with their stats, in the order of their first bid
+     @dev Pages past the last bidder are empty
+     @param _auctionId ID of the auction
+     @param _offset Index of the first bidder to return
+     @param _limit Maximum number of bidders to return
+     */
+    function getBidders(uint256 _auctionId, uint256 _offset, uint256 _limit)
+    external
+    view
+    returns (address[] memory _bidders, uint256[] memory _bidCounts, uint256[] memory _maxBids) {
+        address[] storage auctionBidders = bidders[_auctionId];
+        uint256 size = _pageSize(auctionBidders.length, _offset, _limit);
+
+        _bidders = new address[](size);
+        _bidCounts = new uint256[](size);
+        _maxBids = new uint256[](size);
+        for (uint256 i = 0; i < size; i++) {
+            address bidder = auctionBidders[_offset + i];
+            BidderStats storage stats = bidderStats[_auctionId][bidder];
+            _bidders[i] = bidder;
+            _bidCounts[i] = stats.bidCount;
+            _maxBids[i] = stats.maxBid;
+        }
+    }
+
+    function _pageSize(uint256 _length, uint256 _offset, uint256 _limit) private pure returns (uint256) {
+        if (_offset >= _length) {
+            return 0;
+        }
+        uint256 remaining = _length - _offset;
+        return remaining < _limit ? remaining : _limit;
+    }
+}
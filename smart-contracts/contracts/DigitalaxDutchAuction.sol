@@ -0,0 +1,498 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.12;
+
+import "@openzeppelin/contracts/GSN/Context.sol";
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./DigitalaxAccessControls.sol";
+import "./garment/IDigitalaxGarmentNFT.sol";
+import "./DigitalaxGarmentRevenue.sol";
+
+/**
+ * @notice Descending price (dutch) primary sale auction contract for Digitalax NFTs
+ * @dev The price falls from the start price to the floor price between the start and end time - the first buyer wins the garment at the current price
+ */
+contract DigitalaxDutchAuction is Context, ReentrancyGuard, DigitalaxGarmentRevenue {
+    using SafeMath for uint256;
+
+    /// @notice Event emitted only on construction. To be used by indexers
+    event DigitalaxDutchAuctionContractDeployed();
+
+    event PauseToggled(
+        bool isPaused
+    );
+
+    event AuctionCreated(
+        uint256 indexed garmentTokenId,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 priceDropInterval
+    );
+
+    event UpdateAuctionPrices(
+        uint256 indexed garmentTokenId,
+        uint256 startPrice,
+        uint256 floorPrice
+    );
+
+    event UpdateAuctionTimes(
+        uint256 indexed garmentTokenId,
+        uint256 startTime,
+        uint256 endTime
+    );
+
+    event UpdateAccessControls(
+        address indexed accessControls
+    );
+
+    event UpdatePlatformFee(
+        uint256 platformFee
+    );
+
+    event UpdatePlatformFeeRecipient(
+        address payable platformFeeRecipient
+    );
+
+    event AuctionResulted(
+        uint256 indexed garmentTokenId,
+        address indexed winner,
+        uint256 price
+    );
+
+    event RevenuePaid(
+        uint256 indexed garmentTokenId,
+        address indexed recipient,
+        uint256 amount
+    );
+
+    event AuctionCancelled(
+        uint256 indexed garmentTokenId
+    );
+
+    /// @notice Parameters of a dutch auction
+    struct Auction {
+        uint256 startPrice;
+        uint256 floorPrice;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 priceDropInterval;
+        bool resulted;
+    }
+
+    /// @notice Garment ERC721 Token ID -> Auction Parameters
+    mapping(uint256 => Auction) public auctions;
+
+    /// @notice Garment ERC721 NFT - the only NFT that can be auctioned in this contract
+    IDigitalaxGarmentNFT public garmentNft;
+
+    // @notice responsible for enforcing admin access
+    DigitalaxAccessControls public accessControls;
+
+    /// @notice global platform fee, assumed to always be to 1 decimal place i.e. 120 = 12.0%
+    uint256 public platformFee = 120;
+
+    /// @notice where to send platform fee funds to
+    address payable public platformFeeRecipient;
+
+    /// @notice for switching off auction creations and purchases
+    bool public isPaused;
+
+    modifier whenNotPaused() {
+        require(!isPaused, "Function is currently paused");
+        _;
+    }
+
+    constructor(
+        DigitalaxAccessControls _accessControls,
+        IDigitalaxGarmentNFT _garmentNft,
+        address payable _platformFeeRecipient
+    ) public {
+        require(address(_accessControls) != address(0), "DigitalaxDutchAuction: Invalid Access Controls");
+        require(address(_garmentNft) != address(0), "DigitalaxDutchAuction: Invalid NFT");
+        require(_platformFeeRecipient != address(0), "DigitalaxDutchAuction: Invalid Platform Fee Recipient");
+
+        accessControls = _accessControls;
+        garmentNft = _garmentNft;
+        platformFeeRecipient = _platformFeeRecipient;
+
+        emit DigitalaxDutchAuctionContractDeployed();
+    }
+
+    /**
+     @notice Creates a new dutch auction for a given garment
+     @dev Only the owner of a garment can create an auction and must have approved the contract
+     @dev In addition to owning the garment, the sender also has to have the MINTER role.
+     @dev End time for the auction must be in the future.
+     @param _garmentTokenId Token ID of the garment being auctioned
+     @param _startPrice Price in WEI at the start time
+     @param _floorPrice Price in WEI at, and after, the end time - the garment cannot be sold for less
+     @param _startTimestamp Unix epoch in seconds for the auction start time
+     @param _endTimestamp Unix epoch in seconds for when the price reaches the floor and the auction closes
+     @param _priceDropInterval Seconds between each drop in price, zero for a price which falls every second
+     */
+    function createAuction(
+        uint256 _garmentTokenId,
+        uint256 _startPrice,
+        uint256 _floorPrice,
+        uint256 _startTimestamp,
+        uint256 _endTimestamp,
+        uint256 _priceDropInterval
+    ) external whenNotPaused {
+        // Ensure caller has privileges
+        require(
+            accessControls.hasMinterRole(_msgSender()),
+            "DigitalaxDutchAuction.createAuction: Sender must have the minter role"
+        );
+
+        // Check owner of the token is the creator and approved
+        require(
+            garmentNft.ownerOf(_garmentTokenId) == _msgSender() && garmentNft.isApproved(_garmentTokenId, address(this)),
+            "DigitalaxDutchAuction.createAuction: Not owner and or contract not approved"
+        );
+
+        _createAuction(
+            _garmentTokenId,
+            _startPrice,
+            _floorPrice,
+            _startTimestamp,
+            _endTimestamp,
+            _priceDropInterval
+        );
+    }
+
+    /**
+     @notice Admin or smart contract can list approved Garments
+     @dev Sender must have admin or smart contract role
+     @dev Owner must have approved this contract for the garment or all garments they own
+     @dev End time for the auction must be in the future.
+     @param _garmentTokenId Token ID of the garment being auctioned
+     @param _startPrice Price in WEI at the start time
+     @param _floorPrice Price in WEI at, and after, the end time - the garment cannot be sold for less
+     @param _startTimestamp Unix epoch in seconds for the auction start time
+     @param _endTimestamp Unix epoch in seconds for when the price reaches the floor and the auction closes
+     @param _priceDropInterval Seconds between each drop in price, zero for a price which falls every second
+     */
+    function createAuctionOnBehalfOfOwner(
+        uint256 _garmentTokenId,
+        uint256 _startPrice,
+        uint256 _floorPrice,
+        uint256 _startTimestamp,
+        uint256 _endTimestamp,
+        uint256 _priceDropInterval
+    ) external {
+        // Ensure caller has privileges
+        require(
+            accessControls.hasAdminRole(_msgSender()) || accessControls.hasSmartContractRole(_msgSender()),
+            "DigitalaxDutchAuction.createAuctionOnBehalfOfOwner: Sender must have admin or smart contract role"
+        );
+
+        require(
+            garmentNft.isApproved(_garmentTokenId, address(this)),
+            "DigitalaxDutchAuction.createAuctionOnBehalfOfOwner: Cannot create an auction if you do not have approval"
+        );
+
+        _createAuction(
+            _garmentTokenId,
+            _startPrice,
+            _floorPrice,
+            _startTimestamp,
+            _endTimestamp,
+            _priceDropInterval
+        );
+    }
+
+    /**
+     @notice Buys the garment at the current price, ending the auction
+     @dev Only callable when the auction is open
+     @dev Anything sent above the current price is refunded
+     @dev The owner is paid instead of the designer when the garment has already had its primary sale
+     @param _garmentTokenId Token ID of the garment being auctioned
+     */
+    function buy(uint256 _garmentTokenId) external payable nonReentrant whenNotPaused {
+        Auction storage auction = auctions[_garmentTokenId];
+
+        // Ensure auction is in flight
+        require(auction.endTime > 0, "DigitalaxDutchAuction.buy: Auction does not exist");
+        require(
+            _getNow() >= auction.startTime && _getNow() <= auction.endTime,
+            "DigitalaxDutchAuction.buy: Outside of the auction window"
+        );
+        require(!auction.resulted, "DigitalaxDutchAuction.buy: Auction already resulted");
+
+        // Ensure this contract is approved to move the token
+        require(garmentNft.isApproved(_garmentTokenId, address(this)), "DigitalaxDutchAuction.buy: auction not approved");
+
+        uint256 price = _currentPrice(auction);
+        require(msg.value >= price, "DigitalaxDutchAuction.buy: Failed to pay the current price");
+
+        // Result the auction
+        auction.resulted = true;
+
+        // A garment which has already had its primary sale is being resold by its owner
+        address seller = garmentNft.ownerOf(_garmentTokenId);
+        bool isResale = garmentNft.primarySalePrice(_garmentTokenId) > 0;
+
+        // Record the sale price, take the platform fee from above the floor price as it would be from above the reserve,
+        // and send the rest to the designer or the seller of a resale
+        _settleSale(
+            garmentNft,
+            _garmentTokenId,
+            address(0),
+            price,
+            _platformFeeAmount(price, auction.floorPrice, platformFee, false),
+            isResale ? seller : address(0)
+        );
+
+        // Refund anything sent above the price, which covers the price dropping before the transaction was mined
+        if (msg.value > price) {
+            (bool refundSuccess,) = _msgSender().call{value : msg.value.sub(price)}("");
+            require(refundSuccess, "DigitalaxDutchAuction.buy: Failed to refund the difference");
+        }
+
+        // Transfer the token to the buyer
+        garmentNft.safeTransferFrom(seller, _msgSender(), _garmentTokenId);
+
+        emit AuctionResulted(_garmentTokenId, _msgSender(), price);
+    }
+
+    //////////
+    // Admin /
+    //////////
+
+    /**
+     @notice Cancels an inflight or unsold auction
+     @dev Only admin or smart contract
+     @param _garmentTokenId Token ID of the garment being auctioned
+     */
+    function cancelAuction(uint256 _garmentTokenId) external {
+        require(
+            accessControls.hasAdminRole(_msgSender()) || accessControls.hasSmartContractRole(_msgSender()),
+            "DigitalaxDutchAuction.cancelAuction: Sender must be admin or smart contract"
+        );
+
+        Auction storage auction = auctions[_garmentTokenId];
+        require(auction.endTime > 0, "DigitalaxDutchAuction.cancelAuction: Auction does not exist");
+        require(!auction.resulted, "DigitalaxDutchAuction.cancelAuction: auction already resulted");
+
+        delete auctions[_garmentTokenId];
+
+        emit AuctionCancelled(_garmentTokenId);
+    }
+
+    /**
+     @notice Toggling the pause flag
+     @dev Only admin
+     */
+    function toggleIsPaused() external {
+        require(accessControls.hasAdminRole(_msgSender()), "DigitalaxDutchAuction.toggleIsPaused: Sender must be admin");
+        isPaused = !isPaused;
+        emit PauseToggled(isPaused);
+    }
+
+    /**
+     @notice Update the start and floor price of an auction
+     @dev Only admin
+     @dev Auction must exist and not be resulted
+     @param _garmentTokenId Token ID of the garment being auctioned
+     @param _startPrice New price in WEI at the start time
+     @param _floorPrice New price in WEI at the end time
+     */
+    function updateAuctionPrices(uint256 _garmentTokenId, uint256 _startPrice, uint256 _floorPrice) external {
+        require(accessControls.hasAdminRole(_msgSender()), "DigitalaxDutchAuction.updateAuctionPrices: Sender must be admin");
+
+        Auction storage auction = auctions[_garmentTokenId];
+        require(auction.endTime > 0, "DigitalaxDutchAuction.updateAuctionPrices: No Auction exists");
+        require(!auction.resulted, "DigitalaxDutchAuction.updateAuctionPrices: auction already resulted");
+        require(_startPrice >= _floorPrice, "DigitalaxDutchAuction.updateAuctionPrices: Start price below floor price");
+        require(_floorPrice > 0, "DigitalaxDutchAuction.updateAuctionPrices: Invalid floor price");
+
+        auction.startPrice = _startPrice;
+        auction.floorPrice = _floorPrice;
+        emit UpdateAuctionPrices(_garmentTokenId, _startPrice, _floorPrice);
+    }
+
+    /**
+     @notice Update the start and end time of an auction, which reshapes the price curve
+     @dev Only admin
+     @dev Auction must exist and not be resulted
+     @param _garmentTokenId Token ID of the garment being auctioned
+     @param _startTimestamp New start time (unix epoch in seconds)
+     @param _endTimestamp New end time (unix epoch in seconds)
+     */
+    function updateAuctionTimes(uint256 _garmentTokenId, uint256 _startTimestamp, uint256 _endTimestamp) external {
+        require(accessControls.hasAdminRole(_msgSender()), "DigitalaxDutchAuction.updateAuctionTimes: Sender must be admin");
+
+        Auction storage auction = auctions[_garmentTokenId];
+        require(auction.endTime > 0, "DigitalaxDutchAuction.updateAuctionTimes: No Auction exists");
+        require(!auction.resulted, "DigitalaxDutchAuction.updateAuctionTimes: auction already resulted");
+        require(_endTimestamp > _startTimestamp, "DigitalaxDutchAuction.updateAuctionTimes: End time must be greater than start");
+        require(_endTimestamp > _getNow(), "DigitalaxDutchAuction.updateAuctionTimes: End time passed");
+
+        auction.startTime = _startTimestamp;
+        auction.endTime = _endTimestamp;
+        emit UpdateAuctionTimes(_garmentTokenId, _startTimestamp, _endTimestamp);
+    }
+
+    /**
+     @notice Method for updating the access controls contract used by the NFT
+     @dev Only admin
+     @param _accessControls Address of the new access controls contract (Cannot be zero address)
+     */
+    function updateAccessControls(DigitalaxAccessControls _accessControls) external {
+        require(
+            accessControls.hasAdminRole(_msgSender()),
+            "DigitalaxDutchAuction.updateAccessControls: Sender must be admin"
+        );
+
+        require(address(_accessControls) != address(0), "DigitalaxDutchAuction.updateAccessControls: Zero Address");
+
+        accessControls = _accessControls;
+        emit UpdateAccessControls(address(_accessControls));
+    }
+
+    /**
+     @notice Method for updating platform fee
+     @dev Only admin
+     @param _platformFee uint256 the platform fee to set
+     */
+    function updatePlatformFee(uint256 _platformFee) external {
+        require(
+            accessControls.hasAdminRole(_msgSender()),
+            "DigitalaxDutchAuction.updatePlatformFee: Sender must be admin"
+        );
+
+        require(_platformFee <= 1000, "DigitalaxDutchAuction.updatePlatformFee: Fee above 100%");
+
+        platformFee = _platformFee;
+        emit UpdatePlatformFee(_platformFee);
+    }
+
+    /**
+     @notice Method for updating platform fee address
+     @dev Only admin
+     @param _platformFeeRecipient payable address the address to sends the funds to
+     */
+    function updatePlatformFeeRecipient(address payable _platformFeeRecipient) external {
+        require(
+            accessControls.hasAdminRole(_msgSender()),
+            "DigitalaxDutchAuction.updatePlatformFeeRecipient: Sender must be admin"
+        );
+
+        require(_platformFeeRecipient != address(0), "DigitalaxDutchAuction.updatePlatformFeeRecipient: Zero address");
+
+        platformFeeRecipient = _platformFeeRecipient;
+        emit UpdatePlatformFeeRecipient(_platformFeeRecipient);
+    }
+
+    ///////////////
+    // Accessors //
+    ///////////////
+
+    /**
+     @notice Method for getting the price a garment can be bought for right now
+     @param _garmentTokenId Token ID of the garment being auctioned
+     */
+    function getCurrentPrice(uint256 _garmentTokenId) external view returns (uint256) {
+        Auction storage auction = auctions[_garmentTokenId];
+        require(auction.endTime > 0, "DigitalaxDutchAuction.getCurrentPrice: Auction does not exist");
+        return _currentPrice(auction);
+    }
+
+    /////////////////////////
+    // Internal and Private /
+    /////////////////////////
+
+    function _getNow() internal virtual view returns (uint256) {
+        return block.timestamp;
+    }
+
+    /**
+     @notice Private method doing the heavy lifting of creating an auction
+     @param _garmentTokenId Token ID of the garment being auctioned
+     @param _startPrice Price in WEI at the start time
+     @param _floorPrice Price in WEI at the end time
+     @param _startTimestamp Unix epoch in seconds for the auction start time
+     @param _endTimestamp Unix epoch in seconds for the auction end time.
+     @param _priceDropInterval Seconds between each drop in price, zero for a price which falls every second
+     */
+    function _createAuction(
+        uint256 _garmentTokenId,
+        uint256 _startPrice,
+        uint256 _floorPrice,
+        uint256 _startTimestamp,
+        uint256 _endTimestamp,
+        uint256 _priceDropInterval
+    ) private {
+        // Ensure a token cannot be re-listed if previously successfully sold
+        require(auctions[_garmentTokenId].endTime == 0, "DigitalaxDutchAuction.createAuction: Cannot relist");
+
+        // Check end time not before start time and that end is in the future
+        require(_endTimestamp > _startTimestamp, "DigitalaxDutchAuction.createAuction: End time must be greater than start");
+        require(_endTimestamp > _getNow(), "DigitalaxDutchAuction.createAuction: End time passed. Nobody can buy.");
+
+        // Check the price only ever falls and never to zero, as a primary sale price has to be recorded
+        require(_startPrice >= _floorPrice, "DigitalaxDutchAuction.createAuction: Start price below floor price");
+        require(_floorPrice > 0, "DigitalaxDutchAuction.createAuction: Invalid floor price");
+        require(
+            _priceDropInterval <= _endTimestamp.sub(_startTimestamp),
+            "DigitalaxDutchAuction.createAuction: Price drop interval longer than the auction"
+        );
+
+        // Setup the auction
+        auctions[_garmentTokenId] = Auction({
+        startPrice : _startPrice,
+        floorPrice : _floorPrice,
+        startTime : _startTimestamp,
+        endTime : _endTimestamp,
+        priceDropInterval : _priceDropInterval,
+        resulted : false
+        });
+
+        emit AuctionCreated(_garmentTokenId, _startPrice, _floorPrice, _startTimestamp, _endTimestamp, _priceDropInterval);
+    }
+
+    /**
+     @notice Works out the price on the linear curve from the start price to the floor price
+     @dev With a price drop interval the price only falls at the end of each interval, giving a stepped curve
+     @param _auction Auction being priced
+     */
+    function _currentPrice(Auction storage _auction) private view returns (uint256) {
+        if (_getNow() <= _auction.startTime) {
+            return _auction.startPrice;
+        }
+
+        if (_getNow() >= _auction.endTime) {
+            return _auction.floorPrice;
+        }
+
+        uint256 elapsed = _getNow().sub(_auction.startTime);
+        if (_auction.priceDropInterval > 0) {
+            elapsed = elapsed.sub(elapsed.mod(_auction.priceDropInterval));
+        }
+
+        uint256 priceDrop = _auction.startPrice.sub(_auction.floorPrice).mul(elapsed).div(_auction.endTime.sub(_auction.startTime));
+        return _auction.startPrice.sub(priceDrop);
+    }
+
+    /**
+     @notice Sends the platform fee of a sale in ETH
+     */
+    function _payPlatformFee(address, uint256 _amount) internal override {
+        (bool platformTransferSuccess,) = platformFeeRecipient.call{value : _amount}("");
+        require(platformTransferSuccess, "DigitalaxDutchAuction.buy: Failed to send platform fee");
+    }
+
+    /**
+     @notice Sends one recipient their share of the sale in ETH
+     @dev Called by `_payDesignerRevenue()` for each recipient of the designer revenue, and for the seller of a resale
+     */
+    function _payRevenue(uint256 _garmentTokenId, address, address _recipient, uint256 _amount) internal override {
+        (bool designerTransferSuccess,) = _recipient.call{value : _amount}("");
+        require(designerTransferSuccess, "DigitalaxDutchAuction.buy: Failed to send the designer their royalties");
+
+        emit RevenuePaid(_garmentTokenId, _recipient, _amount);
+    }
+}
@@ -0,0 +1,455 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.12;
+
+import "@openzeppelin/contracts/GSN/Context.sol";
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./DigitalaxAccessControls.sol";
+import "./garment/IDigitalaxGarmentNFT.sol";
+import "./DigitalaxGarmentRevenue.sol";
+
+/**
+ * @notice Fixed price primary sale contract for Digitalax NFTs
+ * @dev A listing is a set of garments sold at one price - each purchase buys the next garment, or bundle of garments, in the listing
+ * @dev Listed garments are held by this contract until they are bought, or handed back when the listing is cancelled
+ */
+contract DigitalaxGarmentPrimarySale is Context, ReentrancyGuard, DigitalaxGarmentRevenue {
+    using SafeMath for uint256;
+
+    /// @notice Event emitted only on construction. To be used by indexers
+    event DigitalaxGarmentPrimarySaleContractDeployed();
+
+    event PauseToggled(
+        bool isPaused
+    );
+
+    event ListingCreated(
+        uint256 indexed listingId,
+        uint256[] garmentTokenIds,
+        uint256 bundleSize,
+        uint256 price,
+        uint256 startTime,
+        uint256 maxPerWallet
+    );
+
+    event UpdateListingPrice(
+        uint256 indexed listingId,
+        uint256 price
+    );
+
+    event UpdateListingStartTime(
+        uint256 indexed listingId,
+        uint256 startTime
+    );
+
+    event ListingCancelled(
+        uint256 indexed listingId
+    );
+
+    event Purchased(
+        uint256 indexed listingId,
+        address indexed buyer,
+        uint256[] garmentTokenIds,
+        uint256 price
+    );
+
+    event RevenuePaid(
+        uint256 indexed garmentTokenId,
+        address indexed recipient,
+        uint256 amount
+    );
+
+    event UpdateAccessControls(
+        address indexed accessControls
+    );
+
+    event UpdatePlatformFee(
+        uint256 platformFee
+    );
+
+    event UpdatePlatformFeeRecipient(
+        address payable platformFeeRecipient
+    );
+
+    /// @notice Parameters of a listing
+    struct Listing {
+        uint256[] garmentTokenIds;
+        uint256 bundleSize;
+        uint256 price;
+        uint256 startTime;
+        uint256 maxPerWallet;
+        uint256 bundlesSold;
+        bool cancelled;
+    }
+
+    // @notice Listing ID -> Listing Parameters, read through getListing()
+    mapping(uint256 => Listing) listings;
+
+    /// @notice Garment ERC721 Token ID -> listing it is for sale in, zero when not listed
+    mapping(uint256 => uint256) public garmentListings;
+
+    /// @notice Garment ERC721 Token ID -> owner it was taken from when listed, who gets it back if the listing is cancelled
+    mapping(uint256 => address) public garmentSellers;
+
+    /// @notice Listing ID -> buyer -> bundles bought from the listing
+    mapping(uint256 => mapping(address => uint256)) public purchases;
+
+    /// @notice the last listing ID created
+    uint256 public listingIdPointer;
+
+    /// @notice Garment ERC721 NFT - the only NFT that can be sold in this contract
+    IDigitalaxGarmentNFT public garmentNft;
+
+    // @notice responsible for enforcing admin access
+    DigitalaxAccessControls public accessControls;
+
+    /// @notice global platform fee, assumed to always be to 1 decimal place i.e. 120 = 12.0%
+    uint256 public platformFee = 120;
+
+    /// @notice where to send platform fee funds to
+    address payable public platformFeeRecipient;
+
+    /// @notice for switching off listings and purchases
+    bool public isPaused;
+
+    modifier whenNotPaused() {
+        require(!isPaused, "Function is currently paused");
+        _;
+    }
+
+    constructor(
+        DigitalaxAccessControls _accessControls,
+        IDigitalaxGarmentNFT _garmentNft,
+        address payable _platformFeeRecipient
+    ) public {
+        require(address(_accessControls) != address(0), "DigitalaxGarmentPrimarySale: Invalid Access Controls");
+        require(address(_garmentNft) != address(0), "DigitalaxGarmentPrimarySale: Invalid NFT");
+        require(_platformFeeRecipient != address(0), "DigitalaxGarmentPrimarySale: Invalid Platform Fee Recipient");
+
+        accessControls = _accessControls;
+        garmentNft = _garmentNft;
+        platformFeeRecipient = _platformFeeRecipient;
+
+        emit DigitalaxGarmentPrimarySaleContractDeployed();
+    }
+
+    /**
+     @notice Lists garments for sale at a fixed price
+     @dev Minters can only list garments they own, admin or smart contract can list on behalf of the owner
+     @dev The owner of every garment must have approved this contract, the garments are transferred to it until sold
+     @dev Garments which have already had their primary sale cannot be listed
+     @param _garmentTokenIds Token IDs of the garments being sold, bought in the order given
+     @param _bundleSize How many garments each purchase buys, one unless the garments are sold as bundles
+     @param _price Price of each bundle in WEI, split evenly across the garments in it
+     @param _startTimestamp Unix epoch in seconds for when the garments can be bought
+     @param _maxPerWallet Most bundles one account can buy from the listing, zero for no limit
+     */
+    function createListing(
+        uint256[] calldata _garmentTokenIds,
+        uint256 _bundleSize,
+        uint256 _price,
+        uint256 _startTimestamp,
+        uint256 _maxPerWallet
+    ) external whenNotPaused {
+        bool isAdminOrSmartContract = accessControls.hasAdminRole(_msgSender()) || accessControls.hasSmartContractRole(_msgSender());
+        require(
+            isAdminOrSmartContract || accessControls.hasMinterRole(_msgSender()),
+            "DigitalaxGarmentPrimarySale.createListing: Sender must have the minter, admin or smart contract role"
+        );
+
+        require(_bundleSize > 0, "DigitalaxGarmentPrimarySale.createListing: Invalid bundle size");
+        require(
+            _garmentTokenIds.length > 0 && _garmentTokenIds.length.mod(_bundleSize) == 0,
+            "DigitalaxGarmentPrimarySale.createListing: Garments must fill whole bundles"
+        );
+
+        // Every garment has to be given a primary sale price
+        require(_price >= _bundleSize, "DigitalaxGarmentPrimarySale.createListing: Invalid price");
+
+        listingIdPointer = listingIdPointer.add(1);
+        uint256 listingId = listingIdPointer;
+
+        for (uint256 i = 0; i < _garmentTokenIds.length; i++) {
+            uint256 garmentTokenId = _garmentTokenIds[i];
+
+            // Checked first as a listed garment is held by this contract
+            require(garmentListings[garmentTokenId] == 0, "DigitalaxGarmentPrimarySale.createListing: Garment already listed");
+            require(
+                isAdminOrSmartContract || garmentNft.ownerOf(garmentTokenId) == _msgSender(),
+                "DigitalaxGarmentPrimarySale.createListing: Not owner of garment"
+            );
+            require(
+                garmentNft.isApproved(garmentTokenId, address(this)),
+                "DigitalaxGarmentPrimarySale.createListing: Contract not approved"
+            );
+            require(garmentNft.primarySalePrice(garmentTokenId) == 0, "DigitalaxGarmentPrimarySale.createListing: Garment already sold");
+
+            garmentListings[garmentTokenId] = listingId;
+
+            // Hold the garment so every bundle in the listing can be bought
+            address seller = garmentNft.ownerOf(garmentTokenId);
+            garmentSellers[garmentTokenId] = seller;
+            garmentNft.transferFrom(seller, address(this), garmentTokenId);
+        }
+
+        listings[listingId] = Listing({
+            garmentTokenIds : _garmentTokenIds,
+            bundleSize : _bundleSize,
+            price : _price,
+            startTime : _startTimestamp,
+            maxPerWallet : _maxPerWallet,
+            bundlesSold : 0,
+            cancelled : false
+        });
+
+        emit ListingCreated(listingId, _garmentTokenIds, _bundleSize, _price, _startTimestamp, _maxPerWallet);
+    }
+
+    /**
+     @notice Buys the next garment, or bundle of garments, in a listing
+     @dev Exactly the listing price has to be sent
+     @dev Funds are split the same way as resulting an auction - platform fee to the platform and the rest to the designer of each garment
+     @param _listingId ID of the listing
+     */
+    function buy(uint256 _listingId) external payable nonReentrant whenNotPaused {
+        Listing storage listing = listings[_listingId];
+
+        require(listing.bundleSize > 0, "DigitalaxGarmentPrimarySale.buy: Listing does not exist");
+        require(!listing.cancelled, "DigitalaxGarmentPrimarySale.buy: Listing cancelled");
+        require(_getNow() >= listing.startTime, "DigitalaxGarmentPrimarySale.buy: Sale has not started");
+        require(
+            listing.bundlesSold.mul(listing.bundleSize) < listing.garmentTokenIds.length,
+            "DigitalaxGarmentPrimarySale.buy: Sold out"
+        );
+        require(msg.value == listing.price, "DigitalaxGarmentPrimarySale.buy: Incorrect amount");
+        require(
+            listing.maxPerWallet == 0 || purchases[_listingId][_msgSender()] < listing.maxPerWallet,
+            "DigitalaxGarmentPrimarySale.buy: Wallet limit reached"
+        );
+
+        uint256 firstGarment = listing.bundlesSold.mul(listing.bundleSize);
+        listing.bundlesSold = listing.bundlesSold.add(1);
+        purchases[_listingId][_msgSender()] = purchases[_listingId][_msgSender()].add(1);
+
+        // Split the price evenly, with any remainder going to the last garment in the bundle
+        uint256[] memory garmentTokenIds = new uint256[](listing.bundleSize);
+        uint256 garmentPrice = listing.price.div(listing.bundleSize);
+        for (uint256 i = 0; i < listing.bundleSize; i++) {
+            garmentTokenIds[i] = listing.garmentTokenIds[firstGarment.add(i)];
+
+            bool isLast = i == listing.bundleSize.sub(1);
+            _sell(garmentTokenIds[i], isLast ? listing.price.sub(garmentPrice.mul(i)) : garmentPrice);
+        }
+
+        emit Purchased(_listingId, _msgSender(), garmentTokenIds, listing.price);
+    }
+
+    //////////
+    // Admin /
+    //////////
+
+    /**
+     @notice Cancels a listing, any garments not sold yet are given back to their sellers and can be listed again
+     @dev Only admin or smart contract
+     @param _listingId ID of the listing
+     */
+    function cancelListing(uint256 _listingId) external {
+        require(
+            accessControls.hasAdminRole(_msgSender()) || accessControls.hasSmartContractRole(_msgSender()),
+            "DigitalaxGarmentPrimarySale.cancelListing: Sender must be admin or smart contract"
+        );
+
+        Listing storage listing = listings[_listingId];
+        require(listing.bundleSize > 0, "DigitalaxGarmentPrimarySale.cancelListing: Listing does not exist");
+        require(!listing.cancelled, "DigitalaxGarmentPrimarySale.cancelListing: Listing already cancelled");
+
+        listing.cancelled = true;
+
+        for (uint256 i = listing.bundlesSold.mul(listing.bundleSize); i < listing.garmentTokenIds.length; i++) {
+            uint256 garmentTokenId = listing.garmentTokenIds[i];
+            address seller = garmentSellers[garmentTokenId];
+
+            delete garmentListings[garmentTokenId];
+            delete garmentSellers[garmentTokenId];
+
+            garmentNft.transferFrom(address(this), seller, garmentTokenId);
+        }
+
+        emit ListingCancelled(_listingId);
+    }
+
+    /**
+     @notice Update the price of a listing
+     @dev Only admin
+     @param _listingId ID of the listing
+     @param _price New price of each bundle in WEI
+     */
+    function updateListingPrice(uint256 _listingId, uint256 _price) external {
+        require(accessControls.hasAdminRole(_msgSender()), "DigitalaxGarmentPrimarySale.updateListingPrice: Sender must be admin");
+
+        Listing storage listing = listings[_listingId];
+        require(listing.bundleSize > 0, "DigitalaxGarmentPrimarySale.updateListingPrice: Listing does not exist");
+        require(_price >= listing.bundleSize, "DigitalaxGarmentPrimarySale.updateListingPrice: Invalid price");
+
+        listing.price = _price;
+        emit UpdateListingPrice(_listingId, _price);
+    }
+
+    /**
+     @notice Update the start time of a listing
+     @dev Only admin
+     @param _listingId ID of the listing
+     @param _startTime New start time (unix epoch in seconds)
+     */
+    function updateListingStartTime(uint256 _listingId, uint256 _startTime) external {
+        require(accessControls.hasAdminRole(_msgSender()), "DigitalaxGarmentPrimarySale.updateListingStartTime: Sender must be admin");
+        require(listings[_listingId].bundleSize > 0, "DigitalaxGarmentPrimarySale.updateListingStartTime: Listing does not exist");
+
+        listings[_listingId].startTime = _startTime;
+        emit UpdateListingStartTime(_listingId, _startTime);
+    }
+
+    /**
+     @notice Toggling the pause flag
+     @dev Only admin
+     */
+    function toggleIsPaused() external {
+        require(accessControls.hasAdminRole(_msgSender()), "DigitalaxGarmentPrimarySale.toggleIsPaused: Sender must be admin");
+        isPaused = !isPaused;
+        emit PauseToggled(isPaused);
+    }
+
+    /**
+     @notice Method for updating the access controls contract used by the NFT
+     @dev Only admin
+     @param _accessControls Address of the new access controls contract (Cannot be zero address)
+     */
+    function updateAccessControls(DigitalaxAccessControls _accessControls) external {
+        require(
+            accessControls.hasAdminRole(_msgSender()),
+            "DigitalaxGarmentPrimarySale.updateAccessControls: Sender must be admin"
+        );
+
+        require(address(_accessControls) != address(0), "DigitalaxGarmentPrimarySale.updateAccessControls: Zero Address");
+
+        accessControls = _accessControls;
+        emit UpdateAccessControls(address(_accessControls));
+    }
+
+    /**
+     @notice Method for updating platform fee
+     @dev Only admin
+     @param _platformFee uint256 the platform fee to set
+     */
+    function updatePlatformFee(uint256 _platformFee) external {
+        require(
+            accessControls.hasAdminRole(_msgSender()),
+            "DigitalaxGarmentPrimarySale.updatePlatformFee: Sender must be admin"
+        );
+
+        require(_platformFee <= 1000, "DigitalaxGarmentPrimarySale.updatePlatformFee: Fee above 100%");
+
+        platformFee = _platformFee;
+        emit UpdatePlatformFee(_platformFee);
+    }
+
+    /**
+     @notice Method for updating platform fee address
+     @dev Only admin
+     @param _platformFeeRecipient payable address the address to sends the funds to
+     */
+    function updatePlatformFeeRecipient(address payable _platformFeeRecipient) external {
+        require(
+            accessControls.hasAdminRole(_msgSender()),
+            "DigitalaxGarmentPrimarySale.updatePlatformFeeRecipient: Sender must be admin"
+        );
+
+        require(_platformFeeRecipient != address(0), "DigitalaxGarmentPrimarySale.updatePlatformFeeRecipient: Zero address");
+
+        platformFeeRecipient = _platformFeeRecipient;
+        emit UpdatePlatformFeeRecipient(_platformFeeRecipient);
+    }
+
+    ///////////////
+    // Accessors //
+    ///////////////
+
+    /**
+     @notice Method for getting all info about a listing
+     @param _listingId ID of the listing
+     */
+    function getListing(uint256 _listingId)
+    external
+    view
+    returns (
+        uint256[] memory _garmentTokenIds,
+        uint256 _bundleSize,
+        uint256 _price,
+        uint256 _startTime,
+        uint256 _maxPerWallet,
+        uint256 _bundlesSold,
+        bool _cancelled
+    ) {
+        Listing storage listing = listings[_listingId];
+        return (
+        listing.garmentTokenIds,
+        listing.bundleSize,
+        listing.price,
+        listing.startTime,
+        listing.maxPerWallet,
+        listing.bundlesSold,
+        listing.cancelled
+        );
+    }
+
+    /////////////////////////
+    // Internal and Private /
+    /////////////////////////
+
+    function _getNow() internal virtual view returns (uint256) {
+        return block.timestamp;
+    }
+
+    /**
+     @notice Private method doing the primary sale of one garment - the same as resulting an auction with no reserve
+     @param _garmentTokenId Token ID of the garment being sold
+     @param _salePrice Amount in WEI the garment sold for
+     */
+    function _sell(uint256 _garmentTokenId, uint256 _salePrice) private {
+        delete garmentListings[_garmentTokenId];
+        delete garmentSellers[_garmentTokenId];
+
+        // Record the sale price, take the platform fee from the whole price and send the rest to the designer
+        _settleSale(
+            garmentNft,
+            _garmentTokenId,
+            address(0),
+            _salePrice,
+            _platformFeeAmount(_salePrice, 0, platformFee, true),
+            address(0)
+        );
+
+        // Transfer the held garment to the buyer
+        garmentNft.safeTransferFrom(address(this), _msgSender(), _garmentTokenId);
+    }
+
+    /**
+     @notice Sends the platform fee of a sale in ETH
+     */
+    function _payPlatformFee(address, uint256 _amount) internal override {
+        (bool platformTransferSuccess,) = platformFeeRecipient.call{value : _amount}("");
+        require(platformTransferSuccess, "DigitalaxGarmentPrimarySale.buy: Failed to send platform fee");
+    }
+
+    /**
+     @notice Sends one recipient their share of the sale in ETH
+     @dev Called by `_payDesignerRevenue()` for each recipient of the designer revenue
+     */
+    function _payRevenue(uint256 _garmentTokenId, address, address _recipient, uint256 _amount) internal override {
+        (bool designerTransferSuccess,) = _recipient.call{value : _amount}("");
+        require(designerTransferSuccess, "DigitalaxGarmentPrimarySale.buy: Failed to send the designer their royalties");
+
+        emit RevenuePaid(_garmentTokenId, _recipient, _amount);
+    }
+}
@@ -0,0 +1,112 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.12;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "./garment/IDigitalaxGarmentNFT.sol";
+
+/**
+ * @notice Settles the sale of a garment and pays out its revenue, shared by the auction and sale contracts
+ * @dev Each contract sends a single payment itself through `_payRevenue()` and `_payPlatformFee()`, so it can pay in its own currency and emit its own event
+ */
+abstract contract DigitalaxGarmentRevenue {
+    using SafeMath for uint256;
+
+    /**
+     @notice Settles the sale of a garment - records its primary sale price, sends the platform fee and pays out the rest
+     @dev Shared by every auction and sale so the fee and revenue split are worked out the same way
+     @param _garmentNft Garment ERC721 NFT the garment was sold from
+     @param _garmentTokenId Token ID of the garment sold
+     @param _paymentToken ERC20 token the garment sold for, zero address for ETH
+     @param _salePrice Amount in WEI (or the smallest unit of the payment token) the garment sold for
+     @param _platformFeeAmount Part of the sale price sent to the platform, see `_platformFeeAmount()`
+     @param _seller Owner paid the rest of a resale, zero address to pay the designer revenue of a primary sale
+     */
+    function _settleSale(
+        IDigitalaxGarmentNFT _garmentNft,
+        uint256 _garmentTokenId,
+        address _paymentToken,
+        uint256 _salePrice,
+        uint256 _platformFeeAmount,
+        address _seller
+    ) internal {
+        // Record the primary sale price for the garment
+        _garmentNft.setPrimarySalePrice(_garmentTokenId, _salePrice);
+
+        if (_platformFeeAmount > 0) {
+            _payPlatformFee(_paymentToken, _platformFeeAmount);
+        }
+
+        // Send remaining to the designer, or to the seller of a resale
+        if (_seller != address(0)) {
+            _payRevenue(_garmentTokenId, _paymentToken, _seller, _salePrice.sub(_platformFeeAmount));
+        } else {
+            _payDesignerRevenue(_garmentNft, _garmentTokenId, _paymentToken, _salePrice.sub(_platformFeeAmount));
+        }
+    }
+
+    /**
+     @notice Works out the platform fee of a sale, from either the whole sale price or only the amount above the reserve
+     @param _salePrice Amount the garment sold for
+     @param _reservePrice Amount the fee is not taken from, ignored when the fee is on the total
+     @param _platformFee Platform fee to 1 decimal place i.e. 120 = 12.0%
+     @param _feeOnTotal Take the fee from the whole sale price
+     @return Amount sent to the platform
+     */
+    function _platformFeeAmount(uint256 _salePrice, uint256 _reservePrice, uint256 _platformFee, bool _feeOnTotal) internal pure returns (uint256) {
+        uint256 feeableAmount;
+        if (_feeOnTotal) {
+            feeableAmount = _salePrice;
+        } else if (_salePrice > _reservePrice) {
+            feeableAmount = _salePrice.sub(_reservePrice);
+        }
+        return feeableAmount.mul(_platformFee).div(1000);
+    }
+
+    /**
+     @notice Pays the designer revenue of a sale
+     @dev Split between the recipients of the garment revenue split when it has one, otherwise all sent to the designer
+     @dev Any rounding dust goes to the last recipient
+     @param _garmentNft Garment ERC721 NFT the garment was sold from
+     @param _garmentTokenId Token ID of the garment sold
+     @param _paymentToken ERC20 token the garment sold for, zero address for ETH
+     @param _amount Amount in WEI (or the smallest unit of the payment token) left after the platform fee
+     */
+    function _payDesignerRevenue(
+        IDigitalaxGarmentNFT _garmentNft,
+        uint256 _garmentTokenId,
+        address _paymentToken,
+        uint256 _amount
+    ) internal {
+        (address[] memory recipients, uint256[] memory splits) = _garmentNft.getRevenueSplit(_garmentTokenId);
+
+        if (recipients.length == 0) {
+            recipients = new address[](1);
+            recipients[0] = _garmentNft.garmentDesigners(_garmentTokenId);
+        }
+
+        uint256 remaining = _amount;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            uint256 payment = i == recipients.length - 1 ? remaining : _amount.mul(splits[i]).div(10000);
+            remaining = remaining.sub(payment);
+
+            _payRevenue(_garmentTokenId, _paymentToken, recipients[i], payment);
+        }
+    }
+
+    /**
+     @notice Sends one recipient their share of the sale, reverting when it cannot be sent
+     @param _garmentTokenId Token ID of the garment sold
+     @param _paymentToken ERC20 token the garment sold for, zero address for ETH
+     @param _recipient Address being paid
+     @param _amount Amount in WEI (or the smallest unit of the payment token) to send
+     */
+    function _payRevenue(uint256 _garmentTokenId, address _paymentToken, address _recipient, uint256 _amount) internal virtual;
+
+    /**
+     @notice Sends the platform its fee, reverting when it cannot be sent
+     @param _paymentToken ERC20 token the garment sold for, zero address for ETH
+     @param _amount Amount in WEI (or the smallest unit of the payment token) to send
+     */
+    function _payPlatformFee(address _paymentToken, uint256 _amount) internal virtual;
+}
@@ -0,0 +1,607 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.12;
+
+import "@openzeppelin/contracts/GSN/Context.sol";
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./DigitalaxAccessControls.sol";
+import "./garment/IDigitalaxGarmentNFT.sol";
+import "./DigitalaxGarmentRevenue.sol";
+
+/**
+ * @notice Sealed-bid (commit/reveal) primary sale auction contract for Digitalax NFTs
+ * @dev Bidders commit a hash of their bid with a deposit of at least the bid during the commit phase and reveal it in the reveal phase -
+ * the highest revealed bid wins. Deposits can be padded above the bid so they do not give the bid away.
+ */
+contract DigitalaxSealedBidAuction is Context, ReentrancyGuard, DigitalaxGarmentRevenue {
+    using SafeMath for uint256;
+
+    /// @notice Event emitted only on construction. To be used by indexers
+    event DigitalaxSealedBidAuctionContractDeployed();
+
+    event PauseToggled(
+        bool isPaused
+    );
+
+    event AuctionCreated(
+        uint256 indexed auctionId,
+        uint256 indexed garmentTokenId,
+        uint256 reservePrice,
+        uint256 startTime,
+        uint256 commitEndTime,
+        uint256 revealEndTime,
+        bool forfeitUnrevealed
+    );
+
+    event BidCommitted(
+        uint256 indexed auctionId,
+        address indexed bidder,
+        uint256 deposit
+    );
+
+    event BidRevealed(
+        uint256 indexed auctionId,
+        address indexed bidder,
+        uint256 bid
+    );
+
+    event DepositWithdrawn(
+        uint256 indexed auctionId,
+        address indexed bidder,
+        uint256 amount
+    );
+
+    event DepositForfeited(
+        uint256 indexed auctionId,
+        address indexed bidder,
+        uint256 amount
+    );
+
+    event AuctionResulted(
+        uint256 indexed auctionId,
+        uint256 indexed garmentTokenId,
+        address indexed winner,
+        uint256 winningBid
+    );
+
+    event RevenuePaid(
+        uint256 indexed garmentTokenId,
+        address indexed recipient,
+        uint256 amount
+    );
+
+    event AuctionCancelled(
+        uint256 indexed auctionId,
+        uint256 indexed garmentTokenId
+    );
+
+    event UpdateForfeitUnrevealedDeposits(
+        bool forfeitUnrevealedDeposits
+    );
+
+    event UpdateAccessControls(
+        address indexed accessControls
+    );
+
+    event UpdatePlatformFee(
+        uint256 platformFee
+    );
+
+    event UpdatePlatformFeeRecipient(
+        address payable platformFeeRecipient
+    );
+
+    /// @notice Parameters of a sealed-bid auction
+    struct Auction {
+        uint256 garmentTokenId;
+        uint256 reservePrice;
+        uint256 startTime;
+        uint256 commitEndTime;
+        uint256 revealEndTime;
+        bool forfeitUnrevealed;
+        bool resulted;
+        bool cancelled;
+    }
+
+    /// @notice A bidder's commitment to an auction and the deposit held against it
+    struct SealedBid {
+        bytes32 commitment;
+        uint256 deposit;
+        uint256 bid;
+        bool revealed;
+    }
+
+    /// @notice Highest revealed bid of an auction
+    struct HighestBid {
+        address payable bidder;
+        uint256 bid;
+    }
+
+    /// @notice Auction ID -> Auction Parameters
+    mapping(uint256 => Auction) public auctions;
+
+    /// @notice Garment ERC721 Token ID -> its latest auction ID, zero when never listed
+    mapping(uint256 => uint256) public garmentAuctionIds;
+
+    /// @notice Auction ID -> bidder -> sealed bid and deposit
+    mapping(uint256 => mapping(address => SealedBid)) public sealedBids;
+
+    /// @notice Auction ID -> highest revealed bid which meets the reserve
+    mapping(uint256 => HighestBid) public highestBids;
+
+    /// @notice the last auction ID created
+    uint256 public auctionIdPointer;
+
+    /// @notice when set, new auctions keep the deposits of bidders who do not reveal (sent to the platform fee recipient), otherwise they are refunded
+    bool public forfeitUnrevealedDeposits;
+
+    /// @notice Garment ERC721 NFT - the only NFT that can be auctioned in this contract
+    IDigitalaxGarmentNFT public garmentNft;
+
+    // @notice responsible for enforcing admin access
+    DigitalaxAccessControls public accessControls;
+
+    /// @notice global platform fee, assumed to always be to 1 decimal place i.e. 120 = 12.0%
+    uint256 public platformFee = 120;
+
+    /// @notice where to send platform fee funds to
+    address payable public platformFeeRecipient;
+
+    /// @notice for switching off auction creations, commits and reveals
+    bool public isPaused;
+
+    modifier whenNotPaused() {
+        require(!isPaused, "Function is currently paused");
+        _;
+    }
+
+    constructor(
+        DigitalaxAccessControls _accessControls,
+        IDigitalaxGarmentNFT _garmentNft,
+        address payable _platformFeeRecipient
+    ) public {
+        require(address(_accessControls) != address(0), "DigitalaxSealedBidAuction: Invalid Access Controls");
+        require(address(_garmentNft) != address(0), "DigitalaxSealedBidAuction: Invalid NFT");
+        require(_platformFeeRecipient != address(0), "DigitalaxSealedBidAuction: Invalid Platform Fee Recipient");
+
+        accessControls = _accessControls;
+        garmentNft = _garmentNft;
+        platformFeeRecipient = _platformFeeRecipient;
+
+        emit DigitalaxSealedBidAuctionContractDeployed();
+    }
+
+    /**
+     @notice Creates a new sealed-bid auction for a given garment
+     @dev Only the owner of a garment can create an auction and must have approved the contract
+     @dev In addition to owning the garment, the sender also has to have the MINTER role.
+     @param _garmentTokenId Token ID of the garment being auctioned
+     @param _reservePrice Garment cannot be sold for less than this
+     @param _startTimestamp Unix epoch in seconds for when bids can be committed
+     @param _commitEndTimestamp Unix epoch in seconds for when commits close and reveals open
+     @param _revealEndTimestamp Unix epoch in seconds for when reveals close and the auction can be resulted
+     */
+    function createAuction(
+        uint256 _garmentTokenId,
+        uint256 _reservePrice,
+        uint256 _startTimestamp,
+        uint256 _commitEndTimestamp,
+        uint256 _revealEndTimestamp
+    ) external whenNotPaused {
+        // Ensure caller has privileges
+        require(
+            accessControls.hasMinterRole(_msgSender()),
+            "DigitalaxSealedBidAuction.createAuction: Sender must have the minter role"
+        );
+
+        // Check owner of the token is the creator and approved
+        require(
+            garmentNft.ownerOf(_garmentTokenId) == _msgSender() && garmentNft.isApproved(_garmentTokenId, address(this)),
+            "DigitalaxSealedBidAuction.createAuction: Not owner and or contract not approved"
+        );
+
+        _createAuction(_garmentTokenId, _reservePrice, _startTimestamp, _commitEndTimestamp, _revealEndTimestamp);
+    }
+
+    /**
+     @notice Admin or smart contract can list approved Garments
+     @dev Sender must have admin or smart contract role
+     @dev Owner must have approved this contract for the garment or all garments they own
+     @param _garmentTokenId Token ID of the garment being auctioned
+     @param _reservePrice Garment cannot be sold for less than this
+     @param _startTimestamp Unix epoch in seconds for when bids can be committed
+     @param _commitEndTimestamp Unix epoch in seconds for when commits close and reveals open
+     @param _revealEndTimestamp Unix epoch in seconds for when reveals close and the auction can be resulted
+     */
+    function createAuctionOnBehalfOfOwner(
+        uint256 _garmentTokenId,
+        uint256 _reservePrice,
+        uint256 _startTimestamp,
+        uint256 _commitEndTimestamp,
+        uint256 _revealEndTimestamp
+    ) external {
+        // Ensure caller has privileges
+        require(
+            accessControls.hasAdminRole(_msgSender()) || accessControls.hasSmartContractRole(_msgSender()),
+            "DigitalaxSealedBidAuction.createAuctionOnBehalfOfOwner: Sender must have admin or smart contract role"
+        );
+
+        require(
+            garmentNft.isApproved(_garmentTokenId, address(this)),
+            "DigitalaxSealedBidAuction.createAuctionOnBehalfOfOwner: Cannot create an auction if you do not have approval"
+        );
+
+        _createAuction(_garmentTokenId, _reservePrice, _startTimestamp, _commitEndTimestamp, _revealEndTimestamp);
+    }
+
+    /**
+     @notice Commits a sealed bid, holding the ETH sent as a deposit which the revealed bid cannot exceed
+     @dev Only callable in the commit phase
+     @dev Committing again replaces the commitment and adds to the deposit
+     @param _auctionId ID of the auction
+     @param _commitment Hash of the bid from `sealBid()`
+     */
+    function commitBid(uint256 _auctionId, bytes32 _commitment) external payable nonReentrant whenNotPaused {
+        Auction storage auction = auctions[_auctionId];
+        require(auction.revealEndTime > 0, "DigitalaxSealedBidAuction.commitBid: Auction does not exist");
+        require(!auction.cancelled, "DigitalaxSealedBidAuction.commitBid: Auction cancelled");
+        require(
+            _getNow() >= auction.startTime && _getNow() < auction.commitEndTime,
+            "DigitalaxSealedBidAuction.commitBid: Outside of the commit phase"
+        );
+        require(_commitment != bytes32(0), "DigitalaxSealedBidAuction.commitBid: Invalid commitment");
+
+        SealedBid storage sealedBid = sealedBids[_auctionId][_msgSender()];
+        sealedBid.commitment = _commitment;
+        sealedBid.deposit = sealedBid.deposit.add(msg.value);
+        require(sealedBid.deposit > 0, "DigitalaxSealedBidAuction.commitBid: Deposit required");
+
+        emit BidCommitted(_auctionId, _msgSender(), sealedBid.deposit);
+    }
+
+    /**
+     @notice Reveals a committed bid, making it the highest bid if it beats the current highest and meets the reserve
+     @dev Only callable in the reveal phase - ties go to whoever revealed first
+     @param _auctionId ID of the auction
+     @param _bid Bid in WEI, no more than the deposit
+     @param _salt Secret the bid was sealed with
+     */
+    function revealBid(uint256 _auctionId, uint256 _bid, bytes32 _salt) external nonReentrant whenNotPaused {
+        Auction storage auction = auctions[_auctionId];
+        require(!auction.cancelled, "DigitalaxSealedBidAuction.revealBid: Auction cancelled");
+        require(
+            _getNow() >= auction.commitEndTime && _getNow() <= auction.revealEndTime,
+            "DigitalaxSealedBidAuction.revealBid: Outside of the reveal phase"
+        );
+
+        SealedBid storage sealedBid = sealedBids[_auctionId][_msgSender()];
+        require(!sealedBid.revealed, "DigitalaxSealedBidAuction.revealBid: Already revealed");
+        require(
+            sealedBid.commitment == sealBid(_auctionId, _msgSender(), _bid, _salt),
+            "DigitalaxSealedBidAuction.revealBid: Bid does not match commitment"
+        );
+        require(_bid <= sealedBid.deposit, "DigitalaxSealedBidAuction.revealBid: Bid exceeds deposit");
+
+        sealedBid.revealed = true;
+        sealedBid.bid = _bid;
+
+        HighestBid storage highestBid = highestBids[_auctionId];
+        if (_bid >= auction.reservePrice && _bid > highestBid.bid) {
+            highestBid.bidder = _msgSender();
+            highestBid.bid = _bid;
+        }
+
+        emit BidRevealed(_auctionId, _msgSender(), _bid);
+    }
+
+    /**
+     @notice Withdraws the sender's deposit - or what is left of it once the winning bid has been paid
+     @dev Revealed bids which are not the highest can be withdrawn straight away, the highest once the auction is resulted
+     @dev Unrevealed bids can be withdrawn after the reveal phase unless the auction forfeits them
+     @dev Every deposit can be withdrawn once the auction is cancelled
+     @param _auctionId ID of the auction
+     */
+    function withdrawDeposit(uint256 _auctionId) external nonReentrant {
+        Auction storage auction = auctions[_auctionId];
+        SealedBid storage sealedBid = sealedBids[_auctionId][_msgSender()];
+
+        uint256 amount = sealedBid.deposit;
+        require(amount > 0, "DigitalaxSealedBidAuction.withdrawDeposit: Nothing to withdraw");
+
+        if (!auction.cancelled) {
+            if (sealedBid.revealed) {
+                require(
+                    auction.resulted || highestBids[_auctionId].bidder != _msgSender(),
+                    "DigitalaxSealedBidAuction.withdrawDeposit: Highest bid is held until the auction is resulted"
+                );
+            } else {
+                require(_getNow() > auction.revealEndTime, "DigitalaxSealedBidAuction.withdrawDeposit: Reveal phase not over");
+                require(!auction.forfeitUnrevealed, "DigitalaxSealedBidAuction.withdrawDeposit: Unrevealed deposit forfeited");
+            }
+        }
+
+        sealedBid.deposit = 0;
+
+        (bool success,) = _msgSender().call{value : amount}("");
+        require(success, "DigitalaxSealedBidAuction.withdrawDeposit: Failed to send deposit");
+
+        emit DepositWithdrawn(_auctionId, _msgSender(), amount);
+    }
+
+    //////////
+    // Admin /
+    //////////
+
+    /**
+     @notice Results a finished auction, selling the garment to the highest revealed bid
+     @dev Only admin or smart contract
+     @dev Uses the same fee split as DigitalaxAuction - the platform fee is taken from above the reserve and the rest sent to the designer,
+          or to the owner when the garment has already had its primary sale
+     @param _auctionId ID of the auction
+     */
+    function resultAuction(uint256 _auctionId) external nonReentrant {
+        require(
+            accessControls.hasAdminRole(_msgSender()) || accessControls.hasSmartContractRole(_msgSender()),
+            "DigitalaxSealedBidAuction.resultAuction: Sender must be admin or smart contract"
+        );
+
+        Auction storage auction = auctions[_auctionId];
+        require(auction.revealEndTime > 0, "DigitalaxSealedBidAuction.resultAuction: Auction does not exist");
+        require(_getNow() > auction.revealEndTime, "DigitalaxSealedBidAuction.resultAuction: Reveal phase not over");
+        require(!auction.resulted, "DigitalaxSealedBidAuction.resultAuction: auction already resulted");
+        require(!auction.cancelled, "DigitalaxSealedBidAuction.resultAuction: Auction cancelled");
+
+        uint256 garmentTokenId = auction.garmentTokenId;
+        require(garmentNft.isApproved(garmentTokenId, address(this)), "DigitalaxSealedBidAuction.resultAuction: auction not approved");
+
+        HighestBid storage highestBid = highestBids[_auctionId];
+        address winner = highestBid.bidder;
+        uint256 winningBid = highestBid.bid;
+        require(winner != address(0), "DigitalaxSealedBidAuction.resultAuction: no revealed bids");
+
+        // Result the auction
+        auction.resulted = true;
+
+        // Take the winning bid from the winner's deposit, leaving the rest for them to withdraw
+        SealedBid storage winningSealedBid = sealedBids[_auctionId][winner];
+        winningSealedBid.deposit = winningSealedBid.deposit.sub(winningBid);
+
+        // A garment which has already had its primary sale is being resold by its owner
+        address seller = garmentNft.ownerOf(garmentTokenId);
+
+        // Record the sale price, take the platform fee from above the reserve and send the rest to the designer or the seller of a resale
+        _settleSale(
+            garmentNft,
+            garmentTokenId,
+            address(0),
+            winningBid,
+            _platformFeeAmount(winningBid, auction.reservePrice, platformFee, false),
+            garmentNft.primarySalePrice(garmentTokenId) > 0 ? seller : address(0)
+        );
+
+        // Transfer the token to the winner
+        garmentNft.safeTransferFrom(seller, winner, garmentTokenId);
+
+        emit AuctionResulted(_auctionId, garmentTokenId, winner, winningBid);
+    }
+
+    /**
+     @notice Cancels an un-resulted auction, letting every bidder withdraw their whole deposit
+     @dev Only admin or smart contract
+     @dev Once cancelled the garment can be listed again
+     @param _auctionId ID of the auction
+     */
+    function cancelAuction(uint256 _auctionId) external {
+        require(
+            accessControls.hasAdminRole(_msgSender()) || accessControls.hasSmartContractRole(_msgSender()),
+            "DigitalaxSealedBidAuction.cancelAuction: Sender must be admin or smart contract"
+        );
+
+        Auction storage auction = auctions[_auctionId];
+        require(auction.revealEndTime > 0, "DigitalaxSealedBidAuction.cancelAuction: Auction does not exist");
+        require(!auction.resulted, "DigitalaxSealedBidAuction.cancelAuction: auction already resulted");
+        require(!auction.cancelled, "DigitalaxSealedBidAuction.cancelAuction: Auction cancelled");
+
+        auction.cancelled = true;
+
+        emit AuctionCancelled(_auctionId, auction.garmentTokenId);
+    }
+
+    /**
+     @notice Sends the deposit of a bidder who did not reveal to the platform fee recipient, for auctions which forfeit them
+     @dev Only admin or smart contract
+     @param _auctionId ID of the auction
+     @param _bidder Bidder who did not reveal
+     */
+    function claimForfeitedDeposit(uint256 _auctionId, address _bidder) external nonReentrant {
+        require(
+            accessControls.hasAdminRole(_msgSender()) || accessControls.hasSmartContractRole(_msgSender()),
+            "DigitalaxSealedBidAuction.claimForfeitedDeposit: Sender must be admin or smart contract"
+        );
+
+        Auction storage auction = auctions[_auctionId];
+        require(auction.forfeitUnrevealed && !auction.cancelled, "DigitalaxSealedBidAuction.claimForfeitedDeposit: Auction does not forfeit deposits");
+        require(_getNow() > auction.revealEndTime, "DigitalaxSealedBidAuction.claimForfeitedDeposit: Reveal phase not over");
+
+        SealedBid storage sealedBid = sealedBids[_auctionId][_bidder];
+        require(!sealedBid.revealed, "DigitalaxSealedBidAuction.claimForfeitedDeposit: Bid was revealed");
+
+        uint256 amount = sealedBid.deposit;
+        require(amount > 0, "DigitalaxSealedBidAuction.claimForfeitedDeposit: Nothing to claim");
+
+        sealedBid.deposit = 0;
+
+        (bool success,) = platformFeeRecipient.call{value : amount}("");
+        require(success, "DigitalaxSealedBidAuction.claimForfeitedDeposit: Failed to send deposit");
+
+        emit DepositForfeited(_auctionId, _bidder, amount);
+    }
+
+    /**
+     @notice Toggling the pause flag
+     @dev Only admin
+     */
+    function toggleIsPaused() external {
+        require(accessControls.hasAdminRole(_msgSender()), "DigitalaxSealedBidAuction.toggleIsPaused: Sender must be admin");
+        isPaused = !isPaused;
+        emit PauseToggled(isPaused);
+    }
+
+    /**
+     @notice Switch between forfeiting and refunding the deposits of bidders who do not reveal
+     @dev Only admin
+     @dev Only applies to auctions created afterwards so the policy cannot change under existing bidders
+     @param _forfeitUnrevealedDeposits whether unrevealed deposits are forfeited
+     */
+    function updateForfeitUnrevealedDeposits(bool _forfeitUnrevealedDeposits) external {
+        require(
+            accessControls.hasAdminRole(_msgSender()),
+            "DigitalaxSealedBidAuction.updateForfeitUnrevealedDeposits: Sender must be admin"
+        );
+        forfeitUnrevealedDeposits = _forfeitUnrevealedDeposits;
+        emit UpdateForfeitUnrevealedDeposits(_forfeitUnrevealedDeposits);
+    }
+
+    /**
+     @notice Method for updating the access controls contract used by the NFT
+     @dev Only admin
+     @param _accessControls Address of the new access controls contract (Cannot be zero address)
+     */
+    function updateAccessControls(DigitalaxAccessControls _accessControls) external {
+        require(
+            accessControls.hasAdminRole(_msgSender()),
+            "DigitalaxSealedBidAuction.updateAccessControls: Sender must be admin"
+        );
+
+        require(address(_accessControls) != address(0), "DigitalaxSealedBidAuction.updateAccessControls: Zero Address");
+
+        accessControls = _accessControls;
+        emit UpdateAccessControls(address(_accessControls));
+    }
+
+    /**
+     @notice Method for updating platform fee
+     @dev Only admin
+     @param _platformFee uint256 the platform fee to set
+     */
+    function updatePlatformFee(uint256 _platformFee) external {
+        require(
+            accessControls.hasAdminRole(_msgSender()),
+            "DigitalaxSealedBidAuction.updatePlatformFee: Sender must be admin"
+        );
+
+        require(_platformFee <= 1000, "DigitalaxSealedBidAuction.updatePlatformFee: Fee above 100%");
+
+        platformFee = _platformFee;
+        emit UpdatePlatformFee(_platformFee);
+    }
+
+    /**
+     @notice Method for updating platform fee address
+     @dev Only admin
+     @param _platformFeeRecipient payable address the address to sends the funds to
+     */
+    function updatePlatformFeeRecipient(address payable _platformFeeRecipient) external {
+        require(
+            accessControls.hasAdminRole(_msgSender()),
+            "DigitalaxSealedBidAuction.updatePlatformFeeRecipient: Sender must be admin"
+        );
+
+        require(_platformFeeRecipient != address(0), "DigitalaxSealedBidAuction.updatePlatformFeeRecipient: Zero address");
+
+        platformFeeRecipient = _platformFeeRecipient;
+        emit UpdatePlatformFeeRecipient(_platformFeeRecipient);
+    }
+
+    ///////////////
+    // Accessors //
+    ///////////////
+
+    /**
+     @notice Works out the commitment for a bid - bidders call this off chain so the bid is never sent before the reveal phase
+     @param _auctionId ID of the auction
+     @param _bidder Address the bid will be committed and revealed from
+     @param _bid Bid in WEI
+     @param _salt Random secret, kept until the reveal
+     */
+    function sealBid(uint256 _auctionId, address _bidder, uint256 _bid, bytes32 _salt) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(_auctionId, _bidder, _bid, _salt));
+    }
+
+    /////////////////////////
+    // Internal and Private /
+    /////////////////////////
+
+    function _getNow() internal virtual view returns (uint256) {
+        return block.timestamp;
+    }
+
+    /**
+     @notice Private method doing the heavy lifting of creating an auction
+     @dev The deposit policy for bidders who do not reveal is fixed when the auction is created
+     */
+    function _createAuction(
+        uint256 _garmentTokenId,
+        uint256 _reservePrice,
+        uint256 _startTimestamp,
+        uint256 _commitEndTimestamp,
+        uint256 _revealEndTimestamp
+    ) private {
+        // Ensure a token cannot be re-listed unless its last auction was cancelled
+        uint256 previousAuctionId = garmentAuctionIds[_garmentTokenId];
+        require(
+            previousAuctionId == 0 || auctions[previousAuctionId].cancelled,
+            "DigitalaxSealedBidAuction.createAuction: Cannot relist"
+        );
+
+        // Check the phases are in order and that commits can still be made
+        require(_commitEndTimestamp > _startTimestamp, "DigitalaxSealedBidAuction.createAuction: Commit end time must be greater than start");
+        require(_revealEndTimestamp > _commitEndTimestamp, "DigitalaxSealedBidAuction.createAuction: Reveal end time must be greater than commit end");
+        require(_commitEndTimestamp > _getNow(), "DigitalaxSealedBidAuction.createAuction: Commit end time passed. Nobody can bid.");
+
+        auctionIdPointer = auctionIdPointer.add(1);
+        uint256 auctionId = auctionIdPointer;
+
+        auctions[auctionId] = Auction({
+        garmentTokenId : _garmentTokenId,
+        reservePrice : _reservePrice,
+        startTime : _startTimestamp,
+        commitEndTime : _commitEndTimestamp,
+        revealEndTime : _revealEndTimestamp,
+        forfeitUnrevealed : forfeitUnrevealedDeposits,
+        resulted : false,
+        cancelled : false
+        });
+        garmentAuctionIds[_garmentTokenId] = auctionId;
+
+        emit AuctionCreated(
+            auctionId,
+            _garmentTokenId,
+            _reservePrice,
+            _startTimestamp,
+            _commitEndTimestamp,
+            _revealEndTimestamp,
+            forfeitUnrevealedDeposits
+        );
+    }
+
+    /**
+     @notice Sends the platform fee of a sale in ETH
+     */
+    function _payPlatformFee(address, uint256 _amount) internal override {
+        (bool platformTransferSuccess,) = platformFeeRecipient.call{value : _amount}("");
+        require(platformTransferSuccess, "DigitalaxSealedBidAuction.resultAuction: Failed to send platform fee");
+    }
+
+    /**
+     @notice Sends one recipient their share of the sale in ETH
+     @dev Called by `_payDesignerRevenue()` for each recipient of the designer revenue, and for the seller of a resale
+     */
+    function _payRevenue(uint256 _garmentTokenId, address, address _recipient, uint256 _amount) internal override {
+        (bool designerTransferSuccess,) = _recipient.call{value : _amount}("");
+        require(designerTransferSuccess, "DigitalaxSealedBidAuction.resultAuction: Failed to send the designer their royalties");
+
+        emit RevenuePaid(_garmentTokenId, _recipient, _amount);
+    }
+}
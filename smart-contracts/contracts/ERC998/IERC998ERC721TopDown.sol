@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.12;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+
+// Based on the ERC721 top down composable in: https://eips.ethereum.org/EIPS/eip-998
+// Events are renamed so they do not clash with the ERC1155 top down events, and enumeration mirrors IERC998ERC1155TopDown
+interface IERC998ERC721TopDown is IERC721Receiver {
+
+    event ReceivedERC721Child(address indexed from, uint256 indexed toTokenId, address indexed childContract, uint256 childTokenId);
+    event TransferERC721Child(uint256 indexed fromTokenId, address indexed to, address indexed childContract, uint256 childTokenId);
+
+    function childERC721ContractsFor(uint256 tokenId) external view returns (address[] memory childContracts);
+    function childERC721IdsForOn(uint256 tokenId, address childContract) external view returns (uint256[] memory childIds);
+}
@@ -7,6 +7,7 @@ import "@openzeppelin/contracts/GSN/Context.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "./DigitalaxGarmentNFT.sol";
 import "./DigitalaxMaterials.sol";
+import "./DigitalaxGarmentRecipes.sol";
 import "../DigitalaxAccessControls.sol";
 
 /**
@@ -138,6 +139,36 @@ contract DigitalaxGarmentFactory is Context, ReentrancyGuard {
         emit GarmentCreated(garmentTokenId);
     }
 
+    /**
+     @notice Creates a single ERC721 parent token following a recipe, along with a batch of assigned child ERC1155 tokens
+     @dev Only callable with minter role
+     @dev Each child is checked against the recipe as it is received, then the garment must hold the min amount of every child in the recipe
+     @param recipeId Recipe from DigitalaxGarmentRecipes the garment must follow
+     */
+    function mintParentWithChildrenAndRecipe(
+        string calldata garmentTokenUri,
+        address designer,
+        uint256[] calldata childTokenIds,
+        uint256[] calldata childTokenAmounts,
+        address beneficiary,
+        uint256 recipeId
+    ) external nonReentrant {
+        require(
+            accessControls.hasMinterRole(_msgSender()),
+            "DigitalaxGarmentFactory.mintParentWithChildrenAndRecipe: Sender must be minter"
+        );
+        require(recipeId > 0, "DigitalaxGarmentFactory.mintParentWithChildrenAndRecipe: Recipe required");
+
+        // Generate parent 721 token
+        uint256 garmentTokenId = garmentToken.mint(beneficiary, garmentTokenUri, designer);
+
+        // Batch mint child tokens into the garment, checking them against the recipe
+        _mintChildren(garmentTokenId, childTokenIds, childTokenAmounts, recipeId);
+
+        // Emit completion event
+        emit GarmentCreated(garmentTokenId);
+    }
+
     /**
      @notice Creates a single ERC721 parent token without any linked child tokens
      @dev Only callable with minter role
@@ -158,4 +189,92 @@ contract DigitalaxGarmentFactory is Context, ReentrancyGuard {
         // Emit completion event
         emit GarmentCreated(garmentTokenId);
     }
+
+    /**
+     @notice Creates a single ERC721 parent token, along with a batch of assigned child ERC1155 tokens, splitting its revenue between several recipients
+     @dev Only callable with minter role
+     @dev Splits are in basis points and must add up to 10000
+     @dev The split is taken in memory as more calldata arrays would not fit on the stack
+     @param recipeId Recipe from DigitalaxGarmentRecipes the garment must follow, zero for none
+     */
+    function mintParentWithChildrenAndSplit(
+        string calldata garmentTokenUri,
+        address designer,
+        uint256[] calldata childTokenIds,
+        uint256[] calldata childTokenAmounts,
+        address beneficiary,
+        address[] memory revenueRecipients,
+        uint256[] memory revenueSplits,
+        uint256 recipeId
+    ) external nonReentrant {
+        require(
+            accessControls.hasMinterRole(_msgSender()),
+            "DigitalaxGarmentFactory.mintParentWithChildrenAndSplit: Sender must be minter"
+        );
+        // Generate parent 721 token
+        uint256 garmentTokenId = garmentToken.mint(beneficiary, garmentTokenUri, designer);
+
+        // Split the designer revenue
+        garmentToken.setRevenueSplit(garmentTokenId, revenueRecipients, revenueSplits);
+
+        // Batch mint child tokens and assign to generated 721 token ID
+        _mintChildren(garmentTokenId, childTokenIds, childTokenAmounts, recipeId);
+
+        // Emit completion event
+        emit GarmentCreated(garmentTokenId);
+    }
+
+    /**
+     @notice Creates a single ERC721 parent token without any linked child tokens, splitting its revenue between several recipients
+     @dev Only callable with minter role
+     @dev Splits are in basis points and must add up to 10000
+     */
+    function mintParentWithoutChildrenAndSplit(
+        string calldata garmentTokenUri,
+        address designer,
+        address beneficiary,
+        address[] calldata revenueRecipients,
+        uint256[] calldata revenueSplits
+    ) external nonReentrant {
+        require(
+            accessControls.hasMinterRole(_msgSender()),
+            "DigitalaxGarmentFactory.mintParentWithoutChildrenAndSplit: Sender must be minter"
+        );
+
+        // Generate parent 721 token
+        uint256 garmentTokenId = garmentToken.mint(beneficiary, garmentTokenUri, designer);
+
+        // Split the designer revenue
+        garmentToken.setRevenueSplit(garmentTokenId, revenueRecipients, revenueSplits);
+
+        // Emit completion event
+        emit GarmentCreated(garmentTokenId);
+    }
+
+    /**
+     @notice Mints a batch of child ERC1155 tokens into a newly minted garment, first giving it the recipe when there is one
+     */
+    function _mintChildren(
+        uint256 garmentTokenId,
+        uint256[] calldata childTokenIds,
+        uint256[] calldata childTokenAmounts,
+        uint256 recipeId
+    ) private {
+        if (recipeId == 0) {
+            materials.batchMintChildren(childTokenIds, childTokenAmounts, address(garmentToken), abi.encodePacked(garmentTokenId));
+            return;
+        }
+
+        // The recipes the garment token enforces
+        DigitalaxGarmentRecipes recipes = DigitalaxGarmentRecipes(address(garmentToken.recipes()));
+        require(address(recipes) != address(0), "DigitalaxGarmentFactory._mintChildren: Recipes are not enforced");
+
+        // The recipe has to be set before the garment has any children
+        recipes.setGarmentRecipe(garmentTokenId, recipeId);
+
+        materials.batchMintChildren(childTokenIds, childTokenAmounts, address(garmentToken), abi.encodePacked(garmentTokenId));
+
+        // Every child in the recipe must have been given
+        recipes.validateGarment(garmentTokenId);
+    }
 }
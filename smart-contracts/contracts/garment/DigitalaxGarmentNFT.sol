@@ -4,16 +4,21 @@ pragma solidity 0.6.12;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC1155/ERC1155Receiver.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/utils/EnumerableSet.sol";
 import "../ERC1155/ERC1155.sol";
 import "../DigitalaxAccessControls.sol";
 import "../ERC998/IERC998ERC1155TopDown.sol";
+import "../ERC998/IERC998ERC721TopDown.sol";
+import "./IDigitalaxGarmentRecipes.sol";
 
 /**
  * @title Digitalax Garment NFT a.k.a. parent NFTs
- * @dev Issues ERC-721 tokens as well as being able to hold child 1155 tokens
+ * @dev Issues ERC-721 tokens as well as being able to hold child 1155 and 721 tokens
  */
-contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver, IERC998ERC1155TopDown {
+contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver, IERC998ERC1155TopDown, IERC998ERC721TopDown {
+    using EnumerableSet for EnumerableSet.AddressSet;
 
     // @notice event emitted upon construction of this contract, used to bootstrap external indexers
     event DigitalaxGarmentNFTContractDeployed();
@@ -30,12 +35,51 @@ contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver,
         uint256 _salePrice
     );
 
+    // @notice event emitted when the revenue split of a token is set
+    event GarmentRevenueSplitSet(
+        uint256 indexed _tokenId,
+        address[] _recipients,
+        uint256[] _splits
+    );
+
+    // @notice event emitted when an ERC1155 or ERC721 contract is allowed or disallowed as a source of children
+    event ChildContractUpdated(
+        address indexed _childContract,
+        bool _allowed
+    );
+
+    // @notice event emitted when the secondary sale royalty of a token is set
+    event GarmentRoyaltySet(
+        uint256 indexed _tokenId,
+        address _receiver,
+        uint256 _royalty
+    );
+
+    // @notice event emitted when the secondary sale royalty of a designer's tokens is set
+    event DesignerRoyaltySet(
+        address indexed _designer,
+        address _receiver,
+        uint256 _royalty
+    );
+
+    /// @notice Royalty paid on secondary sales
+    struct Royalty {
+        address receiver;
+        uint256 royalty; // basis points of the sale price
+    }
+
+    /// @dev EIP-2981 royaltyInfo(uint256,uint256)
+    bytes4 private constant _INTERFACE_ID_ERC2981 = 0x2a55205a;
+
     /// @dev Required to govern who can call certain functions
     DigitalaxAccessControls public accessControls;
 
-    /// @dev Child ERC1155 contract address
+    /// @dev Child ERC1155 contract address - the Digitalax materials, which the factory mints children from
     ERC1155 public childContract;
 
+    /// @dev ERC1155 or ERC721 contract -> whether tokens can hold children from it, childContract is allowed when deployed
+    mapping(address => bool) public allowedChildContracts;
+
     /// @dev current max tokenId
     uint256 public tokenIdPointer;
 
@@ -45,18 +89,42 @@ contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver,
     /// @dev TokenID -> Primary Ether Sale Price in Wei
     mapping(uint256 => uint256) public primarySalePrice;
 
-    /// @dev ERC721 Token ID -> ERC1155 ID -> Balance
-    mapping(uint256 => mapping(uint256 => uint256)) private balances;
+    /// @dev ERC721 Token ID -> ERC1155 contract -> ERC1155 ID -> Balance
+    mapping(uint256 => mapping(address => mapping(uint256 => uint256))) private balances;
+
+    /// @dev ERC721 Token ID -> ERC1155 contract -> ERC1155 child IDs owned by the token ID
+    mapping(uint256 => mapping(address => EnumerableSet.UintSet)) private parentToChildMapping;
 
-    /// @dev ERC1155 ID -> ERC721 Token IDs that have a balance
-    mapping(uint256 => EnumerableSet.UintSet) private childToParentMapping;
+    /// @dev ERC721 Token ID -> ERC1155 contracts the token ID owns children from
+    mapping(uint256 => EnumerableSet.AddressSet) private parentToChildContracts;
 
-    /// @dev ERC721 Token ID -> ERC1155 child IDs owned by the token ID
-    mapping(uint256 => EnumerableSet.UintSet) private parentToChildMapping;
+    /// @dev ERC721 Token ID -> ERC721 child contract -> ERC721 child IDs owned by the token ID
+    mapping(uint256 => mapping(address => EnumerableSet.UintSet)) private parentToERC721ChildMapping;
+
+    /// @dev ERC721 Token ID -> ERC721 contracts the token ID owns children from
+    mapping(uint256 => EnumerableSet.AddressSet) private parentToERC721ChildContracts;
+
+    /// @dev Checks the children of tokens with a recipe, zero when recipes are not enforced
+    IDigitalaxGarmentRecipes public recipes;
 
     /// @dev max children NFTs a single 721 can hold
     uint256 public maxChildrenPerToken = 10;
 
+    /// @dev max recipients a single revenue split can pay
+    uint256 public maxRevenueSplitRecipients = 10;
+
+    /// @dev TokenID -> Recipients of the designer revenue, empty when all of it goes to the designer
+    mapping(uint256 => address[]) private revenueSplitRecipients;
+
+    /// @dev TokenID -> Share of the designer revenue for each recipient in basis points, adding up to 10000
+    mapping(uint256 => uint256[]) private revenueSplits;
+
+    /// @dev TokenID -> Secondary sale royalty, overriding the designer royalty when it has a receiver
+    mapping(uint256 => Royalty) public garmentRoyalties;
+
+    /// @dev Designer address -> Secondary sale royalty for all of their tokens
+    mapping(address => Royalty) public designerRoyalties;
+
     /**
      @param _accessControls Address of the Digitalax access control contract
      @param _childContract ERC1155 the Digitalax child NFT contract
@@ -64,6 +132,8 @@ contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver,
     constructor(DigitalaxAccessControls _accessControls, ERC1155 _childContract) public {
         accessControls = _accessControls;
         childContract = _childContract;
+        allowedChildContracts[address(_childContract)] = true;
+        _registerInterface(_INTERFACE_ID_ERC2981);
         emit DigitalaxGarmentNFTContractDeployed();
     }
 
@@ -98,7 +168,7 @@ contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver,
     }
 
     /**
-     @notice Burns a DigitalaxGarmentNFT, releasing any composed 1155 tokens held by the token itseld
+     @notice Burns a DigitalaxGarmentNFT, releasing any composed 1155 and 721 tokens held by the token itseld
      @dev Only the owner or an approved sender can call this method
      @param _tokenId the token ID to burn
      */
@@ -109,11 +179,9 @@ contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver,
             "DigitalaxGarmentNFT.burn: Only garment owner or approved"
         );
 
-        // If there are any children tokens then send them as part of the burn
-        if (parentToChildMapping[_tokenId].length() > 0) {
-            // Transfer children to the burner
-            _extractAndTransferChildrenFromParent(_tokenId, _msgSender());
-        }
+        // Transfer any children tokens to the burner, nothing is sent when the token has no children
+        _extractAndTransferChildrenFromParent(_tokenId, _msgSender());
+        _extractAndTransferERC721ChildrenFromParent(_tokenId, _msgSender());
 
         // Destroy token mappings
         _burn(_tokenId);
@@ -121,6 +189,52 @@ contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver,
         // Clean up designer mapping
         delete garmentDesigners[_tokenId];
         delete primarySalePrice[_tokenId];
+        delete revenueSplitRecipients[_tokenId];
+        delete revenueSplits[_tokenId];
+        delete garmentRoyalties[_tokenId];
+    }
+
+    /**
+     @notice Takes some of the composed 1155 tokens out of a DigitalaxGarmentNFT, leaving the garment and the rest of its children in place
+     @dev Only the owner or an approved sender can call this method
+     @param _tokenId the token ID to take the children from
+     @param _to Recipient of the children
+     @param _childContract ERC1155 contract of the children
+     @param _childTokenIds IDs of the children to take out
+     @param _amounts Amount of each child to take out, up to the balance held by the token
+     */
+    function extractChildren(
+        uint256 _tokenId,
+        address _to,
+        address _childContract,
+        uint256[] calldata _childTokenIds,
+        uint256[] calldata _amounts
+    ) external {
+        address operator = _msgSender();
+        require(
+            ownerOf(_tokenId) == operator || isApproved(_tokenId, operator),
+            "DigitalaxGarmentNFT.extractChildren: Only garment owner or approved"
+        );
+        require(_to != address(0), "DigitalaxGarmentNFT.extractChildren: Recipient is zero address");
+        require(_childTokenIds.length > 0, "DigitalaxGarmentNFT.extractChildren: No children given");
+        require(_childTokenIds.length == _amounts.length, "DigitalaxGarmentNFT.extractChildren: Array lengths");
+
+        for (uint256 i = 0; i < _childTokenIds.length; i++) {
+            require(_amounts[i] > 0, "DigitalaxGarmentNFT.extractChildren: Amount is zero");
+            require(
+                balances[_tokenId][_childContract][_childTokenIds[i]] >= _amounts[i],
+                "DigitalaxGarmentNFT.extractChildren: Amount exceeds child balance"
+            );
+
+            _removeChild(_tokenId, _childContract, _childTokenIds[i], _amounts[i]);
+
+            // Strands can not be taken below the min amount of the token's recipe
+            if (address(recipes) != address(0)) {
+                recipes.validateChildExtracted(_tokenId, _childContract, _childTokenIds[i], balances[_tokenId][_childContract][_childTokenIds[i]]);
+            }
+        }
+
+        _transferChildren(_tokenId, _to, _childContract, _childTokenIds, _amounts);
     }
 
     /**
@@ -131,9 +245,7 @@ contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver,
     external
     override
     returns (bytes4) {
-        require(_data.length == 32, "ERC998: data must contain the unique uint256 tokenId to transfer the child token to");
-
-        uint256 _receiverTokenId = _extractIncomingTokenId();
+        uint256 _receiverTokenId = _extractIncomingTokenId(_data.length);
         _validateReceiverParams(_receiverTokenId, _operator, _from);
 
         _receiveChild(_receiverTokenId, _msgSender(), _id, _amount);
@@ -141,10 +253,7 @@ contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver,
         emit ReceivedChild(_from, _receiverTokenId, _msgSender(), _id, _amount);
 
         // Check total tokens do not exceed maximum
-        require(
-            parentToChildMapping[_receiverTokenId].length() <= maxChildrenPerToken,
-            "Cannot exceed max child token allocation"
-        );
+        _assertMaxChildrenNotExceeded(_receiverTokenId);
 
         return this.onERC1155Received.selector;
     }
@@ -157,9 +266,7 @@ contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver,
     external
     override
     returns (bytes4) {
-        require(_data.length == 32, "ERC998: data must contain the unique uint256 tokenId to transfer the child token to");
-
-        uint256 _receiverTokenId = _extractIncomingTokenId();
+        uint256 _receiverTokenId = _extractIncomingTokenId(_data.length);
         _validateReceiverParams(_receiverTokenId, _operator, _from);
 
         // Note: be mindful of GAS limits
@@ -169,15 +276,39 @@ contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver,
         }
 
         // Check total tokens do not exceed maximum
-        require(
-            parentToChildMapping[_receiverTokenId].length() <= maxChildrenPerToken,
-            "Cannot exceed max child token allocation"
-        );
+        _assertMaxChildrenNotExceeded(_receiverTokenId);
 
         return this.onERC1155BatchReceived.selector;
     }
 
-    function _extractIncomingTokenId() internal pure returns (uint256) {
+    /**
+     @notice ERC721 receiver callback hook, binding an ERC721 child such as an accessory to a given parent token
+     @dev Follows the same rules as ERC1155 children, with the parent token ID encoded in the data
+     */
+    function onERC721Received(address _operator, address _from, uint256 _childTokenId, bytes calldata _data)
+    external
+    override
+    returns (bytes4) {
+        uint256 _receiverTokenId = _extractIncomingTokenId(_data.length);
+        _validateReceiverParams(_receiverTokenId, _operator, _from);
+
+        parentToERC721ChildMapping[_receiverTokenId][_msgSender()].add(_childTokenId);
+        parentToERC721ChildContracts[_receiverTokenId].add(_msgSender());
+
+        emit ReceivedERC721Child(_from, _receiverTokenId, _msgSender(), _childTokenId);
+
+        // Check total tokens do not exceed maximum
+        _assertMaxChildrenNotExceeded(_receiverTokenId);
+
+        return this.onERC721Received.selector;
+    }
+
+    /**
+     @dev The parent token ID is read from the end of the calldata, so the data must be exactly that one uint256
+     */
+    function _extractIncomingTokenId(uint256 _dataLength) internal pure returns (uint256) {
+        require(_dataLength == 32, "ERC998: data must contain the unique uint256 tokenId to transfer the child token to");
+
         // Extract out the embedded token ID from the sender
         uint256 _receiverTokenId;
         uint256 _index = msg.data.length - 32;
@@ -188,8 +319,8 @@ contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver,
     function _validateReceiverParams(uint256 _receiverTokenId, address _operator, address _from) internal view {
         require(_exists(_receiverTokenId), "Token does not exist");
 
-        // We only accept children from the Digitalax child contract
-        require(_msgSender() == address(childContract), "Invalid child token contract");
+        // We only accept children from the allowed child contracts
+        require(allowedChildContracts[_msgSender()], "Invalid child token contract");
 
         // check the sender is the owner of the token or its just been birthed to this token
         if (_from != address(0)) {
@@ -215,7 +346,7 @@ contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver,
      */
     function setTokenURI(uint256 _tokenId, string calldata _tokenUri) external {
         require(
-            accessControls.hasSmartContractRole(_msgSender()) || accessControls.hasAdminRole(_msgSender()),
+            _isSmartContractOrAdmin(),
             "DigitalaxGarmentNFT.setTokenURI: Sender must be an authorised contract or admin"
         );
         _setTokenURI(_tokenId, _tokenUri);
@@ -230,7 +361,7 @@ contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver,
      */
     function setPrimarySalePrice(uint256 _tokenId, uint256 _salePrice) external {
         require(
-            accessControls.hasSmartContractRole(_msgSender()) || accessControls.hasAdminRole(_msgSender()),
+            _isSmartContractOrAdmin(),
             "DigitalaxGarmentNFT.setPrimarySalePrice: Sender must be an authorised contract or admin"
         );
         require(_exists(_tokenId), "DigitalaxGarmentNFT.setPrimarySalePrice: Token does not exist");
@@ -243,26 +374,129 @@ contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver,
         }
     }
 
+    /**
+     @notice Splits the designer revenue of a given token between several recipients
+     @dev Only admin or a smart contract can call this method, and only before the primary sale
+     @dev Empty lists clear the split so all of the revenue goes to the designer again
+     @param _tokenId The ID of the token being updated
+     @param _recipients Addresses sharing the designer revenue
+     @param _splits Share of each recipient in basis points, adding up to 10000
+     */
+    function setRevenueSplit(uint256 _tokenId, address[] calldata _recipients, uint256[] calldata _splits) external {
+        require(
+            _isSmartContractOrAdmin(),
+            "DigitalaxGarmentNFT.setRevenueSplit: Sender must be an authorised contract or admin"
+        );
+        require(_exists(_tokenId), "DigitalaxGarmentNFT.setRevenueSplit: Token does not exist");
+        require(primarySalePrice[_tokenId] == 0, "DigitalaxGarmentNFT.setRevenueSplit: Token has already been sold");
+        require(_recipients.length == _splits.length, "DigitalaxGarmentNFT.setRevenueSplit: Array lengths");
+        require(_recipients.length <= maxRevenueSplitRecipients, "DigitalaxGarmentNFT.setRevenueSplit: Too many recipients");
+
+        uint256 totalSplits;
+        for (uint256 i = 0; i < _recipients.length; i++) {
+            require(_recipients[i] != address(0), "DigitalaxGarmentNFT.setRevenueSplit: Recipient is zero address");
+            require(_splits[i] > 0, "DigitalaxGarmentNFT.setRevenueSplit: Split is zero");
+            totalSplits = totalSplits.add(_splits[i]);
+        }
+        require(
+            _recipients.length == 0 || totalSplits == 10000,
+            "DigitalaxGarmentNFT.setRevenueSplit: Splits must add up to 10000"
+        );
+
+        revenueSplitRecipients[_tokenId] = _recipients;
+        revenueSplits[_tokenId] = _splits;
+        emit GarmentRevenueSplitSet(_tokenId, _recipients, _splits);
+    }
+
+    /**
+     @notice Sets the secondary sale royalty of a given token, overriding the royalty of its designer
+     @dev Only admin
+     @dev A zero receiver clears it so the designer royalty applies again
+     @param _tokenId The ID of the token being updated
+     @param _receiver Address royalties are paid to
+     @param _royalty Royalty in basis points of the sale price
+     */
+    function setGarmentRoyalty(uint256 _tokenId, address _receiver, uint256 _royalty) external {
+        require(_isAdmin(), "DigitalaxGarmentNFT.setGarmentRoyalty: Sender must be admin");
+        require(_exists(_tokenId), "DigitalaxGarmentNFT.setGarmentRoyalty: Token does not exist");
+        _assertRoyaltyValid(_receiver, _royalty);
+
+        garmentRoyalties[_tokenId] = Royalty(_receiver, _royalty);
+        emit GarmentRoyaltySet(_tokenId, _receiver, _royalty);
+    }
+
+    /**
+     @notice Sets the secondary sale royalty of every token by a designer, unless the token has its own
+     @dev Only admin
+     @dev A zero receiver clears it so no royalty is paid
+     @param _designer Garment designer the royalty applies to
+     @param _receiver Address royalties are paid to, normally the designer
+     @param _royalty Royalty in basis points of the sale price
+     */
+    function setDesignerRoyalty(address _designer, address _receiver, uint256 _royalty) external {
+        require(_isAdmin(), "DigitalaxGarmentNFT.setDesignerRoyalty: Sender must be admin");
+        require(_designer != address(0), "DigitalaxGarmentNFT.setDesignerRoyalty: Designer is zero address");
+        _assertRoyaltyValid(_receiver, _royalty);
+
+        designerRoyalties[_designer] = Royalty(_receiver, _royalty);
+        emit DesignerRoyaltySet(_designer, _receiver, _royalty);
+    }
+
     /**
      @notice Method for updating the access controls contract used by the NFT
      @dev Only admin
      @param _accessControls Address of the new access controls contract
      */
     function updateAccessControls(DigitalaxAccessControls _accessControls) external {
-        require(accessControls.hasAdminRole(_msgSender()), "DigitalaxGarmentNFT.updateAccessControls: Sender must be admin");
+        require(_isAdmin(), "DigitalaxGarmentNFT.updateAccessControls: Sender must be admin");
         accessControls = _accessControls;
     }
 
+    /**
+     @notice Method for updating the recipes contract which checks the children of tokens with a recipe
+     @dev Only admin
+     @param _recipes Address of the recipes contract, zero to stop enforcing recipes
+     */
+    function updateRecipes(IDigitalaxGarmentRecipes _recipes) external {
+        require(_isAdmin(), "DigitalaxGarmentNFT.updateRecipes: Sender must be admin");
+        recipes = _recipes;
+    }
+
+    /**
+     @notice Method for allowing or disallowing an ERC1155 or ERC721 contract as a source of children
+     @dev Only admin
+     @dev Tokens keep any children they already hold from a disallowed contract, which can still be extracted
+     @param _childContract ERC1155 or ERC721 contract
+     @param _allowed whether tokens can receive children from it
+     */
+    function updateChildContract(address _childContract, bool _allowed) external {
+        require(_isAdmin(), "DigitalaxGarmentNFT.updateChildContract: Sender must be admin");
+        require(_childContract != address(0), "DigitalaxGarmentNFT.updateChildContract: Zero address");
+        require(_childContract != address(this), "DigitalaxGarmentNFT.updateChildContract: Garments cannot hold garments");
+        allowedChildContracts[_childContract] = _allowed;
+        emit ChildContractUpdated(_childContract, _allowed);
+    }
+
     /**
      @notice Method for updating max children a token can hold
      @dev Only admin
      @param _maxChildrenPerToken uint256 the max children a token can hold
      */
     function updateMaxChildrenPerToken(uint256 _maxChildrenPerToken) external {
-        require(accessControls.hasAdminRole(_msgSender()), "DigitalaxGarmentNFT.updateMaxChildrenPerToken: Sender must be admin");
+        require(_isAdmin(), "DigitalaxGarmentNFT.updateMaxChildrenPerToken: Sender must be admin");
         maxChildrenPerToken = _maxChildrenPerToken;
     }
 
+    /**
+     @notice Method for updating max recipients a revenue split can pay
+     @dev Only admin
+     @param _maxRevenueSplitRecipients uint256 the max recipients of a revenue split
+     */
+    function updateMaxRevenueSplitRecipients(uint256 _maxRevenueSplitRecipients) external {
+        require(_isAdmin(), "DigitalaxGarmentNFT.updateMaxRevenueSplitRecipients: Sender must be admin");
+        maxRevenueSplitRecipients = _maxRevenueSplitRecipients;
+    }
+
     /////////////////
     // View Methods /
     /////////////////
@@ -276,51 +510,81 @@ contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver,
     }
 
     /**
-     @dev Get the child token balances held by the contract, assumes caller knows the correct child contract
+     @dev Get the child token balances held by the contract
      */
     function childBalance(uint256 _tokenId, address _childContract, uint256 _childTokenId)
     public
     view
     override
     returns (uint256) {
-        return _childContract == address(childContract) ? balances[_tokenId][_childTokenId] : 0;
+        return balances[_tokenId][_childContract][_childTokenId];
     }
 
     /**
-     @dev Get list of supported child contracts, always a list of 0 or 1 in our case
+     @dev Get list of child contracts the token currently holds children from
      */
     function childContractsFor(uint256 _tokenId) override external view returns (address[] memory) {
         if (!_exists(_tokenId)) {
             return new address[](0);
         }
 
-        address[] memory childContracts = new address[](1);
-        childContracts[0] = address(childContract);
-        return childContracts;
+        return _addressSetValues(parentToChildContracts[_tokenId]);
     }
 
     /**
      @dev Gets mapped IDs for child tokens
      */
     function childIdsForOn(uint256 _tokenId, address _childContract) override public view returns (uint256[] memory) {
-        if (!_exists(_tokenId) || _childContract != address(childContract)) {
+        if (!_exists(_tokenId)) {
             return new uint256[](0);
         }
 
-        uint256[] memory childTokenIds = new uint256[](parentToChildMapping[_tokenId].length());
+        return _uintSetValues(parentToChildMapping[_tokenId][_childContract]);
+    }
 
-        for (uint256 i = 0; i < parentToChildMapping[_tokenId].length(); i++) {
-            childTokenIds[i] = parentToChildMapping[_tokenId].at(i);
-        }
+    /**
+     @dev Get list of ERC721 contracts the token currently holds children from
+     */
+    function childERC721ContractsFor(uint256 _tokenId) override external view returns (address[] memory) {
+        return _addressSetValues(parentToERC721ChildContracts[_tokenId]);
+    }
 
-        return childTokenIds;
+    /**
+     @dev Gets the IDs of the ERC721 children held by the token from a given contract
+     */
+    function childERC721IdsForOn(uint256 _tokenId, address _childContract) override public view returns (uint256[] memory) {
+        return _uintSetValues(parentToERC721ChildMapping[_tokenId][_childContract]);
     }
 
     /**
-     @dev Get total number of children mapped to the token
+     @dev Get total number of children mapped to the token, across all child contracts - each ERC721 child counts as one
      */
     function totalChildrenMapped(uint256 _tokenId) external view returns (uint256) {
-        return parentToChildMapping[_tokenId].length();
+        return _totalChildrenMapped(_tokenId);
+    }
+
+    /**
+     @notice EIP-2981 royalty for a secondary sale of a token
+     @dev Uses the royalty of the token if it has one, otherwise the royalty of its designer
+     @param _tokenId ID of the token being sold
+     @param _salePrice Price the token is being sold for, in any currency
+     @return receiver Address the royalty should be paid to, zero when there is no royalty
+     @return royaltyAmount Royalty in the same currency as the sale price
+     */
+    function royaltyInfo(uint256 _tokenId, uint256 _salePrice) external view returns (address receiver, uint256 royaltyAmount) {
+        Royalty memory royalty = garmentRoyalties[_tokenId];
+        if (royalty.receiver == address(0)) {
+            royalty = designerRoyalties[garmentDesigners[_tokenId]];
+        }
+        return (royalty.receiver, _salePrice.mul(royalty.royalty).div(10000));
+    }
+
+    /**
+     @notice Gets who shares the designer revenue of a token and their splits in basis points
+     @dev Empty lists mean all of the revenue goes to the designer
+     */
+    function getRevenueSplit(uint256 _tokenId) external view returns (address[] memory _recipients, uint256[] memory _splits) {
+        return (revenueSplitRecipients[_tokenId], revenueSplits[_tokenId]);
     }
 
     /**
@@ -335,37 +599,129 @@ contract DigitalaxGarmentNFT is ERC721("DigitalaxNFT", "DTX"), ERC1155Receiver,
     /////////////////////////
 
     function _extractAndTransferChildrenFromParent(uint256 _fromTokenId, address _to) internal {
-        uint256[] memory _childTokenIds = childIdsForOn(_fromTokenId, address(childContract));
-        uint256[] memory _amounts = new uint256[](_childTokenIds.length);
+        // Each child contract is dropped from the set once all of its children are removed
+        while (parentToChildContracts[_fromTokenId].length() > 0) {
+            address _childContract = parentToChildContracts[_fromTokenId].at(0);
+            uint256[] memory _childTokenIds = childIdsForOn(_fromTokenId, _childContract);
+            uint256[] memory _amounts = new uint256[](_childTokenIds.length);
+
+            for (uint256 i = 0; i < _childTokenIds.length; ++i) {
+                uint256 _childTokenId = _childTokenIds[i];
+                uint256 amount = childBalance(_fromTokenId, _childContract, _childTokenId);
+
+                _amounts[i] = amount;
+
+                _removeChild(_fromTokenId, _childContract, _childTokenId, amount);
+            }
+
+            _transferChildren(_fromTokenId, _to, _childContract, _childTokenIds, _amounts);
+        }
+    }
+
+    function _extractAndTransferERC721ChildrenFromParent(uint256 _fromTokenId, address _to) internal {
+        while (parentToERC721ChildContracts[_fromTokenId].length() > 0) {
+            address _childContract = parentToERC721ChildContracts[_fromTokenId].at(0);
+            uint256[] memory _childTokenIds = childERC721IdsForOn(_fromTokenId, _childContract);
 
-        for (uint256 i = 0; i < _childTokenIds.length; ++i) {
-            uint256 _childTokenId = _childTokenIds[i];
-            uint256 amount = childBalance(_fromTokenId, address(childContract), _childTokenId);
+            for (uint256 i = 0; i < _childTokenIds.length; ++i) {
+                parentToERC721ChildMapping[_fromTokenId][_childContract].remove(_childTokenIds[i]);
 
-            _amounts[i] = amount;
+                IERC721(_childContract).safeTransferFrom(address(this), _to, _childTokenIds[i]);
 
-            _removeChild(_fromTokenId, address(childContract), _childTokenId, amount);
+                emit TransferERC721Child(_fromTokenId, _to, _childContract, _childTokenIds[i]);
+            }
+
+            parentToERC721ChildContracts[_fromTokenId].remove(_childContract);
         }
+    }
 
-        childContract.safeBatchTransferFrom(address(this), _to, _childTokenIds, _amounts, abi.encodePacked(""));
+    function _transferChildren(
+        uint256 _fromTokenId,
+        address _to,
+        address _childContract,
+        uint256[] memory _childTokenIds,
+        uint256[] memory _amounts
+    ) private {
+        IERC1155(_childContract).safeBatchTransferFrom(address(this), _to, _childTokenIds, _amounts, abi.encodePacked(""));
 
-        emit TransferBatchChild(_fromTokenId, _to, address(childContract), _childTokenIds, _amounts);
+        emit TransferBatchChild(_fromTokenId, _to, _childContract, _childTokenIds, _amounts);
     }
 
-    function _receiveChild(uint256 _tokenId, address, uint256 _childTokenId, uint256 _amount) private {
-        if (balances[_tokenId][_childTokenId] == 0) {
-           parentToChildMapping[_tokenId].add(_childTokenId);
+    function _receiveChild(uint256 _tokenId, address _childContract, uint256 _childTokenId, uint256 _amount) private {
+        if (balances[_tokenId][_childContract][_childTokenId] == 0) {
+           parentToChildMapping[_tokenId][_childContract].add(_childTokenId);
+           parentToChildContracts[_tokenId].add(_childContract);
+        }
+        balances[_tokenId][_childContract][_childTokenId] = balances[_tokenId][_childContract][_childTokenId].add(_amount);
+
+        // Children must be in the token's recipe and within its max amount
+        if (address(recipes) != address(0)) {
+            recipes.validateChildReceived(_tokenId, _childContract, _childTokenId, balances[_tokenId][_childContract][_childTokenId]);
+        }
+    }
+
+    function _removeChild(uint256 _tokenId, address _childContract, uint256 _childTokenId, uint256 _amount) private {
+        require(_amount != 0 || balances[_tokenId][_childContract][_childTokenId] >= _amount, "ERC998: insufficient child balance for transfer");
+        balances[_tokenId][_childContract][_childTokenId] = balances[_tokenId][_childContract][_childTokenId].sub(_amount);
+        if (balances[_tokenId][_childContract][_childTokenId] == 0) {
+            parentToChildMapping[_tokenId][_childContract].remove(_childTokenId);
+            if (parentToChildMapping[_tokenId][_childContract].length() == 0) {
+                parentToChildContracts[_tokenId].remove(_childContract);
+            }
         }
-        balances[_tokenId][_childTokenId] = balances[_tokenId][_childTokenId].add(_amount);
     }
 
-    function _removeChild(uint256 _tokenId, address, uint256 _childTokenId, uint256 _amount) private {
-        require(_amount != 0 || balances[_tokenId][_childTokenId] >= _amount, "ERC998: insufficient child balance for transfer");
-        balances[_tokenId][_childTokenId] = balances[_tokenId][_childTokenId].sub(_amount);
-        if (balances[_tokenId][_childTokenId] == 0) {
-            childToParentMapping[_childTokenId].remove(_tokenId);
-            parentToChildMapping[_tokenId].remove(_childTokenId);
+    function _totalChildrenMapped(uint256 _tokenId) private view returns (uint256 total) {
+        for (uint256 i = 0; i < parentToChildContracts[_tokenId].length(); i++) {
+            total = total.add(parentToChildMapping[_tokenId][parentToChildContracts[_tokenId].at(i)].length());
         }
+        for (uint256 i = 0; i < parentToERC721ChildContracts[_tokenId].length(); i++) {
+            total = total.add(parentToERC721ChildMapping[_tokenId][parentToERC721ChildContracts[_tokenId].at(i)].length());
+        }
+    }
+
+    function _assertMaxChildrenNotExceeded(uint256 _tokenId) private view {
+        require(
+            _totalChildrenMapped(_tokenId) <= maxChildrenPerToken,
+            "Cannot exceed max child token allocation"
+        );
+    }
+
+    function _addressSetValues(EnumerableSet.AddressSet storage _set) private view returns (address[] memory values) {
+        values = new address[](_set.length());
+        for (uint256 i = 0; i < values.length; i++) {
+            values[i] = _set.at(i);
+        }
+    }
+
+    function _uintSetValues(EnumerableSet.UintSet storage _set) private view returns (uint256[] memory values) {
+        values = new uint256[](_set.length());
+        for (uint256 i = 0; i < values.length; i++) {
+            values[i] = _set.at(i);
+        }
+    }
+
+    /**
+     @notice Whether the sender has the admin role
+     @dev Shared by the admin setters to keep the contract under the size limit
+     */
+    function _isAdmin() private view returns (bool) {
+        return accessControls.hasAdminRole(_msgSender());
+    }
+
+    /**
+     @notice Whether the sender has the smart contract or admin role
+     */
+    function _isSmartContractOrAdmin() private view returns (bool) {
+        return accessControls.hasSmartContractRole(_msgSender()) || _isAdmin();
+    }
+
+    /**
+     @notice Checks a royalty has a receiver unless it is zero, and is not more than the sale price
+     */
+    function _assertRoyaltyValid(address _receiver, uint256 _royalty) pure internal {
+        require(_receiver != address(0) || _royalty == 0, "DigitalaxGarmentNFT._assertRoyaltyValid: Royalty has no receiver");
+        require(_royalty <= 10000, "DigitalaxGarmentNFT._assertRoyaltyValid: Royalty is more than 10000");
     }
 
     /**
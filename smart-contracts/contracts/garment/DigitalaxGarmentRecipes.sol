@@ -0,0 +1,227 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.12;
+
+import "@openzeppelin/contracts/GSN/Context.sol";
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "../DigitalaxAccessControls.sol";
+import "./DigitalaxGarmentNFT.sol";
+import "./IDigitalaxGarmentRecipes.sol";
+
+/**
+ * @title Digitalax Garment Recipes
+ * @dev Recipes declare which children a type of garment contains, with the min and max amount of each
+ * @dev Once a garment is given a recipe, DigitalaxGarmentNFT checks its children against it as they are received and extracted
+ * @dev Only ERC1155 children are covered - ERC721 children such as accessories are not checked against recipes
+ */
+contract DigitalaxGarmentRecipes is Context, IDigitalaxGarmentRecipes {
+    using SafeMath for uint256;
+
+    // @notice event emitted when a recipe is created
+    event RecipeCreated(
+        uint256 indexed recipeId,
+        address[] childContracts,
+        uint256[] childTokenIds,
+        uint256[] minAmounts,
+        uint256[] maxAmounts
+    );
+
+    // @notice event emitted when a garment is given a recipe
+    event GarmentRecipeSet(
+        uint256 indexed garmentTokenId,
+        uint256 indexed recipeId
+    );
+
+    /// @notice Amounts of a child allowed by a recipe, a max of zero means the child is not in the recipe
+    struct Limits {
+        uint256 min;
+        uint256 max;
+    }
+
+    /// @dev Required to govern who can call certain functions
+    DigitalaxAccessControls public accessControls;
+
+    /// @dev Garments the recipes apply to
+    DigitalaxGarmentNFT public garmentToken;
+
+    /// @dev current max recipe ID
+    uint256 public recipeIdPointer;
+
+    /// @dev Recipe ID -> ERC1155 contract of each child in the recipe
+    mapping(uint256 => address[]) private recipeChildContracts;
+
+    /// @dev Recipe ID -> ID of each child in the recipe
+    mapping(uint256 => uint256[]) private recipeChildTokenIds;
+
+    /// @dev Recipe ID -> Child contract -> Child ID -> Amounts allowed
+    mapping(uint256 => mapping(address => mapping(uint256 => Limits))) public recipeLimits;
+
+    /// @dev Garment token ID -> Recipe ID, zero when the garment has no recipe
+    mapping(uint256 => uint256) public garmentRecipes;
+
+    /**
+     @param _accessControls Address of the Digitalax access control contract
+     @param _garmentToken Digitalax garment NFT contract
+     */
+    constructor(DigitalaxAccessControls _accessControls, DigitalaxGarmentNFT _garmentToken) public {
+        accessControls = _accessControls;
+        garmentToken = _garmentToken;
+    }
+
+    /**
+     @notice Creates a recipe, which can not be changed afterwards so garments following it keep the same children
+     @dev Only callable with minter role
+     @param _childContracts ERC1155 contract of each child i.e. DigitalaxMaterials or a partner contract
+     @param _childTokenIds ID of each child on its contract
+     @param _minAmounts Least amount of each child a garment must hold
+     @param _maxAmounts Most amount of each child a garment can hold
+     @return recipeId the generated recipe ID
+     */
+    function createRecipe(
+        address[] calldata _childContracts,
+        uint256[] calldata _childTokenIds,
+        uint256[] calldata _minAmounts,
+        uint256[] calldata _maxAmounts
+    ) external returns (uint256 recipeId) {
+        require(accessControls.hasMinterRole(_msgSender()), "DigitalaxGarmentRecipes.createRecipe: Sender must be minter");
+        require(_childTokenIds.length > 0, "DigitalaxGarmentRecipes.createRecipe: No children given");
+        require(
+            _childTokenIds.length == _childContracts.length
+            && _childTokenIds.length == _minAmounts.length
+            && _childTokenIds.length == _maxAmounts.length,
+            "DigitalaxGarmentRecipes.createRecipe: Array lengths"
+        );
+
+        recipeIdPointer = recipeIdPointer.add(1);
+        recipeId = recipeIdPointer;
+
+        for (uint256 i = 0; i < _childTokenIds.length; i++) {
+            require(_childContracts[i] != address(0), "DigitalaxGarmentRecipes.createRecipe: Child contract is zero address");
+            require(_maxAmounts[i] > 0, "DigitalaxGarmentRecipes.createRecipe: Max amount is zero");
+            require(_minAmounts[i] <= _maxAmounts[i], "DigitalaxGarmentRecipes.createRecipe: Min amount above max");
+
+            Limits storage limits = recipeLimits[recipeId][_childContracts[i]][_childTokenIds[i]];
+            require(limits.max == 0, "DigitalaxGarmentRecipes.createRecipe: Duplicate child");
+
+            limits.min = _minAmounts[i];
+            limits.max = _maxAmounts[i];
+        }
+        recipeChildContracts[recipeId] = _childContracts;
+        recipeChildTokenIds[recipeId] = _childTokenIds;
+
+        emit RecipeCreated(recipeId, _childContracts, _childTokenIds, _minAmounts, _maxAmounts);
+    }
+
+    /**
+     @notice Gives a garment a recipe, before it holds any children
+     @dev Only admin or a smart contract can call this method i.e. the factory when minting a garment with a recipe
+     @dev A garment's recipe can only be set once
+     @param _garmentTokenId Garment being given the recipe
+     @param _recipeId Recipe the garment must follow
+     */
+    function setGarmentRecipe(uint256 _garmentTokenId, uint256 _recipeId) external {
+        require(
+            accessControls.hasSmartContractRole(_msgSender()) || accessControls.hasAdminRole(_msgSender()),
+            "DigitalaxGarmentRecipes.setGarmentRecipe: Sender must be an authorised contract or admin"
+        );
+        require(_recipeId > 0 && _recipeId <= recipeIdPointer, "DigitalaxGarmentRecipes.setGarmentRecipe: Recipe does not exist");
+        require(garmentToken.exists(_garmentTokenId), "DigitalaxGarmentRecipes.setGarmentRecipe: Garment does not exist");
+        require(garmentRecipes[_garmentTokenId] == 0, "DigitalaxGarmentRecipes.setGarmentRecipe: Recipe already set");
+        require(garmentToken.totalChildrenMapped(_garmentTokenId) == 0, "DigitalaxGarmentRecipes.setGarmentRecipe: Garment already has children");
+
+        garmentRecipes[_garmentTokenId] = _recipeId;
+        emit GarmentRecipeSet(_garmentTokenId, _recipeId);
+    }
+
+    /**
+     @notice Method for updating the access controls contract used by the recipes
+     @dev Only admin
+     @param _accessControls Address of the new access controls contract
+     */
+    function updateAccessControls(DigitalaxAccessControls _accessControls) external {
+        require(accessControls.hasAdminRole(_msgSender()), "DigitalaxGarmentRecipes.updateAccessControls: Sender must be admin");
+        accessControls = _accessControls;
+    }
+
+    /////////////////
+    // View Methods /
+    /////////////////
+
+    /**
+     @notice Checks the balance of a child after a garment receives some, reverting when it is not in the recipe or above its max amount
+     @dev Called by DigitalaxGarmentNFT, garments without a recipe are not checked
+     @dev The min amount is not checked here so a child can be topped up over several transfers
+     */
+    function validateChildReceived(uint256 _garmentTokenId, address _childContract, uint256 _childTokenId, uint256 _balance)
+    external
+    view
+    override {
+        uint256 recipeId = garmentRecipes[_garmentTokenId];
+        if (recipeId == 0) {
+            return;
+        }
+
+        Limits memory limits = recipeLimits[recipeId][_childContract][_childTokenId];
+        require(limits.max > 0, "DigitalaxGarmentRecipes.validateChildReceived: Child is not in the recipe");
+        require(_balance <= limits.max, "DigitalaxGarmentRecipes.validateChildReceived: Above the recipe max amount");
+    }
+
+    /**
+     @notice Checks the balance of a child after some is extracted from a garment, reverting when it is below its min amount
+     @dev Called by DigitalaxGarmentNFT, garments without a recipe are not checked
+     */
+    function validateChildExtracted(uint256 _garmentTokenId, address _childContract, uint256 _childTokenId, uint256 _balance)
+    external
+    view
+    override {
+        uint256 recipeId = garmentRecipes[_garmentTokenId];
+        if (recipeId == 0) {
+            return;
+        }
+
+        require(
+            _balance >= recipeLimits[recipeId][_childContract][_childTokenId].min,
+            "DigitalaxGarmentRecipes.validateChildExtracted: Below the recipe min amount"
+        );
+    }
+
+    /**
+     @notice Checks a garment holds at least the min amount of every child in its recipe
+     @dev Used by the factory once a garment with a recipe has been given its children
+     */
+    function validateGarment(uint256 _garmentTokenId) external view {
+        uint256 recipeId = garmentRecipes[_garmentTokenId];
+        require(recipeId > 0, "DigitalaxGarmentRecipes.validateGarment: Garment has no recipe");
+
+        address[] memory childContracts = recipeChildContracts[recipeId];
+        uint256[] memory childTokenIds = recipeChildTokenIds[recipeId];
+        for (uint256 i = 0; i < childTokenIds.length; i++) {
+            require(
+                garmentToken.childBalance(_garmentTokenId, childContracts[i], childTokenIds[i])
+                    >= recipeLimits[recipeId][childContracts[i]][childTokenIds[i]].min,
+                "DigitalaxGarmentRecipes.validateGarment: Missing recipe child"
+            );
+        }
+    }
+
+    /**
+     @notice Gets the children in a recipe with the min and max amount of each
+     */
+    function getRecipe(uint256 _recipeId) external view returns (
+        address[] memory _childContracts,
+        uint256[] memory _childTokenIds,
+        uint256[] memory _minAmounts,
+        uint256[] memory _maxAmounts
+    ) {
+        _childContracts = recipeChildContracts[_recipeId];
+        _childTokenIds = recipeChildTokenIds[_recipeId];
+        _minAmounts = new uint256[](_childTokenIds.length);
+        _maxAmounts = new uint256[](_childTokenIds.length);
+
+        for (uint256 i = 0; i < _childTokenIds.length; i++) {
+            Limits memory limits = recipeLimits[_recipeId][_childContracts[i]][_childTokenIds[i]];
+            _minAmounts[i] = limits.min;
+            _maxAmounts[i] = limits.max;
+        }
+    }
+}
@@ -0,0 +1,308 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.12;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/utils/EnumerableSet.sol";
+import "../DigitalaxAccessControls.sol";
+import "../ERC998/IERC998ERC721TopDown.sol";
+import "./DigitalaxGarmentNFT.sol";
+
+/**
+ * @title Digitalax Outfit NFT a.k.a. looks
+ * @dev Issues ERC-721 tokens which hold garment NFTs, which in turn hold their strands, making a tree three levels deep
+ */
+contract DigitalaxOutfitNFT is ERC721("DigitalaxOutfit", "DXO"), IERC998ERC721TopDown {
+
+    // @notice event emitted upon construction of this contract, used to bootstrap external indexers
+    event DigitalaxOutfitNFTContractDeployed();
+
+    // @notice event emitted when token URI is updated
+    event DigitalaxOutfitTokenUriUpdate(
+        uint256 indexed _tokenId,
+        string _tokenUri
+    );
+
+    /// @dev Required to govern who can call certain functions
+    DigitalaxAccessControls public accessControls;
+
+    /// @dev The only contract outfits can hold tokens from
+    DigitalaxGarmentNFT public garmentContract;
+
+    /// @dev current max tokenId
+    uint256 public tokenIdPointer;
+
+    /// @dev TokenID -> Stylist who put the outfit together
+    mapping(uint256 => address) public outfitStylists;
+
+    /// @dev Outfit token ID -> Garment token IDs held by the outfit
+    mapping(uint256 => EnumerableSet.UintSet) private outfitGarments;
+
+    /// @dev Garment token ID -> Outfit token ID holding it, zero when it is not in an outfit
+    mapping(uint256 => uint256) public garmentOutfit;
+
+    /// @dev max garments a single outfit can hold, as every garment is visited when reading or unwrapping an outfit
+    uint256 public maxGarmentsPerOutfit = 10;
+
+    /**
+     @param _accessControls Address of the Digitalax access control contract
+     @param _garmentContract Digitalax garment NFT contract
+     */
+    constructor(DigitalaxAccessControls _accessControls, DigitalaxGarmentNFT _garmentContract) public {
+        accessControls = _accessControls;
+        garmentContract = _garmentContract;
+        emit DigitalaxOutfitNFTContractDeployed();
+    }
+
+    /**
+     @notice Mints an empty DigitalaxOutfitNFT, garments are added by their owner transferring them to the outfit
+     @dev Only senders with either the minter or smart contract role can invoke this method
+     @param _beneficiary Recipient of the NFT
+     @param _tokenUri URI for the token being minted
+     @param _stylist Who put the outfit together
+     @return uint256 The token ID of the token that was minted
+     */
+    function mint(address _beneficiary, string calldata _tokenUri, address _stylist) external returns (uint256) {
+        require(
+            accessControls.hasSmartContractRole(_msgSender()) || accessControls.hasMinterRole(_msgSender()),
+            "DigitalaxOutfitNFT.mint: Sender must have the minter or contract role"
+        );
+        require(bytes(_tokenUri).length > 0, "DigitalaxOutfitNFT.mint: Token URI is empty");
+        require(_stylist != address(0), "DigitalaxOutfitNFT.mint: Stylist is zero address");
+
+        tokenIdPointer = tokenIdPointer.add(1);
+        uint256 tokenId = tokenIdPointer;
+
+        _safeMint(_beneficiary, tokenId);
+        _setTokenURI(tokenId, _tokenUri);
+
+        outfitStylists[tokenId] = _stylist;
+
+        return tokenId;
+    }
+
+    /**
+     @notice Unwraps a DigitalaxOutfitNFT by burning it, returning its garments intact with all of their strands
+     @dev Only the owner or an approved sender can call this method
+     @param _tokenId the token ID to burn
+     */
+    function burn(uint256 _tokenId) external {
+        address operator = _msgSender();
+        require(
+            ownerOf(_tokenId) == operator || isApproved(_tokenId, operator),
+            "DigitalaxOutfitNFT.burn: Only outfit owner or approved"
+        );
+
+        // Garments are removed from the set as they are sent
+        while (outfitGarments[_tokenId].length() > 0) {
+            _transferGarment(_tokenId, operator, outfitGarments[_tokenId].at(0));
+        }
+
+        _burn(_tokenId);
+
+        delete outfitStylists[_tokenId];
+    }
+
+    /**
+     @notice Takes some garments out of a DigitalaxOutfitNFT, leaving the outfit and the rest of its garments in place
+     @dev Only the owner or an approved sender can call this method
+     @param _tokenId the token ID to take the garments from
+     @param _to Recipient of the garments
+     @param _garmentTokenIds IDs of the garments to take out
+     */
+    function extractGarments(uint256 _tokenId, address _to, uint256[] calldata _garmentTokenIds) external {
+        address operator = _msgSender();
+        require(
+            ownerOf(_tokenId) == operator || isApproved(_tokenId, operator),
+            "DigitalaxOutfitNFT.extractGarments: Only outfit owner or approved"
+        );
+        require(_to != address(0), "DigitalaxOutfitNFT.extractGarments: Recipient is zero address");
+
+        for (uint256 i = 0; i < _garmentTokenIds.length; i++) {
+            require(
+                outfitGarments[_tokenId].contains(_garmentTokenIds[i]),
+                "DigitalaxOutfitNFT.extractGarments: Garment is not in the outfit"
+            );
+            _transferGarment(_tokenId, _to, _garmentTokenIds[i]);
+        }
+    }
+
+    /**
+     @notice ERC721 receiver callback hook, binding a garment to a given outfit token
+     @dev The outfit token ID is encoded in the data, the same as when wrapping children in garments
+     */
+    function onERC721Received(address _operator, address _from, uint256 _garmentTokenId, bytes calldata _data)
+    external
+    override
+    returns (bytes4) {
+        require(_msgSender() == address(garmentContract), "DigitalaxOutfitNFT.onERC721Received: Only garments can be held");
+        require(_data.length == 32, "ERC998: data must contain the unique uint256 tokenId to transfer the child token to");
+
+        uint256 _receiverTokenId = abi.decode(_data, (uint256));
+        require(_exists(_receiverTokenId), "DigitalaxOutfitNFT.onERC721Received: Token does not exist");
+
+        // Only the outfit owner can add their own garments
+        require(ownerOf(_receiverTokenId) == _from, "DigitalaxOutfitNFT.onERC721Received: Cannot add garments to outfits you dont own");
+        require(_operator == _from, "DigitalaxOutfitNFT.onERC721Received: Operator is not owner");
+
+        require(
+            outfitGarments[_receiverTokenId].length() < maxGarmentsPerOutfit,
+            "DigitalaxOutfitNFT.onERC721Received: Cannot exceed max garments per outfit"
+        );
+
+        outfitGarments[_receiverTokenId].add(_garmentTokenId);
+        garmentOutfit[_garmentTokenId] = _receiverTokenId;
+
+        emit ReceivedERC721Child(_from, _receiverTokenId, _msgSender(), _garmentTokenId);
+
+        return this.onERC721Received.selector;
+    }
+
+    //////////
+    // Admin /
+    //////////
+
+    /**
+     @notice Updates the token URI of a given token
+     @dev Only admin or smart contract
+     @param _tokenId The ID of the token being updated
+     @param _tokenUri The new URI
+     */
+    function setTokenURI(uint256 _tokenId, string calldata _tokenUri) external {
+        require(
+            accessControls.hasSmartContractRole(_msgSender()) || accessControls.hasAdminRole(_msgSender()),
+            "DigitalaxOutfitNFT.setTokenURI: Sender must be an authorised contract or admin"
+        );
+        _setTokenURI(_tokenId, _tokenUri);
+        emit DigitalaxOutfitTokenUriUpdate(_tokenId, _tokenUri);
+    }
+
+    /**
+     @notice Method for updating the access controls contract used by the NFT
+     @dev Only admin
+     @param _accessControls Address of the new access controls contract
+     */
+    function updateAccessControls(DigitalaxAccessControls _accessControls) external {
+        require(accessControls.hasAdminRole(_msgSender()), "DigitalaxOutfitNFT.updateAccessControls: Sender must be admin");
+        accessControls = _accessControls;
+    }
+
+    /**
+     @notice Method for updating max garments an outfit can hold
+     @dev Only admin
+     @param _maxGarmentsPerOutfit uint256 the max garments an outfit can hold
+     */
+    function updateMaxGarmentsPerOutfit(uint256 _maxGarmentsPerOutfit) external {
+        require(accessControls.hasAdminRole(_msgSender()), "DigitalaxOutfitNFT.updateMaxGarmentsPerOutfit: Sender must be admin");
+        maxGarmentsPerOutfit = _maxGarmentsPerOutfit;
+    }
+
+    /////////////////
+    // View Methods /
+    /////////////////
+
+    /**
+     @notice View method for checking whether a token has been minted
+     @param _tokenId ID of the token being checked
+     */
+    function exists(uint256 _tokenId) external view returns (bool) {
+        return _exists(_tokenId);
+    }
+
+    /**
+     @dev Get list of ERC721 contracts the outfit holds tokens from, the garment contract or nothing when it is empty
+     */
+    function childERC721ContractsFor(uint256 _tokenId) override external view returns (address[] memory childContracts) {
+        if (outfitGarments[_tokenId].length() == 0) {
+            return new address[](0);
+        }
+
+        childContracts = new address[](1);
+        childContracts[0] = address(garmentContract);
+    }
+
+    /**
+     @dev Gets the IDs of the garments held by the outfit
+     */
+    function childERC721IdsForOn(uint256 _tokenId, address _childContract) override external view returns (uint256[] memory) {
+        if (_childContract != address(garmentContract)) {
+            return new uint256[](0);
+        }
+        return garmentIdsFor(_tokenId);
+    }
+
+    /**
+     @dev Gets the IDs of the garments held by the outfit
+     */
+    function garmentIdsFor(uint256 _tokenId) public view returns (uint256[] memory garmentTokenIds) {
+        garmentTokenIds = new uint256[](outfitGarments[_tokenId].length());
+        for (uint256 i = 0; i < garmentTokenIds.length; i++) {
+            garmentTokenIds[i] = outfitGarments[_tokenId].at(i);
+        }
+    }
+
+    /**
+     @notice Gets every strand held by the garments of an outfit, the bottom of the outfit tree
+     @dev One row per garment, strand contract and strand ID - garments without strands have no rows
+     @return _garmentTokenIds Garment holding the strand
+     @return _childContracts ERC1155 contract of the strand
+     @return _childTokenIds ID of the strand
+     @return _balances Amount of the strand held by the garment
+     */
+    function getOutfitStrands(uint256 _tokenId) external view returns (
+        uint256[] memory _garmentTokenIds,
+        address[] memory _childContracts,
+        uint256[] memory _childTokenIds,
+        uint256[] memory _balances
+    ) {
+        uint256[] memory garmentTokenIds = garmentIdsFor(_tokenId);
+
+        uint256 rows;
+        for (uint256 i = 0; i < garmentTokenIds.length; i++) {
+            address[] memory childContracts = garmentContract.childContractsFor(garmentTokenIds[i]);
+            for (uint256 j = 0; j < childContracts.length; j++) {
+                rows = rows.add(garmentContract.childIdsForOn(garmentTokenIds[i], childContracts[j]).length);
+            }
+        }
+
+        _garmentTokenIds = new uint256[](rows);
+        _childContracts = new address[](rows);
+        _childTokenIds = new uint256[](rows);
+        _balances = new uint256[](rows);
+
+        uint256 row;
+        for (uint256 i = 0; i < garmentTokenIds.length; i++) {
+            address[] memory childContracts = garmentContract.childContractsFor(garmentTokenIds[i]);
+            for (uint256 j = 0; j < childContracts.length; j++) {
+                uint256[] memory childTokenIds = garmentContract.childIdsForOn(garmentTokenIds[i], childContracts[j]);
+                for (uint256 k = 0; k < childTokenIds.length; k++) {
+                    _garmentTokenIds[row] = garmentTokenIds[i];
+                    _childContracts[row] = childContracts[j];
+                    _childTokenIds[row] = childTokenIds[k];
+                    _balances[row] = garmentContract.childBalance(garmentTokenIds[i], childContracts[j], childTokenIds[k]);
+                    row = row.add(1);
+                }
+            }
+        }
+    }
+
+    /**
+     * @dev checks the given token ID is approved either for all or the single token ID
+     */
+    function isApproved(uint256 _tokenId, address _operator) public view returns (bool) {
+        return isApprovedForAll(ownerOf(_tokenId), _operator) || getApproved(_tokenId) == _operator;
+    }
+
+    /////////////////////////
+    // Internal and Private /
+    /////////////////////////
+
+    function _transferGarment(uint256 _fromTokenId, address _to, uint256 _garmentTokenId) private {
+        outfitGarments[_fromTokenId].remove(_garmentTokenId);
+        delete garmentOutfit[_garmentTokenId];
+
+        garmentContract.safeTransferFrom(address(this), _to, _garmentTokenId);
+
+        emit TransferERC721Child(_fromTokenId, _to, address(garmentContract), _garmentTokenId);
+    }
+}
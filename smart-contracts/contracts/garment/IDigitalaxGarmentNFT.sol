@@ -7,5 +7,7 @@ import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 interface IDigitalaxGarmentNFT is IERC721 {
     function isApproved(uint256 _tokenId, address _operator) external view returns (bool);
     function setPrimarySalePrice(uint256 _tokenId, uint256 _salePrice) external;
+    function primarySalePrice(uint256 _tokenId) external view returns (uint256);
     function garmentDesigners(uint256 _tokenId) external view returns (address);
+    function getRevenueSplit(uint256 _tokenId) external view returns (address[] memory _recipients, uint256[] memory _splits);
 }
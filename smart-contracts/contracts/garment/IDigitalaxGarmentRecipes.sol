@@ -0,0 +1,8 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.12;
+
+interface IDigitalaxGarmentRecipes {
+    function validateChildReceived(uint256 _garmentTokenId, address _childContract, uint256 _childTokenId, uint256 _balance) external view;
+    function validateChildExtracted(uint256 _garmentTokenId, address _childContract, uint256 _childTokenId, uint256 _balance) external view;
+}
@@ -7,6 +7,12 @@ import "../DigitalaxAuction.sol";
 contract BiddingContractMock {
     DigitalaxAuction public auctionContract;
 
+    // Refunds are rejected until switched on, like a wallet which cannot receive ETH
+    bool public acceptsFunds;
+
+    // Burns all the gas it is sent with, like a bidder trying to block being outbid
+    bool public burnsGas;
+
     constructor(DigitalaxAuction _auctionContract) public {
         auctionContract = _auctionContract;
     }
@@ -14,4 +20,21 @@ contract BiddingContractMock {
     function bid(uint256 _garmentTokenId) external payable {
         auctionContract.placeBid{value: msg.value}(_garmentTokenId);
     }
+
+    function setAcceptsFunds(bool _acceptsFunds) external {
+        acceptsFunds = _acceptsFunds;
+    }
+
+    function setBurnsGas(bool _burnsGas) external {
+        burnsGas = _burnsGas;
+    }
+
+    function withdrawRefund(address _paymentToken) external {
+        auctionContract.withdrawRefund(_paymentToken);
+    }
+
+    receive() external payable {
+        while (burnsGas) {}
+        require(acceptsFunds, "Not accepting funds");
+    }
 }
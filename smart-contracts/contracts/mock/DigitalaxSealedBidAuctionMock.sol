@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.12;
+
+import "../DigitalaxSealedBidAuction.sol";
+
+contract DigitalaxSealedBidAuctionMock is DigitalaxSealedBidAuction {
+    uint256 public nowOverride;
+
+    constructor(
+        DigitalaxAccessControls _accessControls,
+        IDigitalaxGarmentNFT _garmentNft,
+        address payable _platformFeeRecipient
+    )
+    DigitalaxSealedBidAuction(_accessControls, _garmentNft, _platformFeeRecipient)
+    public {}
+
+    function setNowOverride(uint256 _now) external {
+        nowOverride = _now;
+    }
+
+    function _getNow() internal override view returns (uint256) {
+        return nowOverride;
+    }
+}
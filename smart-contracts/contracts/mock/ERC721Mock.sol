@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.6.0;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+contract ERC721Mock is ERC721("ERC721Mock", "MOCK") {
+
+    function mint(uint256 id) external {
+        _mint(msg.sender, id);
+    }
+
+    function safeMint(address to, uint256 id, bytes calldata data) external {
+        _safeMint(to, id, data);
+    }
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.12;
+
+import "./MockERC20.sol";
+
+// Burns 1% of every transfer
+contract MockFeeOnTransferERC20 is MockERC20 {
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint256 supply
+    ) public MockERC20(name, symbol, supply) {}
+
+    function _transfer(address sender, address recipient, uint256 amount) internal override {
+        uint256 fee = amount.div(100);
+        _burn(sender, fee);
+        super._transfer(sender, recipient, amount.sub(fee));
+    }
+}
@@ -0,0 +1,9 @@
+const pipeline = require('./pipeline');
+const {FUND_MULTISIG_ADDRESS, DEFAULT_MINTERS} = require('../scripts/constants');
+
+module.exports = pipeline({
+  fundsMultisig: FUND_MULTISIG_ADDRESS,
+  genesisStart: '1604358000',
+  genesisEnd: '1605481200',
+  minters: DEFAULT_MINTERS,
+});
@@ -0,0 +1,149 @@
+const {ref, DEPLOYER} = require('../scripts/lib/deployer');
+const {GENESIS_TOKEN_URI} = require('../scripts/constants');
+
+/**
+ * The full Digitalax deployment - the per-network configs in this folder only provide the values which differ between networks
+ *
+ * @param fundsMultisig receives the genesis, auction, dutch auction, sealed-bid auction and primary sale proceeds, also made an admin
+ * @param genesisStart genesis sale start timestamp
+ * @param genesisEnd genesis sale end timestamp
+ * @param minters accounts given the minter role
+ * @param bidLedger deploy DigitalaxAuctionBidLedger and record every auction bid in it
+ * @param recipes deploy DigitalaxGarmentRecipes and have garments enforce the recipe they are given
+ */
+module.exports = ({fundsMultisig, genesisStart, genesisEnd, minters = [], bidLedger = false, recipes = false}) => ({
+  contracts: {
+    DigitalaxAccessControls: {},
+    DigitalaxGenesisNFT: {
+      args: [ref('DigitalaxAccessControls'), fundsMultisig, genesisStart, genesisEnd, GENESIS_TOKEN_URI],
+    },
+    DigitalaxMaterials: {
+      args: ['DigitalaxMaterials', 'DXM', ref('DigitalaxAccessControls')],
+    },
+    DigitalaxGarmentNFT: {
+      args: [ref('DigitalaxAccessControls'), ref('DigitalaxMaterials')],
+    },
+    DigitalaxGarmentFactory: {
+      args: [ref('DigitalaxGarmentNFT'), ref('DigitalaxMaterials'), ref('DigitalaxAccessControls')],
+    },
+    DigitalaxOutfitNFT: {
+      args: [ref('DigitalaxAccessControls'), ref('DigitalaxGarmentNFT')],
+    },
+    ...(recipes ? {
+      DigitalaxGarmentRecipes: {
+        args: [ref('DigitalaxAccessControls'), ref('DigitalaxGarmentNFT')],
+      },
+    } : {}),
+    DigitalaxAuction: {
+      args: [ref('DigitalaxAccessControls'), ref('DigitalaxGarmentNFT'), fundsMultisig],
+    },
+    DigitalaxGarmentPrimarySale: {
+      args: [ref('DigitalaxAccessControls'), ref('DigitalaxGarmentNFT'), fundsMultisig],
+    },
+    DigitalaxDutchAuction: {
+      args: [ref('DigitalaxAccessControls'), ref('DigitalaxGarmentNFT'), fundsMultisig],
+    },
+    DigitalaxSealedBidAuction: {
+      args: [ref('DigitalaxAccessControls'), ref('DigitalaxGarmentNFT'), fundsMultisig],
+    },
+    ...(bidLedger ? {
+      DigitalaxAuctionBidLedger: {
+        args: [ref('DigitalaxAuction')],
+      },
+    } : {}),
+  },
+
+  roles: {
+    contract: 'DigitalaxAccessControls',
+    admin: [fundsMultisig],
+    minter: minters,
+    smartContract: [
+      ref('DigitalaxGarmentFactory'),
+      ref('DigitalaxAuction'),
+      ref('DigitalaxGarmentPrimarySale'),
+      ref('DigitalaxDutchAuction'),
+      ref('DigitalaxSealedBidAuction'),
+    ],
+  },
+
+  // Each step is skipped when the getter already returns the last argument
+  setup: [
+    {
+      contract: 'DigitalaxAuction',
+      method: 'updateBidWithdrawalLockTime',
+      args: ['86400'],
+      getter: 'bidWithdrawalLockTime',
+    },
+    {
+      contract: 'DigitalaxAuction',
+      method: 'updatePlatformFee',
+      args: ['0'],
+      getter: 'platformFee',
+    },
+    {
+      contract: 'DigitalaxAuction',
+      method: 'updateMinBidIncrement',
+      args: ['10000000000000000'], // 0.01 ETH
+      getter: 'minBidIncrement',
+    },
+    {
+      contract: 'DigitalaxGarmentPrimarySale',
+      method: 'updatePlatformFee',
+      args: ['0'],
+      getter: 'platformFee',
+    },
+    {
+      contract: 'DigitalaxDutchAuction',
+      method: 'updatePlatformFee',
+      args: ['0'],
+      getter: 'platformFee',
+    },
+    {
+      contract: 'DigitalaxSealedBidAuction',
+      method: 'updatePlatformFee',
+      args: ['0'],
+      getter: 'platformFee',
+    },
+    // Allows the deployer to list the garments they mint
+    {
+      contract: 'DigitalaxGarmentNFT',
+      method: 'setApprovalForAll',
+      args: [ref('DigitalaxAuction'), true],
+      getter: {method: 'isApprovedForAll', args: [DEPLOYER, ref('DigitalaxAuction')]},
+    },
+    {
+      contract: 'DigitalaxGarmentNFT',
+      method: 'setApprovalForAll',
+      args: [ref('DigitalaxGarmentPrimarySale'), true],
+      getter: {method: 'isApprovedForAll', args: [DEPLOYER, ref('DigitalaxGarmentPrimarySale')]},
+    },
+    {
+      contract: 'DigitalaxGarmentNFT',
+      method: 'setApprovalForAll',
+      args: [ref('DigitalaxDutchAuction'), true],
+      getter: {method: 'isApprovedForAll', args: [DEPLOYER, ref('DigitalaxDutchAuction')]},
+    },
+    {
+      contract: 'DigitalaxGarmentNFT',
+      method: 'setApprovalForAll',
+      args: [ref('DigitalaxSealedBidAuction'), true],
+      getter: {method: 'isApprovedForAll', args: [DEPLOYER, ref('DigitalaxSealedBidAuction')]},
+    },
+    ...(bidLedger ? [
+      {
+        contract: 'DigitalaxAuction',
+        method: 'updateBidLedger',
+        args: [ref('DigitalaxAuctionBidLedger')],
+        getter: 'bidLedger',
+      },
+    ] : []),
+    ...(recipes ? [
+      {
+        contract: 'DigitalaxGarmentNFT',
+        method: 'updateRecipes',
+        args: [ref('DigitalaxGarmentRecipes')],
+        getter: 'recipes',
+      },
+    ] : []),
+  ],
+});
@@ -0,0 +1,9 @@
+const pipeline = require('./pipeline');
+const {FUND_MULTISIG_ADDRESS, DEFAULT_MINTERS} = require('../scripts/constants');
+
+module.exports = pipeline({
+  fundsMultisig: FUND_MULTISIG_ADDRESS,
+  genesisStart: process.env.GENESIS_START,
+  genesisEnd: process.env.GENESIS_END,
+  minters: DEFAULT_MINTERS,
+});
@@ -1,28 +1,14 @@
-const FactoryArtifact = require('../artifacts/DigitalaxGarmentFactory.json');
-const AuctionArtifact = require('../artifacts/DigitalaxAuction.json');
+const {runScript} = require('./lib/session');
 const {DESIGNERS} = require('./constants');
 
-async function main() {
-  const [deployer] = await ethers.getSigners();
+async function main({signer: deployer, contract}) {
   const deployerAddress = await deployer.getAddress();
   console.log(
     'Deploying auction with signer address:',
     deployerAddress
   );
 
-  const {
-    AUCTION_ADDRESS,
-    GARMENT_FACTORY_ADDRESS,
-  } = process.env;
-
-  console.log(`AUCTION_ADDRESS found [${AUCTION_ADDRESS}]`);
-  console.log(`GARMENT_FACTORY_ADDRESS found [${GARMENT_FACTORY_ADDRESS}]`);
-
-  const factory = new ethers.Contract(
-    GARMENT_FACTORY_ADDRESS,
-    FactoryArtifact.abi,
-    deployer
-  );
+  const factory = await contract('DigitalaxGarmentFactory');
 
   /////////////////////
   // Create Children //
@@ -76,11 +62,7 @@ async function main() {
   // Create Auction //
   ////////////////////
 
-  const auction = new ethers.Contract(
-    AUCTION_ADDRESS,
-    AuctionArtifact.abi,
-    deployer
-  );
+  const auction = await contract('DigitalaxAuction');
 
   const reservePrice = '100000000000000000';
   const startTime = '1606260600'; // 11/24/2020 @ 11:30pm (UTC) | 3:30pm pst November 24th
@@ -112,11 +94,4 @@ async function main() {
 
 }
 
-// We recommend this pattern to be able to use async/await everywhere
-// and properly handle errors.
-main()
-  .then(() => process.exit(0))
-  .catch(error => {
-    console.error(error);
-    process.exit(1);
-  });
+runScript(main);
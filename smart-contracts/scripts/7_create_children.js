@@ -1,21 +1,13 @@
-const FactoryArtifact = require('../artifacts/DigitalaxGarmentFactory.json');
+const {runScript} = require('./lib/session');
 
-async function main() {
-  const [deployer] = await ethers.getSigners();
+async function main({signer: deployer, contract}) {
   const deployerAddress = await deployer.getAddress();
   console.log(
     'Deploying auction with signer address:',
     deployerAddress
   );
 
-  const {GARMENT_FACTORY_ADDRESS} = process.env;
-  console.log(`GARMENT_FACTORY_ADDRESS found [${GARMENT_FACTORY_ADDRESS}]`);
-
-  const factory = new ethers.Contract(
-    GARMENT_FACTORY_ADDRESS,
-    FactoryArtifact.abi,
-    deployer
-  );
+  const factory = await contract('DigitalaxGarmentFactory');
 
   const childrenMetadataDirectory = '../../../nft-minting-scripts/auction-metadata/token-data/children';
 
@@ -47,11 +39,4 @@ async function main() {
   ]);
 }
 
-// We recommend this pattern to be able to use async/await everywhere
-// and properly handle errors.
-main()
-  .then(() => process.exit(0))
-  .catch(error => {
-    console.error(error);
-    process.exit(1);
-  });
+runScript(main);
@@ -1,23 +1,14 @@
-const FactoryArtifact = require('../artifacts/DigitalaxGarmentFactory.json');
+const {runScript} = require('./lib/session');
 const {DESIGNERS} = require('./constants');
 
-async function main() {
-  const [deployer] = await ethers.getSigners();
+async function main({signer: deployer, contract}) {
   const deployerAddress = await deployer.getAddress();
   console.log(
     'Deploying auction with signer address:',
     deployerAddress
   );
 
-  const {
-    GARMENT_FACTORY_ADDRESS,
-  } = process.env;
-
-  const factory = new ethers.Contract(
-    GARMENT_FACTORY_ADDRESS,
-    FactoryArtifact.abi,
-    deployer
-  );
+  const factory = await contract('DigitalaxGarmentFactory');
 
   // Msistema / Crypto Bitch
   await factory.mintParentWithChildren(
@@ -74,11 +65,4 @@ async function main() {
   );
 }
 
-// We recommend this pattern to be able to use async/await everywhere
-// and properly handle errors.
-main()
-  .then(() => process.exit(0))
-  .catch(error => {
-    console.error(error);
-    process.exit(1);
-  });
+runScript(main);
@@ -1,22 +1,13 @@
-const AuctionArtifact = require('../artifacts/DigitalaxAuction.json');
+const {runScript} = require('./lib/session');
 
-async function main() {
-  const [deployer] = await ethers.getSigners();
+async function main({signer: deployer, contract}) {
   const deployerAddress = await deployer.getAddress();
   console.log(
     'Deploying auction with signer address:',
     deployerAddress
   );
 
-  const {
-    AUCTION_ADDRESS,
-  } = process.env;
-
-  const auction = new ethers.Contract(
-    AUCTION_ADDRESS,
-    AuctionArtifact.abi,
-    deployer
-  );
+  const auction = await contract('DigitalaxAuction');
 
   const reservePrice = '100000000000000000';
 
@@ -73,11 +64,4 @@ async function main() {
 
 }
 
-// We recommend this pattern to be able to use async/await everywhere
-// and properly handle errors.
-main()
-  .then(() => process.exit(0))
-  .catch(error => {
-    console.error(error);
-    process.exit(1);
-  });
+runScript(main);
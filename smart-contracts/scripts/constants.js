@@ -1,5 +1,12 @@
 module.exports = {
   FUND_MULTISIG_ADDRESS: '0x10C0B0DA2A682C12bD36516A95CB8474C02d83De',
+  // Team accounts which mint the drops, given the minter role on every public network as they were by the original mainnet deployment
+  DEFAULT_MINTERS: [
+    '0xd4a3A8188aAA583057dB1A68224deA8EC1e582e3',
+    '0xD677AEd0965AC9B54e709F01A99cEcA205aebC4B',
+    '0x9683BB5f133d24Ce2c8ACFAaee3D83C118E72503',
+    '0x9411EFB374Ed3642Ac5E7f16FbE3857B9607ce4b',
+  ],
   GENESIS_TOKEN_URI: 'https://gateway.pinata.cloud/ipfs/QmRjiYPGEm3GkWYW6Mpp3ZGHvYA6odo8pHbPNvtTjLfYF4',
   DESIGNERS: {
     msistema: '0xFF0c60609522fb053E58AC106EBb7D48ff3d0CCB',
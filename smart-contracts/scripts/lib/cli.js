@@ -0,0 +1,134 @@
+const {task} = require('@nomiclabs/buidler/config');
+const {ethers} = require('ethers');
+
+const {startSession} = require('./session');
+
+/**
+ * Declares an admin task - every admin task can print its result as JSON and be dry run
+ */
+function adminTask(name, description) {
+  return task(name, description)
+    .addFlag('json', 'Print the result as JSON')
+    .addFlag('dryRun', 'Simulate against a fork/snapshot of the network without broadcasting');
+}
+
+/**
+ * Declares a read only task - the result can be printed as JSON but there is nothing to dry run
+ */
+function inspectTask(name, description) {
+  return task(name, description)
+    .addFlag('json', 'Print the result as JSON');
+}
+
+/**
+ * Wraps an admin task action - the action is given the task args and a session {signer, contract(name)}
+ * and returns the result to print, using render(result) when given unless --json is set
+ */
+function adminAction(action, render) {
+  return async (args, bre) => {
+    const session = await startSession({bre, dryRun: Boolean(args.dryRun)});
+
+    let result;
+    try {
+      result = await action(args, session, bre);
+    } finally {
+      await session.finish();
+    }
+
+    if (render && !args.json) {
+      console.log(render(result));
+    } else {
+      printResult(result, args.json);
+    }
+    return result;
+  };
+}
+
+/**
+ * Waits for the transaction and summarises it along with the events it emitted from the called contract,
+ * plus any other contracts given (i.e. DigitalaxMaterials when calling the factory)
+ */
+async function transactionResult(txPromise, ...otherContracts) {
+  const tx = await txPromise;
+  const receipt = await tx.wait();
+
+  const events = (receipt.events || []).map(event => {
+    if (event.event) {
+      return {name: event.event, fragment: event.eventFragment, args: event.args};
+    }
+
+    const emitter = otherContracts.find(contract => contract.address.toLowerCase() === event.address.toLowerCase());
+    if (emitter) {
+      const parsed = emitter.interface.parseLog(event);
+      return {name: parsed.name, fragment: parsed.eventFragment, args: parsed.args};
+    }
+    return null;
+  }).filter(event => event);
+
+  return {
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    events: events.map(({name, fragment, args}) => ({
+      event: name,
+      args: fragment.inputs.reduce((values, input) => ({...values, [input.name]: toJson(args[input.name])}), {}),
+    })),
+  };
+}
+
+/**
+ * Converts contract return values (BigNumbers, arrays) into plain JSON values
+ */
+function toJson(value) {
+  if (Array.isArray(value)) {
+    return value.map(toJson);
+  }
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  return value;
+}
+
+function printResult(result, json) {
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  Object.keys(result || {}).forEach(key => {
+    const value = result[key];
+    console.log(`${key}: ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`);
+  });
+}
+
+/**
+ * Accepts a unix timestamp in seconds or anything Date can parse i.e. 2020-11-27T16:38:31Z
+ */
+function parseTimestamp(value) {
+  if (/^\d+$/.test(value)) {
+    return value;
+  }
+
+  const millis = Date.parse(value);
+  if (Number.isNaN(millis)) {
+    throw new Error(`Invalid timestamp [${value}] - expected unix seconds or an ISO date`);
+  }
+  return `${Math.floor(millis / 1000)}`;
+}
+
+/**
+ * Parses a comma separated list i.e. 1,2,3
+ */
+function parseList(value) {
+  return `${value}`.split(',').map(item => item.trim()).filter(item => item.length);
+}
+
+module.exports = {
+  adminTask,
+  inspectTask,
+  adminAction,
+  transactionResult,
+  toJson,
+  parseTimestamp,
+  parseList,
+};
@@ -0,0 +1,17 @@
+const {getDeployment} = require('./deployments');
+
+/**
+ * Connects to a contract recorded in the deployments registry for the network the script is run against
+ *
+ * @param contractName the name the contract is recorded under, which is also its artifact name
+ * @param signer optional, defaults to the first account
+ * @param bre optional, defaults to the runtime environment the script is run in
+ */
+async function deployedContract(contractName, signer, bre = require('@nomiclabs/buidler')) {
+  const {address} = getDeployment(bre.network.name, contractName);
+  return bre.ethers.getContractAt(contractName, address, signer);
+}
+
+module.exports = {
+  deployedContract,
+};
@@ -0,0 +1,212 @@
+const {deploymentsFile, loadDeployments, saveDeployments} = require('./deployments');
+
+// Placeholder for the address of the account running the deployment
+const DEPLOYER = {$deployer: true};
+
+// Placeholder for the address of another contract in the same deployment
+function ref(contractName) {
+  return {$ref: contractName};
+}
+
+const ROLES = {
+  admin: {has: 'hasAdminRole', grant: 'addAdminRole'},
+  minter: {has: 'hasMinterRole', grant: 'addMinterRole'},
+  smartContract: {has: 'hasSmartContractRole', grant: 'addSmartContractRole'},
+};
+
+/**
+ * Deploys every contract in the config which is not already deployed on the current network (in dependency order),
+ * then grants the configured roles and applies the setup calls. Safe to run again - anything already in place is skipped.
+ *
+ * Fails when a contract already deployed was built from different bytecode than its current artifact, or has no artifact
+ * hash recorded, rather than leaving a version the rest of the deployment may not work with in place.
+ *
+ * @param bre the buidler runtime environment
+ * @param config {contracts, roles, setup} - see deploy/pipeline.js
+ * @return the deployments for the network, keyed by contract name
+ */
+async function deploy(bre, config) {
+  const {ethers, network} = bre;
+
+  const [deployer] = await ethers.getSigners();
+  const deployerAddress = await deployer.getAddress();
+  console.log(`Deploying to [${network.name}] with the account:`, deployerAddress);
+
+  const deployments = loadDeployments(network.name);
+  const context = {deployerAddress, deployments};
+
+  ///////////////
+  // Contracts //
+  ///////////////
+
+  for (const name of sortByDependencies(config.contracts)) {
+    const ContractFactory = await ethers.getContractFactory(artifactName(config, name));
+    const artifactHash = ethers.utils.keccak256(ContractFactory.bytecode);
+
+    const existing = deployments[name];
+    if (existing && await isDeployed(ethers.provider, existing.address)) {
+      // Contracts deployed before the registry existed have no artifact hash, so they cannot be assumed to be the current version either
+      if (existing.artifactHash !== artifactHash) {
+        const recorded = existing.artifactHash ? 'was built from different bytecode than' : 'has no artifact hash recorded to compare with';
+        throw new Error(
+          `${name} deployed at ${existing.address} ${recorded} the current ${artifactName(config, name)} artifact - ` +
+          `remove its entry from ${deploymentsFile(network.name)} to deploy the new version, or build the version it was deployed from`
+        );
+      }
+
+      console.log(`${name} already deployed at ${existing.address} - skipping`);
+      continue;
+    }
+
+    if (existing) {
+      console.log(`${name} recorded at ${existing.address} but no code found - redeploying`);
+    }
+
+    const args = resolve(config.contracts[name].args || [], context);
+    console.log(`Deploying ${name}`, args);
+
+    const instance = await ContractFactory.deploy(...args);
+    const receipt = await instance.deployTransaction.wait();
+
+    deployments[name] = {
+      address: instance.address,
+      blockNumber: receipt.blockNumber,
+      transactionHash: receipt.transactionHash,
+      args,
+      artifactHash,
+    };
+    saveDeployments(network.name, deployments);
+
+    console.log(`${name} deployed at`, instance.address);
+  }
+
+  ///////////
+  // Roles //
+  ///////////
+
+  const {roles = {}} = config;
+  if (roles.contract) {
+    const accessControls = await contractAt(bre, config, roles.contract, context);
+
+    for (const role of Object.keys(ROLES)) {
+      for (const beneficiary of resolve(roles[role] || [], context)) {
+        if (await accessControls[ROLES[role].has](beneficiary)) {
+          console.log(`${beneficiary} already has the ${role} role - skipping`);
+          continue;
+        }
+
+        console.log(`Granting ${role} role to`, beneficiary);
+        const tx = await accessControls[ROLES[role].grant](beneficiary);
+        await tx.wait();
+      }
+    }
+  }
+
+  ///////////
+  // Setup //
+  ///////////
+
+  for (const step of config.setup || []) {
+    const contract = await contractAt(bre, config, step.contract, context);
+    const args = resolve(step.args || [], context);
+
+    if (step.getter) {
+      const getter = typeof step.getter === 'string' ? {method: step.getter} : step.getter;
+      const current = await contract[getter.method](...resolve(getter.args || [], context));
+      const expected = args[args.length - 1];
+
+      if (String(current).toLowerCase() === String(expected).toLowerCase()) {
+        console.log(`${step.contract}.${getter.method} already ${current} - skipping ${step.method}`);
+        continue;
+      }
+    }
+
+    console.log(`Calling ${step.contract}.${step.method}`, args);
+    const tx = await contract[step.method](...args);
+    await tx.wait();
+  }
+
+  return deployments;
+}
+
+function artifactName(config, name) {
+  return config.contracts[name].contract || name;
+}
+
+async function contractAt(bre, config, name, {deployments}) {
+  if (!deployments[name]) {
+    throw new Error(`${name} has not been deployed`);
+  }
+  return bre.ethers.getContractAt(artifactName(config, name), deployments[name].address);
+}
+
+async function isDeployed(provider, address) {
+  const code = await provider.getCode(address);
+  return code !== '0x';
+}
+
+function resolve(value, context) {
+  if (Array.isArray(value)) {
+    return value.map(item => resolve(item, context));
+  }
+
+  if (value === DEPLOYER) {
+    return context.deployerAddress;
+  }
+
+  if (value && value.$ref) {
+    const deployment = context.deployments[value.$ref];
+    if (!deployment) {
+      throw new Error(`${value.$ref} has not been deployed`);
+    }
+    return deployment.address;
+  }
+
+  return value;
+}
+
+function dependenciesOf(value) {
+  if (Array.isArray(value)) {
+    return value.reduce((dependencies, item) => dependencies.concat(dependenciesOf(item)), []);
+  }
+  return value && value.$ref ? [value.$ref] : [];
+}
+
+/**
+ * Orders the contracts so that anything referenced in constructor args is deployed first
+ */
+function sortByDependencies(contracts) {
+  const sorted = [];
+  const visiting = [];
+
+  const visit = (name, referencedBy) => {
+    if (sorted.includes(name)) {
+      return;
+    }
+
+    if (!contracts[name]) {
+      throw new Error(`Unknown contract ${name} referenced by ${referencedBy}`);
+    }
+
+    if (visiting.includes(name)) {
+      throw new Error(`Circular dependency between ${visiting.join(' -> ')} -> ${name}`);
+    }
+
+    visiting.push(name);
+    dependenciesOf(contracts[name].args || []).forEach(dependency => visit(dependency, name));
+    visiting.pop();
+
+    sorted.push(name);
+  };
+
+  Object.keys(contracts).forEach(name => visit(name, 'config'));
+
+  return sorted;
+}
+
+module.exports = {
+  DEPLOYER,
+  ref,
+  deploy,
+  sortByDependencies,
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEPLOYMENTS_DIRECTORY = path.join(__dirname, '..', '..', 'deployments');
+
+// Networks which only live for the duration of a single process - their deployments are only kept in memory
+const EPHEMERAL_NETWORKS = ['buidlerevm'];
+const ephemeralDeployments = {};
+
+function deploymentsFile(networkName) {
+  return path.join(DEPLOYMENTS_DIRECTORY, `${networkName}.json`);
+}
+
+/**
+ * Loads the deployments recorded for a network, keyed by contract name i.e.
+ * {DigitalaxAccessControls: {address, blockNumber, transactionHash, args, artifactHash}}
+ *
+ * Contracts deployed before the registry existed may only have some of these recorded
+ */
+function loadDeployments(networkName) {
+  if (EPHEMERAL_NETWORKS.includes(networkName)) {
+    return JSON.parse(JSON.stringify(ephemeralDeployments[networkName] || {}));
+  }
+
+  const file = deploymentsFile(networkName);
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function getDeployment(networkName, contractName) {
+  const deployment = loadDeployments(networkName)[contractName];
+  if (!deployment) {
+    throw new Error(`No ${contractName} deployment recorded for [${networkName}] in ${deploymentsFile(networkName)}`);
+  }
+  return deployment;
+}
+
+function saveDeployments(networkName, deployments) {
+  if (EPHEMERAL_NETWORKS.includes(networkName)) {
+    ephemeralDeployments[networkName] = JSON.parse(JSON.stringify(deployments));
+    return;
+  }
+
+  if (!fs.existsSync(DEPLOYMENTS_DIRECTORY)) {
+    fs.mkdirSync(DEPLOYMENTS_DIRECTORY);
+  }
+  fs.writeFileSync(deploymentsFile(networkName), `${JSON.stringify(deployments, null, 2)}\n`);
+}
+
+module.exports = {
+  EPHEMERAL_NETWORKS,
+  deploymentsFile,
+  loadDeployments,
+  getDeployment,
+  saveDeployments,
+};
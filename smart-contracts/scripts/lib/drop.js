@@ -0,0 +1,146 @@
+const {Journal} = require('./journal');
+
+// Children are created in batches to keep each transaction well under the block gas limit
+const CHILD_BATCH_SIZE = 10;
+
+/**
+ * Creates any children from the manifest which do not exist yet and mints every garment in it via the factory
+ *
+ * @param factory DigitalaxGarmentFactory connected to a minter
+ * @param materials DigitalaxMaterials
+ * @param manifest as returned from loadManifest()
+ * @param fromBlock block to search for existing children from, normally the materials deployment block
+ * @param journal records each transaction against its manifest entry, so a re-run skips anything already confirmed
+ * @return report {manifest, children: {name: childId}, garments: {name: {tokenId, transactionHash}}}
+ */
+async function mintDrop({factory, materials, manifest, fromBlock = 0, journal = new Journal({})}) {
+  // Anything still pending from a previous run needs to land before checking which children exist
+  await journal.settle();
+
+  const report = {
+    manifest: manifest.name,
+    children: {},
+    garments: {},
+  };
+
+  //////////////
+  // Children //
+  //////////////
+
+  const childIdsByUri = await findChildIdsByUri(materials, fromBlock);
+
+  const missing = [];
+  manifest.children.forEach(({name, uri}) => {
+    if (childIdsByUri[uri]) {
+      console.log(`Child [${name}] already created with ID [${childIdsByUri[uri]}]`);
+      report.children[name] = childIdsByUri[uri];
+    } else {
+      missing.push({name, uri});
+    }
+  });
+
+  for (let i = 0; i < missing.length; i += CHILD_BATCH_SIZE) {
+    const batch = missing.slice(i, i + CHILD_BATCH_SIZE);
+    console.log(`Creating children [${batch.map(({name}) => name).join(', ')}]`);
+
+    const childIds = await journal.run(
+      `children:${batch.map(({name}) => name).join(',')}`,
+      () => factory.createNewChildren(batch.map(({uri}) => uri)),
+      (receipt) => findEvent(receipt, materials, 'ChildrenCreated').args.childIds.map(childId => childId.toString())
+    );
+
+    batch.forEach(({name}, index) => {
+      report.children[name] = childIds[index];
+      console.log(`Child [${name}] created with ID [${report.children[name]}]`);
+    });
+  }
+
+  //////////////
+  // Garments //
+  //////////////
+
+  for (const garment of manifest.garments) {
+    console.log(`Minting garment [${garment.name}]`);
+
+    report.garments[garment.name] = await journal.run(
+      `garment:${garment.name}`,
+      () => mintGarment(factory, garment, report.children),
+      (receipt) => ({
+        tokenId: findEvent(receipt, factory, 'GarmentCreated').args.garmentTokenId.toString(),
+        transactionHash: receipt.transactionHash,
+      })
+    );
+
+    console.log(`Garment [${garment.name}] minted with token ID [${report.garments[garment.name].tokenId}]`);
+  }
+
+  return report;
+}
+
+/**
+ * Mints a single manifest garment, picking the factory method for whether it has children and a revenue split - garments with children can follow a recipe
+ */
+function mintGarment(factory, garment, childIds) {
+  const childTokenIds = garment.children.map(({name}) => childIds[name]);
+  const childTokenAmounts = garment.children.map(({amount}) => amount.toString());
+  const recipeId = garment.recipe.toString();
+
+  if (garment.splits.length) {
+    const recipients = garment.splits.map(({recipient}) => recipient);
+    const splits = garment.splits.map(({split}) => split.toString());
+
+    return garment.children.length
+      ? factory.mintParentWithChildrenAndSplit(
+        garment.uri, garment.designer, childTokenIds, childTokenAmounts, garment.beneficiary, recipients, splits, recipeId
+      )
+      : factory.mintParentWithoutChildrenAndSplit(garment.uri, garment.designer, garment.beneficiary, recipients, splits);
+  }
+
+  if (garment.recipe) {
+    return factory.mintParentWithChildrenAndRecipe(garment.uri, garment.designer, childTokenIds, childTokenAmounts, garment.beneficiary, recipeId);
+  }
+
+  return garment.children.length
+    ? factory.mintParentWithChildren(garment.uri, garment.designer, childTokenIds, childTokenAmounts, garment.beneficiary)
+    : factory.mintParentWithoutChildren(garment.uri, garment.designer, garment.beneficiary);
+}
+
+/**
+ * Maps the metadata URI of every child created so far to its token ID using the ChildCreated and ChildrenCreated events
+ */
+async function findChildIdsByUri(materials, fromBlock) {
+  const created = await materials.queryFilter(materials.filters.ChildCreated(), fromBlock);
+  const batchCreated = await materials.queryFilter(materials.filters.ChildrenCreated(), fromBlock);
+
+  const childIds = created
+    .map(event => event.args.childId)
+    .concat(...batchCreated.map(event => event.args.childIds));
+
+  const childIdsByUri = {};
+  for (const childId of childIds) {
+    const uri = await materials.uri(childId);
+
+    // If the same metadata was created more than once, stick with the first
+    if (!childIdsByUri[uri]) {
+      childIdsByUri[uri] = childId.toString();
+    }
+  }
+  return childIdsByUri;
+}
+
+function findEvent(receipt, contract, eventName) {
+  const event = receipt.logs
+    .filter(log => log.address.toLowerCase() === contract.address.toLowerCase())
+    .map(log => contract.interface.parseLog(log))
+    .find(parsed => parsed.name === eventName);
+
+  if (!event) {
+    throw new Error(`${eventName} not emitted in transaction ${receipt.transactionHash}`);
+  }
+  return event;
+}
+
+module.exports = {
+  mintDrop,
+  findChildIdsByUri,
+};
@@ -0,0 +1,188 @@
+const {ethers} = require('ethers');
+const {loadDeployments} = require('./deployments');
+
+// Networks where the node itself can snapshot and revert state
+const SNAPSHOT_NETWORKS = ['buidlerevm', 'localhost'];
+
+// Contracts whose tokenIdPointer is used to predict the token IDs created by each call
+const TOKEN_ID_POINTERS = {
+  DigitalaxGarmentNFT: 'garment token IDs',
+  DigitalaxMaterials: 'child token IDs',
+};
+
+/**
+ * Starts a simulation of the current network state which transactions can be sent to without ever being broadcast:
+ * - buidlerevm/localhost - a snapshot of the node which is reverted once finished
+ * - any other network - an in-process ganache fork of it with the signer unlocked
+ *
+ * @return {signer, provider, finish} where signer sends transactions to the simulation
+ */
+async function startSimulation(bre, signer) {
+  const address = await signer.getAddress();
+
+  if (SNAPSHOT_NETWORKS.includes(bre.network.name)) {
+    const {provider} = bre.ethers;
+    const snapshotId = await provider.send('evm_snapshot', []);
+    console.log(`Dry run - simulating against a snapshot of [${bre.network.name}]`);
+
+    return {
+      signer,
+      provider,
+      finish: async () => {
+        await provider.send('evm_revert', [snapshotId]);
+      },
+    };
+  }
+
+  const ganache = require('ganache-core');
+  const ganacheProvider = ganache.provider({
+    fork: bre.network.config.url,
+    unlocked_accounts: [address],
+    gasPrice: '0x0',
+    logger: {log: () => {}},
+  });
+  const provider = new ethers.providers.Web3Provider(ganacheProvider);
+  console.log(`Dry run - simulating against a local fork of [${bre.network.name}] at block [${await provider.getBlockNumber()}]`);
+
+  return {
+    signer: provider.getSigner(address),
+    provider,
+    finish: async () => {
+      await new Promise(resolve => ganacheProvider.close(resolve));
+    },
+  };
+}
+
+/**
+ * Reports on every transaction sent to the simulation - the decoded call, its gas estimate, any revert and
+ * the token IDs it will create
+ */
+class DryRunTracer {
+
+  constructor(bre, provider, deployments = loadDeployments(bre.network.name)) {
+    this.bre = bre;
+    this.provider = provider;
+    this.calls = [];
+    this.totalGas = ethers.BigNumber.from('0');
+    this.pointers = {};
+
+    Object.keys(TOKEN_ID_POINTERS).forEach(contractName => {
+      if (deployments[contractName]) {
+        this.pointers[contractName] = new ethers.Contract(
+          deployments[contractName].address,
+          ['function tokenIdPointer() view returns (uint256)'],
+          provider
+        );
+      }
+    });
+  }
+
+  /**
+   * Wraps the contract so that any state changing function goes through the tracer, everything else is untouched
+   */
+  trace(contract, contractName) {
+    const tracer = this;
+    return new Proxy(contract, {
+      get(target, property) {
+        const value = target[property];
+        if (typeof property !== 'string' || typeof value !== 'function') {
+          return value;
+        }
+
+        let fragment;
+        try {
+          fragment = target.interface.getFunction(property);
+        } catch (e) {
+          return value;
+        }
+
+        if (fragment.constant) {
+          return value;
+        }
+        return (...args) => tracer.call(target, contractName, fragment, args);
+      },
+    });
+  }
+
+  async call(contract, contractName, fragment, args) {
+    const description = `${contractName}.${fragment.name}`;
+    console.log(`\n[${this.calls.length + 1}] ${description}`);
+    fragment.inputs.forEach((input, index) => {
+      console.log(`    ${input.name || index}: ${format(args[index])}`);
+    });
+
+    const overrides = args.length > fragment.inputs.length ? args[args.length - 1] : {};
+    if (overrides.value) {
+      console.log(`    value: ${ethers.utils.formatEther(overrides.value)} ETH`);
+    }
+
+    const pointersBefore = await this.readPointers();
+
+    let gas;
+    try {
+      gas = await contract.estimateGas[fragment.name](...args);
+    } catch (e) {
+      const reason = revertReason(e);
+      console.log(`    REVERTS: ${reason}`);
+      this.calls.push({description, reverted: reason});
+      throw new Error(`Dry run stopped - ${description} reverts: ${reason}`);
+    }
+
+    console.log(`    gas estimate: ${gas.toString()}`);
+    this.totalGas = this.totalGas.add(gas);
+    this.calls.push({description, gas: gas.toString()});
+
+    // Apply the call to the simulation so later calls see its effects
+    const tx = await contract[fragment.name](...args);
+    await tx.wait();
+
+    const pointersAfter = await this.readPointers();
+    Object.keys(pointersAfter).forEach(contractName => {
+      const from = pointersBefore[contractName].add(1);
+      const to = pointersAfter[contractName];
+      if (to.gte(from)) {
+        const ids = from.eq(to) ? `${to}` : `${from} - ${to}`;
+        console.log(`    predicted ${TOKEN_ID_POINTERS[contractName]}: ${ids}`);
+      }
+    });
+
+    return tx;
+  }
+
+  async readPointers() {
+    const pointers = {};
+    for (const contractName of Object.keys(this.pointers)) {
+      pointers[contractName] = await this.pointers[contractName].tokenIdPointer();
+    }
+    return pointers;
+  }
+
+  async summary() {
+    console.log(`\nDry run complete - ${this.calls.length} transaction(s), nothing was broadcast`);
+
+    const gasPrice = await this.bre.ethers.provider.getGasPrice();
+    const cost = ethers.utils.formatEther(this.totalGas.mul(gasPrice));
+    console.log(`Total gas estimate: ${this.totalGas.toString()} (~${cost} ETH at ${ethers.utils.formatUnits(gasPrice, 'gwei')} gwei)`);
+  }
+}
+
+function format(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(format).join(', ')}]`;
+  }
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  return `${value}`;
+}
+
+function revertReason(error) {
+  const message = (error.error && error.error.message) || error.reason || error.message;
+  const match = message.match(/revert(?:ed with reason string)? '?([^']*)'?/);
+  return match && match[1] ? match[1].trim() : message;
+}
+
+module.exports = {
+  startSimulation,
+  DryRunTracer,
+};
@@ -0,0 +1,547 @@
+const {ethers} = require('ethers');
+
+const {toJson} = require('./cli');
+
+// Only the views needed to describe a child are used so any ERC1155 child contract can be inspected,
+// tokenTotalSupply is only available on the Digitalax materials so is optional
+const CHILD_ABI = [
+  'function uri(uint256 id) view returns (string)',
+  'function tokenTotalSupply(uint256 id) view returns (uint256)',
+];
+
+// Bidders are read from the ledger in pages of this size
+const BIDDER_PAGE_SIZE = 100;
+
+// Access control roles, keyed by the name used on the command line
+const ROLES = {
+  'admin': {constant: 'DEFAULT_ADMIN_ROLE', has: 'hasAdminRole', grant: 'addAdminRole', revoke: 'removeAdminRole'},
+  'minter': {constant: 'MINTER_ROLE', has: 'hasMinterRole', grant: 'addMinterRole', revoke: 'removeMinterRole'},
+  'smart-contract': {constant: 'SMART_CONTRACT_ROLE', has: 'hasSmartContractRole', grant: 'addSmartContractRole', revoke: 'removeSmartContractRole'},
+};
+
+/**
+ * Reads everything known about a garment - owner, metadata, designer, every child it holds and its auction
+ *
+ * @param garment DigitalaxGarmentNFT
+ * @param auction DigitalaxAuction
+ * @return {tokenId, owner, tokenUri, designer, primarySalePrice, children: [{contract, id, balance, uri, totalSupply}], accessories: [{contract, id}], auction}
+ */
+async function inspectGarment({garment, auction, tokenId}) {
+  if (!await garment.exists(tokenId)) {
+    throw new Error(`Garment [${tokenId}] does not exist`);
+  }
+
+  const children = [];
+  for (const childContract of await garment.childContractsFor(tokenId)) {
+    const child = new ethers.Contract(childContract, CHILD_ABI, garment.provider);
+
+    for (const childId of await garment.childIdsForOn(tokenId, childContract)) {
+      children.push({
+        contract: childContract,
+        id: childId.toString(),
+        balance: (await garment.childBalance(tokenId, childContract, childId)).toString(),
+        uri: await child.uri(childId),
+        totalSupply: await child.tokenTotalSupply(childId).then(toJson, () => null),
+      });
+    }
+  }
+
+  // ERC721 children, which have no balance or supply to report
+  const accessories = [];
+  for (const childContract of await garment.childERC721ContractsFor(tokenId)) {
+    for (const childId of await garment.childERC721IdsForOn(tokenId, childContract)) {
+      accessories.push({contract: childContract, id: childId.toString()});
+    }
+  }
+
+  return {
+    tokenId: `${tokenId}`,
+    owner: await garment.ownerOf(tokenId),
+    tokenUri: await garment.tokenURI(tokenId),
+    designer: await garment.garmentDesigners(tokenId),
+    primarySalePrice: toJson(await garment.primarySalePrice(tokenId)),
+    children,
+    accessories,
+    auction: await inspectAuction({auction, tokenId}),
+  };
+}
+
+/**
+ * Reads an outfit with every garment it holds, and their strands, down to the bottom of the outfit tree
+ *
+ * @param outfit DigitalaxOutfitNFT
+ * @param garment DigitalaxGarmentNFT
+ * @param auction DigitalaxAuction
+ * @return {tokenId, owner, tokenUri, stylist, garments: [inspectGarment result]}
+ */
+async function inspectOutfit({outfit, garment, auction, tokenId}) {
+  if (!await outfit.exists(tokenId)) {
+    throw new Error(`Outfit [${tokenId}] does not exist`);
+  }
+
+  const garments = [];
+  for (const garmentId of await outfit.garmentIdsFor(tokenId)) {
+    garments.push(await inspectGarment({garment, auction, tokenId: garmentId.toString()}));
+  }
+
+  return {
+    tokenId: `${tokenId}`,
+    owner: await outfit.ownerOf(tokenId),
+    tokenUri: await outfit.tokenURI(tokenId),
+    stylist: await outfit.outfitStylists(tokenId),
+    garments,
+  };
+}
+
+/**
+ * Reads the current auction of a garment and works out where it is up to from the latest block time
+ *
+ * @return {auctionId, status, paymentToken, reservePrice, buyNowPrice, startTime, endTime, resulted, reserveMet, highestBid: {bidder, bid, lastBidTime} | null}
+ * where status is one of not listed, scheduled, live, ended or resulted, the auction ID is 0 when not listed,
+ * the payment token is the zero address for ETH and the buy-now price is zero when the auction has none
+ */
+async function inspectAuction({auction, tokenId}) {
+  const auctionId = await auction.garmentAuctionIds(tokenId);
+  const {_reservePrice, _startTime, _endTime, _resulted} = await auction.getAuction(tokenId);
+  const {_bidder, _bid, _lastBidTime} = await auction.getHighestBidder(tokenId);
+  const paymentToken = await auction.auctionPaymentTokens(auctionId);
+  const buyNowPrice = await auction.buyNowPrices(auctionId);
+  const {timestamp} = await auction.provider.getBlock('latest');
+
+  let status;
+  if (_endTime.isZero()) {
+    status = 'not listed';
+  } else if (_resulted) {
+    status = 'resulted';
+  } else if (_startTime.gt(timestamp)) {
+    status = 'scheduled';
+  } else if (_endTime.gte(timestamp)) {
+    status = 'live';
+  } else {
+    status = 'ended';
+  }
+
+  return {
+    auctionId: auctionId.toString(),
+    status,
+    paymentToken,
+    reservePrice: _reservePrice.toString(),
+    buyNowPrice: buyNowPrice.toString(),
+    startTime: _startTime.toNumber(),
+    endTime: _endTime.toNumber(),
+    resulted: _resulted,
+    reserveMet: _bidder !== ethers.constants.AddressZero && _bid.gte(_reservePrice),
+    highestBid: _bidder === ethers.constants.AddressZero ? null : {
+      bidder: _bidder,
+      bid: _bid.toString(),
+      lastBidTime: _lastBidTime.toNumber(),
+    },
+  };
+}
+
+/**
+ * Reads a page of the bids recorded for an auction in DigitalaxAuctionBidLedger, along with every bidder's stats
+ *
+ * @param auction DigitalaxAuction
+ * @param bidLedger DigitalaxAuctionBidLedger the auction records bids in
+ * @param auctionId defaults to the current auction of the garment when only tokenId is given
+ * @return {auctionId, paymentToken, bidCount, uniqueBidders, bids: [{bidder, bid, time}], bidders: [{bidder, bidCount, maxBid}]}
+ * with bids oldest first from the offset and bidders in the order of their first bid
+ */
+async function inspectBids({auction, bidLedger, tokenId, auctionId, offset = 0, limit = 20}) {
+  const id = auctionId !== undefined ? auctionId : await auction.garmentAuctionIds(tokenId);
+  const {_bidCount, _uniqueBidders} = await bidLedger.getAuctionStats(id);
+  const {_bidders, _bids, _times} = await bidLedger.getBids(id, offset, limit);
+
+  const bidders = [];
+  for (let i = 0; i < _uniqueBidders.toNumber(); i += BIDDER_PAGE_SIZE) {
+    const page = await bidLedger.getBidders(id, i, BIDDER_PAGE_SIZE);
+    page._bidders.forEach((bidder, index) => bidders.push({
+      bidder,
+      bidCount: page._bidCounts[index].toNumber(),
+      maxBid: page._maxBids[index].toString(),
+    }));
+  }
+
+  return {
+    auctionId: id.toString(),
+    paymentToken: await auction.auctionPaymentTokens(id),
+    bidCount: _bidCount.toNumber(),
+    uniqueBidders: _uniqueBidders.toNumber(),
+    bids: _bidders.map((bidder, index) => ({
+      bidder,
+      bid: _bids[index].toString(),
+      time: _times[index].toNumber(),
+    })),
+    bidders,
+  };
+}
+
+/**
+ * Reads a garment's auction in DigitalaxDutchAuction and works out where it is up to, and its price, from the latest block time
+ *
+ * @return {status, startPrice, floorPrice, currentPrice, startTime, endTime, priceDropInterval, resulted}
+ * where status is one of not listed, scheduled, live, ended or resulted and the current price is null unless the garment can be bought
+ */
+async function inspectDutchAuction({dutchAuction, tokenId}) {
+  const {startPrice, floorPrice, startTime, endTime, priceDropInterval, resulted} = await dutchAuction.auctions(tokenId);
+  const {timestamp} = await dutchAuction.provider.getBlock('latest');
+
+  let status;
+  if (endTime.isZero()) {
+    status = 'not listed';
+  } else if (resulted) {
+    status = 'resulted';
+  } else if (startTime.gt(timestamp)) {
+    status = 'scheduled';
+  } else if (endTime.gte(timestamp)) {
+    status = 'live';
+  } else {
+    status = 'ended';
+  }
+
+  return {
+    status,
+    startPrice: startPrice.toString(),
+    floorPrice: floorPrice.toString(),
+    currentPrice: status === 'live' ? (await dutchAuction.getCurrentPrice(tokenId)).toString() : null,
+    startTime: startTime.toNumber(),
+    endTime: endTime.toNumber(),
+    priceDropInterval: priceDropInterval.toNumber(),
+    resulted,
+  };
+}
+
+/**
+ * Reads an auction of DigitalaxSealedBidAuction and works out which phase it is in from the latest block time
+ *
+ * @param auctionId defaults to the latest auction of the garment when only tokenId is given
+ * @return {auctionId, garmentTokenId, status, reservePrice, startTime, commitEndTime, revealEndTime, forfeitUnrevealed, resulted, cancelled, highestBid}
+ * where status is one of not listed, scheduled, commit, reveal, ended, resulted or cancelled and the highest bid is null until a bid meeting the reserve is revealed
+ */
+async function inspectSealedBidAuction({sealedBidAuction, tokenId, auctionId}) {
+  const id = auctionId !== undefined ? auctionId : await sealedBidAuction.garmentAuctionIds(tokenId);
+  const {garmentTokenId, reservePrice, startTime, commitEndTime, revealEndTime, forfeitUnrevealed, resulted, cancelled} = await sealedBidAuction.auctions(id);
+  const {bidder, bid} = await sealedBidAuction.highestBids(id);
+  const {timestamp} = await sealedBidAuction.provider.getBlock('latest');
+
+  let status;
+  if (revealEndTime.isZero()) {
+    status = 'not listed';
+  } else if (cancelled) {
+    status = 'cancelled';
+  } else if (resulted) {
+    status = 'resulted';
+  } else if (startTime.gt(timestamp)) {
+    status = 'scheduled';
+  } else if (commitEndTime.gt(timestamp)) {
+    status = 'commit';
+  } else if (revealEndTime.gte(timestamp)) {
+    status = 'reveal';
+  } else {
+    status = 'ended';
+  }
+
+  return {
+    auctionId: id.toString(),
+    garmentTokenId: garmentTokenId.toString(),
+    status,
+    reservePrice: reservePrice.toString(),
+    startTime: startTime.toNumber(),
+    commitEndTime: commitEndTime.toNumber(),
+    revealEndTime: revealEndTime.toNumber(),
+    forfeitUnrevealed,
+    resulted,
+    cancelled,
+    highestBid: bidder === ethers.constants.AddressZero ? null : {bidder, bid: bid.toString()},
+  };
+}
+
+/**
+ * Reads a fixed price listing of DigitalaxGarmentPrimarySale and works out where it is up to from the latest block time
+ *
+ * @return {listingId, status, garmentTokenIds, bundleSize, price, startTime, maxPerWallet, bundlesSold, bundlesLeft}
+ * where status is one of not listed, scheduled, on sale, sold out or cancelled
+ */
+async function inspectListing({sale, listingId}) {
+  const {_garmentTokenIds, _bundleSize, _price, _startTime, _maxPerWallet, _bundlesSold, _cancelled} = await sale.getListing(listingId);
+  const {timestamp} = await sale.provider.getBlock('latest');
+
+  const bundles = _bundleSize.isZero() ? 0 : _garmentTokenIds.length / _bundleSize.toNumber();
+  const bundlesLeft = bundles - _bundlesSold.toNumber();
+
+  let status;
+  if (_bundleSize.isZero()) {
+    status = 'not listed';
+  } else if (_cancelled) {
+    status = 'cancelled';
+  } else if (bundlesLeft === 0) {
+    status = 'sold out';
+  } else if (_startTime.gt(timestamp)) {
+    status = 'scheduled';
+  } else {
+    status = 'on sale';
+  }
+
+  return {
+    listingId: listingId.toString(),
+    status,
+    garmentTokenIds: _garmentTokenIds.map(id => id.toString()),
+    bundleSize: _bundleSize.toNumber(),
+    price: _price.toString(),
+    startTime: _startTime.toNumber(),
+    maxPerWallet: _maxPerWallet.toNumber(),
+    bundlesSold: _bundlesSold.toNumber(),
+    bundlesLeft,
+  };
+}
+
+/**
+ * @return {role: bool} for every role held or not held by the account
+ */
+async function inspectRoles({accessControls, account}) {
+  const roles = {};
+  for (const name of Object.keys(ROLES)) {
+    roles[name] = await accessControls[ROLES[name].has](account);
+  }
+  return roles;
+}
+
+/**
+ * @return {role: [address]} for every role
+ */
+async function listRoleMembers({accessControls}) {
+  const members = {};
+  for (const name of Object.keys(ROLES)) {
+    const roleId = await accessControls[ROLES[name].constant]();
+    const count = (await accessControls.getRoleMemberCount(roleId)).toNumber();
+
+    members[name] = [];
+    for (let i = 0; i < count; i++) {
+      members[name].push(await accessControls.getRoleMember(roleId, i));
+    }
+  }
+  return members;
+}
+
+///////////////
+// Rendering //
+///////////////
+
+function renderGarment(garment) {
+  return renderTree(garmentNode(garment));
+}
+
+function renderOutfit(outfit) {
+  return renderTree({
+    label: `Outfit #${outfit.tokenId}`,
+    children: [
+      {label: `owner: ${outfit.owner}`},
+      {label: `stylist: ${outfit.stylist}`},
+      {label: `uri: ${outfit.tokenUri}`},
+      {
+        label: `garments (${outfit.garments.length})`,
+        children: outfit.garments.map(garmentNode),
+      },
+    ],
+  });
+}
+
+function garmentNode(garment) {
+  return {
+    label: `Garment #${garment.tokenId}`,
+    children: [
+      {label: `owner: ${garment.owner}`},
+      {label: `designer: ${garment.designer}`},
+      {label: `uri: ${garment.tokenUri}`},
+      {label: `primary sale price: ${formatEther(garment.primarySalePrice)}`},
+      {
+        label: `strands (${garment.children.length})`,
+        children: garment.children.map(child => ({
+          label: `#${child.id} x${child.balance} - ${child.uri}`,
+          children: [
+            {label: `contract: ${child.contract}`},
+            {label: `total supply: ${child.totalSupply === null ? 'unknown' : child.totalSupply}`},
+          ],
+        })),
+      },
+      ...(garment.accessories.length > 0 ? [{
+        label: `accessories (${garment.accessories.length})`,
+        children: garment.accessories.map(accessory => ({label: `#${accessory.id} - contract: ${accessory.contract}`})),
+      }] : []),
+      auctionNode(garment.auction),
+    ],
+  };
+}
+
+function renderAuction(auction) {
+  return renderTree(auctionNode(auction));
+}
+
+function auctionNode(auction) {
+  if (auction.status === 'not listed') {
+    return {label: 'auction: not listed'};
+  }
+
+  const reserve = auction.highestBid
+    ? `reserve ${auction.reserveMet ? 'met' : 'not met'}`
+    : 'no bids';
+
+  return {
+    label: `auction #${auction.auctionId}: ${auction.status} (${reserve})`,
+    children: [
+      {label: `reserve price: ${formatAmount(auction.reservePrice, auction.paymentToken)}`},
+      ...(auction.buyNowPrice !== '0' ? [{label: `buy now price: ${formatAmount(auction.buyNowPrice, auction.paymentToken)}`}] : []),
+      {label: `starts: ${formatTime(auction.startTime)}`},
+      {label: `ends: ${formatTime(auction.endTime)}`},
+      {
+        label: auction.highestBid
+          ? `highest bid: ${formatAmount(auction.highestBid.bid, auction.paymentToken)} by ${auction.highestBid.bidder} at ${formatTime(auction.highestBid.lastBidTime)}`
+          : 'highest bid: none',
+      },
+    ],
+  };
+}
+
+function renderBids(result) {
+  return renderTree({
+    label: `auction #${result.auctionId}: ${result.bidCount} bids from ${result.uniqueBidders} bidders`,
+    children: [
+      {
+        label: `bids (${result.bids.length} shown)`,
+        children: result.bids.map(({bidder, bid, time}) => ({
+          label: `${formatAmount(bid, result.paymentToken)} by ${bidder} at ${formatTime(time)}`,
+        })),
+      },
+      {
+        label: 'bidders',
+        children: result.bidders.map(({bidder, bidCount, maxBid}) => ({
+          label: `${bidder} - ${bidCount} bids, highest ${formatAmount(maxBid, result.paymentToken)}`,
+        })),
+      },
+    ],
+  });
+}
+
+function renderDutchAuction(auction) {
+  if (auction.status === 'not listed') {
+    return 'dutch auction: not listed';
+  }
+
+  return renderTree({
+    label: `dutch auction: ${auction.status}`,
+    children: [
+      ...(auction.currentPrice !== null ? [{label: `current price: ${formatEther(auction.currentPrice)}`}] : []),
+      {label: `start price: ${formatEther(auction.startPrice)}`},
+      {label: `floor price: ${formatEther(auction.floorPrice)}`},
+      {label: `price drops: ${auction.priceDropInterval ? `every ${auction.priceDropInterval} seconds` : 'every second'}`},
+      {label: `starts: ${formatTime(auction.startTime)}`},
+      {label: `ends: ${formatTime(auction.endTime)}`},
+    ],
+  });
+}
+
+function renderSealedBidAuction(auction) {
+  if (auction.status === 'not listed') {
+    return 'sealed-bid auction: not listed';
+  }
+
+  return renderTree({
+    label: `sealed-bid auction #${auction.auctionId} of garment #${auction.garmentTokenId}: ${auction.status}`,
+    children: [
+      {label: `reserve price: ${formatEther(auction.reservePrice)}`},
+      {label: `commits open: ${formatTime(auction.startTime)}`},
+      {label: `reveals open: ${formatTime(auction.commitEndTime)}`},
+      {label: `reveals close: ${formatTime(auction.revealEndTime)}`},
+      {label: `unrevealed deposits: ${auction.forfeitUnrevealed ? 'forfeited' : 'refunded'}`},
+      {
+        label: auction.highestBid
+          ? `highest revealed bid: ${formatEther(auction.highestBid.bid)} by ${auction.highestBid.bidder}`
+          : 'highest revealed bid: none',
+      },
+    ],
+  });
+}
+
+function renderListing(listing) {
+  if (listing.status === 'not listed') {
+    return `Listing #${listing.listingId}: not listed`;
+  }
+
+  return renderTree({
+    label: `Listing #${listing.listingId}: ${listing.status}`,
+    children: [
+      {label: `price: ${formatEther(listing.price)}${listing.bundleSize > 1 ? ` per bundle of ${listing.bundleSize}` : ''}`},
+      {label: `starts: ${formatTime(listing.startTime)}`},
+      {label: `limit per wallet: ${listing.maxPerWallet || 'none'}`},
+      {label: `sold: ${listing.bundlesSold} of ${listing.bundlesSold + listing.bundlesLeft}`},
+      {label: `garments: ${listing.garmentTokenIds.join(', ')}`},
+    ],
+  });
+}
+
+function renderRoles({account, roles}) {
+  return renderTree({
+    label: account,
+    children: Object.keys(roles).map(name => ({label: `${roles[name] ? '[x]' : '[ ]'} ${name}`})),
+  });
+}
+
+function renderRoleMembers(members) {
+  return Object.keys(members)
+    .map(name => renderTree({
+      label: `${name} (${members[name].length})`,
+      children: members[name].map(member => ({label: member})),
+    }))
+    .join('\n');
+}
+
+/**
+ * Draws {label, children: [...]} as an indented tree
+ */
+function renderTree({label, children = []}) {
+  const lines = [label];
+  children.forEach((child, index) => {
+    const last = index === children.length - 1;
+    const [first, ...rest] = renderTree(child).split('\n');
+    lines.push(`${last ? '└─ ' : '├─ '}${first}`);
+    rest.forEach(line => lines.push(`${last ? '   ' : '│  '}${line}`));
+  });
+  return lines.join('\n');
+}
+
+function formatEther(wei) {
+  return `${ethers.utils.formatEther(wei)} ETH`;
+}
+
+// Token amounts are left in the smallest unit of the token as its decimals are not known here
+function formatAmount(amount, paymentToken) {
+  return paymentToken === ethers.constants.AddressZero ? formatEther(amount) : `${amount} of token ${paymentToken}`;
+}
+
+function formatTime(timestamp) {
+  return `${new Date(timestamp * 1000).toISOString()} (${timestamp})`;
+}
+
+module.exports = {
+  ROLES,
+  inspectGarment,
+  inspectOutfit,
+  inspectAuction,
+  inspectBids,
+  inspectDutchAuction,
+  inspectSealedBidAuction,
+  inspectListing,
+  inspectRoles,
+  listRoleMembers,
+  renderGarment,
+  renderOutfit,
+  renderAuction,
+  renderBids,
+  renderDutchAuction,
+  renderSealedBidAuction,
+  renderListing,
+  renderRoles,
+  renderRoleMembers,
+  renderTree,
+};
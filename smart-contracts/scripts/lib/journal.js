@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Records every transaction sent for a keyed action (i.e. a manifest entry) so that a run which dies part way
+ * through can be re-run safely - actions already confirmed on chain are skipped, pending ones are waited for
+ * and anything which failed or was dropped is sent again
+ *
+ * The journal file looks like {<key>: {status: 'pending'|'confirmed', transactionHash, result}}
+ */
+class Journal {
+
+  /**
+   * @param provider used to check on previously sent transactions
+   * @param file where the journal is kept, omit to keep it in memory only
+   * @param confirmations blocks to wait for before an action is considered confirmed
+   * @param readOnly load an existing journal but never write to it (i.e. for dry runs)
+   */
+  constructor({provider, file, confirmations = 1, readOnly = false}) {
+    this.provider = provider;
+    this.file = file;
+    this.confirmations = confirmations;
+    this.readOnly = readOnly;
+    this.entries = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  }
+
+  /**
+   * Runs the action for the key unless it has already been confirmed
+   *
+   * @param key unique name for the action
+   * @param send sends the transaction, returning the transaction response
+   * @param onConfirmed given the receipt, returns the result to record against the key
+   * @return the recorded result
+   */
+  async run(key, send, onConfirmed) {
+    const existing = this.entries[key];
+
+    if (existing) {
+      const receipt = await this.waitForExisting(key, existing);
+      if (receipt) {
+        if (existing.status !== 'confirmed') {
+          this.record(key, {status: 'confirmed', transactionHash: receipt.transactionHash, result: await onConfirmed(receipt)});
+        }
+        console.log(`[${key}] already confirmed in ${receipt.transactionHash} - skipping`);
+        return this.entries[key].result;
+      }
+    }
+
+    const tx = await send();
+    this.record(key, {status: 'pending', transactionHash: tx.hash});
+    console.log(`[${key}] sent in ${tx.hash}, waiting for ${this.confirmations} confirmation(s)`);
+
+    const receipt = await tx.wait(this.confirmations);
+    this.record(key, {status: 'confirmed', transactionHash: receipt.transactionHash, result: await onConfirmed(receipt)});
+
+    return this.entries[key].result;
+  }
+
+  /**
+   * Waits for every pending transaction in the journal to settle, so that on chain state can be trusted before deciding what to send
+   */
+  async settle() {
+    for (const key of Object.keys(this.entries)) {
+      if (this.entries[key].status === 'pending') {
+        await this.waitForExisting(key, this.entries[key]);
+      }
+    }
+  }
+
+  /**
+   * @return the receipt if the transaction made it on chain successfully, otherwise null
+   */
+  async waitForExisting(key, {transactionHash}) {
+    const tx = await this.provider.getTransaction(transactionHash);
+    if (!tx) {
+      console.log(`[${key}] transaction ${transactionHash} not found - it was dropped`);
+      return null;
+    }
+
+    if (!tx.blockNumber) {
+      console.log(`[${key}] waiting for pending transaction ${transactionHash}`);
+    }
+
+    try {
+      return await tx.wait(this.confirmations);
+    } catch (e) {
+      console.log(`[${key}] transaction ${transactionHash} failed - ${e.reason || e.message}`);
+      return null;
+    }
+  }
+
+  record(key, entry) {
+    this.entries[key] = entry;
+
+    if (this.file && !this.readOnly) {
+      fs.mkdirSync(path.dirname(this.file), {recursive: true});
+      fs.writeFileSync(this.file, `${JSON.stringify(this.entries, null, 2)}\n`);
+    }
+  }
+}
+
+module.exports = {
+  Journal,
+};
@@ -0,0 +1,253 @@
+const {ethers} = require('ethers');
+
+// Every event which creates, changes or closes an auction - any of them causes the auction to be re-read
+const AUCTION_EVENTS = [
+  'AuctionCreated',
+  'BidPlaced',
+  'BidWithdrawn',
+  'UpdateAuctionEndTime',
+  'UpdateAuctionReservePrice',
+  'AuctionResulted',
+  'AuctionCancelled',
+];
+
+/**
+ * Watches DigitalaxAuction and closes every auction once it has ended:
+ * - resultAuction when the highest bid meets the reserve
+ * - cancelAuction when nobody bid
+ * Auctions which ended with a bid below the reserve are left for an admin to decide on
+ *
+ * Failed transactions are retried with exponential backoff and nothing is sent while the gas price is above the cap
+ */
+class AuctionKeeper {
+
+  /**
+   * @param auction DigitalaxAuction connected to an account with the admin or smart contract role
+   * @param fromBlock block to start following events from, normally the auction deployment block
+   * @param maxGasPrice nothing is sent while the network gas price is above this (wei)
+   * @param confirmations blocks to wait for each transaction
+   * @param maxAttempts attempts at closing an auction before giving up on it
+   * @param retryDelay delay before the first retry (ms), doubled for every attempt after
+   * @param maxRetryDelay upper limit on the retry delay (ms)
+   * @param blockRange most blocks to query events over in one request
+   * @param now returns the chain time (seconds) - defaults to the latest block timestamp
+   * @param clock returns the wall clock time (ms) which retries are scheduled against
+   * @param log where progress is reported
+   */
+  constructor({
+    auction,
+    fromBlock = 0,
+    maxGasPrice,
+    confirmations = 1,
+    maxAttempts = 5,
+    retryDelay = 15 * 1000,
+    maxRetryDelay = 10 * 60 * 1000,
+    blockRange = 5000,
+    now,
+    clock = () => Date.now(),
+    log = console.log,
+  }) {
+    this.auction = auction;
+    this.provider = auction.provider;
+    this.nextBlock = fromBlock;
+    this.maxGasPrice = maxGasPrice ? ethers.BigNumber.from(maxGasPrice) : null;
+    this.confirmations = confirmations;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.blockRange = blockRange;
+    this.now = now || (async () => (await this.provider.getBlock('latest')).timestamp);
+    this.clock = clock;
+    this.log = log;
+
+    // Garment token ID -> {endTime, reservePrice, bidder, bid, attempts, retryAt, warned}
+    this.auctions = {};
+
+    // Garment token IDs closed by the keeper, or given up on
+    this.closed = [];
+    this.failed = [];
+  }
+
+  /**
+   * Picks up any new events then closes every auction which has ended
+   *
+   * @return {resulted: [tokenId], cancelled: [tokenId]} closed during this tick
+   */
+  async tick() {
+    await this.sync();
+
+    const now = await this.now();
+    const closed = {resulted: [], cancelled: []};
+
+    for (const tokenId of Object.keys(this.auctions)) {
+      const auction = this.auctions[tokenId];
+      if (now <= auction.endTime || auction.retryAt > this.clock()) {
+        continue;
+      }
+
+      const action = await this.close(tokenId, auction);
+      if (action) {
+        closed[action].push(tokenId);
+      }
+    }
+
+    return closed;
+  }
+
+  /**
+   * Runs tick() every interval until stop() is called
+   */
+  async run(interval = 60 * 1000) {
+    this.running = true;
+    this.log(`Keeper watching auctions from block [${this.nextBlock}]`);
+
+    while (this.running) {
+      try {
+        await this.tick();
+      } catch (e) {
+        // Most likely the node is unavailable - keep going and try again on the next tick
+        this.log(`Tick failed - ${e.message}`);
+      }
+
+      await new Promise(resolve => {
+        this.wake = resolve;
+        this.timer = setTimeout(resolve, interval);
+      });
+    }
+
+    this.log('Keeper stopped');
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    if (this.wake) {
+      this.wake();
+    }
+  }
+
+  /**
+   * Reads every auction event since the last sync, re-reading each auction they mention
+   */
+  async sync() {
+    const latestBlock = await this.provider.getBlockNumber();
+
+    const touched = [];
+    while (this.nextBlock <= latestBlock) {
+      const toBlock = Math.min(this.nextBlock + this.blockRange - 1, latestBlock);
+
+      const logs = await this.provider.getLogs({
+        address: this.auction.address,
+        fromBlock: this.nextBlock,
+        toBlock,
+        topics: [AUCTION_EVENTS.map(eventName => this.auction.interface.getEventTopic(eventName))],
+      });
+
+      logs.forEach(log => {
+        const tokenId = this.auction.interface.parseLog(log).args.garmentTokenId.toString();
+        if (!touched.includes(tokenId)) {
+          touched.push(tokenId);
+        }
+      });
+
+      this.nextBlock = toBlock + 1;
+    }
+
+    for (const tokenId of touched) {
+      await this.refresh(tokenId);
+    }
+  }
+
+  /**
+   * Reads the current state of an auction - it stops being tracked once it has been resulted or cancelled
+   */
+  async refresh(tokenId) {
+    const {_reservePrice, _endTime, _resulted} = await this.auction.getAuction(tokenId);
+
+    if (_endTime.isZero() || _resulted) {
+      delete this.auctions[tokenId];
+      return null;
+    }
+
+    const {_bidder, _bid} = await this.auction.getHighestBidder(tokenId);
+    this.auctions[tokenId] = {
+      attempts: 0,
+      retryAt: 0,
+      ...this.auctions[tokenId],
+      endTime: _endTime.toNumber(),
+      reservePrice: _reservePrice,
+      bidder: _bidder,
+      bid: _bid,
+    };
+    return this.auctions[tokenId];
+  }
+
+  /**
+   * Results or cancels an auction which has ended
+   *
+   * @return resulted, cancelled or null if nothing was done
+   */
+  async close(tokenId, auction) {
+    let action;
+    if (auction.bidder === ethers.constants.AddressZero) {
+      action = 'cancelled';
+    } else if (auction.bid.gte(auction.reservePrice)) {
+      action = 'resulted';
+    } else {
+      if (!auction.warned) {
+        this.log(`Auction [${tokenId}] ended below its reserve - leaving it for an admin`);
+        auction.warned = true;
+      }
+      return null;
+    }
+
+    const gasPrice = await this.provider.getGasPrice();
+    if (this.maxGasPrice && gasPrice.gt(this.maxGasPrice)) {
+      this.log(`Gas price ${formatGwei(gasPrice)} is above the cap of ${formatGwei(this.maxGasPrice)} - waiting to close auction [${tokenId}]`);
+      return null;
+    }
+
+    try {
+      const tx = action === 'resulted'
+        ? await this.auction.resultAuction(tokenId, {gasPrice})
+        : await this.auction.cancelAuction(tokenId, {gasPrice});
+      this.log(`Auction [${tokenId}] being ${action} in ${tx.hash}`);
+
+      await tx.wait(this.confirmations);
+    } catch (e) {
+      auction.attempts += 1;
+
+      // Someone else may have got there first
+      const current = await this.refresh(tokenId);
+      if (!current) {
+        this.log(`Auction [${tokenId}] was closed elsewhere`);
+        return null;
+      }
+
+      if (current.attempts >= this.maxAttempts) {
+        this.log(`Giving up on auction [${tokenId}] after ${current.attempts} attempts - ${e.reason || e.message}`);
+        delete this.auctions[tokenId];
+        this.failed.push(tokenId);
+        return null;
+      }
+
+      const delay = Math.min(this.retryDelay * 2 ** (current.attempts - 1), this.maxRetryDelay);
+      current.retryAt = this.clock() + delay;
+      this.log(`Failed to close auction [${tokenId}] (attempt ${current.attempts}) - ${e.reason || e.message}, retrying in ${delay / 1000}s`);
+      return null;
+    }
+
+    this.log(`Auction [${tokenId}] ${action}`);
+    delete this.auctions[tokenId];
+    this.closed.push(tokenId);
+    return action;
+  }
+}
+
+function formatGwei(wei) {
+  return `${ethers.utils.formatUnits(wei, 'gwei')} gwei`;
+}
+
+module.exports = {
+  AuctionKeeper,
+};
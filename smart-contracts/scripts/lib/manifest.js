@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const {utils} = require('ethers');
+
+const constants = require('../constants');
+
+/**
+ * Loads and validates a drop manifest (JSON or YAML) - see drops/README.md for the format
+ *
+ * @return {name, file, children: [{name, uri}], garments: [{name, uri, designer, beneficiary, children: [{name, amount}], splits: [{recipient, split}], recipe}]}
+ * with all metadata URIs and addresses resolved
+ */
+function loadManifest(file) {
+  const manifestFile = path.resolve(file);
+  if (!fs.existsSync(manifestFile)) {
+    throw new Error(`Manifest not found at ${manifestFile}`);
+  }
+
+  const contents = fs.readFileSync(manifestFile, 'utf8');
+  const raw = ['.yml', '.yaml'].includes(path.extname(manifestFile))
+    ? yaml.safeLoad(contents)
+    : JSON.parse(contents);
+
+  const fail = (message) => {
+    throw new Error(`Invalid manifest ${manifestFile}: ${message}`);
+  };
+
+  const metadataDirectory = path.resolve(path.dirname(manifestFile), raw.metadataDirectory || '.');
+
+  const resolveUri = (entry, description) => {
+    if (entry.uri) {
+      return entry.uri;
+    }
+    if (entry.hash) {
+      const hashFile = path.join(metadataDirectory, entry.hash);
+      if (!fs.existsSync(hashFile)) {
+        fail(`${description} metadata not found at ${hashFile}`);
+      }
+      return JSON.parse(fs.readFileSync(hashFile, 'utf8')).uri;
+    }
+    fail(`${description} requires a uri or a hash file`);
+  };
+
+  const children = Object.keys(raw.children || {}).map(name => ({
+    name,
+    uri: resolveUri(raw.children[name], `child [${name}]`),
+  }));
+
+  const garmentNames = [];
+  const garments = (raw.garments || []).map((garment, index) => {
+    const {name} = garment;
+    if (!name) {
+      fail(`garment at position ${index} requires a name`);
+    }
+    if (garmentNames.includes(name)) {
+      fail(`garment [${name}] is listed more than once`);
+    }
+    garmentNames.push(name);
+
+    const garmentChildren = Object.keys(garment.children || {}).map(childName => {
+      if (!children.find(child => child.name === childName)) {
+        fail(`garment [${name}] uses child [${childName}] which is not listed under children`);
+      }
+
+      const amount = garment.children[childName];
+      if (!Number.isInteger(amount) || amount <= 0) {
+        fail(`garment [${name}] child [${childName}] amount must be a positive whole number`);
+      }
+      return {name: childName, amount};
+    });
+
+    const splits = Object.keys(garment.splits || {}).map(recipient => {
+      const split = garment.splits[recipient];
+      if (!Number.isInteger(split) || split <= 0) {
+        fail(`garment [${name}] split for [${recipient}] must be a positive whole number of basis points`);
+      }
+      return {recipient: resolveAddress(recipient, `garment [${name}] split recipient`, fail), split};
+    });
+
+    if (splits.length && splits.reduce((total, {split}) => total + split, 0) !== 10000) {
+      fail(`garment [${name}] splits must add up to 10000 basis points`);
+    }
+
+    const recipe = garment.recipe || 0;
+    if (!Number.isInteger(recipe) || recipe < 0) {
+      fail(`garment [${name}] recipe must be a recipe ID`);
+    }
+    if (recipe && !garmentChildren.length) {
+      fail(`garment [${name}] has a recipe but no children`);
+    }
+
+    return {
+      name,
+      uri: resolveUri(garment, `garment [${name}]`),
+      designer: resolveAddress(garment.designer, `garment [${name}] designer`, fail),
+      beneficiary: resolveAddress(garment.beneficiary || raw.beneficiary, `garment [${name}] beneficiary`, fail),
+      children: garmentChildren,
+      splits,
+      recipe,
+    };
+  });
+
+  return {
+    name: raw.name || path.basename(manifestFile, path.extname(manifestFile)),
+    file: manifestFile,
+    children,
+    garments,
+  };
+}
+
+/**
+ * Accepts a raw address, a designer key from constants.DESIGNERS or the name of an address in constants i.e. FUND_MULTISIG_ADDRESS
+ */
+function resolveAddress(value, description, fail) {
+  if (!value) {
+    fail(`${description} is required`);
+  }
+
+  const address = constants.DESIGNERS[value] || constants[value] || value;
+  if (!utils.isAddress(address)) {
+    fail(`${description} [${value}] is not an address, designer or known constant`);
+  }
+  return utils.getAddress(address);
+}
+
+module.exports = {
+  loadManifest,
+};
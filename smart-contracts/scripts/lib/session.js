@@ -0,0 +1,60 @@
+const {deployedContract} = require('./contracts');
+const {startSimulation, DryRunTracer} = require('./dryRun');
+
+/**
+ * Everything a script needs to send transactions - when dryRun is set the signer and contracts point at a simulation
+ * of the network (see dryRun.js) and every call is reported instead of broadcast
+ *
+ * Scripts run with `buidler run` can't take flags so default to dry running when DRY_RUN=true is set
+ *
+ * @return {signer, dryRun, contract(name), finish()} - finish() must be called once done
+ */
+async function startSession({bre = require('@nomiclabs/buidler'), dryRun = process.env.DRY_RUN === 'true'} = {}) {
+  const [signer] = await bre.ethers.getSigners();
+
+  if (!dryRun) {
+    return {
+      signer,
+      dryRun,
+      contract: (contractName) => deployedContract(contractName, signer, bre),
+      finish: async () => {},
+    };
+  }
+
+  const simulation = await startSimulation(bre, signer);
+  const tracer = new DryRunTracer(bre, simulation.provider);
+
+  return {
+    signer: simulation.signer,
+    dryRun,
+    contract: async (contractName) => tracer.trace(await deployedContract(contractName, simulation.signer, bre), contractName),
+    finish: async () => {
+      await tracer.summary();
+      await simulation.finish();
+    },
+  };
+}
+
+/**
+ * Runs a script with a session, always finishing it (reverting any dry run state) before exiting
+ */
+function runScript(script) {
+  startSession()
+    .then(async (session) => {
+      try {
+        await script(session);
+      } finally {
+        await session.finish();
+      }
+    })
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  startSession,
+  runScript,
+};
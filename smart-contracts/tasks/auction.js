@@ -0,0 +1,224 @@
+const {types} = require('@nomiclabs/buidler/config');
+const {ethers, utils} = require('ethers');
+
+const {adminTask, inspectTask, adminAction, transactionResult, parseTimestamp} = require('../scripts/lib/cli');
+const {inspectAuction, inspectBids, renderAuction, renderBids} = require('../scripts/lib/inspect');
+
+// Only what is needed to price and approve bids in a payment token
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+];
+
+/**
+ * Converts an amount in ETH, or whole payment tokens, into wei / the smallest unit of the token
+ */
+async function parseAmount(amount, paymentToken, signer) {
+  if (!paymentToken || paymentToken === ethers.constants.AddressZero) {
+    return utils.parseEther(amount);
+  }
+  const token = new ethers.Contract(paymentToken, ERC20_ABI, signer);
+  return utils.parseUnits(amount, await token.decimals());
+}
+
+/**
+ * Payment token of the current auction of a garment, the zero address for ETH
+ */
+async function auctionPaymentToken(auction, tokenId) {
+  return auction.auctionPaymentTokens(await auction.garmentAuctionIds(tokenId));
+}
+
+adminTask('auction:create', 'Lists a garment for auction - requires the minter role and ownership, or admin with --on-behalf-of-owner')
+  .addParam('tokenId', 'Garment token ID')
+  .addParam('reservePrice', 'Reserve price in ETH, or whole payment tokens')
+  .addParam('start', 'Start time - unix seconds or ISO date')
+  .addParam('end', 'End time - unix seconds or ISO date')
+  .addOptionalParam('buyNowPrice', 'A bid of at least this in ETH, or whole payment tokens, buys the garment straight away')
+  .addOptionalParam('paymentToken', 'Allowed ERC20 token to take bids in instead of ETH')
+  .addOptionalParam('platformFee', 'Platform fee of the auction to 1 decimal place i.e. 120 for 12%, instead of the designer or global fee - requires the admin role')
+  .addFlag('feeOnTotal', 'Take the --platform-fee from the whole winning bid instead of the amount above the reserve')
+  .addFlag('onBehalfOfOwner', 'List a garment owned by someone else using createAuctionOnBehalfOfOwner')
+  .setAction(adminAction(async ({tokenId, reservePrice, start, end, buyNowPrice, paymentToken, platformFee, feeOnTotal, onBehalfOfOwner}, {signer, contract}) => {
+    const auction = await contract('DigitalaxAuction');
+    const reserve = await parseAmount(reservePrice, paymentToken, signer);
+    const buyNow = buyNowPrice ? await parseAmount(buyNowPrice, paymentToken, signer) : 0;
+
+    // DigitalaxAuction.PlatformFeeMode - Default, AboveReserve or OnTotal
+    const feeMode = platformFee === undefined ? 0 : (feeOnTotal ? 2 : 1);
+    const fee = platformFee === undefined ? 0 : platformFee;
+
+    if (paymentToken) {
+      const create = onBehalfOfOwner ? auction.createTokenAuctionOnBehalfOfOwner : auction.createTokenAuction;
+      return transactionResult(create(tokenId, paymentToken, reserve, parseTimestamp(start), parseTimestamp(end), buyNow, fee, feeMode));
+    }
+
+    const create = onBehalfOfOwner ? auction.createAuctionOnBehalfOfOwner : auction.createAuction;
+    return transactionResult(create(tokenId, reserve, parseTimestamp(start), parseTimestamp(end), buyNow, fee, feeMode));
+  }));
+
+adminTask('auction:bid', 'Places a bid on a garment, approving the payment token first if needed')
+  .addParam('tokenId', 'Garment token ID')
+  .addParam('amount', 'Bid in ETH, or whole payment tokens')
+  .setAction(adminAction(async ({tokenId, amount}, {signer, contract}) => {
+    const auction = await contract('DigitalaxAuction');
+    const paymentToken = await auctionPaymentToken(auction, tokenId);
+    const bid = await parseAmount(amount, paymentToken, signer);
+
+    if (paymentToken === ethers.constants.AddressZero) {
+      return transactionResult(auction.placeBid(tokenId, {value: bid}));
+    }
+
+    const token = new ethers.Contract(paymentToken, ERC20_ABI, signer);
+    if ((await token.allowance(await signer.getAddress(), auction.address)).lt(bid)) {
+      await (await token.approve(auction.address, bid)).wait();
+    }
+    return transactionResult(auction.placeTokenBid(tokenId, bid));
+  }));
+
+adminTask('auction:update-payment-token', 'Allows or disallows an ERC20 token for new auctions - requires the admin role')
+  .addParam('token', 'ERC20 token address')
+  .addFlag('disallow', 'Stop new auctions being created in the token')
+  .setAction(adminAction(async ({token, disallow}, {contract}) => {
+    const auction = await contract('DigitalaxAuction');
+    return transactionResult(auction.updatePaymentToken(token, !disallow));
+  }));
+
+adminTask('auction:result', 'Results a finished auction - requires the admin or smart contract role')
+  .addParam('tokenId', 'Garment token ID')
+  .setAction(adminAction(async ({tokenId}, {contract}) => {
+    const auction = await contract('DigitalaxAuction');
+    return transactionResult(auction.resultAuction(tokenId));
+  }));
+
+adminTask('auction:cancel', 'Cancels an auction, refunding any bid - requires the admin or smart contract role')
+  .addParam('tokenId', 'Garment token ID')
+  .setAction(adminAction(async ({tokenId}, {contract}) => {
+    const auction = await contract('DigitalaxAuction');
+    return transactionResult(auction.cancelAuction(tokenId));
+  }));
+
+adminTask('auction:update-reserve', 'Updates the reserve price of an auction - requires the admin role')
+  .addParam('tokenId', 'Garment token ID')
+  .addParam('reservePrice', 'Reserve price in ETH, or whole payment tokens')
+  .setAction(adminAction(async ({tokenId, reservePrice}, {signer, contract}) => {
+    const auction = await contract('DigitalaxAuction');
+    const reserve = await parseAmount(reservePrice, await auctionPaymentToken(auction, tokenId), signer);
+    return transactionResult(auction.updateAuctionReservePrice(tokenId, reserve));
+  }));
+
+adminTask('auction:update-buy-now', 'Updates the buy-now price of an auction - requires the admin role')
+  .addParam('tokenId', 'Garment token ID')
+  .addParam('buyNowPrice', 'Buy-now price in ETH, or whole payment tokens, 0 removes it')
+  .setAction(adminAction(async ({tokenId, buyNowPrice}, {signer, contract}) => {
+    const auction = await contract('DigitalaxAuction');
+    const buyNow = await parseAmount(buyNowPrice, await auctionPaymentToken(auction, tokenId), signer);
+    return transactionResult(auction.updateAuctionBuyNowPrice(tokenId, buyNow));
+  }));
+
+adminTask('auction:update-end', 'Updates the end time of an auction - requires the admin role')
+  .addParam('tokenId', 'Garment token ID')
+  .addParam('end', 'End time - unix seconds or ISO date')
+  .setAction(adminAction(async ({tokenId, end}, {contract}) => {
+    const auction = await contract('DigitalaxAuction');
+    return transactionResult(auction.updateAuctionEndTime(tokenId, parseTimestamp(end)));
+  }));
+
+adminTask('auction:update-bid-extension', 'Updates the anti-sniping extension across all auctions - requires the admin role')
+  .addParam('window', 'Bids placed this many seconds before the end extend the auction, 0 disables extensions')
+  .addParam('time', 'Seconds the end of the auction is pushed out by')
+  .setAction(adminAction(async ({window, time}, {contract}) => {
+    const auction = await contract('DigitalaxAuction');
+    return {
+      window: await transactionResult(auction.updateBidExtensionWindow(window)),
+      time: await transactionResult(auction.updateBidExtensionTime(time)),
+    };
+  }));
+
+adminTask('auction:update-platform-fee', 'Updates the platform fee for new auctions, a designer\'s new auctions or a single open auction - requires the admin role')
+  .addParam('platformFee', 'Platform fee to 1 decimal place i.e. 120 for 12%')
+  .addOptionalParam('tokenId', 'Override the fee of the open auction for this garment')
+  .addOptionalParam('designer', 'Set the fee of new auctions for this designer\'s garments')
+  .addOptionalParam('feeOnTotal', 'Take the fee from the whole winning bid instead of the amount above the reserve', undefined, types.boolean)
+  .addFlag('disable', 'Stop using the designer fee, going back to the global platform fee')
+  .setAction(adminAction(async ({platformFee, tokenId, designer, feeOnTotal, disable}, {contract}) => {
+    const auction = await contract('DigitalaxAuction');
+
+    if (tokenId) {
+      return transactionResult(auction.updateAuctionPlatformFee(tokenId, platformFee, Boolean(feeOnTotal)));
+    }
+    if (designer) {
+      return transactionResult(auction.updateDesignerPlatformFee(designer, platformFee, !disable));
+    }
+
+    const result = {
+      platformFee: await transactionResult(auction.updatePlatformFee(platformFee)),
+    };
+    if (feeOnTotal !== undefined) {
+      result.feeOnTotal = await transactionResult(auction.updatePlatformFeeOnTotal(feeOnTotal));
+    }
+    return result;
+  }));
+
+adminTask('auction:withdraw-refund', 'Withdraws refunds credited to the account when it was outbid')
+  .addOptionalParam('paymentToken', 'ERC20 token the refunds are in, defaults to ETH', ethers.constants.AddressZero)
+  .setAction(adminAction(async ({paymentToken}, {contract}) => {
+    const auction = await contract('DigitalaxAuction');
+    return transactionResult(auction.withdrawRefund(paymentToken));
+  }));
+
+adminTask('auction:update-bidder-policy', 'Updates how refunds are made and whether contracts can bid - requires the admin role')
+  .addOptionalParam('pullRefunds', 'Credit every refund for bidders to withdraw instead of sending it', undefined, types.boolean)
+  .addOptionalParam('allowContractBidders', 'Allow smart contracts i.e. multisigs to bid', undefined, types.boolean)
+  .setAction(adminAction(async ({pullRefunds, allowContractBidders}, {contract}) => {
+    const auction = await contract('DigitalaxAuction');
+
+    const result = {};
+    if (pullRefunds !== undefined) {
+      result.pullRefunds = await transactionResult(auction.updatePullRefunds(pullRefunds));
+    }
+    if (allowContractBidders !== undefined) {
+      result.allowContractBidders = await transactionResult(auction.updateAllowContractBidders(allowContractBidders));
+    }
+    return result;
+  }));
+
+adminTask('auction:update-bid-ledger', 'Sets the ledger every bid is recorded in - requires the admin role')
+  .addParam('ledger', 'DigitalaxAuctionBidLedger address, the zero address stops recording bids')
+  .setAction(adminAction(async ({ledger}, {contract}) => {
+    const auction = await contract('DigitalaxAuction');
+    return transactionResult(auction.updateBidLedger(ledger));
+  }));
+
+inspectTask('auction:status', 'Shows the state of a garment auction and its highest bid')
+  .addParam('tokenId', 'Garment token ID')
+  .setAction(adminAction(async ({tokenId}, {contract}) => inspectAuction({
+    auction: await contract('DigitalaxAuction'),
+    tokenId,
+  }), renderAuction));
+
+inspectTask('auction:bids', 'Shows the bids recorded for an auction and the stats of each bidder, when bids are being recorded')
+  .addOptionalParam('tokenId', 'Garment token ID, for its current auction')
+  .addOptionalParam('auctionId', 'Auction ID, for a past auction of the garment')
+  .addOptionalParam('offset', 'Index of the first bid shown', 0, types.int)
+  .addOptionalParam('limit', 'Maximum number of bids shown', 20, types.int)
+  .setAction(adminAction(async ({tokenId, auctionId, offset, limit}, {contract}, bre) => {
+    if (!tokenId && !auctionId) {
+      throw new Error('Either --token-id or --auction-id is required');
+    }
+
+    const auction = await contract('DigitalaxAuction');
+    const ledgerAddress = await auction.bidLedger();
+    if (ledgerAddress === ethers.constants.AddressZero) {
+      throw new Error('Bids are not being recorded - see auction:update-bid-ledger');
+    }
+
+    return inspectBids({
+      auction,
+      bidLedger: await bre.ethers.getContractAt('DigitalaxAuctionBidLedger', ledgerAddress),
+      tokenId,
+      auctionId,
+      offset,
+      limit,
+    });
+  }, renderBids));
@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+const {task} = require('@nomiclabs/buidler/config');
+
+const {deploy} = require('../scripts/lib/deployer');
+const {deploymentsFile} = require('../scripts/lib/deployments');
+
+task('deploy', 'Deploys and configures any Digitalax contracts missing from the selected network')
+  .addOptionalParam('config', 'Path to a deployment config, defaults to deploy/<network>.js')
+  .setAction(async ({config}, bre) => {
+    const configFile = config
+      ? path.resolve(config)
+      : path.join(__dirname, '..', 'deploy', `${bre.network.name}.js`);
+
+    if (!fs.existsSync(configFile)) {
+      throw new Error(`No deployment config found at ${configFile}`);
+    }
+
+    await bre.run('compile');
+
+    const deployments = await deploy(bre, require(configFile));
+
+    console.log(`Deployments recorded in ${deploymentsFile(bre.network.name)}`);
+    console.log(JSON.stringify(deployments, null, 2));
+  });
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const {task, types} = require('@nomiclabs/buidler/config');
+
+const {loadManifest} = require('../scripts/lib/manifest');
+const {mintDrop} = require('../scripts/lib/drop');
+const {getDeployment, EPHEMERAL_NETWORKS} = require('../scripts/lib/deployments');
+const {Journal} = require('../scripts/lib/journal');
+const {startSession} = require('../scripts/lib/session');
+
+task('drop:mint', 'Creates the children and mints the garments listed in a drop manifest')
+  .addParam('manifest', 'Path to the JSON or YAML drop manifest')
+  .addOptionalParam('report', 'Where to write the report, defaults to drops/reports/<network>/<manifest name>.json')
+  .addOptionalParam('confirmations', 'Blocks to wait for before each transaction is considered done', 1, types.int)
+  .addFlag('dryRun', 'Simulate the drop against a fork/snapshot of the network, reporting every call without broadcasting')
+  .setAction(async ({manifest: manifestFile, report: reportFile, confirmations, dryRun}, bre) => {
+    const manifest = loadManifest(manifestFile);
+
+    const session = await startSession({bre, dryRun});
+    console.log(`Minting drop [${manifest.name}] on [${bre.network.name}] with the account:`, await session.signer.getAddress());
+
+    // Transactions are journaled per manifest entry so a failed run can be re-run to finish the drop
+    const journal = new Journal({
+      provider: session.signer.provider,
+      file: EPHEMERAL_NETWORKS.includes(bre.network.name)
+        ? null
+        : path.join(__dirname, '..', 'drops', 'journal', bre.network.name, `${manifest.name}.json`),
+      confirmations: dryRun ? 1 : confirmations,
+      readOnly: dryRun,
+    });
+
+    let report;
+    try {
+      report = await mintDrop({
+        factory: await session.contract('DigitalaxGarmentFactory'),
+        materials: await session.contract('DigitalaxMaterials'),
+        manifest,
+        fromBlock: getDeployment(bre.network.name, 'DigitalaxMaterials').blockNumber || 0,
+        journal,
+      });
+    } finally {
+      await session.finish();
+    }
+
+    if (dryRun) {
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+
+    const reportPath = reportFile
+      ? path.resolve(reportFile)
+      : path.join(__dirname, '..', 'drops', 'reports', bre.network.name, `${manifest.name}.json`);
+
+    fs.mkdirSync(path.dirname(reportPath), {recursive: true});
+    fs.writeFileSync(reportPath, `${JSON.stringify({network: bre.network.name, ...report}, null, 2)}\n`);
+
+    console.log(`Report written to ${reportPath}`);
+  });
@@ -0,0 +1,67 @@
+const {types} = require('@nomiclabs/buidler/config');
+const {utils} = require('ethers');
+
+const {adminTask, inspectTask, adminAction, transactionResult, parseTimestamp} = require('../scripts/lib/cli');
+const {inspectDutchAuction, renderDutchAuction} = require('../scripts/lib/inspect');
+
+adminTask('dutch:create', 'Lists a garment in a dutch auction - requires the minter role and ownership, or admin with --on-behalf-of-owner')
+  .addParam('tokenId', 'Garment token ID')
+  .addParam('startPrice', 'Price in ETH at the start time')
+  .addParam('floorPrice', 'Price in ETH at the end time, the lowest the garment can sell for')
+  .addParam('start', 'Start time - unix seconds or ISO date')
+  .addParam('end', 'End time - unix seconds or ISO date')
+  .addOptionalParam('priceDropInterval', 'Seconds between each drop in price, 0 for a price which falls every second', 0, types.int)
+  .addFlag('onBehalfOfOwner', 'List a garment owned by someone else using createAuctionOnBehalfOfOwner')
+  .setAction(adminAction(async ({tokenId, startPrice, floorPrice, start, end, priceDropInterval, onBehalfOfOwner}, {contract}) => {
+    const dutchAuction = await contract('DigitalaxDutchAuction');
+    const create = onBehalfOfOwner ? dutchAuction.createAuctionOnBehalfOfOwner : dutchAuction.createAuction;
+    return transactionResult(create(
+      tokenId,
+      utils.parseEther(startPrice),
+      utils.parseEther(floorPrice),
+      parseTimestamp(start),
+      parseTimestamp(end),
+      priceDropInterval
+    ));
+  }));
+
+adminTask('dutch:buy', 'Buys a garment in a dutch auction - anything sent above the price when mined is refunded')
+  .addParam('tokenId', 'Garment token ID')
+  .addOptionalParam('maxPrice', 'Most to pay in ETH, defaults to the current price')
+  .setAction(adminAction(async ({tokenId, maxPrice}, {contract}) => {
+    const dutchAuction = await contract('DigitalaxDutchAuction');
+    const value = maxPrice ? utils.parseEther(maxPrice) : await dutchAuction.getCurrentPrice(tokenId);
+    return transactionResult(dutchAuction.buy(tokenId, {value}));
+  }));
+
+adminTask('dutch:cancel', 'Cancels a dutch auction - requires the admin or smart contract role')
+  .addParam('tokenId', 'Garment token ID')
+  .setAction(adminAction(async ({tokenId}, {contract}) => {
+    const dutchAuction = await contract('DigitalaxDutchAuction');
+    return transactionResult(dutchAuction.cancelAuction(tokenId));
+  }));
+
+adminTask('dutch:update-prices', 'Updates the start and floor price of a dutch auction - requires the admin role')
+  .addParam('tokenId', 'Garment token ID')
+  .addParam('startPrice', 'Price in ETH at the start time')
+  .addParam('floorPrice', 'Price in ETH at the end time')
+  .setAction(adminAction(async ({tokenId, startPrice, floorPrice}, {contract}) => {
+    const dutchAuction = await contract('DigitalaxDutchAuction');
+    return transactionResult(dutchAuction.updateAuctionPrices(tokenId, utils.parseEther(startPrice), utils.parseEther(floorPrice)));
+  }));
+
+adminTask('dutch:update-times', 'Updates the start and end time of a dutch auction - requires the admin role')
+  .addParam('tokenId', 'Garment token ID')
+  .addParam('start', 'Start time - unix seconds or ISO date')
+  .addParam('end', 'End time - unix seconds or ISO date')
+  .setAction(adminAction(async ({tokenId, start, end}, {contract}) => {
+    const dutchAuction = await contract('DigitalaxDutchAuction');
+    return transactionResult(dutchAuction.updateAuctionTimes(tokenId, parseTimestamp(start), parseTimestamp(end)));
+  }));
+
+inspectTask('dutch:status', 'Shows the dutch auction of a garment and its current price')
+  .addParam('tokenId', 'Garment token ID')
+  .setAction(adminAction(async ({tokenId}, {contract}) => inspectDutchAuction({
+    dutchAuction: await contract('DigitalaxDutchAuction'),
+    tokenId,
+  }), renderDutchAuction));
@@ -0,0 +1,133 @@
+const {adminTask, inspectTask, adminAction, transactionResult, toJson, parseList} = require('../scripts/lib/cli');
+const {inspectGarment, renderGarment} = require('../scripts/lib/inspect');
+
+adminTask('garment:burn', 'Burns a garment, sending its children to the caller - requires ownership or approval')
+  .addParam('tokenId', 'Garment token ID')
+  .setAction(adminAction(async ({tokenId}, {contract}) => {
+    const garment = await contract('DigitalaxGarmentNFT');
+    return transactionResult(garment.burn(tokenId));
+  }));
+
+adminTask('garment:extract-children', 'Takes some strands out of a garment without burning it - requires ownership or approval')
+  .addParam('tokenId', 'Garment token ID')
+  .addParam('childIds', 'Comma separated strand IDs')
+  .addParam('amounts', 'Comma separated amount of each strand')
+  .addOptionalParam('to', 'Recipient of the strands, defaults to the caller')
+  .addOptionalParam('childContract', 'ERC1155 contract of the strands, defaults to the Digitalax materials')
+  .setAction(adminAction(async ({tokenId, childIds, amounts, to, childContract}, {signer, contract}) => {
+    const ids = parseList(childIds);
+    const values = parseList(amounts);
+    if (ids.length !== values.length) {
+      throw new Error('--child-ids and --amounts must be the same length');
+    }
+
+    const garment = await contract('DigitalaxGarmentNFT');
+    return transactionResult(garment.extractChildren(
+      tokenId,
+      to || await signer.getAddress(),
+      childContract || await garment.childContract(),
+      ids,
+      values
+    ));
+  }));
+
+adminTask('garment:update-child-contract', 'Allows or disallows an ERC1155 contract as a source of garment strands - requires the admin role')
+  .addParam('childContract', 'ERC1155 contract address')
+  .addFlag('disallow', 'Stop garments receiving new strands from the contract')
+  .setAction(adminAction(async ({childContract, disallow}, {contract}) => {
+    const garment = await contract('DigitalaxGarmentNFT');
+    return transactionResult(garment.updateChildContract(childContract, !disallow));
+  }));
+
+adminTask('garment:create-recipe', 'Creates a recipe of the strands a type of garment contains - requires the minter role')
+  .addParam('childIds', 'Comma separated strand IDs')
+  .addParam('minAmounts', 'Comma separated least amount of each strand')
+  .addParam('maxAmounts', 'Comma separated most amount of each strand')
+  .addOptionalParam('childContracts', 'Comma separated ERC1155 contract of each strand, defaults to the Digitalax materials')
+  .setAction(adminAction(async ({childIds, minAmounts, maxAmounts, childContracts}, {contract}) => {
+    const ids = parseList(childIds);
+    const mins = parseList(minAmounts);
+    const maxs = parseList(maxAmounts);
+    if (ids.length !== mins.length || ids.length !== maxs.length) {
+      throw new Error('--child-ids, --min-amounts and --max-amounts must be the same length');
+    }
+
+    const materials = await contract('DigitalaxMaterials');
+    const contracts = childContracts ? parseList(childContracts) : ids.map(() => materials.address);
+    if (contracts.length !== ids.length) {
+      throw new Error('--child-contracts and --child-ids must be the same length');
+    }
+
+    const recipes = await contract('DigitalaxGarmentRecipes');
+    return transactionResult(recipes.createRecipe(contracts, ids, mins, maxs));
+  }));
+
+adminTask('garment:set-recipe', 'Gives a garment without strands a recipe it must follow from then on - requires the admin role')
+  .addParam('tokenId', 'Garment token ID')
+  .addParam('recipeId', 'Recipe ID')
+  .setAction(adminAction(async ({tokenId, recipeId}, {contract}) => {
+    const recipes = await contract('DigitalaxGarmentRecipes');
+    return transactionResult(recipes.setGarmentRecipe(tokenId, recipeId));
+  }));
+
+adminTask('garment:set-uri', 'Updates the metadata URI of a garment - requires the admin role')
+  .addParam('tokenId', 'Garment token ID')
+  .addParam('uri', 'New metadata URI')
+  .setAction(adminAction(async ({tokenId, uri}, {contract}) => {
+    const garment = await contract('DigitalaxGarmentNFT');
+    return transactionResult(garment.setTokenURI(tokenId, uri));
+  }));
+
+adminTask('garment:set-royalty', 'Sets the secondary sale royalty of a garment, or of every garment by a designer - requires the admin role')
+  .addParam('receiver', 'Address royalties are paid to, the zero address clears the royalty')
+  .addParam('royalty', 'Royalty in basis points of the sale price i.e. 500 for 5%')
+  .addOptionalParam('tokenId', 'Garment token ID')
+  .addOptionalParam('designer', 'Designer address, instead of a single garment')
+  .setAction(adminAction(async ({receiver, royalty, tokenId, designer}, {contract}) => {
+    if (!tokenId === !designer) {
+      throw new Error('Either --token-id or --designer is required');
+    }
+
+    const garment = await contract('DigitalaxGarmentNFT');
+    return transactionResult(tokenId
+      ? garment.setGarmentRoyalty(tokenId, receiver, royalty)
+      : garment.setDesignerRoyalty(designer, receiver, royalty));
+  }));
+
+adminTask('garment:info', 'Shows the owner, metadata, designer and children of a garment')
+  .addParam('tokenId', 'Garment token ID')
+  .setAction(adminAction(async ({tokenId}, {contract}) => {
+    const garment = await contract('DigitalaxGarmentNFT');
+
+    if (!await garment.exists(tokenId)) {
+      throw new Error(`Garment [${tokenId}] does not exist`);
+    }
+
+    const children = [];
+    for (const childContract of await garment.childContractsFor(tokenId)) {
+      for (const childId of await garment.childIdsForOn(tokenId, childContract)) {
+        children.push({
+          contract: childContract,
+          id: childId.toString(),
+          balance: (await garment.childBalance(tokenId, childContract, childId)).toString(),
+        });
+      }
+    }
+
+    return {
+      tokenId,
+      owner: await garment.ownerOf(tokenId),
+      tokenUri: await garment.tokenURI(tokenId),
+      designer: await garment.garmentDesigners(tokenId),
+      primarySalePrice: toJson(await garment.primarySalePrice(tokenId)),
+      children,
+    };
+  }));
+
+inspectTask('garment:tree', 'Shows a garment with its owner, metadata, strands and auction status')
+  .addParam('tokenId', 'Garment token ID')
+  .setAction(adminAction(async ({tokenId}, {contract}) => inspectGarment({
+    garment: await contract('DigitalaxGarmentNFT'),
+    auction: await contract('DigitalaxAuction'),
+    tokenId,
+  }), renderGarment));
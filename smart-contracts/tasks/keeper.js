@@ -0,0 +1,39 @@
+const {task, types} = require('@nomiclabs/buidler/config');
+const {utils} = require('ethers');
+
+const {AuctionKeeper} = require('../scripts/lib/keeper');
+const {deployedContract} = require('../scripts/lib/contracts');
+const {getDeployment} = require('../scripts/lib/deployments');
+
+task('keeper:run', 'Results or cancels auctions as soon as they end - the account needs the admin or smart contract role')
+  .addOptionalParam('interval', 'Seconds between checks', 60, types.int)
+  .addOptionalParam('maxGasPrice', 'Never send transactions while the gas price is above this many gwei')
+  .addOptionalParam('fromBlock', 'Block to start following auctions from, defaults to the auction deployment block', undefined, types.int)
+  .addOptionalParam('confirmations', 'Blocks to wait for each transaction', 1, types.int)
+  .addOptionalParam('maxAttempts', 'Attempts at closing an auction before giving up on it', 5, types.int)
+  .addFlag('once', 'Check once and exit instead of running until stopped i.e. when run from cron')
+  .setAction(async ({interval, maxGasPrice, fromBlock, confirmations, maxAttempts, once}, bre) => {
+    const [signer] = await bre.ethers.getSigners();
+    const account = await signer.getAddress();
+
+    const accessControls = await deployedContract('DigitalaxAccessControls', signer, bre);
+    if (!await accessControls.hasAdminRole(account) && !await accessControls.hasSmartContractRole(account)) {
+      throw new Error(`Account [${account}] needs the admin or smart contract role to result and cancel auctions`);
+    }
+
+    const keeper = new AuctionKeeper({
+      auction: await deployedContract('DigitalaxAuction', signer, bre),
+      fromBlock: fromBlock === undefined ? getDeployment(bre.network.name, 'DigitalaxAuction').blockNumber || 0 : fromBlock,
+      maxGasPrice: maxGasPrice ? utils.parseUnits(maxGasPrice, 'gwei') : null,
+      confirmations,
+      maxAttempts,
+    });
+
+    if (once) {
+      return keeper.tick();
+    }
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => keeper.stop()));
+    console.log(`Keeper running on [${bre.network.name}] with the account: ${account}`);
+    await keeper.run(interval * 1000);
+  });
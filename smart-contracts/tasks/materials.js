@@ -0,0 +1,43 @@
+const {utils} = require('ethers');
+
+const {adminTask, adminAction, transactionResult, parseList} = require('../scripts/lib/cli');
+
+adminTask('materials:create', 'Creates a new child (strand) via the garment factory - requires the minter role')
+  .addParam('uri', 'Child metadata URI')
+  .setAction(adminAction(async ({uri}, {contract}) => {
+    const factory = await contract('DigitalaxGarmentFactory');
+    const materials = await contract('DigitalaxMaterials');
+    return transactionResult(factory.createNewChild(uri), materials);
+  }));
+
+adminTask('materials:mint', 'Mints more of an existing child - requires the smart contract role')
+  .addParam('childId', 'Child token ID')
+  .addParam('amount', 'Amount to mint')
+  .addOptionalParam('beneficiary', 'Recipient, defaults to the caller')
+  .addOptionalParam('garmentId', 'Mint straight into this garment instead of the beneficiary')
+  .setAction(adminAction(async ({childId, amount, beneficiary, garmentId}, {signer, contract}) => {
+    const materials = await contract('DigitalaxMaterials');
+
+    if (garmentId) {
+      // The garment picks up the parent token ID from the data
+      const garment = await contract('DigitalaxGarmentNFT');
+      return transactionResult(materials.mintChild(childId, amount, garment.address, utils.defaultAbiCoder.encode(['uint256'], [garmentId])));
+    }
+
+    return transactionResult(materials.mintChild(childId, amount, beneficiary || await signer.getAddress(), '0x'));
+  }));
+
+adminTask('materials:balance', 'Shows the balance of children held by an account')
+  .addParam('childIds', 'Comma separated child token IDs i.e. 1,2,3')
+  .addOptionalParam('account', 'Account to check, defaults to the caller')
+  .setAction(adminAction(async ({childIds, account}, {signer, contract}) => {
+    const materials = await contract('DigitalaxMaterials');
+    const holder = account || await signer.getAddress();
+
+    const balances = {};
+    for (const childId of parseList(childIds)) {
+      balances[childId] = (await materials.balanceOf(holder, childId)).toString();
+    }
+
+    return {account: holder, balances};
+  }));
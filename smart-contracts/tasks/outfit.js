@@ -0,0 +1,45 @@
+const {utils} = require('ethers');
+
+const {adminTask, inspectTask, adminAction, transactionResult} = require('../scripts/lib/cli');
+const {inspectOutfit, renderOutfit} = require('../scripts/lib/inspect');
+
+adminTask('outfit:mint', 'Mints an empty outfit, garments are then added by their owner - requires the minter role')
+  .addParam('uri', 'Outfit metadata URI')
+  .addParam('stylist', 'Address of who put the outfit together')
+  .addOptionalParam('beneficiary', 'Recipient, defaults to the caller')
+  .setAction(adminAction(async ({uri, stylist, beneficiary}, {signer, contract}) => {
+    const outfit = await contract('DigitalaxOutfitNFT');
+    return transactionResult(outfit.mint(beneficiary || await signer.getAddress(), uri, stylist));
+  }));
+
+adminTask('outfit:wrap', 'Adds a garment to an outfit - requires ownership of both')
+  .addParam('tokenId', 'Outfit token ID')
+  .addParam('garmentId', 'Garment token ID')
+  .setAction(adminAction(async ({tokenId, garmentId}, {signer, contract}) => {
+    const outfit = await contract('DigitalaxOutfitNFT');
+    const garment = await contract('DigitalaxGarmentNFT');
+
+    // The outfit picks up its token ID from the data
+    return transactionResult(garment['safeTransferFrom(address,address,uint256,bytes)'](
+      await signer.getAddress(),
+      outfit.address,
+      garmentId,
+      utils.defaultAbiCoder.encode(['uint256'], [tokenId])
+    ), outfit);
+  }));
+
+adminTask('outfit:unwrap', 'Burns an outfit, sending its garments to the caller intact - requires ownership or approval')
+  .addParam('tokenId', 'Outfit token ID')
+  .setAction(adminAction(async ({tokenId}, {contract}) => {
+    const outfit = await contract('DigitalaxOutfitNFT');
+    return transactionResult(outfit.burn(tokenId));
+  }));
+
+inspectTask('outfit:tree', 'Shows an outfit with its garments and their strands')
+  .addParam('tokenId', 'Outfit token ID')
+  .setAction(adminAction(async ({tokenId}, {contract}) => inspectOutfit({
+    outfit: await contract('DigitalaxOutfitNFT'),
+    garment: await contract('DigitalaxGarmentNFT'),
+    auction: await contract('DigitalaxAuction'),
+    tokenId,
+  }), renderOutfit));
@@ -0,0 +1,36 @@
+const {adminTask, inspectTask, adminAction, transactionResult} = require('../scripts/lib/cli');
+const {ROLES, inspectRoles, listRoleMembers, renderRoles, renderRoleMembers} = require('../scripts/lib/inspect');
+
+function roleFor(name) {
+  if (!ROLES[name]) {
+    throw new Error(`Unknown role [${name}] - expected one of ${Object.keys(ROLES).join(', ')}`);
+  }
+  return ROLES[name];
+}
+
+adminTask('roles:grant', 'Grants a role on the access controls - requires the admin role')
+  .addParam('role', `One of ${Object.keys(ROLES).join(', ')}`)
+  .addParam('account', 'Account to grant the role to')
+  .setAction(adminAction(async ({role, account}, {contract}) => {
+    const accessControls = await contract('DigitalaxAccessControls');
+    return transactionResult(accessControls[roleFor(role).grant](account));
+  }));
+
+adminTask('roles:revoke', 'Revokes a role on the access controls - requires the admin role')
+  .addParam('role', `One of ${Object.keys(ROLES).join(', ')}`)
+  .addParam('account', 'Account to revoke the role from')
+  .setAction(adminAction(async ({role, account}, {contract}) => {
+    const accessControls = await contract('DigitalaxAccessControls');
+    return transactionResult(accessControls[roleFor(role).revoke](account));
+  }));
+
+inspectTask('roles:list', 'Lists the members of every role, or the roles held by a single account')
+  .addOptionalParam('account', 'Only show the roles held by this account')
+  .setAction(adminAction(async ({account}, {contract}) => {
+    const accessControls = await contract('DigitalaxAccessControls');
+
+    if (account) {
+      return {account, roles: await inspectRoles({accessControls, account})};
+    }
+    return listRoleMembers({accessControls});
+  }, (result) => result.roles ? renderRoles(result) : renderRoleMembers(result)));
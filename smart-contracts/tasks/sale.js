@@ -0,0 +1,60 @@
+const {types} = require('@nomiclabs/buidler/config');
+const {utils} = require('ethers');
+
+const {adminTask, inspectTask, adminAction, transactionResult, parseTimestamp, parseList} = require('../scripts/lib/cli');
+const {inspectListing, renderListing} = require('../scripts/lib/inspect');
+
+adminTask('sale:create', 'Lists garments for sale at a fixed price - requires the minter role and ownership, or the admin role')
+  .addParam('tokenIds', 'Comma separated garment token IDs, bought in the order given')
+  .addParam('price', 'Price in ETH of each garment, or each bundle when --bundle-size is given')
+  .addParam('start', 'Start time - unix seconds or ISO date')
+  .addOptionalParam('bundleSize', 'Garments bought together in each purchase', 1, types.int)
+  .addOptionalParam('maxPerWallet', 'Most purchases one account can make, 0 for no limit', 0, types.int)
+  .setAction(adminAction(async ({tokenIds, price, start, bundleSize, maxPerWallet}, {contract}) => {
+    const sale = await contract('DigitalaxGarmentPrimarySale');
+    return transactionResult(sale.createListing(
+      parseList(tokenIds),
+      bundleSize,
+      utils.parseEther(price),
+      parseTimestamp(start),
+      maxPerWallet
+    ));
+  }));
+
+adminTask('sale:buy', 'Buys the next garment, or bundle of garments, in a listing at its price')
+  .addParam('listingId', 'Listing ID')
+  .setAction(adminAction(async ({listingId}, {contract}) => {
+    const sale = await contract('DigitalaxGarmentPrimarySale');
+    const {_price} = await sale.getListing(listingId);
+    return transactionResult(sale.buy(listingId, {value: _price}));
+  }));
+
+adminTask('sale:cancel', 'Cancels a listing, freeing any unsold garments - requires the admin or smart contract role')
+  .addParam('listingId', 'Listing ID')
+  .setAction(adminAction(async ({listingId}, {contract}) => {
+    const sale = await contract('DigitalaxGarmentPrimarySale');
+    return transactionResult(sale.cancelListing(listingId));
+  }));
+
+adminTask('sale:update-price', 'Updates the price of a listing - requires the admin role')
+  .addParam('listingId', 'Listing ID')
+  .addParam('price', 'Price in ETH of each garment, or each bundle')
+  .setAction(adminAction(async ({listingId, price}, {contract}) => {
+    const sale = await contract('DigitalaxGarmentPrimarySale');
+    return transactionResult(sale.updateListingPrice(listingId, utils.parseEther(price)));
+  }));
+
+adminTask('sale:update-start', 'Updates the start time of a listing - requires the admin role')
+  .addParam('listingId', 'Listing ID')
+  .addParam('start', 'Start time - unix seconds or ISO date')
+  .setAction(adminAction(async ({listingId, start}, {contract}) => {
+    const sale = await contract('DigitalaxGarmentPrimarySale');
+    return transactionResult(sale.updateListingStartTime(listingId, parseTimestamp(start)));
+  }));
+
+inspectTask('sale:status', 'Shows a fixed price listing and how much of it has sold')
+  .addParam('listingId', 'Listing ID')
+  .setAction(adminAction(async ({listingId}, {contract}) => inspectListing({
+    sale: await contract('DigitalaxGarmentPrimarySale'),
+    listingId,
+  }), renderListing));
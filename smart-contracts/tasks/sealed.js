@@ -0,0 +1,97 @@
+const {utils} = require('ethers');
+
+const {adminTask, inspectTask, adminAction, transactionResult, parseTimestamp} = require('../scripts/lib/cli');
+const {inspectSealedBidAuction, renderSealedBidAuction} = require('../scripts/lib/inspect');
+
+adminTask('sealed:create', 'Lists a garment in a sealed-bid auction - requires the minter role and ownership, or admin with --on-behalf-of-owner')
+  .addParam('tokenId', 'Garment token ID')
+  .addParam('reservePrice', 'Reserve price in ETH')
+  .addParam('start', 'Time commits open - unix seconds or ISO date')
+  .addParam('commitEnd', 'Time commits close and reveals open - unix seconds or ISO date')
+  .addParam('revealEnd', 'Time reveals close and the auction can be resulted - unix seconds or ISO date')
+  .addFlag('onBehalfOfOwner', 'List a garment owned by someone else using createAuctionOnBehalfOfOwner')
+  .setAction(adminAction(async ({tokenId, reservePrice, start, commitEnd, revealEnd, onBehalfOfOwner}, {contract}) => {
+    const sealedBidAuction = await contract('DigitalaxSealedBidAuction');
+    const create = onBehalfOfOwner ? sealedBidAuction.createAuctionOnBehalfOfOwner : sealedBidAuction.createAuction;
+    return transactionResult(create(
+      tokenId,
+      utils.parseEther(reservePrice),
+      parseTimestamp(start),
+      parseTimestamp(commitEnd),
+      parseTimestamp(revealEnd)
+    ));
+  }));
+
+adminTask('sealed:commit', 'Commits a sealed bid - the salt is printed and has to be kept to reveal the bid')
+  .addParam('auctionId', 'Auction ID')
+  .addParam('bid', 'Bid in ETH')
+  .addOptionalParam('deposit', 'Deposit in ETH, at least the bid - pad it so it does not give the bid away, defaults to the bid')
+  .addOptionalParam('salt', 'Secret to seal the bid with, defaults to a random one')
+  .setAction(adminAction(async ({auctionId, bid, deposit, salt}, {signer, contract}) => {
+    const sealedBidAuction = await contract('DigitalaxSealedBidAuction');
+    const secret = salt || utils.hexlify(utils.randomBytes(32));
+
+    // Sealed locally so the bid is never sent before the reveal phase
+    const commitment = utils.solidityKeccak256(
+      ['uint256', 'address', 'uint256', 'bytes32'],
+      [auctionId, await signer.getAddress(), utils.parseEther(bid), secret]
+    );
+
+    const result = await transactionResult(sealedBidAuction.commitBid(auctionId, commitment, {
+      value: utils.parseEther(deposit || bid),
+    }));
+    return {...result, salt: secret};
+  }));
+
+adminTask('sealed:reveal', 'Reveals a committed bid in the reveal phase')
+  .addParam('auctionId', 'Auction ID')
+  .addParam('bid', 'Bid in ETH, as committed')
+  .addParam('salt', 'Salt printed by sealed:commit')
+  .setAction(adminAction(async ({auctionId, bid, salt}, {contract}) => {
+    const sealedBidAuction = await contract('DigitalaxSealedBidAuction');
+    return transactionResult(sealedBidAuction.revealBid(auctionId, utils.parseEther(bid), salt));
+  }));
+
+adminTask('sealed:withdraw', 'Withdraws a deposit, or what is left of it once the winning bid has been paid')
+  .addParam('auctionId', 'Auction ID')
+  .setAction(adminAction(async ({auctionId}, {contract}) => {
+    const sealedBidAuction = await contract('DigitalaxSealedBidAuction');
+    return transactionResult(sealedBidAuction.withdrawDeposit(auctionId));
+  }));
+
+adminTask('sealed:result', 'Results a sealed-bid auction once reveals close - requires the admin or smart contract role')
+  .addParam('auctionId', 'Auction ID')
+  .setAction(adminAction(async ({auctionId}, {contract}) => {
+    const sealedBidAuction = await contract('DigitalaxSealedBidAuction');
+    return transactionResult(sealedBidAuction.resultAuction(auctionId));
+  }));
+
+adminTask('sealed:cancel', 'Cancels a sealed-bid auction, letting every bidder withdraw their deposit - requires the admin or smart contract role')
+  .addParam('auctionId', 'Auction ID')
+  .setAction(adminAction(async ({auctionId}, {contract}) => {
+    const sealedBidAuction = await contract('DigitalaxSealedBidAuction');
+    return transactionResult(sealedBidAuction.cancelAuction(auctionId));
+  }));
+
+adminTask('sealed:claim-forfeited', 'Sends the deposit of a bidder who did not reveal to the platform fee recipient - requires the admin or smart contract role')
+  .addParam('auctionId', 'Auction ID')
+  .addParam('bidder', 'Bidder who did not reveal')
+  .setAction(adminAction(async ({auctionId, bidder}, {contract}) => {
+    const sealedBidAuction = await contract('DigitalaxSealedBidAuction');
+    return transactionResult(sealedBidAuction.claimForfeitedDeposit(auctionId, bidder));
+  }));
+
+inspectTask('sealed:status', 'Shows a sealed-bid auction, which phase it is in and its highest revealed bid')
+  .addOptionalParam('tokenId', 'Garment token ID, for its latest auction')
+  .addOptionalParam('auctionId', 'Auction ID')
+  .setAction(adminAction(async ({tokenId, auctionId}, {contract}) => {
+    if (!tokenId && !auctionId) {
+      throw new Error('Either --token-id or --auction-id is required');
+    }
+
+    return inspectSealedBidAuction({
+      sealedBidAuction: await contract('DigitalaxSealedBidAuction'),
+      tokenId,
+      auctionId,
+    });
+  }, renderSealedBidAuction));
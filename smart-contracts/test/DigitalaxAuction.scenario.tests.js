@@ -120,6 +120,9 @@ contract('DigitalaxAuction scenario tests', (accounts) => {
           '1',
           '0',
           '10',
+          '0',
+          '0',
+          '0',
           {from: tokenHolder}
         );
 
@@ -203,6 +206,9 @@ contract('DigitalaxAuction scenario tests', (accounts) => {
           '1',
           '0',
           '10',
+          '0',
+          '0',
+          '0',
           {from: tokenHolder}
         );
 
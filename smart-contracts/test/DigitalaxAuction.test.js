@@ -14,7 +14,10 @@ const DigitalaxMaterials = artifacts.require('DigitalaxMaterials');
 const DigitalaxGarmentNFT = artifacts.require('DigitalaxGarmentNFT');
 const DigitalaxAuction = artifacts.require('DigitalaxAuctionMock');
 const DigitalaxAuctionReal = artifacts.require('DigitalaxAuction');
+const DigitalaxAuctionBidLedger = artifacts.require('DigitalaxAuctionBidLedger');
 const BiddingContractMock = artifacts.require('BiddingContractMock');
+const MockERC20 = artifacts.require('MockERC20');
+const MockFeeOnTransferERC20 = artifacts.require('MockFeeOnTransferERC20');
 
 contract('DigitalaxAuction', (accounts) => {
   const [admin, smartContract, platformFeeAddress, minter, owner, designer, bidder, bidder2] = accounts;
@@ -22,6 +25,12 @@ contract('DigitalaxAuction', (accounts) => {
   const TOKEN_ONE_ID = new BN('1');
   const TOKEN_TWO_ID = new BN('2');
 
+  const AUCTION_ONE_ID = new BN('1');
+
+  // DigitalaxAuction.PlatformFeeMode
+  const PLATFORM_FEE_ABOVE_RESERVE = '1';
+  const PLATFORM_FEE_ON_TOTAL = '2';
+
   const randomTokenURI = 'rand';
 
   beforeEach(async () => {
@@ -100,6 +109,9 @@ contract('DigitalaxAuction', (accounts) => {
         '1',
         '0',
         '10',
+        '0',
+        '0',
+        '0',
         {from: minter}
       );
       await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
@@ -165,6 +177,121 @@ contract('DigitalaxAuction', (accounts) => {
       });
     });
 
+    describe('updateBidExtensionWindow()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updateBidExtensionWindow('1', {from: bidder}),
+          'DigitalaxAuction.updateBidExtensionWindow: Sender must be admin'
+        );
+      });
+      it('successfully updates bid extension window', async () => {
+        const original = await this.auction.bidExtensionWindow();
+        expect(original).to.be.bignumber.equal('0');
+
+        const {receipt} = await this.auction.updateBidExtensionWindow('600', {from: admin});
+        await expectEvent(receipt, 'UpdateBidExtensionWindow', {bidExtensionWindow: '600'});
+
+        const updated = await this.auction.bidExtensionWindow();
+        expect(updated).to.be.bignumber.equal('600');
+      });
+    });
+
+    describe('updateBidExtensionTime()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updateBidExtensionTime('1', {from: bidder}),
+          'DigitalaxAuction.updateBidExtensionTime: Sender must be admin'
+        );
+      });
+      it('successfully updates bid extension time', async () => {
+        const original = await this.auction.bidExtensionTime();
+        expect(original).to.be.bignumber.equal('0');
+
+        const {receipt} = await this.auction.updateBidExtensionTime('300', {from: admin});
+        await expectEvent(receipt, 'UpdateBidExtensionTime', {bidExtensionTime: '300'});
+
+        const updated = await this.auction.bidExtensionTime();
+        expect(updated).to.be.bignumber.equal('300');
+      });
+    });
+
+    describe('updatePaymentToken()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updatePaymentToken(bidder, true, {from: bidder}),
+          'DigitalaxAuction.updatePaymentToken: Sender must be admin'
+        );
+      });
+      it('reverts when trying to allow the ZERO address', async () => {
+        await expectRevert(
+          this.auction.updatePaymentToken(constants.ZERO_ADDRESS, true, {from: admin}),
+          'DigitalaxAuction.updatePaymentToken: Zero address'
+        );
+      });
+      it('successfully allows and disallows a payment token', async () => {
+        expect(await this.auction.paymentTokens(bidder)).to.be.equal(false);
+
+        const {receipt} = await this.auction.updatePaymentToken(bidder, true, {from: admin});
+        await expectEvent(receipt, 'UpdatePaymentToken', {paymentToken: bidder, allowed: true});
+        expect(await this.auction.paymentTokens(bidder)).to.be.equal(true);
+
+        await this.auction.updatePaymentToken(bidder, false, {from: admin});
+        expect(await this.auction.paymentTokens(bidder)).to.be.equal(false);
+      });
+    });
+
+    describe('updatePullRefunds()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updatePullRefunds(true, {from: bidder}),
+          'DigitalaxAuction.updatePullRefunds: Sender must be admin'
+        );
+      });
+      it('successfully updates pull refunds', async () => {
+        expect(await this.auction.pullRefunds()).to.be.equal(false);
+
+        const {receipt} = await this.auction.updatePullRefunds(true, {from: admin});
+        await expectEvent(receipt, 'UpdatePullRefunds', {pullRefunds: true});
+
+        expect(await this.auction.pullRefunds()).to.be.equal(true);
+      });
+    });
+
+    describe('updateAllowContractBidders()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updateAllowContractBidders(true, {from: bidder}),
+          'DigitalaxAuction.updateAllowContractBidders: Sender must be admin'
+        );
+      });
+      it('successfully updates allow contract bidders', async () => {
+        expect(await this.auction.allowContractBidders()).to.be.equal(false);
+
+        const {receipt} = await this.auction.updateAllowContractBidders(true, {from: admin});
+        await expectEvent(receipt, 'UpdateAllowContractBidders', {allowContractBidders: true});
+
+        expect(await this.auction.allowContractBidders()).to.be.equal(true);
+      });
+    });
+
+    describe('updateBidLedger()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updateBidLedger(bidder, {from: bidder}),
+          'DigitalaxAuction.updateBidLedger: Sender must be admin'
+        );
+      });
+      it('successfully updates the bid ledger', async () => {
+        expect(await this.auction.bidLedger()).to.be.equal(constants.ZERO_ADDRESS);
+
+        const bidLedger = await DigitalaxAuctionBidLedger.new(this.auction.address, {from: admin});
+        const {receipt} = await this.auction.updateBidLedger(bidLedger.address, {from: admin});
+        await expectEvent(receipt, 'UpdateBidLedger', {bidLedger: bidLedger.address});
+
+        expect(await this.auction.bidLedger()).to.be.equal(bidLedger.address);
+      });
+    });
+
     describe('updateAuctionReservePrice()', () => {
       it('fails when not admin', async () => {
         await expectRevert(
@@ -191,6 +318,44 @@ contract('DigitalaxAuction', (accounts) => {
       });
     });
 
+    describe('updateAuctionBuyNowPrice()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updateAuctionBuyNowPrice(TOKEN_ONE_ID, '2', {from: bidder}),
+          'DigitalaxAuction.updateAuctionBuyNowPrice: Sender must be admin'
+        );
+      });
+
+      it('fails when auction doesnt exist', async () => {
+        await expectRevert(
+          this.auction.updateAuctionBuyNowPrice(TOKEN_TWO_ID, '2', {from: admin}),
+          'DigitalaxAuction.updateAuctionBuyNowPrice: No Auction exists'
+        );
+      });
+
+      it('fails when below the reserve', async () => {
+        await this.auction.updateAuctionReservePrice(TOKEN_ONE_ID, '5', {from: admin});
+        await expectRevert(
+          this.auction.updateAuctionBuyNowPrice(TOKEN_ONE_ID, '4', {from: admin}),
+          'DigitalaxAuction.updateAuctionBuyNowPrice: Buy now price below reserve'
+        );
+      });
+
+      it('successfully updates and removes the buy now price', async () => {
+        expect(await this.auction.buyNowPrices(AUCTION_ONE_ID)).to.be.bignumber.equal('0');
+
+        const {receipt} = await this.auction.updateAuctionBuyNowPrice(TOKEN_ONE_ID, '2', {from: admin});
+        await expectEvent(receipt, 'UpdateAuctionBuyNowPrice', {
+          garmentTokenId: TOKEN_ONE_ID,
+          buyNowPrice: '2'
+        });
+        expect(await this.auction.buyNowPrices(AUCTION_ONE_ID)).to.be.bignumber.equal('2');
+
+        await this.auction.updateAuctionBuyNowPrice(TOKEN_ONE_ID, '0', {from: admin});
+        expect(await this.auction.buyNowPrices(AUCTION_ONE_ID)).to.be.bignumber.equal('0');
+      });
+    });
+
     describe('updateAuctionStartTime()', () => {
       it('fails when not admin', async () => {
         await expectRevert(
@@ -294,6 +459,12 @@ contract('DigitalaxAuction', (accounts) => {
           'DigitalaxAuction.updatePlatformFee: Sender must be admin'
         );
       });
+      it('fails when the fee is above 100%', async () => {
+        await expectRevert(
+          this.auction.updatePlatformFee('1001', {from: admin}),
+          'DigitalaxAuction.updatePlatformFee: Fee above 100%'
+        );
+      });
       it('successfully updates access controls', async () => {
         const original = await this.auction.platformFee();
         expect(original).to.be.bignumber.equal('120');
@@ -331,6 +502,91 @@ contract('DigitalaxAuction', (accounts) => {
       });
     });
 
+    describe('updatePlatformFeeOnTotal()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updatePlatformFeeOnTotal(true, {from: bidder}),
+          'DigitalaxAuction.updatePlatformFeeOnTotal: Sender must be admin'
+        );
+      });
+
+      it('successfully updates the fee mode', async () => {
+        expect(await this.auction.platformFeeOnTotal()).to.be.equal(false);
+
+        const {receipt} = await this.auction.updatePlatformFeeOnTotal(true, {from: admin});
+        await expectEvent(receipt, 'UpdatePlatformFeeOnTotal', {platformFeeOnTotal: true});
+
+        expect(await this.auction.platformFeeOnTotal()).to.be.equal(true);
+      });
+    });
+
+    describe('updateDesignerPlatformFee()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updateDesignerPlatformFee(designer, '50', true, {from: bidder}),
+          'DigitalaxAuction.updateDesignerPlatformFee: Sender must be admin'
+        );
+      });
+
+      it('fails when the fee is above 100%', async () => {
+        await expectRevert(
+          this.auction.updateDesignerPlatformFee(designer, '1001', true, {from: admin}),
+          'DigitalaxAuction.updateDesignerPlatformFee: Fee above 100%'
+        );
+      });
+
+      it('successfully updates the designer fee', async () => {
+        const {receipt} = await this.auction.updateDesignerPlatformFee(designer, '50', true, {from: admin});
+        await expectEvent(receipt, 'UpdateDesignerPlatformFee', {designer, platformFee: '50', enabled: true});
+
+        const {platformFee, enabled} = await this.auction.designerPlatformFees(designer);
+        expect(platformFee).to.be.bignumber.equal('50');
+        expect(enabled).to.be.equal(true);
+      });
+    });
+
+    describe('updateAuctionPlatformFee()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updateAuctionPlatformFee(TOKEN_ONE_ID, '50', false, {from: bidder}),
+          'DigitalaxAuction.updateAuctionPlatformFee: Sender must be admin'
+        );
+      });
+
+      it('fails when auction doesnt exist', async () => {
+        await expectRevert(
+          this.auction.updateAuctionPlatformFee(TOKEN_TWO_ID, '50', false, {from: admin}),
+          'DigitalaxAuction.updateAuctionPlatformFee: No open auction exists'
+        );
+      });
+
+      it('fails when the auction has been resulted', async () => {
+        await this.auction.setNowOverride('12');
+        await this.auction.resultAuction(TOKEN_ONE_ID, {from: admin});
+
+        await expectRevert(
+          this.auction.updateAuctionPlatformFee(TOKEN_ONE_ID, '50', false, {from: admin}),
+          'DigitalaxAuction.updateAuctionPlatformFee: No open auction exists'
+        );
+      });
+
+      it('fails when the fee is above 100%', async () => {
+        await expectRevert(
+          this.auction.updateAuctionPlatformFee(TOKEN_ONE_ID, '1001', false, {from: admin}),
+          'DigitalaxAuction.updateAuctionPlatformFee: Fee above 100%'
+        );
+      });
+
+      it('successfully overrides the auction fee', async () => {
+        const {receipt} = await this.auction.updateAuctionPlatformFee(TOKEN_ONE_ID, '50', true, {from: admin});
+        await expectEvent(receipt, 'AuctionPlatformFee', {garmentTokenId: TOKEN_ONE_ID, platformFee: '50', feeOnTotal: true});
+
+        const {platformFee, feeOnTotal} = await this.auction.auctionPlatformFees(AUCTION_ONE_ID);
+        expect(platformFee).to.be.bignumber.equal('50');
+        expect(feeOnTotal).to.be.equal(true);
+      });
+    });
+
     describe('toggleIsPaused()', () => {
       it('can successfully toggle as admin', async () => {
         expect(await this.auction.isPaused()).to.be.false;
@@ -362,7 +618,7 @@ contract('DigitalaxAuction', (accounts) => {
 
       it('fails if does not have minter role', async () => {
         await expectRevert(
-          this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', {from: bidder}),
+          this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', '0', '0', '0', {from: bidder}),
           'DigitalaxAuction.createAuction: Sender must have the minter role'
         );
       });
@@ -370,7 +626,7 @@ contract('DigitalaxAuction', (accounts) => {
       it('fails if endTime is in the past', async () => {
         await this.auction.setNowOverride('12');
         await expectRevert(
-          this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', {from: minter}),
+          this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', '0', '0', '0', {from: minter}),
           "DigitalaxAuction.createAuction: End time passed. Nobody can bid."
         );
       });
@@ -378,17 +634,17 @@ contract('DigitalaxAuction', (accounts) => {
       it('fails if endTime greater than startTime', async () => {
         await this.auction.setNowOverride('2');
         await expectRevert(
-          this.auction.createAuction(TOKEN_ONE_ID, '1', '1', '0', {from: minter}),
+          this.auction.createAuction(TOKEN_ONE_ID, '1', '1', '0', '0', '0', '0', {from: minter}),
           'DigitalaxAuction.createAuction: End time must be greater than start'
         );
       });
 
       it('fails if token already has auction in play', async () => {
         await this.auction.setNowOverride('2');
-        await this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', {from: minter});
+        await this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', '0', '0', '0', {from: minter});
 
         await expectRevert(
-          this.auction.createAuction(TOKEN_ONE_ID, '1', '1', '3', {from: minter}),
+          this.auction.createAuction(TOKEN_ONE_ID, '1', '1', '3', '0', '0', '0', {from: minter}),
           'DigitalaxAuction.createAuction: Cannot relist'
         );
       });
@@ -397,10 +653,10 @@ contract('DigitalaxAuction', (accounts) => {
         await this.auction.setNowOverride('2');
         await this.token.mint(bidder, randomTokenURI, designer, {from: minter});
 
-        await this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', {from: minter});
+        await this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', '0', '0', '0', {from: minter});
 
         await expectRevert(
-          this.auction.createAuction(TOKEN_TWO_ID, '1', '1', '3', {from: minter}),
+          this.auction.createAuction(TOKEN_TWO_ID, '1', '1', '3', '0', '0', '0', {from: minter}),
           'DigitalaxAuction.createAuction: Not owner and or contract not approved'
         );
       });
@@ -409,7 +665,7 @@ contract('DigitalaxAuction', (accounts) => {
         await this.auction.setNowOverride('10');
 
         await expectRevert(
-          this.auction.createAuction('99', '1', '1', '11', {from: minter}),
+          this.auction.createAuction('99', '1', '1', '11', '0', '0', '0', {from: minter}),
           'ERC721: owner query for nonexistent token'
         );
       });
@@ -418,10 +674,18 @@ contract('DigitalaxAuction', (accounts) => {
         await this.auction.setNowOverride('2');
         await this.auction.toggleIsPaused({from: admin});
         await expectRevert(
-          this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', {from: minter}),
+          this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', '0', '0', '0', {from: minter}),
           "Function is currently paused"
         );
       });
+
+      it('fails if the buy now price is below the reserve', async () => {
+        await this.auction.setNowOverride('2');
+        await expectRevert(
+          this.auction.createAuction(TOKEN_ONE_ID, ether('1'), '0', '10', ether('0.5'), '0', '0', {from: minter}),
+          'DigitalaxAuction.createAuction: Buy now price below reserve'
+        );
+      });
     });
 
     describe('successful creation', async () => {
@@ -429,11 +693,48 @@ contract('DigitalaxAuction', (accounts) => {
         await this.auction.setNowOverride('2');
         await this.token.mint(minter, randomTokenURI, designer, {from: minter});
         await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: minter});
-        await this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', {from: minter});
+        await this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', '0', '0', '0', {from: minter});
 
         const owner = await this.token.ownerOf(TOKEN_ONE_ID);
         expect(owner).to.be.equal(minter);
       });
+
+      it('fixes the global platform fee on the auction', async () => {
+        await this.auction.setNowOverride('2');
+        await this.auction.updatePlatformFeeOnTotal(true, {from: admin});
+        await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+        await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: minter});
+        const {receipt} = await this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', '0', '0', '0', {from: minter});
+
+        await expectEvent(receipt, 'AuctionPlatformFee', {garmentTokenId: TOKEN_ONE_ID, platformFee: '120', feeOnTotal: true});
+
+        // Later changes to the global fee only apply to new auctions
+        await this.auction.updatePlatformFee('200', {from: admin});
+
+        const {platformFee, feeOnTotal} = await this.auction.auctionPlatformFees(AUCTION_ONE_ID);
+        expect(platformFee).to.be.bignumber.equal('120');
+        expect(feeOnTotal).to.be.equal(true);
+      });
+
+      it('uses the designer platform fee when enabled', async () => {
+        await this.auction.setNowOverride('2');
+        await this.auction.updateDesignerPlatformFee(designer, '50', true, {from: admin});
+        await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+        await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: minter});
+        const {receipt} = await this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', '0', '0', '0', {from: minter});
+
+        await expectEvent(receipt, 'AuctionPlatformFee', {garmentTokenId: TOKEN_ONE_ID, platformFee: '50', feeOnTotal: false});
+      });
+
+      it('ignores a disabled designer platform fee', async () => {
+        await this.auction.setNowOverride('2');
+        await this.auction.updateDesignerPlatformFee(designer, '50', false, {from: admin});
+        await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+        await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: minter});
+        const {receipt} = await this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', '0', '0', '0', {from: minter});
+
+        await expectEvent(receipt, 'AuctionPlatformFee', {garmentTokenId: TOKEN_ONE_ID, platformFee: '120', feeOnTotal: false});
+      });
     });
 
     describe('creating using real contract (not mock)', () => {
@@ -447,7 +748,7 @@ contract('DigitalaxAuction', (accounts) => {
 
         await this.token.mint(minter, randomTokenURI, designer, {from: minter});
         await this.token.approve(auction.address, TOKEN_ONE_ID, {from: minter});
-        await auction.createAuction(TOKEN_ONE_ID, '1', '0', '99999999999999', {from: minter});
+        await auction.createAuction(TOKEN_ONE_ID, '1', '0', '99999999999999', '0', '0', '0', {from: minter});
 
         const owner = await this.token.ownerOf(TOKEN_ONE_ID);
         expect(owner).to.be.equal(minter);
@@ -464,17 +765,33 @@ contract('DigitalaxAuction', (accounts) => {
     describe('validation', () => {
       it('fails when sender does not have admin or smart contract role', async () => {
         await expectRevert(
-          this.auction.createAuctionOnBehalfOfOwner(TOKEN_ONE_ID, "0", "0", "10", {from: bidder}),
+          this.auction.createAuctionOnBehalfOfOwner(TOKEN_ONE_ID, "0", "0", "10", '0', '0', '0', {from: bidder}),
           "DigitalaxAuction.createAuctionOnBehalfOfOwner: Sender must have admin or smart contract role"
         );
       });
 
       it('fails when auction does not have approval for garment', async () => {
         await expectRevert(
-          this.auction.createAuctionOnBehalfOfOwner(TOKEN_ONE_ID, "0", "0", "10", {from: admin}),
+          this.auction.createAuctionOnBehalfOfOwner(TOKEN_ONE_ID, "0", "0", "10", '0', '0', '0', {from: admin}),
           "DigitalaxAuction.createAuctionOnBehalfOfOwner: Cannot create an auction if you do not have approval"
         );
       });
+
+      it('fails when the platform fee is above 100%', async () => {
+        await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: minter});
+        await expectRevert(
+          this.auction.createAuctionOnBehalfOfOwner(TOKEN_ONE_ID, "0", "0", "10", '0', '1001', PLATFORM_FEE_ON_TOTAL, {from: admin}),
+          "DigitalaxAuction.createAuction: Fee above 100%"
+        );
+      });
+
+      it('fails when a smart contract sets the platform fee', async () => {
+        await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: minter});
+        await expectRevert(
+          this.auction.createAuctionOnBehalfOfOwner(TOKEN_ONE_ID, "0", "0", "10", '0', '50', PLATFORM_FEE_ABOVE_RESERVE, {from: smartContract}),
+          "DigitalaxAuction.createAuction: Only admin can set the platform fee"
+        );
+      });
     });
 
     describe('successful creation', () => {
@@ -483,7 +800,7 @@ contract('DigitalaxAuction', (accounts) => {
       });
 
       const createAuctionOnBehalfOfOwnerGivenSenderIs = async (sender) => {
-        const {receipt} = await this.auction.createAuctionOnBehalfOfOwner(TOKEN_ONE_ID, "0", "0", "10", {from: sender});
+        const {receipt} = await this.auction.createAuctionOnBehalfOfOwner(TOKEN_ONE_ID, "0", "0", "10", '0', '0', '0', {from: sender});
 
         await expectEvent(receipt, 'AuctionCreated', {
           garmentTokenId: TOKEN_ONE_ID
@@ -507,6 +824,22 @@ contract('DigitalaxAuction', (accounts) => {
       it('succeeds with smart contract role', async () => {
         await createAuctionOnBehalfOfOwnerGivenSenderIs(smartContract);
       });
+
+      it('uses the platform fee given by an admin instead of the designer platform fee', async () => {
+        await this.auction.updateDesignerPlatformFee(designer, '50', true, {from: admin});
+
+        const {receipt} = await this.auction.createAuctionOnBehalfOfOwner(TOKEN_ONE_ID, "0", "0", "10", '0', '200', PLATFORM_FEE_ON_TOTAL, {from: admin});
+        await expectEvent(receipt, 'AuctionPlatformFee', {garmentTokenId: TOKEN_ONE_ID, platformFee: '200', feeOnTotal: true});
+
+        const {platformFee, feeOnTotal} = await this.auction.auctionPlatformFees(AUCTION_ONE_ID);
+        expect(platformFee).to.be.bignumber.equal('200');
+        expect(feeOnTotal).to.be.equal(true);
+      });
+
+      it('takes a platform fee given by an admin from the amount above the reserve', async () => {
+        const {receipt} = await this.auction.createAuctionOnBehalfOfOwner(TOKEN_ONE_ID, "0", "0", "10", '0', '0', PLATFORM_FEE_ABOVE_RESERVE, {from: admin});
+        await expectEvent(receipt, 'AuctionPlatformFee', {garmentTokenId: TOKEN_ONE_ID, platformFee: '0', feeOnTotal: false});
+      });
     });
   });
 
@@ -526,6 +859,9 @@ contract('DigitalaxAuction', (accounts) => {
           '1',  // reserve
           '1', // start
           '10', // end
+          '0', // buy now
+          '0', // platform fee
+          '0', // platform fee mode
           {from: minter}
         );
       });
@@ -590,6 +926,9 @@ contract('DigitalaxAuction', (accounts) => {
           '1',  // reserve
           '1', // start
           '10', // end
+          '0', // buy now
+          '0', // platform fee
+          '0', // platform fee mode
           {from: minter}
         );
       });
@@ -678,6 +1017,73 @@ contract('DigitalaxAuction', (accounts) => {
         expect(newBidder).to.equal(bidder2);
       })
     });
+    describe('bid extension', () => {
+
+      beforeEach(async () => {
+        await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+        await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: minter});
+        await this.auction.setNowOverride('1');
+        await this.auction.createAuction(
+          TOKEN_ONE_ID, // ID
+          '1',  // reserve
+          '1', // start
+          '100', // end
+          '0', // buy now
+          '0', // platform fee
+          '0', // platform fee mode
+          {from: minter}
+        );
+
+        await this.auction.updateBidExtensionWindow('10', {from: admin});
+        await this.auction.updateBidExtensionTime('20', {from: admin});
+      });
+
+      it('does not extend the auction when bidding before the window', async () => {
+        await this.auction.setNowOverride('90');
+        const {logs} = await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+        expect(logs.find(({event}) => event === 'UpdateAuctionEndTime')).to.be.undefined;
+
+        const {_endTime} = await this.auction.getAuction(TOKEN_ONE_ID);
+        expect(_endTime).to.be.bignumber.equal('100');
+      });
+
+      it('extends the auction when bidding within the window', async () => {
+        await this.auction.setNowOverride('91');
+        const {receipt} = await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+        await expectEvent(receipt, 'UpdateAuctionEndTime', {garmentTokenId: TOKEN_ONE_ID, endTime: '120'});
+
+        const {_endTime} = await this.auction.getAuction(TOKEN_ONE_ID);
+        expect(_endTime).to.be.bignumber.equal('120');
+      });
+
+      it('keeps extending while bids land in the window', async () => {
+        await this.auction.setNowOverride('100');
+        await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+
+        // Would have been too late without the first extension
+        await this.auction.setNowOverride('115');
+        await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder2, value: ether('0.4')});
+
+        const {_endTime} = await this.auction.getAuction(TOKEN_ONE_ID);
+        expect(_endTime).to.be.bignumber.equal('140');
+
+        await this.auction.setNowOverride('141');
+        await expectRevert(
+          this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('1')}),
+          'DigitalaxAuction.placeBid: Bidding outside of the auction window'
+        );
+      });
+
+      it('does not extend the auction when the window is disabled', async () => {
+        await this.auction.updateBidExtensionWindow('0', {from: admin});
+
+        await this.auction.setNowOverride('100');
+        await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+
+        const {_endTime} = await this.auction.getAuction(TOKEN_ONE_ID);
+        expect(_endTime).to.be.bignumber.equal('100');
+      });
+    });
   });
 
   describe('withdrawBid()', async () => {
@@ -691,6 +1097,9 @@ contract('DigitalaxAuction', (accounts) => {
         '1',
         '0',
         '10',
+        '0',
+        '0',
+        '0',
         {from: minter}
       );
       await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
@@ -782,6 +1191,9 @@ contract('DigitalaxAuction', (accounts) => {
           ether('1'),
           '0',
           '10',
+          '0',
+          '0',
+          '0',
           {from: minter}
         );
       });
@@ -864,6 +1276,9 @@ contract('DigitalaxAuction', (accounts) => {
           ether('0.1'),
           '0',
           '10',
+          '0',
+          '0',
+          '0',
           {from: minter}
         );
       });
@@ -936,39 +1351,139 @@ contract('DigitalaxAuction', (accounts) => {
         expect(primarySalePrice).to.be.bignumber.equal(ether('0.4'));
       });
 
-    });
-
-  });
+      it('records the designer payout', async () => {
+        await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.1')});
+        await this.auction.setNowOverride('12');
 
-  describe('cancelAuction()', async () => {
+        const {receipt} = await this.auction.resultAuction(TOKEN_ONE_ID, {from: admin});
+        await expectEvent(receipt, 'RevenuePaid', {
+          garmentTokenId: TOKEN_ONE_ID,
+          recipient: designer,
+          paymentToken: constants.ZERO_ADDRESS,
+          amount: ether('0.1')
+        });
+      });
 
-    beforeEach(async () => {
-      await this.token.mint(minter, randomTokenURI, designer, {from: minter});
-      await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: minter});
-      await this.auction.setNowOverride('2');
-      await this.auction.createAuction(
-        TOKEN_ONE_ID,
-        '1',
-        '0',
-        '10',
-        {from: minter}
-      );
-    });
+      it('splits the designer funds between the revenue split recipients', async () => {
+        const collaborator = accounts[8];
+        await this.token.setRevenueSplit(TOKEN_ONE_ID, [designer, collaborator], ['7500', '2500'], {from: admin});
 
-    describe('validation', async () => {
+        await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.4')});
+        await this.auction.setNowOverride('12');
 
-      it('cannot cancel if not an admin', async () => {
-        await expectRevert(
-          this.auction.cancelAuction(TOKEN_ONE_ID, {from: bidder}),
-          'DigitalaxAuction.cancelAuction: Sender must be admin or smart contract'
-        );
-      });
+        const designerTracker = await balance.tracker(designer);
+        const collaboratorTracker = await balance.tracker(collaborator);
 
-      it('cannot cancel if auction already cancelled', async () => {
-        await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
-        await this.auction.setNowOverride('12');
+        const {receipt} = await this.auction.resultAuction(TOKEN_ONE_ID, {from: admin});
 
-        await this.auction.cancelAuction(TOKEN_ONE_ID, {from: admin});
+        // 0.4 minus 12% of the 0.3 above the reserve
+        const designerRevenue = ether('0.364');
+        expect(await designerTracker.delta('wei')).to.be.bignumber.equal(designerRevenue.mul(new BN('7500')).div(new BN('10000')));
+        expect(await collaboratorTracker.delta('wei')).to.be.bignumber.equal(designerRevenue.mul(new BN('2500')).div(new BN('10000')));
+
+        await expectEvent(receipt, 'RevenuePaid', {
+          garmentTokenId: TOKEN_ONE_ID,
+          recipient: designer,
+          amount: ether('0.273')
+        });
+        await expectEvent(receipt, 'RevenuePaid', {
+          garmentTokenId: TOKEN_ONE_ID,
+          recipient: collaborator,
+          amount: ether('0.091')
+        });
+      });
+
+      it('takes the platform fee from the whole bid when the auction fee is on the total', async () => {
+        await this.auction.updateAuctionPlatformFee(TOKEN_ONE_ID, '100', true, {from: admin});
+
+        await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.4')});
+        await this.auction.setNowOverride('12');
+
+        const platformFeeTracker = await balance.tracker(platformFeeAddress);
+        const designerTracker = await balance.tracker(designer);
+
+        await this.auction.resultAuction(TOKEN_ONE_ID, {from: admin});
+
+        // 10% of the whole 0.4
+        expect(await platformFeeTracker.delta('wei')).to.be.bignumber.equal(ether('0.04'));
+        expect(await designerTracker.delta('wei')).to.be.bignumber.equal(ether('0.36'));
+      });
+
+      it('uses the fee fixed at creation rather than the current global fee', async () => {
+        await this.auction.updatePlatformFee('500', {from: admin});
+
+        await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.4')});
+        await this.auction.setNowOverride('12');
+
+        const platformFeeTracker = await balance.tracker(platformFeeAddress);
+
+        await this.auction.resultAuction(TOKEN_ONE_ID, {from: admin});
+
+        // Still 12% of the 0.3 above the reserve
+        expect(await platformFeeTracker.delta('wei')).to.be.bignumber.equal(ether('0.036'));
+      });
+
+    });
+
+    describe('resulting an auction with a designer platform fee', async () => {
+
+      beforeEach(async () => {
+        await this.auction.updateDesignerPlatformFee(designer, '50', true, {from: admin});
+        await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+        await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: minter});
+        await this.auction.setNowOverride('2');
+        await this.auction.createAuction(TOKEN_ONE_ID, ether('0.1'), '0', '10', '0', '0', '0', {from: minter});
+      });
+
+      it('transfer funds to the token creator and platform at the designer rate', async () => {
+        await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.4')});
+        await this.auction.setNowOverride('12');
+
+        const platformFeeTracker = await balance.tracker(platformFeeAddress);
+        const designerTracker = await balance.tracker(designer);
+
+        await this.auction.resultAuction(TOKEN_ONE_ID, {from: admin});
+
+        // 5% of the 0.3 above the reserve
+        expect(await platformFeeTracker.delta('wei')).to.be.bignumber.equal(ether('0.015'));
+        expect(await designerTracker.delta('wei')).to.be.bignumber.equal(ether('0.385'));
+      });
+    });
+
+  });
+
+  describe('cancelAuction()', async () => {
+
+    beforeEach(async () => {
+      await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+      await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: minter});
+      await this.auction.setNowOverride('2');
+      await this.auction.createAuction(
+        TOKEN_ONE_ID,
+        '1',
+        '0',
+        '10',
+        '0',
+        '0',
+        '0',
+        {from: minter}
+      );
+    });
+
+    describe('validation', async () => {
+
+      it('cannot cancel if not an admin', async () => {
+        await expectRevert(
+          this.auction.cancelAuction(TOKEN_ONE_ID, {from: bidder}),
+          'DigitalaxAuction.cancelAuction: Sender must be admin or smart contract'
+        );
+      });
+
+      it('cannot cancel if auction already cancelled', async () => {
+        await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+        await this.auction.setNowOverride('12');
+
+        await this.auction.cancelAuction(TOKEN_ONE_ID, {from: admin});
 
         await expectRevert(
           this.auction.cancelAuction(TOKEN_ONE_ID, {from: admin}),
@@ -1069,6 +1584,9 @@ contract('DigitalaxAuction', (accounts) => {
         '1',  // reserve
         '1', // start
         '10', // end
+        '0', // buy now
+        '0', // platform fee
+        '0', // platform fee mode
         {from: minter}
       );
     });
@@ -1101,6 +1619,9 @@ contract('DigitalaxAuction', (accounts) => {
         '1',  // reserve
         '1', // start
         '10', // end
+        '0', // buy now
+        '0', // platform fee
+        '0', // platform fee mode
         {from: minter}
       );
 
@@ -1129,13 +1650,30 @@ contract('DigitalaxAuction', (accounts) => {
         winningBid: ether('0.2')
       });
 
-      await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: bidder});
+      // Both auctions are kept
+      expect(await this.auction.getGarmentAuctions(TOKEN_ONE_ID)).to.be.deep.equal([new BN('1'), new BN('2')]);
+
+      const cancelled = await this.auction.auctions('1');
+      expect(cancelled.garmentTokenId).to.be.bignumber.equal(TOKEN_ONE_ID);
+      expect(cancelled.cancelled).to.be.equal(true);
+      expect(cancelled.resulted).to.be.equal(false);
+
+      const resulted = await this.auction.auctions('2');
+      expect(resulted.garmentTokenId).to.be.bignumber.equal(TOKEN_ONE_ID);
+      expect(resulted.cancelled).to.be.equal(false);
+      expect(resulted.resulted).to.be.equal(true);
+    });
+
+    it('cannot relist while the auction is open', async () => {
       await expectRevert(
         this.auction.createAuctionOnBehalfOfOwner(
           TOKEN_ONE_ID, // ID
           '1',  // reserve
           '1', // start
           '13', // end
+          '0', // buy now
+          '0', // platform fee
+          '0', // platform fee mode
           {from: admin}
         ),
         "DigitalaxAuction.createAuction: Cannot relist"
@@ -1144,6 +1682,528 @@ contract('DigitalaxAuction', (accounts) => {
 
   });
 
+  describe('relisting a sold garment', async () => {
+
+    beforeEach(async () => {
+      await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+      await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: minter});
+      await this.auction.setNowOverride('2');
+      await this.auction.createAuction(TOKEN_ONE_ID, ether('0.1'), '0', '10', '0', '0', '0', {from: minter});
+      await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+      await this.auction.setNowOverride('12');
+      await this.auction.resultAuction(TOKEN_ONE_ID, {from: admin});
+
+      // The new owner puts it up for auction again
+      await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: bidder});
+    });
+
+    it('creates a new auction for the garment', async () => {
+      const {receipt} = await this.auction.createAuctionOnBehalfOfOwner(TOKEN_ONE_ID, ether('0.1'), '12', '20', '0', '0', '0', {from: admin});
+      await expectEvent(receipt, 'AuctionCreated', {garmentTokenId: TOKEN_ONE_ID, auctionId: new BN('2')});
+
+      expect(await this.auction.auctionIdPointer()).to.be.bignumber.equal('2');
+      expect(await this.auction.garmentAuctionIds(TOKEN_ONE_ID)).to.be.bignumber.equal('2');
+      expect(await this.auction.getGarmentAuctions(TOKEN_ONE_ID)).to.be.deep.equal([new BN('1'), new BN('2')]);
+
+      const {_reservePrice, _startTime, _endTime, _resulted} = await this.auction.getAuction(TOKEN_ONE_ID);
+      expect(_reservePrice).to.be.bignumber.equal(ether('0.1'));
+      expect(_startTime).to.be.bignumber.equal('12');
+      expect(_endTime).to.be.bignumber.equal('20');
+      expect(_resulted).to.be.equal(false);
+
+      // The sold auction is left as it was
+      const previous = await this.auction.auctions('1');
+      expect(previous.resulted).to.be.equal(true);
+      expect(previous.endTime).to.be.bignumber.equal('10');
+    });
+
+    it('pays the seller rather than the designer when resulted', async () => {
+      await this.auction.createAuctionOnBehalfOfOwner(TOKEN_ONE_ID, ether('0.1'), '12', '20', '0', '0', '0', {from: admin});
+      await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder2, value: ether('0.5')});
+      await this.auction.setNowOverride('21');
+
+      const platformFeeTracker = await balance.tracker(platformFeeAddress);
+      const designerTracker = await balance.tracker(designer);
+      const sellerTracker = await balance.tracker(bidder);
+
+      const {receipt} = await this.auction.resultAuction(TOKEN_ONE_ID, {from: admin});
+      await expectEvent(receipt, 'RevenuePaid', {garmentTokenId: TOKEN_ONE_ID, recipient: bidder, amount: ether('0.452')});
+
+      // 12% of the 0.4 above the reserve
+      expect(await platformFeeTracker.delta('wei')).to.be.bignumber.equal(ether('0.048'));
+      expect(await designerTracker.delta('wei')).to.be.bignumber.equal('0');
+      expect(await sellerTracker.delta('wei')).to.be.bignumber.equal(ether('0.452'));
+
+      expect(await this.token.ownerOf(TOKEN_ONE_ID)).to.be.equal(bidder2);
+
+      // The primary sale price is not changed by the resale
+      expect(await this.token.primarySalePrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('0.2'));
+    });
+  });
+
+  describe('buy now', async () => {
+
+    beforeEach(async () => {
+      await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+      await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: minter});
+      await this.auction.setNowOverride('2');
+
+      const {receipt} = await this.auction.createAuction(TOKEN_ONE_ID, ether('0.1'), '0', '10', ether('1'), '0', '0', {from: minter});
+      await expectEvent(receipt, 'UpdateAuctionBuyNowPrice', {
+        garmentTokenId: TOKEN_ONE_ID,
+        buyNowPrice: ether('1')
+      });
+    });
+
+    it('does not end the auction for bids below the buy now price', async () => {
+      await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.9')});
+
+      expect(await this.token.ownerOf(TOKEN_ONE_ID)).to.be.equal(minter);
+      expect((await this.auction.getAuction(TOKEN_ONE_ID))._resulted).to.be.false;
+    });
+
+    it('sells the garment straight away, refunding the top bidder', async () => {
+      await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+
+      const bidderTracker = await balance.tracker(bidder);
+      const platformFeeTracker = await balance.tracker(platformFeeAddress);
+      const designerTracker = await balance.tracker(designer);
+
+      const {receipt} = await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder2, value: ether('1')});
+      await expectEvent(receipt, 'BidRefunded', {
+        bidder: bidder,
+        bid: ether('0.2')
+      });
+      await expectEvent(receipt, 'AuctionResulted', {
+        garmentTokenId: TOKEN_ONE_ID,
+        winner: bidder2,
+        winningBid: ether('1')
+      });
+      await expectEvent(receipt, 'AuctionBoughtNow', {
+        garmentTokenId: TOKEN_ONE_ID,
+        buyer: bidder2,
+        price: ether('1')
+      });
+
+      expect(await bidderTracker.delta('wei')).to.be.bignumber.equal(ether('0.2'));
+      expect(await this.token.ownerOf(TOKEN_ONE_ID)).to.be.equal(bidder2);
+      expect(await this.token.primarySalePrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('1'));
+      expect((await this.auction.getAuction(TOKEN_ONE_ID))._resulted).to.be.true;
+
+      const {_bidder, _bid} = await this.auction.getHighestBidder(TOKEN_ONE_ID);
+      expect(_bidder).to.be.equal(constants.ZERO_ADDRESS);
+      expect(_bid).to.be.bignumber.equal('0');
+
+      // Platform gets 12% above the reserve, the rest goes to the designer
+      const platformFee = ether('1').sub(ether('0.1')).div(new BN('1000')).mul(new BN('120'));
+      expect(await platformFeeTracker.delta('wei')).to.be.bignumber.equal(platformFee);
+      expect(await designerTracker.delta('wei')).to.be.bignumber.equal(ether('1').sub(platformFee));
+    });
+
+    it('sells for the buy now price and refunds the rest of a bid above it', async () => {
+      const bidderTracker = await balance.tracker(bidder);
+      const platformFeeTracker = await balance.tracker(platformFeeAddress);
+      const designerTracker = await balance.tracker(designer);
+
+      const receipt = await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('1.5')});
+      await expectEvent(receipt, 'BidRefunded', {
+        bidder: bidder,
+        bid: ether('0.5')
+      });
+      await expectEvent(receipt, 'BidPlaced', {
+        garmentTokenId: TOKEN_ONE_ID,
+        bidder: bidder,
+        bid: ether('1')
+      });
+      await expectEvent(receipt, 'AuctionBoughtNow', {
+        garmentTokenId: TOKEN_ONE_ID,
+        buyer: bidder,
+        price: ether('1')
+      });
+
+      // Only the buy now price has been spent, plus gas
+      expect(await bidderTracker.delta()).to.be.bignumber.equal(ether('1').add(await getGasCosts(receipt)).mul(new BN('-1')));
+      expect(await this.token.ownerOf(TOKEN_ONE_ID)).to.be.equal(bidder);
+      expect(await this.token.primarySalePrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('1'));
+      expect(await balance.current(this.auction.address)).to.be.bignumber.equal('0');
+
+      const platformFee = ether('1').sub(ether('0.1')).div(new BN('1000')).mul(new BN('120'));
+      expect(await platformFeeTracker.delta('wei')).to.be.bignumber.equal(platformFee);
+      expect(await designerTracker.delta('wei')).to.be.bignumber.equal(ether('1').sub(platformFee));
+    });
+
+    it('credits the rest of a bid above the buy now price when refunds are pulled', async () => {
+      await this.auction.updatePullRefunds(true, {from: admin});
+
+      const {receipt} = await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('1.5')});
+      await expectEvent(receipt, 'RefundCredited', {
+        bidder: bidder,
+        paymentToken: constants.ZERO_ADDRESS,
+        amount: ether('0.5')
+      });
+
+      expect(await this.auction.pendingRefunds(bidder, constants.ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.5'));
+      expect(await this.token.primarySalePrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('1'));
+    });
+
+    it('cannot be bid on, resulted or cancelled once bought', async () => {
+      await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('1')});
+
+      await expectRevert(
+        this.auction.placeBid(TOKEN_ONE_ID, {from: bidder2, value: ether('2')}),
+        'DigitalaxAuction.placeBid: Auction already resulted'
+      );
+
+      await this.auction.setNowOverride('12');
+      await expectRevert(
+        this.auction.resultAuction(TOKEN_ONE_ID, {from: admin}),
+        'DigitalaxAuction.resultAuction: auction already resulted'
+      );
+      await expectRevert(
+        this.auction.cancelAuction(TOKEN_ONE_ID, {from: admin}),
+        'DigitalaxAuction.cancelAuction: auction already resulted'
+      );
+    });
+
+    it('fails when the auction is no longer approved to move the garment', async () => {
+      await this.token.approve(constants.ZERO_ADDRESS, TOKEN_ONE_ID, {from: minter});
+
+      await expectRevert(
+        this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('1')}),
+        'DigitalaxAuction.placeBid: auction not approved'
+      );
+    });
+  });
+
+  describe('refunds', async () => {
+
+    beforeEach(async () => {
+      await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+      await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: minter});
+      await this.auction.setNowOverride('2');
+      await this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', '0', '0', '0', {from: minter});
+
+      await this.auction.updateAllowContractBidders(true, {from: admin});
+      this.biddingContract = await BiddingContractMock.new(this.auction.address);
+    });
+
+    it('allows contracts to bid once allowed by an admin', async () => {
+      await this.biddingContract.bid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+
+      const {_bidder, _bid} = await this.auction.getHighestBidder(TOKEN_ONE_ID);
+      expect(_bidder).to.be.equal(this.biddingContract.address);
+      expect(_bid).to.be.bignumber.equal(ether('0.2'));
+    });
+
+    it('credits a refund which cannot be sent instead of blocking the outbid', async () => {
+      await this.biddingContract.bid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+
+      const {receipt} = await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder2, value: ether('0.4')});
+      await expectEvent(receipt, 'RefundCredited', {
+        bidder: this.biddingContract.address,
+        paymentToken: constants.ZERO_ADDRESS,
+        amount: ether('0.2')
+      });
+
+      expect(await this.auction.pendingRefunds(this.biddingContract.address, constants.ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.2'));
+      expect(await balance.current(this.auction.address)).to.be.bignumber.equal(ether('0.6'));
+
+      const {_bidder} = await this.auction.getHighestBidder(TOKEN_ONE_ID);
+      expect(_bidder).to.be.equal(bidder2);
+    });
+
+    it('credits the refund of a bidder burning the gas it is sent with', async () => {
+      await this.biddingContract.setAcceptsFunds(true);
+      await this.biddingContract.setBurnsGas(true);
+      await this.biddingContract.bid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+
+      // Would run out of gas if the refund was sent all that is left
+      const {receipt} = await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder2, value: ether('0.4'), gas: 300000});
+      await expectEvent(receipt, 'RefundCredited', {
+        bidder: this.biddingContract.address,
+        paymentToken: constants.ZERO_ADDRESS,
+        amount: ether('0.2')
+      });
+
+      const {_bidder} = await this.auction.getHighestBidder(TOKEN_ONE_ID);
+      expect(_bidder).to.be.equal(bidder2);
+    });
+
+    it('still pushes the refund to a contract accepting a plain transfer', async () => {
+      await this.biddingContract.setAcceptsFunds(true);
+      await this.biddingContract.bid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+
+      const {receipt} = await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder2, value: ether('0.4')});
+      await expectEvent(receipt, 'BidRefunded', {bidder: this.biddingContract.address, bid: ether('0.2')});
+      expect(await balance.current(this.biddingContract.address)).to.be.bignumber.equal(ether('0.2'));
+    });
+
+    it('can withdraw a credited refund', async () => {
+      await this.biddingContract.bid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+      await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder2, value: ether('0.4')});
+
+      await expectRevert(
+        this.biddingContract.withdrawRefund(constants.ZERO_ADDRESS),
+        'DigitalaxAuction.withdrawRefund: Failed to send refund'
+      );
+
+      await this.biddingContract.setAcceptsFunds(true);
+      const {receipt} = await this.biddingContract.withdrawRefund(constants.ZERO_ADDRESS);
+      await expectEvent.inTransaction(receipt.transactionHash, DigitalaxAuction, 'RefundWithdrawn', {
+        bidder: this.biddingContract.address,
+        paymentToken: constants.ZERO_ADDRESS,
+        amount: ether('0.2')
+      });
+
+      expect(await balance.current(this.biddingContract.address)).to.be.bignumber.equal(ether('0.2'));
+      expect(await this.auction.pendingRefunds(this.biddingContract.address, constants.ZERO_ADDRESS)).to.be.bignumber.equal('0');
+    });
+
+    it('cannot withdraw without a credited refund', async () => {
+      await expectRevert(
+        this.auction.withdrawRefund(constants.ZERO_ADDRESS, {from: bidder}),
+        'DigitalaxAuction.withdrawRefund: Nothing to withdraw'
+      );
+    });
+
+    it('credits a refund which cannot be sent when cancelled', async () => {
+      await this.biddingContract.bid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+
+      const {receipt} = await this.auction.cancelAuction(TOKEN_ONE_ID, {from: admin});
+      await expectEvent(receipt, 'AuctionCancelled', {garmentTokenId: TOKEN_ONE_ID});
+      await expectEvent(receipt, 'RefundCredited', {bidder: this.biddingContract.address, amount: ether('0.2')});
+    });
+
+    it('credits every refund when pull refunds are on', async () => {
+      await this.auction.updatePullRefunds(true, {from: admin});
+      await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+
+      const bidderTracker = await balance.tracker(bidder);
+      await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder2, value: ether('0.4')});
+      expect(await bidderTracker.delta()).to.be.bignumber.equal('0');
+      expect(await this.auction.pendingRefunds(bidder, constants.ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.2'));
+
+      // Refunds add up
+      const bidReceipt = await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.6')});
+      await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder2, value: ether('0.8')});
+      expect(await this.auction.pendingRefunds(bidder, constants.ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.8'));
+
+      const withdrawReceipt = await this.auction.withdrawRefund(constants.ZERO_ADDRESS, {from: bidder});
+      expect(await bidderTracker.delta()).to.be.bignumber.equal(
+        ether('0.8').sub(ether('0.6')).sub(await getGasCosts(bidReceipt)).sub(await getGasCosts(withdrawReceipt))
+      );
+    });
+
+    it('credits refunds in the payment token of the auction', async () => {
+      const paymentToken = await MockERC20.new('Stable', 'STB', ether('1000'), {from: admin});
+      await this.auction.updatePaymentToken(paymentToken.address, true, {from: admin});
+      await this.auction.updatePullRefunds(true, {from: admin});
+
+      await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+      await this.token.approve(this.auction.address, TOKEN_TWO_ID, {from: minter});
+      await this.auction.createTokenAuction(TOKEN_TWO_ID, paymentToken.address, '1', '0', '10', '0', '0', '0', {from: minter});
+
+      for (const account of [bidder, bidder2]) {
+        await paymentToken.mint(account, ether('1'));
+        await paymentToken.approve(this.auction.address, ether('1'), {from: account});
+      }
+
+      await this.auction.placeTokenBid(TOKEN_TWO_ID, ether('0.2'), {from: bidder});
+      await this.auction.placeTokenBid(TOKEN_TWO_ID, ether('0.4'), {from: bidder2});
+      expect(await this.auction.pendingRefunds(bidder, paymentToken.address)).to.be.bignumber.equal(ether('0.2'));
+      expect(await this.auction.pendingRefunds(bidder, constants.ZERO_ADDRESS)).to.be.bignumber.equal('0');
+
+      await this.auction.withdrawRefund(paymentToken.address, {from: bidder});
+      expect(await paymentToken.balanceOf(bidder)).to.be.bignumber.equal(ether('1'));
+    });
+  });
+
+  describe('ERC20 payment token auctions', async () => {
+
+    beforeEach(async () => {
+      this.paymentToken = await MockERC20.new('Stable', 'STB', ether('1000'), {from: admin});
+      await this.auction.updatePaymentToken(this.paymentToken.address, true, {from: admin});
+
+      for (const account of [bidder, bidder2]) {
+        await this.paymentToken.mint(account, ether('100'));
+        await this.paymentToken.approve(this.auction.address, ether('100'), {from: account});
+      }
+
+      await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+      await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: minter});
+      await this.auction.setNowOverride('2');
+    });
+
+    describe('creation', async () => {
+      it('fails if the payment token is not allowed', async () => {
+        await expectRevert(
+          this.auction.createTokenAuction(TOKEN_ONE_ID, bidder, '1', '0', '10', '0', '0', '0', {from: minter}),
+          'DigitalaxAuction.createTokenAuction: Payment token not allowed'
+        );
+      });
+
+      it('fails if does not have minter role', async () => {
+        await expectRevert(
+          this.auction.createTokenAuction(TOKEN_ONE_ID, this.paymentToken.address, '1', '0', '10', '0', '0', '0', {from: bidder}),
+          'DigitalaxAuction.createTokenAuction: Sender must have the minter role'
+        );
+      });
+
+      it('fails on behalf of owner without admin or smart contract role', async () => {
+        await expectRevert(
+          this.auction.createTokenAuctionOnBehalfOfOwner(TOKEN_ONE_ID, this.paymentToken.address, '1', '0', '10', '0', '0', '0', {from: bidder}),
+          'DigitalaxAuction.createTokenAuctionOnBehalfOfOwner: Sender must have admin or smart contract role'
+        );
+      });
+
+      it('records the payment token of the auction', async () => {
+        const {receipt} = await this.auction.createTokenAuctionOnBehalfOfOwner(
+          TOKEN_ONE_ID,
+          this.paymentToken.address,
+          '1',
+          '0',
+          '10',
+          '0',
+          '0',
+          '0',
+          {from: admin}
+        );
+        await expectEvent(receipt, 'AuctionCreated', {garmentTokenId: TOKEN_ONE_ID, auctionId: AUCTION_ONE_ID});
+        await expectEvent(receipt, 'AuctionPaymentToken', {garmentTokenId: TOKEN_ONE_ID, paymentToken: this.paymentToken.address});
+
+        expect(await this.auction.auctionPaymentTokens(AUCTION_ONE_ID)).to.be.equal(this.paymentToken.address);
+      });
+
+      it('does not record a payment token for ETH auctions', async () => {
+        await this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', '0', '0', '0', {from: minter});
+        expect(await this.auction.auctionPaymentTokens(AUCTION_ONE_ID)).to.be.equal(constants.ZERO_ADDRESS);
+
+        await expectRevert(
+          this.auction.placeTokenBid(TOKEN_ONE_ID, ether('0.2'), {from: bidder}),
+          'DigitalaxAuction.placeTokenBid: Auction is paid in ETH, use placeBid'
+        );
+      });
+    });
+
+    describe('bidding and resulting', async () => {
+
+      beforeEach(async () => {
+        await this.auction.createTokenAuction(TOKEN_ONE_ID, this.paymentToken.address, ether('1'), '0', '10', '0', '0', '0', {from: minter});
+      });
+
+      it('cannot bid in ETH', async () => {
+        await expectRevert(
+          this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')}),
+          'DigitalaxAuction.placeBid: Auction is paid in a token, use placeTokenBid'
+        );
+      });
+
+      it('escrows the bid in the payment token', async () => {
+        const {receipt} = await this.auction.placeTokenBid(TOKEN_ONE_ID, ether('0.5'), {from: bidder});
+        await expectEvent(receipt, 'BidPlaced', {garmentTokenId: TOKEN_ONE_ID, bidder, bid: ether('0.5')});
+
+        expect(await this.paymentToken.balanceOf(bidder)).to.be.bignumber.equal(ether('99.5'));
+        expect(await this.paymentToken.balanceOf(this.auction.address)).to.be.bignumber.equal(ether('0.5'));
+
+        const {_bidder, _bid} = await this.auction.getHighestBidder(TOKEN_ONE_ID);
+        expect(_bidder).to.be.equal(bidder);
+        expect(_bid).to.be.bignumber.equal(ether('0.5'));
+      });
+
+      it('fails when outbidding someone by less than the increment', async () => {
+        await this.auction.placeTokenBid(TOKEN_ONE_ID, ether('0.5'), {from: bidder});
+        await expectRevert(
+          this.auction.placeTokenBid(TOKEN_ONE_ID, ether('0.55'), {from: bidder2}),
+          'DigitalaxAuction.placeBid: Failed to outbid highest bidder'
+        );
+      });
+
+      it('refunds the previous bidder in the payment token', async () => {
+        await this.auction.placeTokenBid(TOKEN_ONE_ID, ether('0.5'), {from: bidder});
+        const {receipt} = await this.auction.placeTokenBid(TOKEN_ONE_ID, ether('1'), {from: bidder2});
+        await expectEvent(receipt, 'BidRefunded', {bidder, bid: ether('0.5')});
+
+        expect(await this.paymentToken.balanceOf(bidder)).to.be.bignumber.equal(ether('100'));
+        expect(await this.paymentToken.balanceOf(bidder2)).to.be.bignumber.equal(ether('99'));
+        expect(await this.paymentToken.balanceOf(this.auction.address)).to.be.bignumber.equal(ether('1'));
+      });
+
+      it('refunds a withdrawn bid in the payment token', async () => {
+        await this.auction.placeTokenBid(TOKEN_ONE_ID, ether('0.5'), {from: bidder});
+        await this.auction.updateBidWithdrawalLockTime('0', {from: admin});
+
+        await this.auction.withdrawBid(TOKEN_ONE_ID, {from: bidder});
+        expect(await this.paymentToken.balanceOf(bidder)).to.be.bignumber.equal(ether('100'));
+      });
+
+      it('refunds the top bidder in the payment token when cancelled', async () => {
+        await this.auction.placeTokenBid(TOKEN_ONE_ID, ether('0.5'), {from: bidder});
+
+        await this.auction.cancelAuction(TOKEN_ONE_ID, {from: admin});
+        expect(await this.paymentToken.balanceOf(bidder)).to.be.bignumber.equal(ether('100'));
+        expect(await this.paymentToken.balanceOf(this.auction.address)).to.be.bignumber.equal('0');
+      });
+
+      it('splits the winning bid between the designer and platform in the payment token', async () => {
+        await this.auction.placeTokenBid(TOKEN_ONE_ID, ether('2'), {from: bidder});
+        await this.auction.setNowOverride('12');
+
+        const platformEthTracker = await balance.tracker(platformFeeAddress);
+        const {receipt} = await this.auction.resultAuction(TOKEN_ONE_ID, {from: admin});
+        await expectEvent(receipt, 'AuctionResulted', {garmentTokenId: TOKEN_ONE_ID, winner: bidder, winningBid: ether('2')});
+
+        // 12% of the 1 above the reserve goes to the platform
+        expect(await this.paymentToken.balanceOf(platformFeeAddress)).to.be.bignumber.equal(ether('0.12'));
+        expect(await this.paymentToken.balanceOf(designer)).to.be.bignumber.equal(ether('1.88'));
+        expect(await this.paymentToken.balanceOf(this.auction.address)).to.be.bignumber.equal('0');
+        expect(await platformEthTracker.delta()).to.be.bignumber.equal('0');
+
+        expect(await this.token.ownerOf(TOKEN_ONE_ID)).to.be.equal(bidder);
+        expect(await this.token.primarySalePrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('2'));
+      });
+
+      it('keeps the payment token once it is disallowed', async () => {
+        await this.auction.updatePaymentToken(this.paymentToken.address, false, {from: admin});
+
+        await this.auction.placeTokenBid(TOKEN_ONE_ID, ether('0.5'), {from: bidder});
+        expect(await this.auction.auctionPaymentTokens(AUCTION_ONE_ID)).to.be.equal(this.paymentToken.address);
+      });
+    });
+
+    describe('fee on transfer payment tokens', async () => {
+
+      beforeEach(async () => {
+        this.feeToken = await MockFeeOnTransferERC20.new('Taxed', 'TAX', ether('1000'), {from: admin});
+        await this.auction.updatePaymentToken(this.feeToken.address, true, {from: admin});
+
+        await this.feeToken.mint(bidder, ether('100'));
+        await this.feeToken.approve(this.auction.address, ether('100'), {from: bidder});
+
+        await this.auction.createTokenAuction(TOKEN_ONE_ID, this.feeToken.address, ether('0.1'), '0', '10', '0', '0', '0', {from: minter});
+      });
+
+      it('bids what the auction receives', async () => {
+        const {receipt} = await this.auction.placeTokenBid(TOKEN_ONE_ID, ether('1'), {from: bidder});
+        await expectEvent(receipt, 'BidPlaced', {garmentTokenId: TOKEN_ONE_ID, bidder, bid: ether('0.99')});
+
+        expect(await this.feeToken.balanceOf(this.auction.address)).to.be.bignumber.equal(ether('0.99'));
+
+        const {_bid} = await this.auction.getHighestBidder(TOKEN_ONE_ID);
+        expect(_bid).to.be.bignumber.equal(ether('0.99'));
+      });
+
+      it('can always refund the bid it holds', async () => {
+        await this.auction.placeTokenBid(TOKEN_ONE_ID, ether('1'), {from: bidder});
+
+        await this.auction.cancelAuction(TOKEN_ONE_ID, {from: admin});
+        expect(await this.feeToken.balanceOf(this.auction.address)).to.be.bignumber.equal('0');
+
+        // The token takes its fee from the refund as well
+        expect(await this.feeToken.balanceOf(bidder)).to.be.bignumber.equal(ether('99.9801'));
+      });
+    });
+  });
+
   async function getGasCosts(receipt) {
     const tx = await web3.eth.getTransaction(receipt.tx);
     const gasPrice = new BN(tx.gasPrice);
@@ -0,0 +1,165 @@
+const {
+  expectRevert,
+  expectEvent,
+  BN,
+  ether,
+  constants,
+} = require('@openzeppelin/test-helpers');
+
+const {expect} = require('chai');
+
+const DigitalaxAccessControls = artifacts.require('DigitalaxAccessControls');
+const DigitalaxMaterials = artifacts.require('DigitalaxMaterials');
+const DigitalaxGarmentNFT = artifacts.require('DigitalaxGarmentNFT');
+const DigitalaxAuction = artifacts.require('DigitalaxAuctionMock');
+const DigitalaxAuctionBidLedger = artifacts.require('DigitalaxAuctionBidLedger');
+
+contract('DigitalaxAuctionBidLedger', (accounts) => {
+  const [admin, platformFeeAddress, minter, owner, designer, bidder, bidder2] = accounts;
+
+  const TOKEN_ONE_ID = new BN('1');
+
+  const AUCTION_ONE_ID = new BN('1');
+  const AUCTION_TWO_ID = new BN('2');
+
+  const randomTokenURI = 'rand';
+
+  beforeEach(async () => {
+    this.accessControls = await DigitalaxAccessControls.new({from: admin});
+    await this.accessControls.addMinterRole(minter, {from: admin});
+
+    this.digitalaxMaterials = await DigitalaxMaterials.new(
+      'DigitalaxMaterials',
+      'DXM',
+      this.accessControls.address,
+      {from: owner}
+    );
+
+    this.token = await DigitalaxGarmentNFT.new(
+      this.accessControls.address,
+      this.digitalaxMaterials.address,
+      {from: admin}
+    );
+
+    this.auction = await DigitalaxAuction.new(
+      this.accessControls.address,
+      this.token.address,
+      platformFeeAddress,
+      {from: admin}
+    );
+
+    await this.accessControls.addSmartContractRole(this.auction.address, {from: admin});
+
+    this.bidLedger = await DigitalaxAuctionBidLedger.new(this.auction.address, {from: admin});
+    await this.auction.updateBidLedger(this.bidLedger.address, {from: admin});
+
+    await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+    await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: minter});
+    await this.auction.setNowOverride('2');
+    await this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', '0', '0', '0', {from: minter});
+  });
+
+  describe('Contract deployment', () => {
+    it('Reverts when auction is zero', async () => {
+      await expectRevert(
+        DigitalaxAuctionBidLedger.new(constants.ZERO_ADDRESS, {from: admin}),
+        'DigitalaxAuctionBidLedger: Invalid auction'
+      );
+    });
+  });
+
+  describe('recordBid()', () => {
+    it('fails when not the auction', async () => {
+      await expectRevert(
+        this.bidLedger.recordBid(AUCTION_ONE_ID, bidder, ether('1'), '2', {from: admin}),
+        'DigitalaxAuctionBidLedger.recordBid: Sender must be the auction'
+      );
+    });
+
+    it('records every bid placed in the auction', async () => {
+      const {tx} = await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+      await expectEvent.inTransaction(tx, DigitalaxAuctionBidLedger, 'BidRecorded', {
+        auctionId: AUCTION_ONE_ID,
+        bidder: bidder,
+        bid: ether('0.2')
+      });
+
+      await this.auction.setNowOverride('3');
+      await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder2, value: ether('0.4')});
+
+      // Out bids themselves
+      await this.auction.setNowOverride('4');
+      await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder2, value: ether('0.5')});
+
+      const {_bidCount, _uniqueBidders} = await this.bidLedger.getAuctionStats(AUCTION_ONE_ID);
+      expect(_bidCount).to.be.bignumber.equal('3');
+      expect(_uniqueBidders).to.be.bignumber.equal('2');
+
+      const {_bidders, _bids, _times} = await this.bidLedger.getBids(AUCTION_ONE_ID, '0', '10');
+      expect(_bidders).to.be.deep.equal([bidder, bidder2, bidder2]);
+      expect(_bids.map(bid => bid.toString())).to.be.deep.equal([ether('0.2'), ether('0.4'), ether('0.5')].map(bid => bid.toString()));
+      expect(_times.map(time => time.toString())).to.be.deep.equal(['2', '3', '4']);
+
+      const bidderStats = await this.bidLedger.bidderStats(AUCTION_ONE_ID, bidder2);
+      expect(bidderStats.bidCount).to.be.bignumber.equal('2');
+      expect(bidderStats.maxBid).to.be.bignumber.equal(ether('0.5'));
+    });
+
+    it('does not record bids once the ledger is removed', async () => {
+      await this.auction.updateBidLedger(constants.ZERO_ADDRESS, {from: admin});
+      await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+
+      const {_bidCount} = await this.bidLedger.getAuctionStats(AUCTION_ONE_ID);
+      expect(_bidCount).to.be.bignumber.equal('0');
+    });
+
+    it('keeps the bids of each auction of a garment apart', async () => {
+      await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+      await this.auction.cancelAuction(TOKEN_ONE_ID, {from: admin});
+
+      await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: minter});
+      await this.auction.createAuction(TOKEN_ONE_ID, '1', '0', '10', '0', '0', '0', {from: minter});
+      await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder2, value: ether('0.3')});
+
+      expect((await this.bidLedger.getBids(AUCTION_ONE_ID, '0', '10'))._bidders).to.be.deep.equal([bidder]);
+      expect((await this.bidLedger.getBids(AUCTION_TWO_ID, '0', '10'))._bidders).to.be.deep.equal([bidder2]);
+      expect((await this.bidLedger.bidderStats(AUCTION_TWO_ID, bidder)).bidCount).to.be.bignumber.equal('0');
+    });
+  });
+
+  describe('pagination', () => {
+    beforeEach(async () => {
+      await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+      await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder2, value: ether('0.3')});
+      await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.4')});
+    });
+
+    it('returns a page of bids from the offset', async () => {
+      const {_bidders, _bids} = await this.bidLedger.getBids(AUCTION_ONE_ID, '1', '1');
+      expect(_bidders).to.be.deep.equal([bidder2]);
+      expect(_bids[0]).to.be.bignumber.equal(ether('0.3'));
+    });
+
+    it('returns a shorter last page', async () => {
+      const {_bidders} = await this.bidLedger.getBids(AUCTION_ONE_ID, '1', '5');
+      expect(_bidders).to.be.deep.equal([bidder2, bidder]);
+    });
+
+    it('returns an empty page past the last bid', async () => {
+      const {_bidders, _bids, _times} = await this.bidLedger.getBids(AUCTION_ONE_ID, '3', '5');
+      expect(_bidders).to.be.deep.equal([]);
+      expect(_bids).to.be.deep.equal([]);
+      expect(_times).to.be.deep.equal([]);
+    });
+
+    it('returns each bidder once with their stats', async () => {
+      const {_bidders, _bidCounts, _maxBids} = await this.bidLedger.getBidders(AUCTION_ONE_ID, '0', '10');
+      expect(_bidders).to.be.deep.equal([bidder, bidder2]);
+      expect(_bidCounts.map(count => count.toString())).to.be.deep.equal(['2', '1']);
+      expect(_maxBids.map(bid => bid.toString())).to.be.deep.equal([ether('0.4').toString(), ether('0.3').toString()]);
+
+      const secondPage = await this.bidLedger.getBidders(AUCTION_ONE_ID, '1', '1');
+      expect(secondPage._bidders).to.be.deep.equal([bidder2]);
+    });
+  });
+});
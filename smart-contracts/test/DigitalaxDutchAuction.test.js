@@ -0,0 +1,518 @@
+const {
+  expectRevert,
+  expectEvent,
+  BN,
+  ether,
+  constants,
+  balance
+} = require('@openzeppelin/test-helpers');
+
+const {expect} = require('chai');
+
+const DigitalaxAccessControls = artifacts.require('DigitalaxAccessControls');
+const DigitalaxMaterials = artifacts.require('DigitalaxMaterials');
+const DigitalaxGarmentNFT = artifacts.require('DigitalaxGarmentNFT');
+const DigitalaxDutchAuction = artifacts.require('DigitalaxDutchAuctionMock');
+
+contract('DigitalaxDutchAuction', (accounts) => {
+  const [admin, smartContract, platformFeeAddress, minter, owner, designer, buyer, buyer2] = accounts;
+
+  const TOKEN_ONE_ID = new BN('1');
+
+  const randomTokenURI = 'rand';
+
+  beforeEach(async () => {
+    this.accessControls = await DigitalaxAccessControls.new({from: admin});
+    await this.accessControls.addMinterRole(minter, {from: admin});
+    await this.accessControls.addSmartContractRole(smartContract, {from: admin});
+
+    this.digitalaxMaterials = await DigitalaxMaterials.new(
+      'DigitalaxMaterials',
+      'DXM',
+      this.accessControls.address,
+      {from: owner}
+    );
+
+    this.token = await DigitalaxGarmentNFT.new(
+      this.accessControls.address,
+      this.digitalaxMaterials.address,
+      {from: admin}
+    );
+
+    this.auction = await DigitalaxDutchAuction.new(
+      this.accessControls.address,
+      this.token.address,
+      platformFeeAddress,
+      {from: admin}
+    );
+
+    await this.accessControls.addSmartContractRole(this.auction.address, {from: admin});
+
+    await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+    await this.token.setApprovalForAll(this.auction.address, true, {from: minter});
+
+    await this.auction.setNowOverride('2');
+  });
+
+  describe('Contract deployment', () => {
+    it('Reverts when access controls is zero', async () => {
+      await expectRevert(
+        DigitalaxDutchAuction.new(constants.ZERO_ADDRESS, this.token.address, platformFeeAddress, {from: admin}),
+        'DigitalaxDutchAuction: Invalid Access Controls'
+      );
+    });
+
+    it('Reverts when garment is zero', async () => {
+      await expectRevert(
+        DigitalaxDutchAuction.new(this.accessControls.address, constants.ZERO_ADDRESS, platformFeeAddress, {from: admin}),
+        'DigitalaxDutchAuction: Invalid NFT'
+      );
+    });
+
+    it('Reverts when platform fee recipient is zero', async () => {
+      await expectRevert(
+        DigitalaxDutchAuction.new(this.accessControls.address, this.token.address, constants.ZERO_ADDRESS, {from: admin}),
+        'DigitalaxDutchAuction: Invalid Platform Fee Recipient'
+      );
+    });
+  });
+
+  describe('createAuction()', () => {
+    describe('validation', () => {
+      it('fails without the minter role', async () => {
+        await expectRevert(
+          this.auction.createAuction(TOKEN_ONE_ID, ether('2'), ether('1'), '10', '110', '0', {from: buyer}),
+          'DigitalaxDutchAuction.createAuction: Sender must have the minter role'
+        );
+      });
+
+      it('fails when the minter does not own the garment', async () => {
+        await this.token.transferFrom(minter, owner, TOKEN_ONE_ID, {from: minter});
+        await expectRevert(
+          this.auction.createAuction(TOKEN_ONE_ID, ether('2'), ether('1'), '10', '110', '0', {from: minter}),
+          'DigitalaxDutchAuction.createAuction: Not owner and or contract not approved'
+        );
+      });
+
+      it('fails when the end time is not after the start time', async () => {
+        await expectRevert(
+          this.auction.createAuction(TOKEN_ONE_ID, ether('2'), ether('1'), '10', '10', '0', {from: minter}),
+          'DigitalaxDutchAuction.createAuction: End time must be greater than start'
+        );
+      });
+
+      it('fails when the end time has passed', async () => {
+        await this.auction.setNowOverride('120');
+        await expectRevert(
+          this.auction.createAuction(TOKEN_ONE_ID, ether('2'), ether('1'), '10', '110', '0', {from: minter}),
+          'DigitalaxDutchAuction.createAuction: End time passed. Nobody can buy.'
+        );
+      });
+
+      it('fails when the start price is below the floor price', async () => {
+        await expectRevert(
+          this.auction.createAuction(TOKEN_ONE_ID, ether('1'), ether('2'), '10', '110', '0', {from: minter}),
+          'DigitalaxDutchAuction.createAuction: Start price below floor price'
+        );
+      });
+
+      it('fails with a zero floor price', async () => {
+        await expectRevert(
+          this.auction.createAuction(TOKEN_ONE_ID, ether('1'), '0', '10', '110', '0', {from: minter}),
+          'DigitalaxDutchAuction.createAuction: Invalid floor price'
+        );
+      });
+
+      it('fails when the price drop interval is longer than the auction', async () => {
+        await expectRevert(
+          this.auction.createAuction(TOKEN_ONE_ID, ether('2'), ether('1'), '10', '110', '101', {from: minter}),
+          'DigitalaxDutchAuction.createAuction: Price drop interval longer than the auction'
+        );
+      });
+
+      it('fails when already listed', async () => {
+        await this.auction.createAuction(TOKEN_ONE_ID, ether('2'), ether('1'), '10', '110', '0', {from: minter});
+        await expectRevert(
+          this.auction.createAuction(TOKEN_ONE_ID, ether('2'), ether('1'), '10', '110', '0', {from: minter}),
+          'DigitalaxDutchAuction.createAuction: Cannot relist'
+        );
+      });
+
+      it('fails when paused', async () => {
+        await this.auction.toggleIsPaused({from: admin});
+        await expectRevert(
+          this.auction.createAuction(TOKEN_ONE_ID, ether('2'), ether('1'), '10', '110', '0', {from: minter}),
+          'Function is currently paused'
+        );
+      });
+    });
+
+    describe('successful creation', () => {
+      it('records the auction', async () => {
+        const {receipt} = await this.auction.createAuction(TOKEN_ONE_ID, ether('2'), ether('1'), '10', '110', '30', {from: minter});
+        await expectEvent(receipt, 'AuctionCreated', {
+          garmentTokenId: TOKEN_ONE_ID,
+          startPrice: ether('2'),
+          floorPrice: ether('1'),
+          startTime: '10',
+          endTime: '110',
+          priceDropInterval: '30'
+        });
+
+        const {startPrice, floorPrice, startTime, endTime, priceDropInterval, resulted} = await this.auction.auctions(TOKEN_ONE_ID);
+        expect(startPrice).to.be.bignumber.equal(ether('2'));
+        expect(floorPrice).to.be.bignumber.equal(ether('1'));
+        expect(startTime).to.be.bignumber.equal('10');
+        expect(endTime).to.be.bignumber.equal('110');
+        expect(priceDropInterval).to.be.bignumber.equal('30');
+        expect(resulted).to.be.false;
+      });
+
+      it('lets an admin list on behalf of the owner', async () => {
+        await this.token.transferFrom(minter, owner, TOKEN_ONE_ID, {from: minter});
+        await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: owner});
+
+        await this.auction.createAuctionOnBehalfOfOwner(TOKEN_ONE_ID, ether('2'), ether('1'), '10', '110', '0', {from: admin});
+        expect((await this.auction.auctions(TOKEN_ONE_ID)).endTime).to.be.bignumber.equal('110');
+      });
+    });
+  });
+
+  describe('getCurrentPrice()', () => {
+    it('fails when the auction does not exist', async () => {
+      await expectRevert(
+        this.auction.getCurrentPrice(TOKEN_ONE_ID),
+        'DigitalaxDutchAuction.getCurrentPrice: Auction does not exist'
+      );
+    });
+
+    it('falls linearly from the start price to the floor price', async () => {
+      await this.auction.createAuction(TOKEN_ONE_ID, ether('2'), ether('1'), '10', '110', '0', {from: minter});
+
+      expect(await this.auction.getCurrentPrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('2'));
+
+      await this.auction.setNowOverride('60');
+      expect(await this.auction.getCurrentPrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('1.5'));
+
+      await this.auction.setNowOverride('85');
+      expect(await this.auction.getCurrentPrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('1.25'));
+
+      await this.auction.setNowOverride('200');
+      expect(await this.auction.getCurrentPrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('1'));
+    });
+
+    it('only drops at the end of each interval when one is set', async () => {
+      await this.auction.createAuction(TOKEN_ONE_ID, ether('2'), ether('1'), '10', '110', '30', {from: minter});
+
+      await this.auction.setNowOverride('39');
+      expect(await this.auction.getCurrentPrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('2'));
+
+      await this.auction.setNowOverride('60');
+      expect(await this.auction.getCurrentPrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('1.7'));
+
+      await this.auction.setNowOverride('109');
+      expect(await this.auction.getCurrentPrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('1.1'));
+
+      await this.auction.setNowOverride('110');
+      expect(await this.auction.getCurrentPrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('1'));
+    });
+  });
+
+  describe('buy()', () => {
+    beforeEach(async () => {
+      await this.auction.createAuction(TOKEN_ONE_ID, ether('2'), ether('1'), '10', '110', '0', {from: minter});
+      await this.auction.setNowOverride('60');
+    });
+
+    describe('validation', () => {
+      it('fails when the auction does not exist', async () => {
+        await expectRevert(
+          this.auction.buy('2', {from: buyer, value: ether('2')}),
+          'DigitalaxDutchAuction.buy: Auction does not exist'
+        );
+      });
+
+      it('fails before the start time', async () => {
+        await this.auction.setNowOverride('5');
+        await expectRevert(
+          this.auction.buy(TOKEN_ONE_ID, {from: buyer, value: ether('2')}),
+          'DigitalaxDutchAuction.buy: Outside of the auction window'
+        );
+      });
+
+      it('fails after the end time', async () => {
+        await this.auction.setNowOverride('111');
+        await expectRevert(
+          this.auction.buy(TOKEN_ONE_ID, {from: buyer, value: ether('2')}),
+          'DigitalaxDutchAuction.buy: Outside of the auction window'
+        );
+      });
+
+      it('fails when paying less than the current price', async () => {
+        await expectRevert(
+          this.auction.buy(TOKEN_ONE_ID, {from: buyer, value: ether('1.4')}),
+          'DigitalaxDutchAuction.buy: Failed to pay the current price'
+        );
+      });
+
+      it('fails once bought', async () => {
+        await this.auction.buy(TOKEN_ONE_ID, {from: buyer, value: ether('1.5')});
+        await expectRevert(
+          this.auction.buy(TOKEN_ONE_ID, {from: buyer2, value: ether('2')}),
+          'DigitalaxDutchAuction.buy: Auction already resulted'
+        );
+      });
+
+      it('fails when the contract is no longer approved', async () => {
+        await this.token.setApprovalForAll(this.auction.address, false, {from: minter});
+        await expectRevert(
+          this.auction.buy(TOKEN_ONE_ID, {from: buyer, value: ether('2')}),
+          'DigitalaxDutchAuction.buy: auction not approved'
+        );
+      });
+
+      it('fails when paused', async () => {
+        await this.auction.toggleIsPaused({from: admin});
+        await expectRevert(
+          this.auction.buy(TOKEN_ONE_ID, {from: buyer, value: ether('2')}),
+          'Function is currently paused'
+        );
+      });
+    });
+
+    describe('successful purchase', () => {
+      it('transfers the garment to the first buyer at the current price', async () => {
+        const {receipt} = await this.auction.buy(TOKEN_ONE_ID, {from: buyer, value: ether('1.5')});
+        await expectEvent(receipt, 'AuctionResulted', {
+          garmentTokenId: TOKEN_ONE_ID,
+          winner: buyer,
+          price: ether('1.5')
+        });
+
+        expect(await this.token.ownerOf(TOKEN_ONE_ID)).to.be.equal(buyer);
+        expect(await this.token.primarySalePrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('1.5'));
+        expect((await this.auction.auctions(TOKEN_ONE_ID)).resulted).to.be.true;
+      });
+
+      it('takes the platform fee from above the floor price and pays the rest to the designer', async () => {
+        const platformFeeTracker = await balance.tracker(platformFeeAddress);
+        const designerTracker = await balance.tracker(designer);
+
+        await this.auction.buy(TOKEN_ONE_ID, {from: buyer, value: ether('1.5')});
+
+        // 12% of the 0.5 ETH above the floor
+        const platformFee = ether('0.06');
+        expect(await platformFeeTracker.delta('wei')).to.be.bignumber.equal(platformFee);
+        expect(await designerTracker.delta('wei')).to.be.bignumber.equal(ether('1.5').sub(platformFee));
+      });
+
+      it('pays the designer everything at the floor price', async () => {
+        const designerTracker = await balance.tracker(designer);
+
+        await this.auction.setNowOverride('110');
+        await this.auction.buy(TOKEN_ONE_ID, {from: buyer, value: ether('1')});
+
+        expect(await designerTracker.delta('wei')).to.be.bignumber.equal(ether('1'));
+      });
+
+      it('splits the designer funds between the revenue split recipients', async () => {
+        const collaborator = accounts[10];
+        await this.token.setRevenueSplit(TOKEN_ONE_ID, [designer, collaborator], ['6000', '4000'], {from: admin});
+
+        const designerTracker = await balance.tracker(designer);
+        const collaboratorTracker = await balance.tracker(collaborator);
+
+        const {receipt} = await this.auction.buy(TOKEN_ONE_ID, {from: buyer, value: ether('1.5')});
+
+        // 1.5 ETH minus 12% of the 0.5 ETH above the floor
+        expect(await designerTracker.delta('wei')).to.be.bignumber.equal(ether('0.864'));
+        expect(await collaboratorTracker.delta('wei')).to.be.bignumber.equal(ether('0.576'));
+        await expectEvent(receipt, 'RevenuePaid', {
+          garmentTokenId: TOKEN_ONE_ID,
+          recipient: collaborator,
+          amount: ether('0.576')
+        });
+      });
+
+      it('pays the owner rather than the designer when the garment is resold', async () => {
+        await this.token.setPrimarySalePrice(TOKEN_ONE_ID, ether('0.2'), {from: smartContract});
+
+        const platformFeeTracker = await balance.tracker(platformFeeAddress);
+        const designerTracker = await balance.tracker(designer);
+        const sellerTracker = await balance.tracker(minter);
+
+        const {receipt} = await this.auction.buy(TOKEN_ONE_ID, {from: buyer, value: ether('1.5')});
+        await expectEvent(receipt, 'RevenuePaid', {garmentTokenId: TOKEN_ONE_ID, recipient: minter, amount: ether('1.44')});
+
+        // 12% of the 0.5 ETH above the floor
+        expect(await platformFeeTracker.delta('wei')).to.be.bignumber.equal(ether('0.06'));
+        expect(await designerTracker.delta('wei')).to.be.bignumber.equal('0');
+        expect(await sellerTracker.delta('wei')).to.be.bignumber.equal(ether('1.44'));
+
+        expect(await this.token.ownerOf(TOKEN_ONE_ID)).to.be.equal(buyer);
+        expect(await this.token.primarySalePrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('0.2'));
+      });
+
+      it('refunds anything sent above the current price', async () => {
+        const designerTracker = await balance.tracker(designer);
+        const platformFeeTracker = await balance.tracker(platformFeeAddress);
+
+        await this.auction.buy(TOKEN_ONE_ID, {from: buyer, value: ether('2')});
+
+        const paid = (await designerTracker.delta('wei')).add(await platformFeeTracker.delta('wei'));
+        expect(paid).to.be.bignumber.equal(ether('1.5'));
+        expect(await balance.current(this.auction.address)).to.be.bignumber.equal('0');
+      });
+    });
+  });
+
+  describe('Admin functions', () => {
+    beforeEach(async () => {
+      await this.auction.createAuction(TOKEN_ONE_ID, ether('2'), ether('1'), '10', '110', '0', {from: minter});
+    });
+
+    describe('cancelAuction()', () => {
+      it('fails when not admin or smart contract', async () => {
+        await expectRevert(
+          this.auction.cancelAuction(TOKEN_ONE_ID, {from: buyer}),
+          'DigitalaxDutchAuction.cancelAuction: Sender must be admin or smart contract'
+        );
+      });
+
+      it('fails when already resulted', async () => {
+        await this.auction.setNowOverride('60');
+        await this.auction.buy(TOKEN_ONE_ID, {from: buyer, value: ether('1.5')});
+        await expectRevert(
+          this.auction.cancelAuction(TOKEN_ONE_ID, {from: admin}),
+          'DigitalaxDutchAuction.cancelAuction: auction already resulted'
+        );
+      });
+
+      it('removes the auction so the garment can be listed again', async () => {
+        const {receipt} = await this.auction.cancelAuction(TOKEN_ONE_ID, {from: smartContract});
+        await expectEvent(receipt, 'AuctionCancelled', {garmentTokenId: TOKEN_ONE_ID});
+
+        await expectRevert(
+          this.auction.cancelAuction(TOKEN_ONE_ID, {from: admin}),
+          'DigitalaxDutchAuction.cancelAuction: Auction does not exist'
+        );
+
+        await this.auction.createAuction(TOKEN_ONE_ID, ether('3'), ether('1'), '10', '110', '0', {from: minter});
+      });
+    });
+
+    describe('updateAuctionPrices()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updateAuctionPrices(TOKEN_ONE_ID, ether('3'), ether('1'), {from: buyer}),
+          'DigitalaxDutchAuction.updateAuctionPrices: Sender must be admin'
+        );
+      });
+
+      it('fails when the start price is below the floor price', async () => {
+        await expectRevert(
+          this.auction.updateAuctionPrices(TOKEN_ONE_ID, ether('1'), ether('3'), {from: admin}),
+          'DigitalaxDutchAuction.updateAuctionPrices: Start price below floor price'
+        );
+      });
+
+      it('successfully updates the prices', async () => {
+        const {receipt} = await this.auction.updateAuctionPrices(TOKEN_ONE_ID, ether('3'), ether('1'), {from: admin});
+        await expectEvent(receipt, 'UpdateAuctionPrices', {
+          garmentTokenId: TOKEN_ONE_ID,
+          startPrice: ether('3'),
+          floorPrice: ether('1')
+        });
+
+        await this.auction.setNowOverride('60');
+        expect(await this.auction.getCurrentPrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('2'));
+      });
+    });
+
+    describe('updateAuctionTimes()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updateAuctionTimes(TOKEN_ONE_ID, '10', '210', {from: buyer}),
+          'DigitalaxDutchAuction.updateAuctionTimes: Sender must be admin'
+        );
+      });
+
+      it('fails when the end time is not after the start time', async () => {
+        await expectRevert(
+          this.auction.updateAuctionTimes(TOKEN_ONE_ID, '210', '10', {from: admin}),
+          'DigitalaxDutchAuction.updateAuctionTimes: End time must be greater than start'
+        );
+      });
+
+      it('successfully updates the times', async () => {
+        const {receipt} = await this.auction.updateAuctionTimes(TOKEN_ONE_ID, '10', '210', {from: admin});
+        await expectEvent(receipt, 'UpdateAuctionTimes', {
+          garmentTokenId: TOKEN_ONE_ID,
+          startTime: '10',
+          endTime: '210'
+        });
+
+        await this.auction.setNowOverride('110');
+        expect(await this.auction.getCurrentPrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('1.5'));
+      });
+    });
+
+    describe('updatePlatformFee()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updatePlatformFee('123', {from: buyer}),
+          'DigitalaxDutchAuction.updatePlatformFee: Sender must be admin'
+        );
+      });
+
+      it('fails when the fee is above 100%', async () => {
+        await expectRevert(
+          this.auction.updatePlatformFee('1001', {from: admin}),
+          'DigitalaxDutchAuction.updatePlatformFee: Fee above 100%'
+        );
+      });
+
+      it('successfully updates platform fee', async () => {
+        await this.auction.updatePlatformFee('123', {from: admin});
+        expect(await this.auction.platformFee()).to.be.bignumber.equal('123');
+      });
+    });
+
+    describe('updatePlatformFeeRecipient()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updatePlatformFeeRecipient(owner, {from: buyer}),
+          'DigitalaxDutchAuction.updatePlatformFeeRecipient: Sender must be admin'
+        );
+      });
+
+      it('fails when setting zero address', async () => {
+        await expectRevert(
+          this.auction.updatePlatformFeeRecipient(constants.ZERO_ADDRESS, {from: admin}),
+          'DigitalaxDutchAuction.updatePlatformFeeRecipient: Zero address'
+        );
+      });
+
+      it('successfully updates platform fee recipient', async () => {
+        await this.auction.updatePlatformFeeRecipient(owner, {from: admin});
+        expect(await this.auction.platformFeeRecipient()).to.be.equal(owner);
+      });
+    });
+
+    describe('updateAccessControls()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updateAccessControls(owner, {from: buyer}),
+          'DigitalaxDutchAuction.updateAccessControls: Sender must be admin'
+        );
+      });
+
+      it('fails when setting zero address', async () => {
+        await expectRevert(
+          this.auction.updateAccessControls(constants.ZERO_ADDRESS, {from: admin}),
+          'DigitalaxDutchAuction.updateAccessControls: Zero Address'
+        );
+      });
+    });
+  });
+});
@@ -156,6 +156,106 @@ contract('DigitalaxGarmentFactory', function ([admin, minter, tokenHolder, desig
     });
   });
 
+  describe('mintParentWithChildrenAndSplit()', () => {
+    beforeEach(async () => {
+      await this.factory.createNewChildren([randomStrandURI, randomStrandURI], {from: minter});
+    });
+
+    it('Can mint and link strands with a revenue split', async () => {
+      const collaborator = otherAccounts[0];
+      const childTokenIds = [STRAND_ONE_ID, STRAND_TWO_ID];
+      const {receipt} = await this.factory.mintParentWithChildrenAndSplit(
+        randomGarmentURI,
+        designer,
+        childTokenIds,
+        ['1', '2'],
+        tokenHolder,
+        [designer, collaborator],
+        ['6000', '4000'],
+        '0',
+        {from: minter}
+      );
+
+      await expectEvent(receipt, 'GarmentCreated', {garmentTokenId: TOKEN_ONE_ID});
+
+      await expectStrandBalanceOfGarmentToBe(TOKEN_ONE_ID, STRAND_ONE_ID, '1');
+      await expectStrandBalanceOfGarmentToBe(TOKEN_ONE_ID, STRAND_TWO_ID, '2');
+      await expectGarmentToOwnAGivenSetOfStrandIds(TOKEN_ONE_ID, childTokenIds);
+
+      const {_recipients, _splits} = await this.garment.getRevenueSplit(TOKEN_ONE_ID);
+      expect(_recipients).to.be.deep.equal([designer, collaborator]);
+      expect(_splits.map(split => split.toString())).to.be.deep.equal(['6000', '4000']);
+    });
+
+    it('Reverts when the splits are invalid', async () => {
+      await expectRevert(
+        this.factory.mintParentWithChildrenAndSplit(
+          randomGarmentURI,
+          designer,
+          [STRAND_ONE_ID],
+          ['1'],
+          tokenHolder,
+          [designer],
+          ['9000'],
+          '0',
+          {from: minter}
+        ),
+        'DigitalaxGarmentNFT.setRevenueSplit: Splits must add up to 10000'
+      );
+    });
+
+    it('Reverts when sender does not have the minter role', async () => {
+      await expectRevert(
+        this.factory.mintParentWithChildrenAndSplit(
+          randomGarmentURI,
+          designer,
+          [STRAND_ONE_ID],
+          ['1'],
+          tokenHolder,
+          [designer],
+          ['10000'],
+          '0',
+          {from: tokenHolder}
+        ),
+        'DigitalaxGarmentFactory.mintParentWithChildrenAndSplit: Sender must be minter'
+      );
+    });
+  });
+
+  describe('mintParentWithoutChildrenAndSplit()', () => {
+
+    it('Can mint parent without children with a revenue split', async () => {
+      const collaborator = otherAccounts[0];
+      const {receipt} = await this.factory.mintParentWithoutChildrenAndSplit(
+        randomGarmentURI,
+        designer,
+        tokenHolder,
+        [designer, collaborator],
+        ['5000', '5000'],
+        {from: minter}
+      );
+
+      await expectEvent(receipt, 'GarmentCreated', {garmentTokenId: TOKEN_ONE_ID});
+
+      await expectGarmentToOwnAGivenSetOfStrandIds(TOKEN_ONE_ID, []);
+      expect((await this.garment.getRevenueSplit(TOKEN_ONE_ID))._recipients).to.be.deep.equal([designer, collaborator]);
+    });
+
+    it('Reverts when sender does not have the minter role', async () => {
+      await expectRevert(
+        this.factory.mintParentWithoutChildrenAndSplit(
+          randomGarmentURI,
+          designer,
+          tokenHolder,
+          [designer],
+          ['10000'],
+          {from: tokenHolder}
+        ),
+        'DigitalaxGarmentFactory.mintParentWithoutChildrenAndSplit: Sender must be minter'
+      );
+    });
+  });
+
   describe('createNewChildrenWithBalances()', () => {
     it('Reverts when sender does not have the minter role', async () => {
       const childTokenAmounts = [1, 2, 3, 4];
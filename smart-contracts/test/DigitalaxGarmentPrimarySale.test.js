@@ -0,0 +1,486 @@
+const {
+  expectRevert,
+  expectEvent,
+  BN,
+  ether,
+  constants,
+  balance
+} = require('@openzeppelin/test-helpers');
+
+const {expect} = require('chai');
+
+const DigitalaxAccessControls = artifacts.require('DigitalaxAccessControls');
+const DigitalaxMaterials = artifacts.require('DigitalaxMaterials');
+const DigitalaxGarmentNFT = artifacts.require('DigitalaxGarmentNFT');
+const DigitalaxGarmentPrimarySale = artifacts.require('DigitalaxGarmentPrimarySaleMock');
+
+contract('DigitalaxGarmentPrimarySale', (accounts) => {
+  const [admin, smartContract, platformFeeAddress, minter, owner, designer, designer2, buyer, buyer2] = accounts;
+
+  const LISTING_ONE_ID = new BN('1');
+
+  const randomTokenURI = 'rand';
+
+  beforeEach(async () => {
+    this.accessControls = await DigitalaxAccessControls.new({from: admin});
+    await this.accessControls.addMinterRole(minter, {from: admin});
+    await this.accessControls.addSmartContractRole(smartContract, {from: admin});
+
+    this.digitalaxMaterials = await DigitalaxMaterials.new(
+      'DigitalaxMaterials',
+      'DXM',
+      this.accessControls.address,
+      {from: owner}
+    );
+
+    this.token = await DigitalaxGarmentNFT.new(
+      this.accessControls.address,
+      this.digitalaxMaterials.address,
+      {from: admin}
+    );
+
+    this.sale = await DigitalaxGarmentPrimarySale.new(
+      this.accessControls.address,
+      this.token.address,
+      platformFeeAddress,
+      {from: admin}
+    );
+
+    await this.accessControls.addSmartContractRole(this.sale.address, {from: admin});
+
+    // Garments 1 to 4, the last one by a second designer
+    for (const garmentDesigner of [designer, designer, designer, designer2]) {
+      await this.token.mint(minter, randomTokenURI, garmentDesigner, {from: minter});
+    }
+    await this.token.setApprovalForAll(this.sale.address, true, {from: minter});
+
+    await this.sale.setNowOverride('2');
+  });
+
+  describe('Contract deployment', () => {
+    it('Reverts when access controls is zero', async () => {
+      await expectRevert(
+        DigitalaxGarmentPrimarySale.new(constants.ZERO_ADDRESS, this.token.address, platformFeeAddress, {from: admin}),
+        'DigitalaxGarmentPrimarySale: Invalid Access Controls'
+      );
+    });
+
+    it('Reverts when garment is zero', async () => {
+      await expectRevert(
+        DigitalaxGarmentPrimarySale.new(this.accessControls.address, constants.ZERO_ADDRESS, platformFeeAddress, {from: admin}),
+        'DigitalaxGarmentPrimarySale: Invalid NFT'
+      );
+    });
+
+    it('Reverts when platform fee recipient is zero', async () => {
+      await expectRevert(
+        DigitalaxGarmentPrimarySale.new(this.accessControls.address, this.token.address, constants.ZERO_ADDRESS, {from: admin}),
+        'DigitalaxGarmentPrimarySale: Invalid Platform Fee Recipient'
+      );
+    });
+  });
+
+  describe('createListing()', () => {
+    describe('validation', () => {
+      it('fails without the minter, admin or smart contract role', async () => {
+        await expectRevert(
+          this.sale.createListing(['1'], '1', ether('1'), '0', '0', {from: buyer}),
+          'DigitalaxGarmentPrimarySale.createListing: Sender must have the minter, admin or smart contract role'
+        );
+      });
+
+      it('fails when the garments do not fill whole bundles', async () => {
+        await expectRevert(
+          this.sale.createListing(['1', '2', '3'], '2', ether('1'), '0', '0', {from: minter}),
+          'DigitalaxGarmentPrimarySale.createListing: Garments must fill whole bundles'
+        );
+      });
+
+      it('fails with a zero bundle size', async () => {
+        await expectRevert(
+          this.sale.createListing(['1'], '0', ether('1'), '0', '0', {from: minter}),
+          'DigitalaxGarmentPrimarySale.createListing: Invalid bundle size'
+        );
+      });
+
+      it('fails when the price cannot be split across the bundle', async () => {
+        await expectRevert(
+          this.sale.createListing(['1', '2'], '2', '1', '0', '0', {from: minter}),
+          'DigitalaxGarmentPrimarySale.createListing: Invalid price'
+        );
+      });
+
+      it('fails when a minter does not own the garment', async () => {
+        await this.token.transferFrom(minter, owner, '1', {from: minter});
+        await expectRevert(
+          this.sale.createListing(['1'], '1', ether('1'), '0', '0', {from: minter}),
+          'DigitalaxGarmentPrimarySale.createListing: Not owner of garment'
+        );
+      });
+
+      it('fails when the contract is not approved', async () => {
+        await this.token.setApprovalForAll(this.sale.address, false, {from: minter});
+        await expectRevert(
+          this.sale.createListing(['1'], '1', ether('1'), '0', '0', {from: minter}),
+          'DigitalaxGarmentPrimarySale.createListing: Contract not approved'
+        );
+      });
+
+      it('fails when a garment is already listed', async () => {
+        await this.sale.createListing(['1'], '1', ether('1'), '0', '0', {from: minter});
+        await expectRevert(
+          this.sale.createListing(['2', '1'], '1', ether('1'), '0', '0', {from: admin}),
+          'DigitalaxGarmentPrimarySale.createListing: Garment already listed'
+        );
+      });
+
+      it('fails when a garment has already had its primary sale', async () => {
+        await this.token.setPrimarySalePrice('1', ether('1'), {from: admin});
+        await expectRevert(
+          this.sale.createListing(['1'], '1', ether('1'), '0', '0', {from: minter}),
+          'DigitalaxGarmentPrimarySale.createListing: Garment already sold'
+        );
+      });
+
+      it('fails when paused', async () => {
+        await this.sale.toggleIsPaused({from: admin});
+        await expectRevert(
+          this.sale.createListing(['1'], '1', ether('1'), '0', '0', {from: minter}),
+          'Function is currently paused'
+        );
+      });
+    });
+
+    describe('successful creation', () => {
+      it('records the listing', async () => {
+        const {receipt} = await this.sale.createListing(['1', '2'], '1', ether('1'), '5', '1', {from: minter});
+        await expectEvent(receipt, 'ListingCreated', {
+          listingId: LISTING_ONE_ID,
+          bundleSize: '1',
+          price: ether('1'),
+          startTime: '5',
+          maxPerWallet: '1'
+        });
+
+        const {_garmentTokenIds, _bundleSize, _price, _startTime, _maxPerWallet, _bundlesSold, _cancelled} = await this.sale.getListing(LISTING_ONE_ID);
+        expect(_garmentTokenIds.map(id => id.toString())).to.be.deep.equal(['1', '2']);
+        expect(_bundleSize).to.be.bignumber.equal('1');
+        expect(_price).to.be.bignumber.equal(ether('1'));
+        expect(_startTime).to.be.bignumber.equal('5');
+        expect(_maxPerWallet).to.be.bignumber.equal('1');
+        expect(_bundlesSold).to.be.bignumber.equal('0');
+        expect(_cancelled).to.be.false;
+
+        expect(await this.sale.garmentListings('1')).to.be.bignumber.equal(LISTING_ONE_ID);
+        expect(await this.sale.listingIdPointer()).to.be.bignumber.equal('1');
+      });
+
+      it('holds the garments until they are sold', async () => {
+        await this.sale.createListing(['1', '2'], '1', ether('1'), '5', '0', {from: minter});
+
+        expect(await this.token.ownerOf('1')).to.be.equal(this.sale.address);
+        expect(await this.token.ownerOf('2')).to.be.equal(this.sale.address);
+        expect(await this.sale.garmentSellers('1')).to.be.equal(minter);
+      });
+
+      it('lets an admin list garments owned by someone else', async () => {
+        await this.sale.createListing(['1'], '1', ether('1'), '0', '0', {from: smartContract});
+        expect(await this.sale.garmentListings('1')).to.be.bignumber.equal(LISTING_ONE_ID);
+        expect(await this.sale.garmentSellers('1')).to.be.equal(minter);
+      });
+    });
+  });
+
+  describe('buy()', () => {
+    beforeEach(async () => {
+      await this.sale.createListing(['1', '2', '3'], '1', ether('1'), '5', '2', {from: minter});
+      await this.sale.setNowOverride('5');
+    });
+
+    describe('validation', () => {
+      it('fails when the listing does not exist', async () => {
+        await expectRevert(
+          this.sale.buy('2', {from: buyer, value: ether('1')}),
+          'DigitalaxGarmentPrimarySale.buy: Listing does not exist'
+        );
+      });
+
+      it('fails before the start time', async () => {
+        await this.sale.setNowOverride('4');
+        await expectRevert(
+          this.sale.buy(LISTING_ONE_ID, {from: buyer, value: ether('1')}),
+          'DigitalaxGarmentPrimarySale.buy: Sale has not started'
+        );
+      });
+
+      it('fails when not sending the price', async () => {
+        await expectRevert(
+          this.sale.buy(LISTING_ONE_ID, {from: buyer, value: ether('0.9')}),
+          'DigitalaxGarmentPrimarySale.buy: Incorrect amount'
+        );
+      });
+
+      it('fails once the wallet limit is reached', async () => {
+        await this.sale.buy(LISTING_ONE_ID, {from: buyer, value: ether('1')});
+        await this.sale.buy(LISTING_ONE_ID, {from: buyer, value: ether('1')});
+        await expectRevert(
+          this.sale.buy(LISTING_ONE_ID, {from: buyer, value: ether('1')}),
+          'DigitalaxGarmentPrimarySale.buy: Wallet limit reached'
+        );
+      });
+
+      it('fails once sold out', async () => {
+        await this.sale.buy(LISTING_ONE_ID, {from: buyer, value: ether('1')});
+        await this.sale.buy(LISTING_ONE_ID, {from: buyer, value: ether('1')});
+        await this.sale.buy(LISTING_ONE_ID, {from: buyer2, value: ether('1')});
+        await expectRevert(
+          this.sale.buy(LISTING_ONE_ID, {from: buyer2, value: ether('1')}),
+          'DigitalaxGarmentPrimarySale.buy: Sold out'
+        );
+      });
+
+      it('fails when cancelled', async () => {
+        await this.sale.cancelListing(LISTING_ONE_ID, {from: admin});
+        await expectRevert(
+          this.sale.buy(LISTING_ONE_ID, {from: buyer, value: ether('1')}),
+          'DigitalaxGarmentPrimarySale.buy: Listing cancelled'
+        );
+      });
+
+      it('fails when paused', async () => {
+        await this.sale.toggleIsPaused({from: admin});
+        await expectRevert(
+          this.sale.buy(LISTING_ONE_ID, {from: buyer, value: ether('1')}),
+          'Function is currently paused'
+        );
+      });
+    });
+
+    describe('successful purchase', () => {
+      it('transfers the next garment and records the sale', async () => {
+        const {receipt} = await this.sale.buy(LISTING_ONE_ID, {from: buyer, value: ether('1')});
+        await expectEvent(receipt, 'Purchased', {
+          listingId: LISTING_ONE_ID,
+          buyer: buyer,
+          price: ether('1')
+        });
+
+        expect(await this.token.ownerOf('1')).to.be.equal(buyer);
+        expect(await this.token.primarySalePrice('1')).to.be.bignumber.equal(ether('1'));
+        expect(await this.sale.purchases(LISTING_ONE_ID, buyer)).to.be.bignumber.equal('1');
+        expect(await this.sale.garmentListings('1')).to.be.bignumber.equal('0');
+        expect(await this.sale.garmentListings('2')).to.be.bignumber.equal(LISTING_ONE_ID);
+
+        await this.sale.buy(LISTING_ONE_ID, {from: buyer2, value: ether('1')});
+        expect(await this.token.ownerOf('2')).to.be.equal(buyer2);
+        expect((await this.sale.getListing(LISTING_ONE_ID))._bundlesSold).to.be.bignumber.equal('2');
+      });
+
+      it('still sells every bundle once the seller revokes approval', async () => {
+        await this.token.setApprovalForAll(this.sale.address, false, {from: minter});
+
+        await this.sale.buy(LISTING_ONE_ID, {from: buyer, value: ether('1')});
+        await this.sale.buy(LISTING_ONE_ID, {from: buyer, value: ether('1')});
+        await this.sale.buy(LISTING_ONE_ID, {from: buyer2, value: ether('1')});
+
+        expect(await this.token.ownerOf('1')).to.be.equal(buyer);
+        expect(await this.token.ownerOf('2')).to.be.equal(buyer);
+        expect(await this.token.ownerOf('3')).to.be.equal(buyer2);
+      });
+
+      it('splits the funds between the platform and designer', async () => {
+        const platformFeeTracker = await balance.tracker(platformFeeAddress);
+        const designerTracker = await balance.tracker(designer);
+
+        await this.sale.buy(LISTING_ONE_ID, {from: buyer, value: ether('1')});
+
+        // Platform gets 12% of the whole price
+        const platformFee = ether('1').div(new BN('1000')).mul(new BN('120'));
+        expect(await platformFeeTracker.delta('wei')).to.be.bignumber.equal(platformFee);
+        expect(await designerTracker.delta('wei')).to.be.bignumber.equal(ether('1').sub(platformFee));
+      });
+
+      it('splits the designer funds between the revenue split recipients', async () => {
+        const collaborator = accounts[10];
+        await this.token.setRevenueSplit('1', [designer, collaborator], ['5000', '5000'], {from: admin});
+
+        const designerTracker = await balance.tracker(designer);
+        const collaboratorTracker = await balance.tracker(collaborator);
+
+        const {receipt} = await this.sale.buy(LISTING_ONE_ID, {from: buyer, value: ether('1')});
+
+        // 1 ETH minus the 12% platform fee, split in half
+        expect(await designerTracker.delta('wei')).to.be.bignumber.equal(ether('0.44'));
+        expect(await collaboratorTracker.delta('wei')).to.be.bignumber.equal(ether('0.44'));
+        await expectEvent(receipt, 'RevenuePaid', {
+          garmentTokenId: '1',
+          recipient: collaborator,
+          amount: ether('0.44')
+        });
+      });
+    });
+
+    describe('bundles', () => {
+      beforeEach(async () => {
+        await this.sale.updatePlatformFee('0', {from: admin});
+        await this.sale.cancelListing(LISTING_ONE_ID, {from: admin});
+        await this.sale.createListing(['1', '4'], '2', '3', '0', '0', {from: minter});
+      });
+
+      it('sells every garment in the bundle, splitting the price across them', async () => {
+        const designerTracker = await balance.tracker(designer);
+        const designer2Tracker = await balance.tracker(designer2);
+
+        const {receipt} = await this.sale.buy('2', {from: buyer, value: '3'});
+        const {garmentTokenIds} = receipt.logs.find(({event}) => event === 'Purchased').args;
+        expect(garmentTokenIds.map(id => id.toString())).to.be.deep.equal(['1', '4']);
+
+        expect(await this.token.ownerOf('1')).to.be.equal(buyer);
+        expect(await this.token.ownerOf('4')).to.be.equal(buyer);
+
+        // Remainder goes to the last garment
+        expect(await this.token.primarySalePrice('1')).to.be.bignumber.equal('1');
+        expect(await this.token.primarySalePrice('4')).to.be.bignumber.equal('2');
+        expect(await designerTracker.delta('wei')).to.be.bignumber.equal('1');
+        expect(await designer2Tracker.delta('wei')).to.be.bignumber.equal('2');
+      });
+    });
+  });
+
+  describe('Admin functions', () => {
+    beforeEach(async () => {
+      await this.sale.createListing(['1', '2'], '1', ether('1'), '5', '0', {from: minter});
+    });
+
+    describe('cancelListing()', () => {
+      it('fails when not admin or smart contract', async () => {
+        await expectRevert(
+          this.sale.cancelListing(LISTING_ONE_ID, {from: minter}),
+          'DigitalaxGarmentPrimarySale.cancelListing: Sender must be admin or smart contract'
+        );
+      });
+
+      it('fails when already cancelled', async () => {
+        await this.sale.cancelListing(LISTING_ONE_ID, {from: admin});
+        await expectRevert(
+          this.sale.cancelListing(LISTING_ONE_ID, {from: admin}),
+          'DigitalaxGarmentPrimarySale.cancelListing: Listing already cancelled'
+        );
+      });
+
+      it('frees unsold garments to be listed again', async () => {
+        await this.sale.setNowOverride('5');
+        await this.sale.buy(LISTING_ONE_ID, {from: buyer, value: ether('1')});
+
+        const {receipt} = await this.sale.cancelListing(LISTING_ONE_ID, {from: smartContract});
+        await expectEvent(receipt, 'ListingCancelled', {listingId: LISTING_ONE_ID});
+
+        expect(await this.sale.garmentListings('1')).to.be.bignumber.equal('0');
+        expect(await this.sale.garmentListings('2')).to.be.bignumber.equal('0');
+
+        // The unsold garment is given back to its seller
+        expect(await this.token.ownerOf('1')).to.be.equal(buyer);
+        expect(await this.token.ownerOf('2')).to.be.equal(minter);
+        expect(await this.sale.garmentSellers('2')).to.be.equal(constants.ZERO_ADDRESS);
+
+        await this.sale.createListing(['2'], '1', ether('2'), '5', '0', {from: minter});
+        expect(await this.sale.garmentListings('2')).to.be.bignumber.equal('2');
+      });
+    });
+
+    describe('updateListingPrice()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.sale.updateListingPrice(LISTING_ONE_ID, ether('2'), {from: minter}),
+          'DigitalaxGarmentPrimarySale.updateListingPrice: Sender must be admin'
+        );
+      });
+
+      it('fails when the listing does not exist', async () => {
+        await expectRevert(
+          this.sale.updateListingPrice('2', ether('2'), {from: admin}),
+          'DigitalaxGarmentPrimarySale.updateListingPrice: Listing does not exist'
+        );
+      });
+
+      it('successfully updates the price', async () => {
+        const {receipt} = await this.sale.updateListingPrice(LISTING_ONE_ID, ether('2'), {from: admin});
+        await expectEvent(receipt, 'UpdateListingPrice', {listingId: LISTING_ONE_ID, price: ether('2')});
+        expect((await this.sale.getListing(LISTING_ONE_ID))._price).to.be.bignumber.equal(ether('2'));
+      });
+    });
+
+    describe('updateListingStartTime()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.sale.updateListingStartTime(LISTING_ONE_ID, '10', {from: minter}),
+          'DigitalaxGarmentPrimarySale.updateListingStartTime: Sender must be admin'
+        );
+      });
+
+      it('successfully updates the start time', async () => {
+        const {receipt} = await this.sale.updateListingStartTime(LISTING_ONE_ID, '10', {from: admin});
+        await expectEvent(receipt, 'UpdateListingStartTime', {listingId: LISTING_ONE_ID, startTime: '10'});
+        expect((await this.sale.getListing(LISTING_ONE_ID))._startTime).to.be.bignumber.equal('10');
+      });
+    });
+
+    describe('updatePlatformFee()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.sale.updatePlatformFee('200', {from: minter}),
+          'DigitalaxGarmentPrimarySale.updatePlatformFee: Sender must be admin'
+        );
+      });
+
+      it('fails when the fee is above 100%', async () => {
+        await expectRevert(
+          this.sale.updatePlatformFee('1001', {from: admin}),
+          'DigitalaxGarmentPrimarySale.updatePlatformFee: Fee above 100%'
+        );
+      });
+
+      it('successfully updates platform fee', async () => {
+        await this.sale.updatePlatformFee('200', {from: admin});
+        expect(await this.sale.platformFee()).to.be.bignumber.equal('200');
+      });
+    });
+
+    describe('updatePlatformFeeRecipient()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.sale.updatePlatformFeeRecipient(owner, {from: minter}),
+          'DigitalaxGarmentPrimarySale.updatePlatformFeeRecipient: Sender must be admin'
+        );
+      });
+
+      it('fails when setting zero address', async () => {
+        await expectRevert(
+          this.sale.updatePlatformFeeRecipient(constants.ZERO_ADDRESS, {from: admin}),
+          'DigitalaxGarmentPrimarySale.updatePlatformFeeRecipient: Zero address'
+        );
+      });
+
+      it('successfully updates platform fee recipient', async () => {
+        await this.sale.updatePlatformFeeRecipient(owner, {from: admin});
+        expect(await this.sale.platformFeeRecipient()).to.be.equal(owner);
+      });
+    });
+
+    describe('updateAccessControls()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.sale.updateAccessControls(owner, {from: minter}),
+          'DigitalaxGarmentPrimarySale.updateAccessControls: Sender must be admin'
+        );
+      });
+
+      it('fails when setting zero address', async () => {
+        await expectRevert(
+          this.sale.updateAccessControls(constants.ZERO_ADDRESS, {from: admin}),
+          'DigitalaxGarmentPrimarySale.updateAccessControls: Zero Address'
+        );
+      });
+    });
+  });
+});
@@ -0,0 +1,370 @@
+const {BN, constants, expectEvent, expectRevert} = require('@openzeppelin/test-helpers');
+const {ZERO_ADDRESS} = constants;
+const web3 = require('web3');
+
+const {expect} = require('chai');
+
+const DigitalaxAccessControls = artifacts.require('DigitalaxAccessControls');
+const DigitalaxMaterials = artifacts.require('DigitalaxMaterials');
+const DigitalaxGarmentNFT = artifacts.require('DigitalaxGarmentNFT');
+const DigitalaxGarmentFactory = artifacts.require('DigitalaxGarmentFactory');
+const DigitalaxGarmentRecipes = artifacts.require('DigitalaxGarmentRecipes');
+const ERC1155Mock = artifacts.require('ERC1155Mock');
+
+contract('DigitalaxGarmentRecipes', function ([admin, minter, owner, designer, random]) {
+  const randomURI = 'rand';
+
+  const RECIPE_ONE_ID = new BN('1');
+
+  const TOKEN_ONE_ID = new BN('1');
+
+  const STRAND_ONE_ID = new BN('1');
+  const STRAND_TWO_ID = new BN('2');
+  const STRAND_THREE_ID = new BN('3');
+  const STRAND_FOUR_ID = new BN('4');
+
+  beforeEach(async () => {
+    this.accessControls = await DigitalaxAccessControls.new({from: admin});
+    await this.accessControls.addMinterRole(minter, {from: admin});
+
+    this.digitalaxMaterials = await DigitalaxMaterials.new(
+      'DigitalaxMaterials',
+      'DXM',
+      this.accessControls.address,
+      {from: admin}
+    );
+
+    this.garment = await DigitalaxGarmentNFT.new(
+      this.accessControls.address,
+      this.digitalaxMaterials.address,
+      {from: admin}
+    );
+
+    this.factory = await DigitalaxGarmentFactory.new(
+      this.garment.address,
+      this.digitalaxMaterials.address,
+      this.accessControls.address,
+      {from: admin}
+    );
+    await this.accessControls.addSmartContractRole(this.factory.address, {from: admin});
+
+    this.recipes = await DigitalaxGarmentRecipes.new(
+      this.accessControls.address,
+      this.garment.address,
+      {from: admin}
+    );
+    await this.garment.updateRecipes(this.recipes.address, {from: admin});
+
+    // The three signature strands, plus one more which is not in the recipe
+    await this.factory.createNewChildren([randomURI, randomURI, randomURI, randomURI], {from: minter});
+
+    const materials = this.digitalaxMaterials.address;
+    await this.recipes.createRecipe(
+      [materials, materials, materials],
+      [STRAND_ONE_ID, STRAND_TWO_ID, STRAND_THREE_ID],
+      ['1', '2', '0'],
+      ['1', '5', '3'],
+      {from: minter}
+    );
+  });
+
+  describe('createRecipe()', () => {
+    it('Records the strands and their amounts', async () => {
+      const {_childContracts, _childTokenIds, _minAmounts, _maxAmounts} = await this.recipes.getRecipe(RECIPE_ONE_ID);
+      expect(_childContracts).to.be.deep.equal(Array(3).fill(this.digitalaxMaterials.address));
+      expect(_childTokenIds.map(id => id.toString())).to.be.deep.equal(['1', '2', '3']);
+      expect(_minAmounts.map(amount => amount.toString())).to.be.deep.equal(['1', '2', '0']);
+      expect(_maxAmounts.map(amount => amount.toString())).to.be.deep.equal(['1', '5', '3']);
+      expect(await this.recipes.recipeIdPointer()).to.be.bignumber.equal('1');
+    });
+
+    it('Emits an event', async () => {
+      const {receipt} = await this.recipes.createRecipe([this.digitalaxMaterials.address], [STRAND_FOUR_ID], ['1'], ['1'], {from: minter});
+      await expectEvent(receipt, 'RecipeCreated', {recipeId: new BN('2')});
+    });
+
+    it('Reverts when sender is not a minter', async () => {
+      await expectRevert(
+        this.recipes.createRecipe([this.digitalaxMaterials.address], [STRAND_ONE_ID], ['1'], ['1'], {from: random}),
+        'DigitalaxGarmentRecipes.createRecipe: Sender must be minter'
+      );
+    });
+
+    it('Reverts when no children are given', async () => {
+      await expectRevert(
+        this.recipes.createRecipe([], [], [], [], {from: minter}),
+        'DigitalaxGarmentRecipes.createRecipe: No children given'
+      );
+    });
+
+    it('Reverts when the lists are different lengths', async () => {
+      await expectRevert(
+        this.recipes.createRecipe([this.digitalaxMaterials.address], [STRAND_ONE_ID], ['1', '2'], ['1'], {from: minter}),
+        'DigitalaxGarmentRecipes.createRecipe: Array lengths'
+      );
+    });
+
+    it('Reverts when a child contract is the zero address', async () => {
+      await expectRevert(
+        this.recipes.createRecipe([ZERO_ADDRESS], [STRAND_ONE_ID], ['1'], ['1'], {from: minter}),
+        'DigitalaxGarmentRecipes.createRecipe: Child contract is zero address'
+      );
+    });
+
+    it('Reverts when a max amount is zero', async () => {
+      await expectRevert(
+        this.recipes.createRecipe([this.digitalaxMaterials.address], [STRAND_ONE_ID], ['0'], ['0'], {from: minter}),
+        'DigitalaxGarmentRecipes.createRecipe: Max amount is zero'
+      );
+    });
+
+    it('Reverts when a min amount is above the max', async () => {
+      await expectRevert(
+        this.recipes.createRecipe([this.digitalaxMaterials.address], [STRAND_ONE_ID], ['3'], ['2'], {from: minter}),
+        'DigitalaxGarmentRecipes.createRecipe: Min amount above max'
+      );
+    });
+
+    it('Reverts when a strand is given twice', async () => {
+      await expectRevert(
+        this.recipes.createRecipe(
+          [this.digitalaxMaterials.address, this.digitalaxMaterials.address], [STRAND_ONE_ID, STRAND_ONE_ID], ['1', '1'], ['1', '1'], {from: minter}
+        ),
+        'DigitalaxGarmentRecipes.createRecipe: Duplicate child'
+      );
+    });
+  });
+
+  describe('setGarmentRecipe()', () => {
+    beforeEach(async () => {
+      await this.garment.mint(owner, randomURI, designer, {from: minter});
+    });
+
+    it('Gives an empty garment a recipe', async () => {
+      const {receipt} = await this.recipes.setGarmentRecipe(TOKEN_ONE_ID, RECIPE_ONE_ID, {from: admin});
+      await expectEvent(receipt, 'GarmentRecipeSet', {garmentTokenId: TOKEN_ONE_ID, recipeId: RECIPE_ONE_ID});
+      expect(await this.recipes.garmentRecipes(TOKEN_ONE_ID)).to.be.bignumber.equal(RECIPE_ONE_ID);
+    });
+
+    it('Reverts when sender is not admin or smart contract', async () => {
+      await expectRevert(
+        this.recipes.setGarmentRecipe(TOKEN_ONE_ID, RECIPE_ONE_ID, {from: random}),
+        'DigitalaxGarmentRecipes.setGarmentRecipe: Sender must be an authorised contract or admin'
+      );
+    });
+
+    it('Reverts when the recipe does not exist', async () => {
+      await expectRevert(
+        this.recipes.setGarmentRecipe(TOKEN_ONE_ID, '2', {from: admin}),
+        'DigitalaxGarmentRecipes.setGarmentRecipe: Recipe does not exist'
+      );
+    });
+
+    it('Reverts when the garment does not exist', async () => {
+      await expectRevert(
+        this.recipes.setGarmentRecipe('2', RECIPE_ONE_ID, {from: admin}),
+        'DigitalaxGarmentRecipes.setGarmentRecipe: Garment does not exist'
+      );
+    });
+
+    it('Reverts when the garment already has a recipe', async () => {
+      await this.recipes.setGarmentRecipe(TOKEN_ONE_ID, RECIPE_ONE_ID, {from: admin});
+      await expectRevert(
+        this.recipes.setGarmentRecipe(TOKEN_ONE_ID, RECIPE_ONE_ID, {from: admin}),
+        'DigitalaxGarmentRecipes.setGarmentRecipe: Recipe already set'
+      );
+    });
+
+    it('Reverts when the garment already has children', async () => {
+      await this.accessControls.addSmartContractRole(admin, {from: admin});
+      await this.digitalaxMaterials.mintChild(STRAND_FOUR_ID, '1', this.garment.address, web3.utils.encodePacked(TOKEN_ONE_ID.toString()), {from: admin});
+      await expectRevert(
+        this.recipes.setGarmentRecipe(TOKEN_ONE_ID, RECIPE_ONE_ID, {from: admin}),
+        'DigitalaxGarmentRecipes.setGarmentRecipe: Garment already has children'
+      );
+    });
+  });
+
+  describe('mintParentWithChildrenAndRecipe()', () => {
+    it('Mints a garment holding the strands of its recipe', async () => {
+      const {receipt} = await this.factory.mintParentWithChildrenAndRecipe(
+        randomURI, designer, [STRAND_ONE_ID, STRAND_TWO_ID], ['1', '4'], owner, RECIPE_ONE_ID, {from: minter}
+      );
+      await expectEvent(receipt, 'GarmentCreated', {garmentTokenId: TOKEN_ONE_ID});
+
+      expect(await this.recipes.garmentRecipes(TOKEN_ONE_ID)).to.be.bignumber.equal(RECIPE_ONE_ID);
+      expect(await this.garment.childBalance(TOKEN_ONE_ID, this.digitalaxMaterials.address, STRAND_TWO_ID)).to.be.bignumber.equal('4');
+    });
+
+    it('Mints a garment with a revenue split holding the strands of its recipe', async () => {
+      await this.factory.mintParentWithChildrenAndSplit(
+        randomURI, designer, [STRAND_ONE_ID, STRAND_TWO_ID], ['1', '2'], owner, [designer], ['10000'], RECIPE_ONE_ID, {from: minter}
+      );
+      expect(await this.recipes.garmentRecipes(TOKEN_ONE_ID)).to.be.bignumber.equal(RECIPE_ONE_ID);
+
+      await expectRevert(
+        this.factory.mintParentWithChildrenAndSplit(
+          randomURI, designer, [STRAND_ONE_ID], ['1'], owner, [designer], ['10000'], RECIPE_ONE_ID, {from: minter}
+        ),
+        'DigitalaxGarmentRecipes.validateGarment: Missing recipe child'
+      );
+    });
+
+    it('Reverts when a strand of the recipe is missing', async () => {
+      await expectRevert(
+        this.factory.mintParentWithChildrenAndRecipe(randomURI, designer, [STRAND_ONE_ID], ['1'], owner, RECIPE_ONE_ID, {from: minter}),
+        'DigitalaxGarmentRecipes.validateGarment: Missing recipe child'
+      );
+    });
+
+    it('Reverts when a strand is not in the recipe', async () => {
+      await expectRevert(
+        this.factory.mintParentWithChildrenAndRecipe(
+          randomURI, designer, [STRAND_ONE_ID, STRAND_TWO_ID, STRAND_FOUR_ID], ['1', '2', '1'], owner, RECIPE_ONE_ID, {from: minter}
+        ),
+        'DigitalaxGarmentRecipes.validateChildReceived: Child is not in the recipe'
+      );
+    });
+
+    it('Reverts when a strand is below the min amount', async () => {
+      await expectRevert(
+        this.factory.mintParentWithChildrenAndRecipe(randomURI, designer, [STRAND_ONE_ID, STRAND_TWO_ID], ['1', '1'], owner, RECIPE_ONE_ID, {from: minter}),
+        'DigitalaxGarmentRecipes.validateGarment: Missing recipe child'
+      );
+    });
+
+    it('Reverts when a strand is above the max amount', async () => {
+      await expectRevert(
+        this.factory.mintParentWithChildrenAndRecipe(randomURI, designer, [STRAND_ONE_ID, STRAND_TWO_ID], ['1', '6'], owner, RECIPE_ONE_ID, {from: minter}),
+        'DigitalaxGarmentRecipes.validateChildReceived: Above the recipe max amount'
+      );
+    });
+
+    it('Reverts when sender is not a minter', async () => {
+      await expectRevert(
+        this.factory.mintParentWithChildrenAndRecipe(randomURI, designer, [STRAND_ONE_ID, STRAND_TWO_ID], ['1', '2'], owner, RECIPE_ONE_ID, {from: random}),
+        'DigitalaxGarmentFactory.mintParentWithChildrenAndRecipe: Sender must be minter'
+      );
+    });
+
+    it('Reverts without a recipe', async () => {
+      await expectRevert(
+        this.factory.mintParentWithChildrenAndRecipe(randomURI, designer, [STRAND_ONE_ID, STRAND_TWO_ID], ['1', '2'], owner, '0', {from: minter}),
+        'DigitalaxGarmentFactory.mintParentWithChildrenAndRecipe: Recipe required'
+      );
+    });
+
+    it('Reverts when the garment does not enforce recipes', async () => {
+      await this.garment.updateRecipes(ZERO_ADDRESS, {from: admin});
+      await expectRevert(
+        this.factory.mintParentWithChildrenAndRecipe(randomURI, designer, [STRAND_ONE_ID, STRAND_TWO_ID], ['1', '2'], owner, RECIPE_ONE_ID, {from: minter}),
+        'DigitalaxGarmentFactory._mintChildren: Recipes are not enforced'
+      );
+    });
+  });
+
+  describe('Given a recipe with children from a partner contract', () => {
+    const garmentTokenIdEncoded = web3.utils.encodePacked(TOKEN_ONE_ID.toString());
+
+    beforeEach(async () => {
+      this.partnerMaterials = await ERC1155Mock.new({from: owner});
+      await this.partnerMaterials.mint(STRAND_ONE_ID, '5', {from: owner});
+      await this.partnerMaterials.mint(STRAND_TWO_ID, '5', {from: owner});
+      await this.garment.updateChildContract(this.partnerMaterials.address, true, {from: admin});
+
+      await this.recipes.createRecipe(
+        [this.digitalaxMaterials.address, this.partnerMaterials.address],
+        [STRAND_ONE_ID, STRAND_ONE_ID],
+        ['1', '2'],
+        ['1', '2'],
+        {from: minter}
+      );
+
+      await this.garment.mint(owner, randomURI, designer, {from: minter});
+      await this.recipes.setGarmentRecipe(TOKEN_ONE_ID, '2', {from: admin});
+    });
+
+    it('Accepts the partner children in the recipe', async () => {
+      await this.partnerMaterials.safeTransferFrom(owner, this.garment.address, STRAND_ONE_ID, '2', garmentTokenIdEncoded, {from: owner});
+      expect(await this.garment.childBalance(TOKEN_ONE_ID, this.partnerMaterials.address, STRAND_ONE_ID)).to.be.bignumber.equal('2');
+    });
+
+    it('Rejects partner children which are not in the recipe', async () => {
+      await expectRevert(
+        this.partnerMaterials.safeTransferFrom(owner, this.garment.address, STRAND_TWO_ID, '1', garmentTokenIdEncoded, {from: owner}),
+        'DigitalaxGarmentRecipes.validateChildReceived: Child is not in the recipe'
+      );
+    });
+
+    it('Requires the partner children for the garment to be complete', async () => {
+      await this.accessControls.addSmartContractRole(admin, {from: admin});
+      await this.digitalaxMaterials.mintChild(STRAND_ONE_ID, '1', this.garment.address, garmentTokenIdEncoded, {from: admin});
+      await expectRevert(
+        this.recipes.validateGarment(TOKEN_ONE_ID),
+        'DigitalaxGarmentRecipes.validateGarment: Missing recipe child'
+      );
+
+      await this.partnerMaterials.safeTransferFrom(owner, this.garment.address, STRAND_ONE_ID, '2', garmentTokenIdEncoded, {from: owner});
+      await this.recipes.validateGarment(TOKEN_ONE_ID);
+    });
+  });
+
+  describe('Given a garment following a recipe', () => {
+    const garmentTokenIdEncoded = web3.utils.encodePacked(TOKEN_ONE_ID.toString());
+
+    beforeEach(async () => {
+      await this.factory.mintParentWithChildrenAndRecipe(
+        randomURI, designer, [STRAND_ONE_ID, STRAND_TWO_ID], ['1', '4'], owner, RECIPE_ONE_ID, {from: minter}
+      );
+
+      // Loose strands held by the garment owner
+      await this.accessControls.addSmartContractRole(admin, {from: admin});
+      await this.digitalaxMaterials.batchMintChildren([STRAND_TWO_ID, STRAND_THREE_ID, STRAND_FOUR_ID], ['5', '5', '5'], owner, '0x', {from: admin});
+    });
+
+    it('Accepts strands of the recipe up to the max amount', async () => {
+      await this.digitalaxMaterials.safeTransferFrom(owner, this.garment.address, STRAND_THREE_ID, '3', garmentTokenIdEncoded, {from: owner});
+      expect(await this.garment.childBalance(TOKEN_ONE_ID, this.digitalaxMaterials.address, STRAND_THREE_ID)).to.be.bignumber.equal('3');
+
+      await expectRevert(
+        this.digitalaxMaterials.safeTransferFrom(owner, this.garment.address, STRAND_TWO_ID, '2', garmentTokenIdEncoded, {from: owner}),
+        'DigitalaxGarmentRecipes.validateChildReceived: Above the recipe max amount'
+      );
+    });
+
+    it('Rejects strands which are not in the recipe', async () => {
+      await expectRevert(
+        this.digitalaxMaterials.safeBatchTransferFrom(owner, this.garment.address, [STRAND_THREE_ID, STRAND_FOUR_ID], ['1', '1'], garmentTokenIdEncoded, {from: owner}),
+        'DigitalaxGarmentRecipes.validateChildReceived: Child is not in the recipe'
+      );
+    });
+
+    it('Keeps the signature strands when extracting children', async () => {
+      await this.garment.extractChildren(TOKEN_ONE_ID, owner, this.digitalaxMaterials.address, [STRAND_TWO_ID], ['2'], {from: owner});
+      expect(await this.garment.childBalance(TOKEN_ONE_ID, this.digitalaxMaterials.address, STRAND_TWO_ID)).to.be.bignumber.equal('2');
+
+      await expectRevert(
+        this.garment.extractChildren(TOKEN_ONE_ID, owner, this.digitalaxMaterials.address, [STRAND_ONE_ID], ['1'], {from: owner}),
+        'DigitalaxGarmentRecipes.validateChildExtracted: Below the recipe min amount'
+      );
+    });
+
+    it('Tops up a strand over several transfers', async () => {
+      await this.garment.extractChildren(TOKEN_ONE_ID, owner, this.digitalaxMaterials.address, [STRAND_TWO_ID], ['2'], {from: owner});
+
+      await this.digitalaxMaterials.safeTransferFrom(owner, this.garment.address, STRAND_TWO_ID, '1', garmentTokenIdEncoded, {from: owner});
+      await this.digitalaxMaterials.safeTransferFrom(owner, this.garment.address, STRAND_TWO_ID, '2', garmentTokenIdEncoded, {from: owner});
+      expect(await this.garment.childBalance(TOKEN_ONE_ID, this.digitalaxMaterials.address, STRAND_TWO_ID)).to.be.bignumber.equal('5');
+    });
+
+    it('Releases every strand when burnt', async () => {
+      await this.garment.burn(TOKEN_ONE_ID, {from: owner});
+      expect(await this.digitalaxMaterials.balanceOf(owner, STRAND_ONE_ID)).to.be.bignumber.equal('1');
+    });
+
+    it('Does not check garments without a recipe', async () => {
+      await this.factory.mintParentWithChildren(randomURI, designer, [STRAND_FOUR_ID], ['10'], owner, {from: minter});
+      expect(await this.garment.childBalance('2', this.digitalaxMaterials.address, STRAND_FOUR_ID)).to.be.bignumber.equal('10');
+    });
+  });
+});
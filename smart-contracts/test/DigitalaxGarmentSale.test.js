@@ -109,6 +109,9 @@ contract('Digitalax Garment Sale', (accounts) => {
       '0',
       '2',
       '10',
+      '0',
+      '0',
+      '0',
       {from: minter}
     );
 
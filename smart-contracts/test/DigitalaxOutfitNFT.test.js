@@ -0,0 +1,271 @@
+const {BN, constants, expectEvent, expectRevert} = require('@openzeppelin/test-helpers');
+const {ZERO_ADDRESS} = constants;
+const web3 = require('web3');
+
+const {expect} = require('chai');
+
+const DigitalaxAccessControls = artifacts.require('DigitalaxAccessControls');
+const DigitalaxMaterials = artifacts.require('DigitalaxMaterials');
+const DigitalaxGarmentNFT = artifacts.require('DigitalaxGarmentNFT');
+const DigitalaxGarmentFactory = artifacts.require('DigitalaxGarmentFactory');
+const DigitalaxOutfitNFT = artifacts.require('DigitalaxOutfitNFT');
+const ERC721Mock = artifacts.require('ERC721Mock');
+
+contract('DigitalaxOutfitNFT', function ([admin, minter, owner, designer, stylist, random]) {
+  const randomURI = 'rand';
+
+  const OUTFIT_ONE_ID = new BN('1');
+
+  const GARMENT_ONE_ID = new BN('1');
+  const GARMENT_TWO_ID = new BN('2');
+
+  const STRAND_ONE_ID = new BN('1');
+  const STRAND_TWO_ID = new BN('2');
+
+  const outfitOneEncoded = web3.utils.encodePacked(OUTFIT_ONE_ID.toString());
+
+  const wrapGarment = (garmentTokenId, from = owner, data = outfitOneEncoded) => this.garment.methods['safeTransferFrom(address,address,uint256,bytes)'](
+    from, this.outfit.address, garmentTokenId, data, {from}
+  );
+
+  beforeEach(async () => {
+    this.accessControls = await DigitalaxAccessControls.new({from: admin});
+    await this.accessControls.addMinterRole(minter, {from: admin});
+
+    this.digitalaxMaterials = await DigitalaxMaterials.new(
+      'DigitalaxMaterials',
+      'DXM',
+      this.accessControls.address,
+      {from: admin}
+    );
+
+    this.garment = await DigitalaxGarmentNFT.new(
+      this.accessControls.address,
+      this.digitalaxMaterials.address,
+      {from: admin}
+    );
+
+    this.factory = await DigitalaxGarmentFactory.new(
+      this.garment.address,
+      this.digitalaxMaterials.address,
+      this.accessControls.address,
+      {from: admin}
+    );
+    await this.accessControls.addSmartContractRole(this.factory.address, {from: admin});
+
+    this.outfit = await DigitalaxOutfitNFT.new(
+      this.accessControls.address,
+      this.garment.address,
+      {from: admin}
+    );
+
+    // Garment [1] holds strands [1] and [2], garment [2] holds strand [2]
+    await this.factory.createNewChildren([randomURI, randomURI], {from: minter});
+    await this.factory.mintParentWithChildren(randomURI, designer, [STRAND_ONE_ID, STRAND_TWO_ID], ['2', '3'], owner, {from: minter});
+    await this.factory.mintParentWithChildren(randomURI, designer, [STRAND_TWO_ID], ['5'], owner, {from: minter});
+
+    await this.outfit.mint(owner, randomURI, stylist, {from: minter});
+  });
+
+  describe('mint()', () => {
+    it('Mints an empty outfit', async () => {
+      expect(await this.outfit.ownerOf(OUTFIT_ONE_ID)).to.be.equal(owner);
+      expect(await this.outfit.tokenURI(OUTFIT_ONE_ID)).to.be.equal(randomURI);
+      expect(await this.outfit.outfitStylists(OUTFIT_ONE_ID)).to.be.equal(stylist);
+      expect(await this.outfit.garmentIdsFor(OUTFIT_ONE_ID)).to.be.deep.equal([]);
+    });
+
+    it('Reverts when sender does not have a MINTER or SMART_CONTRACT role', async () => {
+      await expectRevert(
+        this.outfit.mint(owner, randomURI, stylist, {from: random}),
+        'DigitalaxOutfitNFT.mint: Sender must have the minter or contract role'
+      );
+    });
+
+    it('Reverts when token URI is empty', async () => {
+      await expectRevert(
+        this.outfit.mint(owner, '', stylist, {from: minter}),
+        'DigitalaxOutfitNFT.mint: Token URI is empty'
+      );
+    });
+
+    it('Reverts when stylist is address ZERO', async () => {
+      await expectRevert(
+        this.outfit.mint(owner, randomURI, ZERO_ADDRESS, {from: minter}),
+        'DigitalaxOutfitNFT.mint: Stylist is zero address'
+      );
+    });
+  });
+
+  describe('Wrapping garments', () => {
+    it('Holds a garment transferred by the outfit owner', async () => {
+      const {tx} = await wrapGarment(GARMENT_ONE_ID);
+      await expectEvent.inTransaction(tx, DigitalaxOutfitNFT, 'ReceivedERC721Child', {
+        from: owner,
+        toTokenId: OUTFIT_ONE_ID,
+        childContract: this.garment.address,
+        childTokenId: GARMENT_ONE_ID
+      });
+
+      expect(await this.garment.ownerOf(GARMENT_ONE_ID)).to.be.equal(this.outfit.address);
+      expect(await this.outfit.garmentOutfit(GARMENT_ONE_ID)).to.be.bignumber.equal(OUTFIT_ONE_ID);
+
+      const garmentIds = await this.outfit.garmentIdsFor(OUTFIT_ONE_ID);
+      expect(garmentIds.map(id => id.toString())).to.be.deep.equal(['1']);
+      expect(await this.outfit.childERC721ContractsFor(OUTFIT_ONE_ID)).to.be.deep.equal([this.garment.address]);
+    });
+
+    it('Reverts when the sender does not own the outfit', async () => {
+      await this.garment.transferFrom(owner, random, GARMENT_ONE_ID, {from: owner});
+      await expectRevert(
+        wrapGarment(GARMENT_ONE_ID, random),
+        'DigitalaxOutfitNFT.onERC721Received: Cannot add garments to outfits you dont own'
+      );
+    });
+
+    it('Reverts when the outfit does not exist', async () => {
+      await expectRevert(
+        wrapGarment(GARMENT_ONE_ID, owner, web3.utils.encodePacked('99')),
+        'DigitalaxOutfitNFT.onERC721Received: Token does not exist'
+      );
+    });
+
+    it('Reverts when the outfit is not given', async () => {
+      await expectRevert(
+        wrapGarment(GARMENT_ONE_ID, owner, '0x'),
+        'ERC998: data must contain the unique uint256 tokenId to transfer the child token to'
+      );
+    });
+
+    it('Reverts when the token is not a garment', async () => {
+      const accessories = await ERC721Mock.new({from: owner});
+      await accessories.mint('1', {from: owner});
+      await expectRevert(
+        accessories.methods['safeTransferFrom(address,address,uint256,bytes)'](owner, this.outfit.address, '1', outfitOneEncoded, {from: owner}),
+        'DigitalaxOutfitNFT.onERC721Received: Only garments can be held'
+      );
+    });
+
+    it('Reverts when the outfit is full', async () => {
+      await this.outfit.updateMaxGarmentsPerOutfit('1', {from: admin});
+      await wrapGarment(GARMENT_ONE_ID);
+      await expectRevert(
+        wrapGarment(GARMENT_TWO_ID),
+        'DigitalaxOutfitNFT.onERC721Received: Cannot exceed max garments per outfit'
+      );
+    });
+  });
+
+  describe('Given an outfit with garments', () => {
+    beforeEach(async () => {
+      await wrapGarment(GARMENT_ONE_ID);
+      await wrapGarment(GARMENT_TWO_ID);
+    });
+
+    it('Exposes every strand of every garment', async () => {
+      const {_garmentTokenIds, _childContracts, _childTokenIds, _balances} = await this.outfit.getOutfitStrands(OUTFIT_ONE_ID);
+      expect(_garmentTokenIds.map(id => id.toString())).to.be.deep.equal(['1', '1', '2']);
+      expect(_childContracts).to.be.deep.equal([this.digitalaxMaterials.address, this.digitalaxMaterials.address, this.digitalaxMaterials.address]);
+      expect(_childTokenIds.map(id => id.toString())).to.be.deep.equal(['1', '2', '2']);
+      expect(_balances.map(balance => balance.toString())).to.be.deep.equal(['2', '3', '5']);
+    });
+
+    it('Moves the garments with the outfit when it is transferred', async () => {
+      await this.outfit.transferFrom(owner, random, OUTFIT_ONE_ID, {from: owner});
+
+      await expectRevert(
+        this.outfit.extractGarments(OUTFIT_ONE_ID, owner, [GARMENT_ONE_ID], {from: owner}),
+        'DigitalaxOutfitNFT.extractGarments: Only outfit owner or approved'
+      );
+
+      const {receipt} = await this.outfit.extractGarments(OUTFIT_ONE_ID, random, [GARMENT_ONE_ID], {from: random});
+      await expectEvent(receipt, 'TransferERC721Child', {
+        fromTokenId: OUTFIT_ONE_ID,
+        to: random,
+        childContract: this.garment.address,
+        childTokenId: GARMENT_ONE_ID
+      });
+
+      expect(await this.garment.ownerOf(GARMENT_ONE_ID)).to.be.equal(random);
+      expect(await this.outfit.garmentOutfit(GARMENT_ONE_ID)).to.be.bignumber.equal('0');
+      expect(await this.garment.childBalance(GARMENT_ONE_ID, this.digitalaxMaterials.address, STRAND_TWO_ID)).to.be.bignumber.equal('3');
+
+      const garmentIds = await this.outfit.childERC721IdsForOn(OUTFIT_ONE_ID, this.garment.address);
+      expect(garmentIds.map(id => id.toString())).to.be.deep.equal(['2']);
+    });
+
+    it('Reverts when extracting a garment which is not in the outfit', async () => {
+      await expectRevert(
+        this.outfit.extractGarments(OUTFIT_ONE_ID, owner, ['3'], {from: owner}),
+        'DigitalaxOutfitNFT.extractGarments: Garment is not in the outfit'
+      );
+    });
+
+    it('Reverts when extracting to the zero address', async () => {
+      await expectRevert(
+        this.outfit.extractGarments(OUTFIT_ONE_ID, ZERO_ADDRESS, [GARMENT_ONE_ID], {from: owner}),
+        'DigitalaxOutfitNFT.extractGarments: Recipient is zero address'
+      );
+    });
+
+    it('Returns the garments intact when unwrapped', async () => {
+      await this.outfit.burn(OUTFIT_ONE_ID, {from: owner});
+
+      expect(await this.outfit.exists(OUTFIT_ONE_ID)).to.be.false;
+      expect(await this.garment.ownerOf(GARMENT_ONE_ID)).to.be.equal(owner);
+      expect(await this.garment.ownerOf(GARMENT_TWO_ID)).to.be.equal(owner);
+      expect(await this.outfit.garmentIdsFor(OUTFIT_ONE_ID)).to.be.deep.equal([]);
+
+      // Burning the garment then releases its strands
+      await this.garment.burn(GARMENT_TWO_ID, {from: owner});
+      expect(await this.digitalaxMaterials.balanceOf(owner, STRAND_TWO_ID)).to.be.bignumber.equal('5');
+    });
+
+    it('Can be unwrapped by an approved address', async () => {
+      await this.outfit.approve(random, OUTFIT_ONE_ID, {from: owner});
+      await this.outfit.burn(OUTFIT_ONE_ID, {from: random});
+      expect(await this.garment.ownerOf(GARMENT_ONE_ID)).to.be.equal(random);
+    });
+
+    it('Reverts when unwrapped by someone else', async () => {
+      await expectRevert(
+        this.outfit.burn(OUTFIT_ONE_ID, {from: random}),
+        'DigitalaxOutfitNFT.burn: Only outfit owner or approved'
+      );
+    });
+  });
+
+  describe('Admin', () => {
+    it('Updates the token URI as admin', async () => {
+      const {receipt} = await this.outfit.setTokenURI(OUTFIT_ONE_ID, 'newUri', {from: admin});
+      await expectEvent(receipt, 'DigitalaxOutfitTokenUriUpdate', {_tokenId: OUTFIT_ONE_ID, _tokenUri: 'newUri'});
+      expect(await this.outfit.tokenURI(OUTFIT_ONE_ID)).to.be.equal('newUri');
+    });
+
+    it('Reverts when updating the token URI without a role', async () => {
+      await expectRevert(
+        this.outfit.setTokenURI(OUTFIT_ONE_ID, 'newUri', {from: random}),
+        'DigitalaxOutfitNFT.setTokenURI: Sender must be an authorised contract or admin'
+      );
+    });
+
+    it('Updates max garments per outfit as admin', async () => {
+      await this.outfit.updateMaxGarmentsPerOutfit('20', {from: admin});
+      expect(await this.outfit.maxGarmentsPerOutfit()).to.be.bignumber.equal('20');
+    });
+
+    it('Reverts when updating max garments per outfit without admin', async () => {
+      await expectRevert(
+        this.outfit.updateMaxGarmentsPerOutfit('20', {from: random}),
+        'DigitalaxOutfitNFT.updateMaxGarmentsPerOutfit: Sender must be admin'
+      );
+    });
+
+    it('Reverts when updating access controls without admin', async () => {
+      await expectRevert(
+        this.outfit.updateAccessControls(random, {from: random}),
+        'DigitalaxOutfitNFT.updateAccessControls: Sender must be admin'
+      );
+    });
+  });
+});
@@ -0,0 +1,814 @@
+const {
+  expectRevert,
+  expectEvent,
+  BN,
+  ether,
+  constants,
+  balance
+} = require('@openzeppelin/test-helpers');
+
+const {expect} = require('chai');
+
+const DigitalaxAccessControls = artifacts.require('DigitalaxAccessControls');
+const DigitalaxMaterials = artifacts.require('DigitalaxMaterials');
+const DigitalaxGarmentNFT = artifacts.require('DigitalaxGarmentNFT');
+const DigitalaxSealedBidAuction = artifacts.require('DigitalaxSealedBidAuctionMock');
+
+contract('DigitalaxSealedBidAuction', (accounts) => {
+  const [admin, smartContract, platformFeeAddress, minter, owner, designer, bidder, bidder2, bidder3] = accounts;
+
+  const TOKEN_ONE_ID = new BN('1');
+  const AUCTION_ONE_ID = new BN('1');
+
+  const SALT = web3.utils.soliditySha3('salt');
+  const SALT_2 = web3.utils.soliditySha3('salt2');
+
+  const randomTokenURI = 'rand';
+
+  // Phases - commit from 10 to 100, reveal from 100 to 200
+  const START = '10';
+  const COMMIT_END = '100';
+  const REVEAL_END = '200';
+
+  beforeEach(async () => {
+    this.accessControls = await DigitalaxAccessControls.new({from: admin});
+    await this.accessControls.addMinterRole(minter, {from: admin});
+    await this.accessControls.addSmartContractRole(smartContract, {from: admin});
+
+    this.digitalaxMaterials = await DigitalaxMaterials.new(
+      'DigitalaxMaterials',
+      'DXM',
+      this.accessControls.address,
+      {from: owner}
+    );
+
+    this.token = await DigitalaxGarmentNFT.new(
+      this.accessControls.address,
+      this.digitalaxMaterials.address,
+      {from: admin}
+    );
+
+    this.auction = await DigitalaxSealedBidAuction.new(
+      this.accessControls.address,
+      this.token.address,
+      platformFeeAddress,
+      {from: admin}
+    );
+
+    await this.accessControls.addSmartContractRole(this.auction.address, {from: admin});
+
+    await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+    await this.token.setApprovalForAll(this.auction.address, true, {from: minter});
+
+    await this.auction.setNowOverride('2');
+  });
+
+  const commit = async (from, bid, deposit, salt = SALT) => {
+    const commitment = await this.auction.sealBid(AUCTION_ONE_ID, from, bid, salt);
+    return this.auction.commitBid(AUCTION_ONE_ID, commitment, {from, value: deposit});
+  };
+
+  const reveal = (from, bid, salt = SALT) => this.auction.revealBid(AUCTION_ONE_ID, bid, salt, {from});
+
+  describe('Contract deployment', () => {
+    it('Reverts when access controls is zero', async () => {
+      await expectRevert(
+        DigitalaxSealedBidAuction.new(constants.ZERO_ADDRESS, this.token.address, platformFeeAddress, {from: admin}),
+        'DigitalaxSealedBidAuction: Invalid Access Controls'
+      );
+    });
+
+    it('Reverts when garment is zero', async () => {
+      await expectRevert(
+        DigitalaxSealedBidAuction.new(this.accessControls.address, constants.ZERO_ADDRESS, platformFeeAddress, {from: admin}),
+        'DigitalaxSealedBidAuction: Invalid NFT'
+      );
+    });
+
+    it('Reverts when platform fee recipient is zero', async () => {
+      await expectRevert(
+        DigitalaxSealedBidAuction.new(this.accessControls.address, this.token.address, constants.ZERO_ADDRESS, {from: admin}),
+        'DigitalaxSealedBidAuction: Invalid Platform Fee Recipient'
+      );
+    });
+  });
+
+  describe('createAuction()', () => {
+    describe('validation', () => {
+      it('fails without the minter role', async () => {
+        await expectRevert(
+          this.auction.createAuction(TOKEN_ONE_ID, ether('1'), START, COMMIT_END, REVEAL_END, {from: bidder}),
+          'DigitalaxSealedBidAuction.createAuction: Sender must have the minter role'
+        );
+      });
+
+      it('fails when the minter does not own the garment', async () => {
+        await this.token.transferFrom(minter, owner, TOKEN_ONE_ID, {from: minter});
+        await expectRevert(
+          this.auction.createAuction(TOKEN_ONE_ID, ether('1'), START, COMMIT_END, REVEAL_END, {from: minter}),
+          'DigitalaxSealedBidAuction.createAuction: Not owner and or contract not approved'
+        );
+      });
+
+      it('fails when admin lists without approval', async () => {
+        await this.token.setApprovalForAll(this.auction.address, false, {from: minter});
+        await expectRevert(
+          this.auction.createAuctionOnBehalfOfOwner(TOKEN_ONE_ID, ether('1'), START, COMMIT_END, REVEAL_END, {from: admin}),
+          'DigitalaxSealedBidAuction.createAuctionOnBehalfOfOwner: Cannot create an auction if you do not have approval'
+        );
+      });
+
+      it('fails when the commit phase ends before it starts', async () => {
+        await expectRevert(
+          this.auction.createAuction(TOKEN_ONE_ID, ether('1'), START, START, REVEAL_END, {from: minter}),
+          'DigitalaxSealedBidAuction.createAuction: Commit end time must be greater than start'
+        );
+      });
+
+      it('fails when the reveal phase ends before the commit phase', async () => {
+        await expectRevert(
+          this.auction.createAuction(TOKEN_ONE_ID, ether('1'), START, COMMIT_END, COMMIT_END, {from: minter}),
+          'DigitalaxSealedBidAuction.createAuction: Reveal end time must be greater than commit end'
+        );
+      });
+
+      it('fails when the commit phase has passed', async () => {
+        await this.auction.setNowOverride('100');
+        await expectRevert(
+          this.auction.createAuction(TOKEN_ONE_ID, ether('1'), START, COMMIT_END, REVEAL_END, {from: minter}),
+          'DigitalaxSealedBidAuction.createAuction: Commit end time passed. Nobody can bid.'
+        );
+      });
+
+      it('fails when the garment is already listed', async () => {
+        await this.auction.createAuction(TOKEN_ONE_ID, ether('1'), START, COMMIT_END, REVEAL_END, {from: minter});
+        await expectRevert(
+          this.auction.createAuction(TOKEN_ONE_ID, ether('1'), START, COMMIT_END, REVEAL_END, {from: minter}),
+          'DigitalaxSealedBidAuction.createAuction: Cannot relist'
+        );
+      });
+
+      it('fails when paused', async () => {
+        await this.auction.toggleIsPaused({from: admin});
+        await expectRevert(
+          this.auction.createAuction(TOKEN_ONE_ID, ether('1'), START, COMMIT_END, REVEAL_END, {from: minter}),
+          'Function is currently paused'
+        );
+      });
+    });
+
+    describe('successful creation', () => {
+      it('records the auction against a new auction ID', async () => {
+        const {receipt} = await this.auction.createAuction(TOKEN_ONE_ID, ether('1'), START, COMMIT_END, REVEAL_END, {from: minter});
+        await expectEvent(receipt, 'AuctionCreated', {
+          auctionId: AUCTION_ONE_ID,
+          garmentTokenId: TOKEN_ONE_ID,
+          reservePrice: ether('1'),
+          startTime: START,
+          commitEndTime: COMMIT_END,
+          revealEndTime: REVEAL_END,
+          forfeitUnrevealed: false
+        });
+
+        expect(await this.auction.auctionIdPointer()).to.be.bignumber.equal('1');
+        expect(await this.auction.garmentAuctionIds(TOKEN_ONE_ID)).to.be.bignumber.equal(AUCTION_ONE_ID);
+
+        const {garmentTokenId, reservePrice, commitEndTime, revealEndTime, resulted, cancelled} = await this.auction.auctions(AUCTION_ONE_ID);
+        expect(garmentTokenId).to.be.bignumber.equal(TOKEN_ONE_ID);
+        expect(reservePrice).to.be.bignumber.equal(ether('1'));
+        expect(commitEndTime).to.be.bignumber.equal(COMMIT_END);
+        expect(revealEndTime).to.be.bignumber.equal(REVEAL_END);
+        expect(resulted).to.be.false;
+        expect(cancelled).to.be.false;
+      });
+
+      it('fixes the unrevealed deposit policy at creation', async () => {
+        await this.auction.updateForfeitUnrevealedDeposits(true, {from: admin});
+        await this.auction.createAuction(TOKEN_ONE_ID, ether('1'), START, COMMIT_END, REVEAL_END, {from: minter});
+
+        await this.auction.updateForfeitUnrevealedDeposits(false, {from: admin});
+        expect((await this.auction.auctions(AUCTION_ONE_ID)).forfeitUnrevealed).to.be.true;
+      });
+    });
+  });
+
+  describe('sealBid()', () => {
+    it('hashes the auction, bidder, bid and salt', async () => {
+      const expected = web3.utils.soliditySha3(
+        {t: 'uint256', v: AUCTION_ONE_ID},
+        {t: 'address', v: bidder},
+        {t: 'uint256', v: ether('1')},
+        {t: 'bytes32', v: SALT}
+      );
+      expect(await this.auction.sealBid(AUCTION_ONE_ID, bidder, ether('1'), SALT)).to.be.equal(expected);
+    });
+  });
+
+  describe('commitBid()', () => {
+    beforeEach(async () => {
+      await this.auction.createAuction(TOKEN_ONE_ID, ether('1'), START, COMMIT_END, REVEAL_END, {from: minter});
+      await this.auction.setNowOverride('50');
+    });
+
+    describe('validation', () => {
+      it('fails when the auction does not exist', async () => {
+        await expectRevert(
+          this.auction.commitBid('2', SALT, {from: bidder, value: ether('1')}),
+          'DigitalaxSealedBidAuction.commitBid: Auction does not exist'
+        );
+      });
+
+      it('fails before the commit phase', async () => {
+        await this.auction.setNowOverride('5');
+        await expectRevert(
+          commit(bidder, ether('1'), ether('1')),
+          'DigitalaxSealedBidAuction.commitBid: Outside of the commit phase'
+        );
+      });
+
+      it('fails after the commit phase', async () => {
+        await this.auction.setNowOverride(COMMIT_END);
+        await expectRevert(
+          commit(bidder, ether('1'), ether('1')),
+          'DigitalaxSealedBidAuction.commitBid: Outside of the commit phase'
+        );
+      });
+
+      it('fails without a deposit', async () => {
+        await expectRevert(
+          commit(bidder, ether('1'), '0'),
+          'DigitalaxSealedBidAuction.commitBid: Deposit required'
+        );
+      });
+
+      it('fails with an empty commitment', async () => {
+        await expectRevert(
+          this.auction.commitBid(AUCTION_ONE_ID, constants.ZERO_BYTES32, {from: bidder, value: ether('1')}),
+          'DigitalaxSealedBidAuction.commitBid: Invalid commitment'
+        );
+      });
+
+      it('fails when cancelled', async () => {
+        await this.auction.cancelAuction(AUCTION_ONE_ID, {from: admin});
+        await expectRevert(
+          commit(bidder, ether('1'), ether('1')),
+          'DigitalaxSealedBidAuction.commitBid: Auction cancelled'
+        );
+      });
+
+      it('fails when paused', async () => {
+        await this.auction.toggleIsPaused({from: admin});
+        await expectRevert(
+          commit(bidder, ether('1'), ether('1')),
+          'Function is currently paused'
+        );
+      });
+    });
+
+    describe('successful commit', () => {
+      it('holds the deposit without revealing the bid', async () => {
+        const auctionTracker = await balance.tracker(this.auction.address);
+
+        const {receipt} = await commit(bidder, ether('1.2'), ether('2'));
+        await expectEvent(receipt, 'BidCommitted', {
+          auctionId: AUCTION_ONE_ID,
+          bidder: bidder,
+          deposit: ether('2')
+        });
+
+        expect(await auctionTracker.delta('wei')).to.be.bignumber.equal(ether('2'));
+
+        const {deposit, bid, revealed} = await this.auction.sealedBids(AUCTION_ONE_ID, bidder);
+        expect(deposit).to.be.bignumber.equal(ether('2'));
+        expect(bid).to.be.bignumber.equal('0');
+        expect(revealed).to.be.false;
+      });
+
+      it('replaces the commitment and adds to the deposit when committing again', async () => {
+        await commit(bidder, ether('1.2'), ether('1.5'));
+        await commit(bidder, ether('2.5'), ether('1'), SALT_2);
+
+        expect((await this.auction.sealedBids(AUCTION_ONE_ID, bidder)).deposit).to.be.bignumber.equal(ether('2.5'));
+
+        await this.auction.setNowOverride(COMMIT_END);
+        await expectRevert(
+          reveal(bidder, ether('1.2')),
+          'DigitalaxSealedBidAuction.revealBid: Bid does not match commitment'
+        );
+        await reveal(bidder, ether('2.5'), SALT_2);
+      });
+    });
+  });
+
+  describe('revealBid()', () => {
+    beforeEach(async () => {
+      await this.auction.createAuction(TOKEN_ONE_ID, ether('1'), START, COMMIT_END, REVEAL_END, {from: minter});
+      await this.auction.setNowOverride('50');
+      await commit(bidder, ether('1.5'), ether('2'));
+      await commit(bidder2, ether('1.8'), ether('1.8'));
+      await commit(bidder3, ether('0.5'), ether('3'));
+      await this.auction.setNowOverride('150');
+    });
+
+    describe('validation', () => {
+      it('fails in the commit phase', async () => {
+        await this.auction.setNowOverride('50');
+        await expectRevert(
+          reveal(bidder, ether('1.5')),
+          'DigitalaxSealedBidAuction.revealBid: Outside of the reveal phase'
+        );
+      });
+
+      it('fails after the reveal phase', async () => {
+        await this.auction.setNowOverride('201');
+        await expectRevert(
+          reveal(bidder, ether('1.5')),
+          'DigitalaxSealedBidAuction.revealBid: Outside of the reveal phase'
+        );
+      });
+
+      it('fails when the bid or salt do not match the commitment', async () => {
+        await expectRevert(
+          reveal(bidder, ether('1.6')),
+          'DigitalaxSealedBidAuction.revealBid: Bid does not match commitment'
+        );
+        await expectRevert(
+          reveal(bidder, ether('1.5'), SALT_2),
+          'DigitalaxSealedBidAuction.revealBid: Bid does not match commitment'
+        );
+      });
+
+      it('fails when nothing was committed', async () => {
+        await expectRevert(
+          reveal(owner, ether('1.5')),
+          'DigitalaxSealedBidAuction.revealBid: Bid does not match commitment'
+        );
+      });
+
+      it('fails when the bid is more than the deposit', async () => {
+        await this.auction.setNowOverride('50');
+        await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+        await this.auction.createAuction('2', ether('1'), START, COMMIT_END, REVEAL_END, {from: minter});
+
+        const commitment = await this.auction.sealBid('2', bidder, ether('3'), SALT);
+        await this.auction.commitBid('2', commitment, {from: bidder, value: ether('2')});
+
+        await this.auction.setNowOverride('150');
+        await expectRevert(
+          this.auction.revealBid('2', ether('3'), SALT, {from: bidder}),
+          'DigitalaxSealedBidAuction.revealBid: Bid exceeds deposit'
+        );
+      });
+
+      it('fails when already revealed', async () => {
+        await reveal(bidder, ether('1.5'));
+        await expectRevert(
+          reveal(bidder, ether('1.5')),
+          'DigitalaxSealedBidAuction.revealBid: Already revealed'
+        );
+      });
+    });
+
+    describe('successful reveal', () => {
+      it('makes the highest revealed bid which meets the reserve the highest bid', async () => {
+        const {receipt} = await reveal(bidder, ether('1.5'));
+        await expectEvent(receipt, 'BidRevealed', {
+          auctionId: AUCTION_ONE_ID,
+          bidder: bidder,
+          bid: ether('1.5')
+        });
+
+        let highestBid = await this.auction.highestBids(AUCTION_ONE_ID);
+        expect(highestBid.bidder).to.be.equal(bidder);
+        expect(highestBid.bid).to.be.bignumber.equal(ether('1.5'));
+
+        await reveal(bidder2, ether('1.8'));
+        highestBid = await this.auction.highestBids(AUCTION_ONE_ID);
+        expect(highestBid.bidder).to.be.equal(bidder2);
+        expect(highestBid.bid).to.be.bignumber.equal(ether('1.8'));
+
+        // Below the reserve, even with the largest deposit
+        await reveal(bidder3, ether('0.5'));
+        expect((await this.auction.highestBids(AUCTION_ONE_ID)).bidder).to.be.equal(bidder2);
+      });
+
+      it('keeps the first reveal on a tie', async () => {
+        await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+        await this.auction.setNowOverride('50');
+        await this.auction.createAuction('2', ether('1'), START, COMMIT_END, REVEAL_END, {from: minter});
+
+        for (const from of [bidder, bidder2]) {
+          const commitment = await this.auction.sealBid('2', from, ether('1.5'), SALT);
+          await this.auction.commitBid('2', commitment, {from, value: ether('1.5')});
+        }
+
+        await this.auction.setNowOverride('150');
+        await this.auction.revealBid('2', ether('1.5'), SALT, {from: bidder2});
+        await this.auction.revealBid('2', ether('1.5'), SALT, {from: bidder});
+        expect((await this.auction.highestBids('2')).bidder).to.be.equal(bidder2);
+      });
+    });
+  });
+
+  describe('withdrawDeposit()', () => {
+    beforeEach(async () => {
+      await this.auction.createAuction(TOKEN_ONE_ID, ether('1'), START, COMMIT_END, REVEAL_END, {from: minter});
+      await this.auction.setNowOverride('50');
+      await commit(bidder, ether('1.5'), ether('2'));
+      await commit(bidder2, ether('1.8'), ether('1.8'));
+      await commit(bidder3, ether('1.2'), ether('1.2'));
+      await this.auction.setNowOverride('150');
+      await reveal(bidder, ether('1.5'));
+      await reveal(bidder2, ether('1.8'));
+    });
+
+    it('fails when there is nothing to withdraw', async () => {
+      await expectRevert(
+        this.auction.withdrawDeposit(AUCTION_ONE_ID, {from: owner}),
+        'DigitalaxSealedBidAuction.withdrawDeposit: Nothing to withdraw'
+      );
+    });
+
+    it('lets revealed bidders who are not the highest withdraw straight away', async () => {
+      const {receipt} = await this.auction.withdrawDeposit(AUCTION_ONE_ID, {from: bidder});
+      await expectEvent(receipt, 'DepositWithdrawn', {
+        auctionId: AUCTION_ONE_ID,
+        bidder: bidder,
+        amount: ether('2')
+      });
+
+      await expectRevert(
+        this.auction.withdrawDeposit(AUCTION_ONE_ID, {from: bidder}),
+        'DigitalaxSealedBidAuction.withdrawDeposit: Nothing to withdraw'
+      );
+    });
+
+    it('holds the highest bid until resulted', async () => {
+      await expectRevert(
+        this.auction.withdrawDeposit(AUCTION_ONE_ID, {from: bidder2}),
+        'DigitalaxSealedBidAuction.withdrawDeposit: Highest bid is held until the auction is resulted'
+      );
+    });
+
+    it('holds unrevealed deposits until the reveal phase is over', async () => {
+      await expectRevert(
+        this.auction.withdrawDeposit(AUCTION_ONE_ID, {from: bidder3}),
+        'DigitalaxSealedBidAuction.withdrawDeposit: Reveal phase not over'
+      );
+
+      await this.auction.setNowOverride('201');
+      await this.auction.withdrawDeposit(AUCTION_ONE_ID, {from: bidder3});
+    });
+
+    it('lets every bidder withdraw once cancelled', async () => {
+      await this.auction.cancelAuction(AUCTION_ONE_ID, {from: admin});
+
+      for (const from of [bidder, bidder2, bidder3]) {
+        await this.auction.withdrawDeposit(AUCTION_ONE_ID, {from});
+      }
+      expect(await balance.current(this.auction.address)).to.be.bignumber.equal('0');
+    });
+
+    describe('forfeiting unrevealed deposits', () => {
+      beforeEach(async () => {
+        await this.auction.updateForfeitUnrevealedDeposits(true, {from: admin});
+        await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+        await this.auction.setNowOverride('50');
+        await this.auction.createAuction('2', ether('1'), START, COMMIT_END, REVEAL_END, {from: minter});
+
+        const commitment = await this.auction.sealBid('2', bidder3, ether('1.2'), SALT);
+        await this.auction.commitBid('2', commitment, {from: bidder3, value: ether('1.2')});
+        await this.auction.setNowOverride('201');
+      });
+
+      it('stops the bidder withdrawing', async () => {
+        await expectRevert(
+          this.auction.withdrawDeposit('2', {from: bidder3}),
+          'DigitalaxSealedBidAuction.withdrawDeposit: Unrevealed deposit forfeited'
+        );
+      });
+
+      it('sends the deposit to the platform fee recipient when claimed', async () => {
+        await expectRevert(
+          this.auction.claimForfeitedDeposit('2', bidder3, {from: bidder}),
+          'DigitalaxSealedBidAuction.claimForfeitedDeposit: Sender must be admin or smart contract'
+        );
+
+        const platformFeeTracker = await balance.tracker(platformFeeAddress);
+
+        const {receipt} = await this.auction.claimForfeitedDeposit('2', bidder3, {from: smartContract});
+        await expectEvent(receipt, 'DepositForfeited', {
+          auctionId: '2',
+          bidder: bidder3,
+          amount: ether('1.2')
+        });
+
+        expect(await platformFeeTracker.delta('wei')).to.be.bignumber.equal(ether('1.2'));
+
+        await expectRevert(
+          this.auction.claimForfeitedDeposit('2', bidder3, {from: admin}),
+          'DigitalaxSealedBidAuction.claimForfeitedDeposit: Nothing to claim'
+        );
+      });
+
+      it('cannot be claimed from auctions which refund them', async () => {
+        await expectRevert(
+          this.auction.claimForfeitedDeposit(AUCTION_ONE_ID, bidder3, {from: admin}),
+          'DigitalaxSealedBidAuction.claimForfeitedDeposit: Auction does not forfeit deposits'
+        );
+      });
+
+      it('cannot be claimed from bidders who revealed', async () => {
+        await this.auction.setNowOverride('50');
+        const commitment = await this.auction.sealBid('2', bidder, ether('1.5'), SALT);
+        await this.auction.commitBid('2', commitment, {from: bidder, value: ether('1.5')});
+        await this.auction.setNowOverride('150');
+        await this.auction.revealBid('2', ether('1.5'), SALT, {from: bidder});
+        await this.auction.setNowOverride('201');
+
+        await expectRevert(
+          this.auction.claimForfeitedDeposit('2', bidder, {from: admin}),
+          'DigitalaxSealedBidAuction.claimForfeitedDeposit: Bid was revealed'
+        );
+      });
+    });
+  });
+
+  describe('resultAuction()', () => {
+    beforeEach(async () => {
+      await this.auction.createAuction(TOKEN_ONE_ID, ether('1'), START, COMMIT_END, REVEAL_END, {from: minter});
+      await this.auction.setNowOverride('50');
+      await commit(bidder, ether('1.5'), ether('2'));
+      await commit(bidder2, ether('2'), ether('2.5'));
+      await this.auction.setNowOverride('150');
+      await reveal(bidder, ether('1.5'));
+      await reveal(bidder2, ether('2'));
+    });
+
+    describe('validation', () => {
+      it('fails when not admin or smart contract', async () => {
+        await this.auction.setNowOverride('201');
+        await expectRevert(
+          this.auction.resultAuction(AUCTION_ONE_ID, {from: bidder}),
+          'DigitalaxSealedBidAuction.resultAuction: Sender must be admin or smart contract'
+        );
+      });
+
+      it('fails when the auction does not exist', async () => {
+        await expectRevert(
+          this.auction.resultAuction('2', {from: admin}),
+          'DigitalaxSealedBidAuction.resultAuction: Auction does not exist'
+        );
+      });
+
+      it('fails before the reveal phase is over', async () => {
+        await expectRevert(
+          this.auction.resultAuction(AUCTION_ONE_ID, {from: admin}),
+          'DigitalaxSealedBidAuction.resultAuction: Reveal phase not over'
+        );
+      });
+
+      it('fails when nobody revealed a bid meeting the reserve', async () => {
+        await this.token.mint(minter, randomTokenURI, designer, {from: minter});
+        await this.auction.setNowOverride('50');
+        await this.auction.createAuction('2', ether('1'), START, COMMIT_END, REVEAL_END, {from: minter});
+
+        await this.auction.setNowOverride('201');
+        await expectRevert(
+          this.auction.resultAuction('2', {from: admin}),
+          'DigitalaxSealedBidAuction.resultAuction: no revealed bids'
+        );
+      });
+
+      it('fails when the contract is no longer approved', async () => {
+        await this.token.setApprovalForAll(this.auction.address, false, {from: minter});
+        await this.auction.setNowOverride('201');
+        await expectRevert(
+          this.auction.resultAuction(AUCTION_ONE_ID, {from: admin}),
+          'DigitalaxSealedBidAuction.resultAuction: auction not approved'
+        );
+      });
+
+      it('fails when cancelled', async () => {
+        await this.auction.cancelAuction(AUCTION_ONE_ID, {from: admin});
+        await this.auction.setNowOverride('201');
+        await expectRevert(
+          this.auction.resultAuction(AUCTION_ONE_ID, {from: admin}),
+          'DigitalaxSealedBidAuction.resultAuction: Auction cancelled'
+        );
+      });
+    });
+
+    describe('successful result', () => {
+      beforeEach(async () => {
+        await this.auction.setNowOverride('201');
+      });
+
+      it('transfers the garment to the highest revealed bidder and records the sale', async () => {
+        const {receipt} = await this.auction.resultAuction(AUCTION_ONE_ID, {from: admin});
+        await expectEvent(receipt, 'AuctionResulted', {
+          auctionId: AUCTION_ONE_ID,
+          garmentTokenId: TOKEN_ONE_ID,
+          winner: bidder2,
+          winningBid: ether('2')
+        });
+
+        expect(await this.token.ownerOf(TOKEN_ONE_ID)).to.be.equal(bidder2);
+        expect(await this.token.primarySalePrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('2'));
+        expect((await this.auction.auctions(AUCTION_ONE_ID)).resulted).to.be.true;
+
+        await expectRevert(
+          this.auction.resultAuction(AUCTION_ONE_ID, {from: admin}),
+          'DigitalaxSealedBidAuction.resultAuction: auction already resulted'
+        );
+      });
+
+      it('takes the platform fee from above the reserve and pays the rest to the designer', async () => {
+        const platformFeeTracker = await balance.tracker(platformFeeAddress);
+        const designerTracker = await balance.tracker(designer);
+
+        await this.auction.resultAuction(AUCTION_ONE_ID, {from: admin});
+
+        // 12% of the 1 ETH above the reserve
+        const platformFee = ether('0.12');
+        expect(await platformFeeTracker.delta('wei')).to.be.bignumber.equal(platformFee);
+        expect(await designerTracker.delta('wei')).to.be.bignumber.equal(ether('2').sub(platformFee));
+      });
+
+      it('splits the designer funds between the revenue split recipients', async () => {
+        const collaborator = accounts[10];
+        await this.token.setRevenueSplit(TOKEN_ONE_ID, [designer, collaborator], ['7500', '2500'], {from: admin});
+
+        const designerTracker = await balance.tracker(designer);
+        const collaboratorTracker = await balance.tracker(collaborator);
+
+        const {receipt} = await this.auction.resultAuction(AUCTION_ONE_ID, {from: admin});
+
+        // 2 ETH minus 12% of the 1 ETH above the reserve
+        expect(await designerTracker.delta('wei')).to.be.bignumber.equal(ether('1.41'));
+        expect(await collaboratorTracker.delta('wei')).to.be.bignumber.equal(ether('0.47'));
+        await expectEvent(receipt, 'RevenuePaid', {
+          garmentTokenId: TOKEN_ONE_ID,
+          recipient: collaborator,
+          amount: ether('0.47')
+        });
+      });
+
+      it('pays the owner rather than the designer when the garment is resold', async () => {
+        await this.token.setPrimarySalePrice(TOKEN_ONE_ID, ether('0.2'), {from: smartContract});
+
+        const platformFeeTracker = await balance.tracker(platformFeeAddress);
+        const designerTracker = await balance.tracker(designer);
+        const sellerTracker = await balance.tracker(minter);
+
+        const {receipt} = await this.auction.resultAuction(AUCTION_ONE_ID, {from: admin});
+        await expectEvent(receipt, 'RevenuePaid', {garmentTokenId: TOKEN_ONE_ID, recipient: minter, amount: ether('1.88')});
+
+        // 12% of the 1 ETH above the reserve
+        expect(await platformFeeTracker.delta('wei')).to.be.bignumber.equal(ether('0.12'));
+        expect(await designerTracker.delta('wei')).to.be.bignumber.equal('0');
+        expect(await sellerTracker.delta('wei')).to.be.bignumber.equal(ether('1.88'));
+
+        expect(await this.token.ownerOf(TOKEN_ONE_ID)).to.be.equal(bidder2);
+        expect(await this.token.primarySalePrice(TOKEN_ONE_ID)).to.be.bignumber.equal(ether('0.2'));
+      });
+
+      it('leaves the winner the rest of their deposit to withdraw', async () => {
+        await this.auction.resultAuction(AUCTION_ONE_ID, {from: admin});
+
+        const {receipt} = await this.auction.withdrawDeposit(AUCTION_ONE_ID, {from: bidder2});
+        await expectEvent(receipt, 'DepositWithdrawn', {
+          auctionId: AUCTION_ONE_ID,
+          bidder: bidder2,
+          amount: ether('0.5')
+        });
+
+        await this.auction.withdrawDeposit(AUCTION_ONE_ID, {from: bidder});
+        expect(await balance.current(this.auction.address)).to.be.bignumber.equal('0');
+      });
+    });
+  });
+
+  describe('Admin functions', () => {
+    beforeEach(async () => {
+      await this.auction.createAuction(TOKEN_ONE_ID, ether('1'), START, COMMIT_END, REVEAL_END, {from: minter});
+    });
+
+    describe('cancelAuction()', () => {
+      it('fails when not admin or smart contract', async () => {
+        await expectRevert(
+          this.auction.cancelAuction(AUCTION_ONE_ID, {from: bidder}),
+          'DigitalaxSealedBidAuction.cancelAuction: Sender must be admin or smart contract'
+        );
+      });
+
+      it('fails when the auction does not exist', async () => {
+        await expectRevert(
+          this.auction.cancelAuction('2', {from: admin}),
+          'DigitalaxSealedBidAuction.cancelAuction: Auction does not exist'
+        );
+      });
+
+      it('fails when already cancelled', async () => {
+        await this.auction.cancelAuction(AUCTION_ONE_ID, {from: admin});
+        await expectRevert(
+          this.auction.cancelAuction(AUCTION_ONE_ID, {from: admin}),
+          'DigitalaxSealedBidAuction.cancelAuction: Auction cancelled'
+        );
+      });
+
+      it('lets the garment be listed again under a new auction ID', async () => {
+        const {receipt} = await this.auction.cancelAuction(AUCTION_ONE_ID, {from: smartContract});
+        await expectEvent(receipt, 'AuctionCancelled', {
+          auctionId: AUCTION_ONE_ID,
+          garmentTokenId: TOKEN_ONE_ID
+        });
+
+        await this.auction.createAuction(TOKEN_ONE_ID, ether('1'), START, COMMIT_END, REVEAL_END, {from: minter});
+        expect(await this.auction.garmentAuctionIds(TOKEN_ONE_ID)).to.be.bignumber.equal('2');
+      });
+    });
+
+    describe('updateForfeitUnrevealedDeposits()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updateForfeitUnrevealedDeposits(true, {from: bidder}),
+          'DigitalaxSealedBidAuction.updateForfeitUnrevealedDeposits: Sender must be admin'
+        );
+      });
+
+      it('successfully updates the policy', async () => {
+        const {receipt} = await this.auction.updateForfeitUnrevealedDeposits(true, {from: admin});
+        await expectEvent(receipt, 'UpdateForfeitUnrevealedDeposits', {forfeitUnrevealedDeposits: true});
+        expect(await this.auction.forfeitUnrevealedDeposits()).to.be.true;
+      });
+    });
+
+    describe('toggleIsPaused()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.toggleIsPaused({from: bidder}),
+          'DigitalaxSealedBidAuction.toggleIsPaused: Sender must be admin'
+        );
+      });
+    });
+
+    describe('updatePlatformFee()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updatePlatformFee('123', {from: bidder}),
+          'DigitalaxSealedBidAuction.updatePlatformFee: Sender must be admin'
+        );
+      });
+
+      it('fails when the fee is above 100%', async () => {
+        await expectRevert(
+          this.auction.updatePlatformFee('1001', {from: admin}),
+          'DigitalaxSealedBidAuction.updatePlatformFee: Fee above 100%'
+        );
+      });
+
+      it('successfully updates platform fee', async () => {
+        await this.auction.updatePlatformFee('123', {from: admin});
+        expect(await this.auction.platformFee()).to.be.bignumber.equal('123');
+      });
+    });
+
+    describe('updatePlatformFeeRecipient()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updatePlatformFeeRecipient(owner, {from: bidder}),
+          'DigitalaxSealedBidAuction.updatePlatformFeeRecipient: Sender must be admin'
+        );
+      });
+
+      it('fails when setting zero address', async () => {
+        await expectRevert(
+          this.auction.updatePlatformFeeRecipient(constants.ZERO_ADDRESS, {from: admin}),
+          'DigitalaxSealedBidAuction.updatePlatformFeeRecipient: Zero address'
+        );
+      });
+
+      it('successfully updates platform fee recipient', async () => {
+        await this.auction.updatePlatformFeeRecipient(owner, {from: admin});
+        expect(await this.auction.platformFeeRecipient()).to.be.equal(owner);
+      });
+    });
+
+    describe('updateAccessControls()', () => {
+      it('fails when not admin', async () => {
+        await expectRevert(
+          this.auction.updateAccessControls(owner, {from: bidder}),
+          'DigitalaxSealedBidAuction.updateAccessControls: Sender must be admin'
+        );
+      });
+
+      it('fails when setting zero address', async () => {
+        await expectRevert(
+          this.auction.updateAccessControls(constants.ZERO_ADDRESS, {from: admin}),
+          'DigitalaxSealedBidAuction.updateAccessControls: Zero Address'
+        );
+      });
+    });
+  });
+});
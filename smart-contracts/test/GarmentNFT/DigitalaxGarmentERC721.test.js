@@ -46,6 +46,7 @@ contract('Core ERC721 tests for DigitalaxGarmentNFT', function ([owner, minter,
         'ERC721',
         'ERC721Enumerable',
         'ERC721Metadata',
+        'ERC2981',
     ]);
 
     describe('metadata', function () {
@@ -8,6 +8,8 @@ const DigitalaxAccessControls = artifacts.require('DigitalaxAccessControls');
 const DigitalaxMaterials = artifacts.require('DigitalaxMaterials');
 const DigitalaxGarmentNFT = artifacts.require('DigitalaxGarmentNFT');
 const DigitalaxGarmentFactory = artifacts.require('DigitalaxGarmentFactory');
+const ERC1155Mock = artifacts.require('ERC1155Mock');
+const ERC721Mock = artifacts.require('ERC721Mock');
 
 contract('Core ERC721 tests for DigitalaxGarmentNFT', function ([admin, minter, owner, smart_contract, designer, random]) {
     const randomURI = 'rand';
@@ -191,6 +193,208 @@ contract('Core ERC721 tests for DigitalaxGarmentNFT', function ([admin, minter,
       });
     });
 
+    describe('Revenue split', () => {
+
+      beforeEach(async () => {
+        await this.token.mint(owner, randomURI, designer, {from: minter});
+      });
+
+      it('Has no split by default', async () => {
+        const {_recipients, _splits} = await this.token.getRevenueSplit(TOKEN_ONE_ID);
+        expect(_recipients).to.be.deep.equal([]);
+        expect(_splits).to.be.deep.equal([]);
+      });
+
+      it('Can set as admin or smart contract', async () => {
+        const {receipt} = await this.token.setRevenueSplit(TOKEN_ONE_ID, [designer, random], ['7000', '3000'], {from: smart_contract});
+        await expectEvent(receipt, 'GarmentRevenueSplitSet', {
+          _tokenId: TOKEN_ONE_ID
+        });
+
+        const {_recipients, _splits} = await this.token.getRevenueSplit(TOKEN_ONE_ID);
+        expect(_recipients).to.be.deep.equal([designer, random]);
+        expect(_splits.map(split => split.toString())).to.be.deep.equal(['7000', '3000']);
+
+        await this.token.setRevenueSplit(TOKEN_ONE_ID, [random], ['10000'], {from: admin});
+        expect((await this.token.getRevenueSplit(TOKEN_ONE_ID))._recipients).to.be.deep.equal([random]);
+      });
+
+      it('Can clear the split with empty lists', async () => {
+        await this.token.setRevenueSplit(TOKEN_ONE_ID, [designer, random], ['7000', '3000'], {from: admin});
+        await this.token.setRevenueSplit(TOKEN_ONE_ID, [], [], {from: admin});
+        expect((await this.token.getRevenueSplit(TOKEN_ONE_ID))._recipients).to.be.deep.equal([]);
+      });
+
+      it('Is cleared when the token is burnt', async () => {
+        await this.token.setRevenueSplit(TOKEN_ONE_ID, [designer, random], ['7000', '3000'], {from: admin});
+        await this.token.burn(TOKEN_ONE_ID, {from: owner});
+        expect((await this.token.getRevenueSplit(TOKEN_ONE_ID))._recipients).to.be.deep.equal([]);
+      });
+
+      it('Reverts when sender is not admin or smart contract', async () => {
+        await expectRevert(
+          this.token.setRevenueSplit(TOKEN_ONE_ID, [designer], ['10000'], {from: random}),
+          "DigitalaxGarmentNFT.setRevenueSplit: Sender must be an authorised contract or admin"
+        );
+      });
+
+      it('Reverts when the token does not exist', async () => {
+        await expectRevert(
+          this.token.setRevenueSplit('99', [designer], ['10000'], {from: admin}),
+          "DigitalaxGarmentNFT.setRevenueSplit: Token does not exist"
+        );
+      });
+
+      it('Reverts once the token has been sold', async () => {
+        await this.token.setPrimarySalePrice(TOKEN_ONE_ID, "20", {from: admin});
+        await expectRevert(
+          this.token.setRevenueSplit(TOKEN_ONE_ID, [designer], ['10000'], {from: admin}),
+          "DigitalaxGarmentNFT.setRevenueSplit: Token has already been sold"
+        );
+      });
+
+      it('Reverts when the lists are different lengths', async () => {
+        await expectRevert(
+          this.token.setRevenueSplit(TOKEN_ONE_ID, [designer, random], ['10000'], {from: admin}),
+          "DigitalaxGarmentNFT.setRevenueSplit: Array lengths"
+        );
+      });
+
+      it('Reverts with more than the max recipients', async () => {
+        await this.token.updateMaxRevenueSplitRecipients('1', {from: admin});
+        await expectRevert(
+          this.token.setRevenueSplit(TOKEN_ONE_ID, [designer, random], ['5000', '5000'], {from: admin}),
+          "DigitalaxGarmentNFT.setRevenueSplit: Too many recipients"
+        );
+      });
+
+      it('Reverts with a zero address recipient', async () => {
+        await expectRevert(
+          this.token.setRevenueSplit(TOKEN_ONE_ID, [designer, ZERO_ADDRESS], ['5000', '5000'], {from: admin}),
+          "DigitalaxGarmentNFT.setRevenueSplit: Recipient is zero address"
+        );
+      });
+
+      it('Reverts with a zero split', async () => {
+        await expectRevert(
+          this.token.setRevenueSplit(TOKEN_ONE_ID, [designer, random], ['10000', '0'], {from: admin}),
+          "DigitalaxGarmentNFT.setRevenueSplit: Split is zero"
+        );
+      });
+
+      it('Reverts when the splits do not add up to 10000', async () => {
+        await expectRevert(
+          this.token.setRevenueSplit(TOKEN_ONE_ID, [designer, random], ['5000', '4000'], {from: admin}),
+          "DigitalaxGarmentNFT.setRevenueSplit: Splits must add up to 10000"
+        );
+      });
+    });
+
+    describe('Secondary sale royalties', () => {
+
+      beforeEach(async () => {
+        await this.token.mint(owner, randomURI, designer, {from: minter});
+      });
+
+      it('Has no royalty by default', async () => {
+        const {receiver, royaltyAmount} = await this.token.royaltyInfo(TOKEN_ONE_ID, '10000');
+        expect(receiver).to.be.equal(ZERO_ADDRESS);
+        expect(royaltyAmount).to.be.bignumber.equal('0');
+      });
+
+      it('Uses the designer royalty', async () => {
+        const {receipt} = await this.token.setDesignerRoyalty(designer, designer, '500', {from: admin});
+        await expectEvent(receipt, 'DesignerRoyaltySet', {
+          _designer: designer,
+          _receiver: designer,
+          _royalty: '500'
+        });
+
+        const {receiver, royaltyAmount} = await this.token.royaltyInfo(TOKEN_ONE_ID, '10000');
+        expect(receiver).to.be.equal(designer);
+        expect(royaltyAmount).to.be.bignumber.equal('500');
+      });
+
+      it('Uses the garment royalty over the designer royalty until it is cleared', async () => {
+        await this.token.setDesignerRoyalty(designer, designer, '500', {from: admin});
+        const {receipt} = await this.token.setGarmentRoyalty(TOKEN_ONE_ID, random, '1000', {from: admin});
+        await expectEvent(receipt, 'GarmentRoyaltySet', {
+          _tokenId: TOKEN_ONE_ID,
+          _receiver: random,
+          _royalty: '1000'
+        });
+
+        let {receiver, royaltyAmount} = await this.token.royaltyInfo(TOKEN_ONE_ID, '20000');
+        expect(receiver).to.be.equal(random);
+        expect(royaltyAmount).to.be.bignumber.equal('2000');
+
+        await this.token.setGarmentRoyalty(TOKEN_ONE_ID, ZERO_ADDRESS, '0', {from: admin});
+        ({receiver, royaltyAmount} = await this.token.royaltyInfo(TOKEN_ONE_ID, '20000'));
+        expect(receiver).to.be.equal(designer);
+        expect(royaltyAmount).to.be.bignumber.equal('1000');
+      });
+
+      it('Clears the garment royalty when the token is burnt', async () => {
+        await this.token.setGarmentRoyalty(TOKEN_ONE_ID, random, '1000', {from: admin});
+        await this.token.burn(TOKEN_ONE_ID, {from: owner});
+        expect((await this.token.garmentRoyalties(TOKEN_ONE_ID)).receiver).to.be.equal(ZERO_ADDRESS);
+      });
+
+      it('Reverts when sender is not admin', async () => {
+        await expectRevert(
+          this.token.setGarmentRoyalty(TOKEN_ONE_ID, random, '1000', {from: smart_contract}),
+          "DigitalaxGarmentNFT.setGarmentRoyalty: Sender must be admin"
+        );
+        await expectRevert(
+          this.token.setDesignerRoyalty(designer, designer, '500', {from: random}),
+          "DigitalaxGarmentNFT.setDesignerRoyalty: Sender must be admin"
+        );
+      });
+
+      it('Reverts when the token does not exist', async () => {
+        await expectRevert(
+          this.token.setGarmentRoyalty('99', random, '1000', {from: admin}),
+          "DigitalaxGarmentNFT.setGarmentRoyalty: Token does not exist"
+        );
+      });
+
+      it('Reverts when the designer is the zero address', async () => {
+        await expectRevert(
+          this.token.setDesignerRoyalty(ZERO_ADDRESS, designer, '500', {from: admin}),
+          "DigitalaxGarmentNFT.setDesignerRoyalty: Designer is zero address"
+        );
+      });
+
+      it('Reverts when a royalty has no receiver', async () => {
+        await expectRevert(
+          this.token.setGarmentRoyalty(TOKEN_ONE_ID, ZERO_ADDRESS, '1000', {from: admin}),
+          "DigitalaxGarmentNFT._assertRoyaltyValid: Royalty has no receiver"
+        );
+      });
+
+      it('Reverts when a royalty is more than the sale price', async () => {
+        await expectRevert(
+          this.token.setDesignerRoyalty(designer, designer, '10001', {from: admin}),
+          "DigitalaxGarmentNFT._assertRoyaltyValid: Royalty is more than 10000"
+        );
+      });
+    });
+
+    describe('Updating maxRevenueSplitRecipients', () => {
+       it('Can update as admin', async () => {
+           expect(await this.token.maxRevenueSplitRecipients()).to.be.bignumber.equal("10");
+           await this.token.updateMaxRevenueSplitRecipients("20", {from: admin});
+           expect(await this.token.maxRevenueSplitRecipients()).to.be.bignumber.equal("20");
+       });
+
+       it('Reverts when sender is not admin', async () => {
+         await expectRevert(
+           this.token.updateMaxRevenueSplitRecipients("10", {from: random}),
+           "DigitalaxGarmentNFT.updateMaxRevenueSplitRecipients: Sender must be admin"
+         );
+       });
+    });
+
     describe('Updating access controls', () => {
        it('Can update access controls as admin', async () => {
            const currentAccessControlsAddress = await this.token.accessControls();
@@ -222,6 +426,64 @@ contract('Core ERC721 tests for DigitalaxGarmentNFT', function ([admin, minter,
        });
     });
 
+    describe('Updating child contracts', () => {
+       it('Allows the materials contract by default', async () => {
+           expect(await this.token.allowedChildContracts(this.digitalaxMaterials.address)).to.be.true;
+           expect(await this.token.allowedChildContracts(random)).to.be.false;
+       });
+
+       it('Can allow and disallow a child contract as admin', async () => {
+           const {receipt} = await this.token.updateChildContract(random, true, {from: admin});
+           await expectEvent(receipt, 'ChildContractUpdated', {
+             _childContract: random,
+             _allowed: true
+           });
+           expect(await this.token.allowedChildContracts(random)).to.be.true;
+
+           await this.token.updateChildContract(random, false, {from: admin});
+           expect(await this.token.allowedChildContracts(random)).to.be.false;
+       });
+
+       it('Reverts when sender is not admin', async () => {
+         await expectRevert(
+           this.token.updateChildContract(random, true, {from: random}),
+           "DigitalaxGarmentNFT.updateChildContract: Sender must be admin"
+         );
+       });
+
+       it('Reverts when the contract is the zero address', async () => {
+         await expectRevert(
+           this.token.updateChildContract(ZERO_ADDRESS, true, {from: admin}),
+           "DigitalaxGarmentNFT.updateChildContract: Zero address"
+         );
+       });
+
+       it('Reverts when the contract is the garment contract itself', async () => {
+         await expectRevert(
+           this.token.updateChildContract(this.token.address, true, {from: admin}),
+           "DigitalaxGarmentNFT.updateChildContract: Garments cannot hold garments"
+         );
+       });
+    });
+
+    describe('Updating recipes', () => {
+       it('Has no recipes by default', async () => {
+           expect(await this.token.recipes()).to.be.equal(ZERO_ADDRESS);
+       });
+
+       it('Can update recipes as admin', async () => {
+           await this.token.updateRecipes(random, {from: admin});
+           expect(await this.token.recipes()).to.be.equal(random);
+       });
+
+       it('Reverts when sender is not admin', async () => {
+         await expectRevert(
+           this.token.updateRecipes(random, {from: random}),
+           "DigitalaxGarmentNFT.updateRecipes: Sender must be admin"
+         );
+       });
+    });
+
     describe('Wrapping 1155 Child Tokens', () => {
       describe('General', () => {
         describe('Given a garment token that does not exist', () => {
@@ -606,6 +868,280 @@ contract('Core ERC721 tests for DigitalaxGarmentNFT', function ([admin, minter,
       });
     });
 
+    describe('extractChildren()', () => {
+      beforeEach(async () => {
+        await this.factory.createNewChildren(
+          [randomStrandId, randomStrandId, randomStrandId],
+          {from: minter}
+        ); // will create strand ID [1], [2], [3]
+
+        await this.factory.mintParentWithChildren(
+          randomURI,
+          random,
+          [STRAND_ONE_ID, STRAND_TWO_ID, STRAND_THREE_ID],
+          ['2', '9', '6'],
+          owner,
+          {from: minter}
+        );
+      });
+
+      it('Can take some of the strands out while keeping the garment', async () => {
+        const {receipt} = await this.token.extractChildren(TOKEN_ONE_ID, random, this.digitalaxMaterials.address, [STRAND_TWO_ID], ['4'], {from: owner});
+        await expectEvent(receipt, 'TransferBatchChild', {
+          fromTokenId: TOKEN_ONE_ID,
+          to: random,
+          childContract: this.digitalaxMaterials.address,
+        });
+
+        expect(await this.token.ownerOf(TOKEN_ONE_ID)).to.be.equal(owner);
+        expect(await this.digitalaxMaterials.balanceOf(random, STRAND_TWO_ID)).to.be.bignumber.equal('4');
+
+        await expectStrandBalanceOfGarmentToBe(TOKEN_ONE_ID, STRAND_ONE_ID, '2');
+        await expectStrandBalanceOfGarmentToBe(TOKEN_ONE_ID, STRAND_TWO_ID, '5');
+        await expectStrandBalanceOfGarmentToBe(TOKEN_ONE_ID, STRAND_THREE_ID, '6');
+        await expectGarmentToOwnAGivenSetOfStrandIds(TOKEN_ONE_ID, [STRAND_ONE_ID, STRAND_TWO_ID, STRAND_THREE_ID]);
+      });
+
+      it('Unlinks a strand once all of it is taken out', async () => {
+        await this.token.extractChildren(TOKEN_ONE_ID, owner, this.digitalaxMaterials.address, [STRAND_ONE_ID, STRAND_THREE_ID], ['2', '1'], {from: owner});
+
+        expect(await this.digitalaxMaterials.balanceOf(owner, STRAND_ONE_ID)).to.be.bignumber.equal('2');
+        expect(await this.digitalaxMaterials.balanceOf(owner, STRAND_THREE_ID)).to.be.bignumber.equal('1');
+
+        await expectStrandBalanceOfGarmentToBe(TOKEN_ONE_ID, STRAND_ONE_ID, '0');
+        await expectStrandBalanceOfGarmentToBe(TOKEN_ONE_ID, STRAND_THREE_ID, '5');
+        await expectGarmentToOwnAGivenSetOfStrandIds(TOKEN_ONE_ID, [STRAND_THREE_ID, STRAND_TWO_ID]);
+
+        // Burning afterwards only releases what is left
+        await this.token.burn(TOKEN_ONE_ID, {from: owner});
+        expect(await this.digitalaxMaterials.balanceOf(owner, STRAND_ONE_ID)).to.be.bignumber.equal('2');
+        expect(await this.digitalaxMaterials.balanceOf(owner, STRAND_TWO_ID)).to.be.bignumber.equal('9');
+        expect(await this.digitalaxMaterials.balanceOf(owner, STRAND_THREE_ID)).to.be.bignumber.equal('6');
+      });
+
+      it('Can be called by an approved address', async () => {
+        await this.token.approve(random, TOKEN_ONE_ID, {from: owner});
+        await this.token.extractChildren(TOKEN_ONE_ID, random, this.digitalaxMaterials.address, [STRAND_ONE_ID], ['1'], {from: random});
+        expect(await this.digitalaxMaterials.balanceOf(random, STRAND_ONE_ID)).to.be.bignumber.equal('1');
+      });
+
+      it('Reverts when not the owner or approved', async () => {
+        await expectRevert(
+          this.token.extractChildren(TOKEN_ONE_ID, random, this.digitalaxMaterials.address, [STRAND_ONE_ID], ['1'], {from: random}),
+          "DigitalaxGarmentNFT.extractChildren: Only garment owner or approved"
+        );
+      });
+
+      it('Reverts when the recipient is the zero address', async () => {
+        await expectRevert(
+          this.token.extractChildren(TOKEN_ONE_ID, ZERO_ADDRESS, this.digitalaxMaterials.address, [STRAND_ONE_ID], ['1'], {from: owner}),
+          "DigitalaxGarmentNFT.extractChildren: Recipient is zero address"
+        );
+      });
+
+      it('Reverts when no children are given', async () => {
+        await expectRevert(
+          this.token.extractChildren(TOKEN_ONE_ID, owner, this.digitalaxMaterials.address, [], [], {from: owner}),
+          "DigitalaxGarmentNFT.extractChildren: No children given"
+        );
+      });
+
+      it('Reverts when the lists are different lengths', async () => {
+        await expectRevert(
+          this.token.extractChildren(TOKEN_ONE_ID, owner, this.digitalaxMaterials.address, [STRAND_ONE_ID, STRAND_TWO_ID], ['1'], {from: owner}),
+          "DigitalaxGarmentNFT.extractChildren: Array lengths"
+        );
+      });
+
+      it('Reverts when an amount is zero', async () => {
+        await expectRevert(
+          this.token.extractChildren(TOKEN_ONE_ID, owner, this.digitalaxMaterials.address, [STRAND_ONE_ID], ['0'], {from: owner}),
+          "DigitalaxGarmentNFT.extractChildren: Amount is zero"
+        );
+      });
+
+      it('Reverts when taking out more than the garment holds', async () => {
+        await expectRevert(
+          this.token.extractChildren(TOKEN_ONE_ID, owner, this.digitalaxMaterials.address, [STRAND_ONE_ID], ['3'], {from: owner}),
+          "DigitalaxGarmentNFT.extractChildren: Amount exceeds child balance"
+        );
+      });
+    });
+
+    describe('Children from other contracts', () => {
+      const garmentTokenIdEncoded = web3.utils.encodePacked(TOKEN_ONE_ID.toString());
+
+      beforeEach(async () => {
+        this.partnerMaterials = await ERC1155Mock.new({from: owner});
+        await this.partnerMaterials.mint(STRAND_ONE_ID, '5', {from: owner});
+
+        await this.factory.createNewChild(randomStrandId, {from: minter}); // will create strand ID [1]
+        await this.factory.mintParentWithChildren(randomURI, random, [STRAND_ONE_ID], ['3'], owner, {from: minter});
+      });
+
+      it('Rejects children from a contract that is not allowed', async () => {
+        await expectRevert(
+          this.partnerMaterials.safeTransferFrom(owner, this.token.address, STRAND_ONE_ID, '2', garmentTokenIdEncoded, {from: owner}),
+          "Invalid child token contract"
+        );
+      });
+
+      describe('Once the contract is allowed', () => {
+        beforeEach(async () => {
+          await this.token.updateChildContract(this.partnerMaterials.address, true, {from: admin});
+          await this.partnerMaterials.safeTransferFrom(owner, this.token.address, STRAND_ONE_ID, '2', garmentTokenIdEncoded, {from: owner});
+        });
+
+        it('Keeps the balances of each contract apart', async () => {
+          expect(await this.token.childBalance(TOKEN_ONE_ID, this.digitalaxMaterials.address, STRAND_ONE_ID)).to.be.bignumber.equal('3');
+          expect(await this.token.childBalance(TOKEN_ONE_ID, this.partnerMaterials.address, STRAND_ONE_ID)).to.be.bignumber.equal('2');
+
+          expect(await this.token.childContractsFor(TOKEN_ONE_ID)).to.be.deep.equal([this.digitalaxMaterials.address, this.partnerMaterials.address]);
+          const partnerStrandIds = await this.token.childIdsForOn(TOKEN_ONE_ID, this.partnerMaterials.address);
+          expect(partnerStrandIds.map(id => id.toString())).to.be.deep.equal(['1']);
+          expect(await this.token.totalChildrenMapped(TOKEN_ONE_ID)).to.be.bignumber.equal('2');
+        });
+
+        it('Counts children from every contract towards the max children per token', async () => {
+          await this.token.updateMaxChildrenPerToken('2', {from: admin});
+          await this.partnerMaterials.mint(STRAND_TWO_ID, '1', {from: owner});
+          await expectRevert(
+            this.partnerMaterials.safeTransferFrom(owner, this.token.address, STRAND_TWO_ID, '1', garmentTokenIdEncoded, {from: owner}),
+            "Cannot exceed max child token allocation"
+          );
+        });
+
+        it('Can extract children from the other contract only', async () => {
+          const {receipt} = await this.token.extractChildren(TOKEN_ONE_ID, owner, this.partnerMaterials.address, [STRAND_ONE_ID], ['2'], {from: owner});
+          await expectEvent(receipt, 'TransferBatchChild', {
+            fromTokenId: TOKEN_ONE_ID,
+            to: owner,
+            childContract: this.partnerMaterials.address,
+          });
+
+          expect(await this.partnerMaterials.balanceOf(owner, STRAND_ONE_ID)).to.be.bignumber.equal('5');
+          expect(await this.token.childContractsFor(TOKEN_ONE_ID)).to.be.deep.equal([this.digitalaxMaterials.address]);
+          await expectStrandBalanceOfGarmentToBe(TOKEN_ONE_ID, STRAND_ONE_ID, '3');
+        });
+
+        it('Releases the children of every contract when burnt', async () => {
+          await this.token.burn(TOKEN_ONE_ID, {from: owner});
+
+          expect(await this.digitalaxMaterials.balanceOf(owner, STRAND_ONE_ID)).to.be.bignumber.equal('3');
+          expect(await this.partnerMaterials.balanceOf(owner, STRAND_ONE_ID)).to.be.bignumber.equal('5');
+        });
+
+        it('Still releases children when the contract is disallowed later', async () => {
+          await this.token.updateChildContract(this.partnerMaterials.address, false, {from: admin});
+          await this.token.burn(TOKEN_ONE_ID, {from: owner});
+
+          expect(await this.partnerMaterials.balanceOf(owner, STRAND_ONE_ID)).to.be.bignumber.equal('5');
+        });
+      });
+    });
+
+    describe('ERC721 children', () => {
+      const garmentTokenIdEncoded = web3.utils.encodePacked(TOKEN_ONE_ID.toString());
+
+      const ACCESSORY_ONE_ID = new BN('7');
+      const ACCESSORY_TWO_ID = new BN('8');
+
+      const safeTransferFrom = (from, to, tokenId, data) => this.accessories.methods['safeTransferFrom(address,address,uint256,bytes)'](
+        from, to, tokenId, data, {from}
+      );
+
+      beforeEach(async () => {
+        this.accessories = await ERC721Mock.new({from: owner});
+        await this.accessories.mint(ACCESSORY_ONE_ID, {from: owner});
+        await this.accessories.mint(ACCESSORY_TWO_ID, {from: owner});
+
+        await this.factory.createNewChild(randomStrandId, {from: minter}); // will create strand ID [1]
+        await this.factory.mintParentWithChildren(randomURI, random, [STRAND_ONE_ID], ['3'], owner, {from: minter});
+      });
+
+      it('Rejects children from a contract that is not allowed', async () => {
+        await expectRevert(
+          safeTransferFrom(owner, this.token.address, ACCESSORY_ONE_ID, garmentTokenIdEncoded),
+          "Invalid child token contract"
+        );
+      });
+
+      describe('Once the contract is allowed', () => {
+        beforeEach(async () => {
+          await this.token.updateChildContract(this.accessories.address, true, {from: admin});
+        });
+
+        it('Holds the child against the garment', async () => {
+          const {tx} = await safeTransferFrom(owner, this.token.address, ACCESSORY_ONE_ID, garmentTokenIdEncoded);
+          await expectEvent.inTransaction(tx, DigitalaxGarmentNFT, 'ReceivedERC721Child', {
+            from: owner,
+            toTokenId: TOKEN_ONE_ID,
+            childContract: this.accessories.address,
+            childTokenId: ACCESSORY_ONE_ID
+          });
+
+          expect(await this.accessories.ownerOf(ACCESSORY_ONE_ID)).to.be.equal(this.token.address);
+          expect(await this.token.childERC721ContractsFor(TOKEN_ONE_ID)).to.be.deep.equal([this.accessories.address]);
+          const accessoryIds = await this.token.childERC721IdsForOn(TOKEN_ONE_ID, this.accessories.address);
+          expect(accessoryIds.map(id => id.toString())).to.be.deep.equal([ACCESSORY_ONE_ID.toString()]);
+
+          // ERC1155 enumeration is unchanged
+          expect(await this.token.childContractsFor(TOKEN_ONE_ID)).to.be.deep.equal([this.digitalaxMaterials.address]);
+          expect(await this.token.totalChildrenMapped(TOKEN_ONE_ID)).to.be.bignumber.equal('2');
+        });
+
+        it('Can be minted straight into the garment', async () => {
+          await this.accessories.safeMint(this.token.address, '9', garmentTokenIdEncoded, {from: random});
+          const accessoryIds = await this.token.childERC721IdsForOn(TOKEN_ONE_ID, this.accessories.address);
+          expect(accessoryIds.map(id => id.toString())).to.be.deep.equal(['9']);
+        });
+
+        it('Reverts when the parent token is not given', async () => {
+          await expectRevert(
+            safeTransferFrom(owner, this.token.address, ACCESSORY_ONE_ID, '0x'),
+            "ERC998: data must contain the unique uint256 tokenId to transfer the child token to"
+          );
+        });
+
+        it('Reverts when the sender does not own the garment', async () => {
+          await this.accessories.transferFrom(owner, random, ACCESSORY_ONE_ID, {from: owner});
+          await expectRevert(
+            safeTransferFrom(random, this.token.address, ACCESSORY_ONE_ID, garmentTokenIdEncoded),
+            "Cannot add children to tokens you dont own"
+          );
+        });
+
+        it('Counts ERC721 children towards the max children per token', async () => {
+          await this.token.updateMaxChildrenPerToken('2', {from: admin});
+          await safeTransferFrom(owner, this.token.address, ACCESSORY_ONE_ID, garmentTokenIdEncoded);
+          await expectRevert(
+            safeTransferFrom(owner, this.token.address, ACCESSORY_TWO_ID, garmentTokenIdEncoded),
+            "Cannot exceed max child token allocation"
+          );
+        });
+
+        it('Releases ERC721 children along with strands when burnt', async () => {
+          await safeTransferFrom(owner, this.token.address, ACCESSORY_ONE_ID, garmentTokenIdEncoded);
+          await safeTransferFrom(owner, this.token.address, ACCESSORY_TWO_ID, garmentTokenIdEncoded);
+
+          const {receipt} = await this.token.burn(TOKEN_ONE_ID, {from: owner});
+          await expectEvent(receipt, 'TransferERC721Child', {
+            fromTokenId: TOKEN_ONE_ID,
+            to: owner,
+            childContract: this.accessories.address,
+            childTokenId: ACCESSORY_TWO_ID
+          });
+
+          expect(await this.accessories.ownerOf(ACCESSORY_ONE_ID)).to.be.equal(owner);
+          expect(await this.accessories.ownerOf(ACCESSORY_TWO_ID)).to.be.equal(owner);
+          expect(await this.digitalaxMaterials.balanceOf(owner, STRAND_ONE_ID)).to.be.bignumber.equal('3');
+
+          expect(await this.token.childERC721ContractsFor(TOKEN_ONE_ID)).to.be.deep.equal([]);
+          expect(await this.token.childERC721IdsForOn(TOKEN_ONE_ID, this.accessories.address)).to.be.deep.equal([]);
+        });
+      });
+    });
+
     const expectStrandBalanceOfGarmentToBe = async (garmentTokenId, strandId, expectedStrandBalance) => {
       const garmentStrandBalance = await this.token.childBalance(
         garmentTokenId,
@@ -39,6 +39,9 @@ const INTERFACES = {
         'onERC1155Received(address,address,uint256,uint256,bytes)',
         'onERC1155BatchReceived(address,address,uint256[],uint256[],bytes)',
     ],
+    ERC2981: [
+        'royaltyInfo(uint256,uint256)',
+    ],
 };
 
 const INTERFACE_IDS = {};
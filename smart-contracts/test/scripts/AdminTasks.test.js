@@ -0,0 +1,272 @@
+const {expect} = require('chai');
+
+const bre = require('@nomiclabs/buidler');
+const {deploy} = require('../../scripts/lib/deployer');
+const localConfig = require('../../deploy/buidlerevm');
+
+const DigitalaxAccessControls = artifacts.require('DigitalaxAccessControls');
+const DigitalaxGarmentFactory = artifacts.require('DigitalaxGarmentFactory');
+const DigitalaxGarmentNFT = artifacts.require('DigitalaxGarmentNFT');
+const DigitalaxMaterials = artifacts.require('DigitalaxMaterials');
+
+contract('Admin tasks', function ([deployer, account, ...otherAccounts]) {
+
+  const run = (name, args) => bre.run(name, {json: false, dryRun: false, ...args});
+
+  before(async () => {
+    const deployments = await deploy(bre, localConfig);
+
+    this.accessControls = await DigitalaxAccessControls.at(deployments.DigitalaxAccessControls.address);
+    this.factory = await DigitalaxGarmentFactory.at(deployments.DigitalaxGarmentFactory.address);
+    this.garment = await DigitalaxGarmentNFT.at(deployments.DigitalaxGarmentNFT.address);
+    this.materials = await DigitalaxMaterials.at(deployments.DigitalaxMaterials.address);
+  });
+
+  describe('roles', async () => {
+    it('grants, lists and revokes roles', async () => {
+      await run('roles:grant', {role: 'minter', account});
+      expect(await run('roles:list', {account})).to.be.deep.equal({
+        account,
+        roles: {'admin': false, 'minter': true, 'smart-contract': false},
+      });
+
+      const members = await run('roles:list', {});
+      expect(members.admin).to.include(deployer);
+      expect(members.minter).to.include(account);
+      expect(members['smart-contract']).to.include(this.factory.address);
+
+      const {events} = await run('roles:revoke', {role: 'minter', account});
+      expect(events).to.be.deep.equal([{event: 'MinterRoleRemoved', args: {beneficiary: account, caller: deployer}}]);
+      expect(await this.accessControls.hasMinterRole(account)).to.be.false;
+    });
+
+    it('rejects unknown roles', async () => {
+      try {
+        await run('roles:grant', {role: 'owner', account});
+        expect.fail('should have thrown');
+      } catch (e) {
+        expect(e.message).to.contain('Unknown role [owner]');
+      }
+    });
+
+    it('does not change anything when dry run', async () => {
+      await run('roles:grant', {role: 'admin', account, dryRun: true});
+      expect(await this.accessControls.hasAdminRole(account)).to.be.false;
+    });
+  });
+
+  describe('materials', async () => {
+    it('creates, mints and reports balances of children', async () => {
+      const {events} = await run('materials:create', {uri: 'strandUri'});
+      const {childId} = events.find(({event}) => event === 'ChildCreated').args;
+
+      await run('roles:grant', {role: 'smart-contract', account: deployer});
+      await run('materials:mint', {childId, amount: '5', beneficiary: account});
+
+      expect(await run('materials:balance', {childIds: childId, account})).to.be.deep.equal({
+        account,
+        balances: {[childId]: '5'},
+      });
+    });
+  });
+
+  describe('garments, auctions and sales', async () => {
+    beforeEach(async () => {
+      await this.factory.createNewChildren(['garmentStrandUri'], {from: deployer});
+      this.childId = (await this.materials.tokenIdPointer()).toString();
+
+      await this.factory.mintParentWithChildren('garmentUri', otherAccounts[0], [this.childId], ['2'], deployer, {from: deployer});
+      this.tokenId = (await this.garment.tokenIdPointer()).toString();
+    });
+
+    it('shows garment info', async () => {
+      expect(await run('garment:info', {tokenId: this.tokenId})).to.be.deep.equal({
+        tokenId: this.tokenId,
+        owner: deployer,
+        tokenUri: 'garmentUri',
+        designer: otherAccounts[0],
+        primarySalePrice: '0',
+        children: [{contract: this.materials.address, id: this.childId, balance: '2'}],
+      });
+    });
+
+    it('updates the garment URI and royalty, then burns it', async () => {
+      await run('garment:set-uri', {tokenId: this.tokenId, uri: 'newGarmentUri'});
+      expect(await this.garment.tokenURI(this.tokenId)).to.be.equal('newGarmentUri');
+
+      await run('garment:set-royalty', {designer: otherAccounts[0], receiver: otherAccounts[0], royalty: '500'});
+      await run('garment:set-royalty', {tokenId: this.tokenId, receiver: otherAccounts[1], royalty: '1000'});
+      const {receiver, royaltyAmount} = await this.garment.royaltyInfo(this.tokenId, '10000');
+      expect(receiver).to.be.equal(otherAccounts[1]);
+      expect(royaltyAmount).to.be.bignumber.equal('1000');
+
+      const {events} = await run('garment:extract-children', {tokenId: this.tokenId, childIds: this.childId, amounts: '1'});
+      expect(events.map(({event}) => event)).to.be.deep.equal(['TransferBatchChild']);
+      expect(await this.materials.balanceOf(deployer, this.childId)).to.be.bignumber.equal('1');
+      expect(await this.garment.childBalance(this.tokenId, this.materials.address, this.childId)).to.be.bignumber.equal('1');
+
+      const allowed = await run('garment:update-child-contract', {childContract: otherAccounts[1], disallow: false});
+      expect(allowed.events).to.be.deep.equal([{
+        event: 'ChildContractUpdated',
+        args: {_childContract: otherAccounts[1], _allowed: true},
+      }]);
+      await run('garment:update-child-contract', {childContract: otherAccounts[1], disallow: true});
+      expect(await this.garment.allowedChildContracts(otherAccounts[1])).to.be.false;
+
+      await run('garment:burn', {tokenId: this.tokenId});
+      expect(await this.garment.exists(this.tokenId)).to.be.false;
+      expect(await this.materials.balanceOf(deployer, this.childId)).to.be.bignumber.equal('2');
+    });
+
+    it('wraps a garment in an outfit and unwraps it', async () => {
+      const minted = await run('outfit:mint', {uri: 'outfitUri', stylist: otherAccounts[1]});
+      const outfitId = minted.events.find(({event}) => event === 'Transfer').args.tokenId;
+
+      const {events} = await run('outfit:wrap', {tokenId: outfitId, garmentId: this.tokenId});
+      expect(events.find(({event}) => event === 'ReceivedERC721Child').args).to.be.deep.equal({
+        from: deployer,
+        toTokenId: outfitId,
+        childContract: this.garment.address,
+        childTokenId: this.tokenId,
+      });
+
+      const tree = await run('outfit:tree', {tokenId: outfitId});
+      expect(tree.stylist).to.be.equal(otherAccounts[1]);
+      expect(tree.garments.map(({tokenId}) => tokenId)).to.be.deep.equal([this.tokenId]);
+      expect(tree.garments[0].children.map(({id, balance}) => ({id, balance}))).to.be.deep.equal([{id: this.childId, balance: '2'}]);
+
+      await run('outfit:unwrap', {tokenId: outfitId});
+      expect(await this.garment.ownerOf(this.tokenId)).to.be.equal(deployer);
+    });
+
+    it('creates a recipe and gives it to an empty garment', async () => {
+      const created = await run('garment:create-recipe', {childIds: this.childId, minAmounts: '1', maxAmounts: '3'});
+      const {recipeId} = created.events.find(({event}) => event === 'RecipeCreated').args;
+
+      await this.factory.mintParentWithoutChildren('garmentUri', otherAccounts[0], deployer, {from: deployer});
+      const tokenId = (await this.garment.tokenIdPointer()).toString();
+
+      const {events} = await run('garment:set-recipe', {tokenId, recipeId});
+      expect(events).to.be.deep.equal([{
+        event: 'GarmentRecipeSet',
+        args: {garmentTokenId: tokenId, recipeId},
+      }]);
+    });
+
+    it('creates, updates, bids on and cancels an auction', async () => {
+      const {timestamp} = await bre.ethers.provider.getBlock('latest');
+
+      await run('auction:create', {
+        tokenId: this.tokenId,
+        reservePrice: '0.1',
+        start: `${timestamp - 10}`,
+        end: new Date((timestamp + 60 * 60) * 1000).toISOString(),
+      });
+
+      await run('auction:update-reserve', {tokenId: this.tokenId, reservePrice: '0.2'});
+      await run('auction:update-end', {tokenId: this.tokenId, end: `${timestamp + 2 * 60 * 60}`});
+
+      const feeUpdate = await run('auction:update-platform-fee', {tokenId: this.tokenId, platformFee: '50', feeOnTotal: true});
+      expect(feeUpdate.events).to.be.deep.equal([{
+        event: 'AuctionPlatformFee',
+        args: {garmentTokenId: this.tokenId, platformFee: '50', feeOnTotal: true},
+      }]);
+
+      const {events} = await run('auction:bid', {tokenId: this.tokenId, amount: '0.5'});
+      expect(events).to.be.deep.equal([{
+        event: 'BidPlaced',
+        args: {garmentTokenId: this.tokenId, bidder: deployer, bid: '500000000000000000'},
+      }]);
+
+      // Bids are recorded in the ledger on local chains
+      const bids = await run('auction:bids', {tokenId: this.tokenId});
+      expect(bids.bidCount).to.be.equal(1);
+      expect(bids.bids.map(({bidder, bid}) => ({bidder, bid}))).to.be.deep.equal([{bidder: deployer, bid: '500000000000000000'}]);
+      expect(bids.bidders).to.be.deep.equal([{bidder: deployer, bidCount: 1, maxBid: '500000000000000000'}]);
+
+      const cancelled = await run('auction:cancel', {tokenId: this.tokenId});
+      expect(cancelled.events.map(({event}) => event)).to.be.deep.equal(['BidRefunded', 'AuctionCancelled']);
+    });
+
+    it('lists garments for a fixed price sale and buys them', async () => {
+      const {timestamp} = await bre.ethers.provider.getBlock('latest');
+
+      const {events} = await run('sale:create', {tokenIds: this.tokenId, price: '0.3', start: `${timestamp - 10}`});
+      const listingId = events[0].args.listingId;
+
+      await run('sale:update-price', {listingId, price: '0.25'});
+      let listing = await run('sale:status', {listingId});
+      expect(listing.status).to.be.equal('on sale');
+      expect(listing.price).to.be.equal('250000000000000000');
+
+      const bought = await run('sale:buy', {listingId});
+      expect(bought.events.map(({event}) => event)).to.be.deep.equal(['RevenuePaid', 'Purchased']);
+
+      listing = await run('sale:status', {listingId});
+      expect(listing.status).to.be.equal('sold out');
+      expect(listing.bundlesLeft).to.be.equal(0);
+      expect((await this.garment.primarySalePrice(this.tokenId)).toString()).to.be.equal('250000000000000000');
+    });
+
+    it('lists a garment in a dutch auction and buys it', async () => {
+      const {timestamp} = await bre.ethers.provider.getBlock('latest');
+
+      await run('dutch:create', {
+        tokenId: this.tokenId,
+        startPrice: '1',
+        floorPrice: '0.5',
+        start: `${timestamp - 10}`,
+        end: `${timestamp + 60 * 60}`,
+      });
+
+      await run('dutch:update-prices', {tokenId: this.tokenId, startPrice: '0.8', floorPrice: '0.4'});
+      const auction = await run('dutch:status', {tokenId: this.tokenId});
+      expect(auction.status).to.be.equal('live');
+      expect(auction.floorPrice).to.be.equal('400000000000000000');
+
+      // Paying the start price covers the price at whichever block the purchase is mined in
+      const {events} = await run('dutch:buy', {tokenId: this.tokenId, maxPrice: '0.8'});
+      expect(events.map(({event}) => event)).to.be.deep.equal(['RevenuePaid', 'AuctionResulted']);
+
+      expect((await run('dutch:status', {tokenId: this.tokenId})).status).to.be.equal('resulted');
+      expect(await this.garment.ownerOf(this.tokenId)).to.be.equal(deployer);
+    });
+
+    it('lists a garment in a sealed-bid auction, commits and reveals a bid and results it', async () => {
+      const {timestamp} = await bre.ethers.provider.getBlock('latest');
+
+      const created = await run('sealed:create', {
+        tokenId: this.tokenId,
+        reservePrice: '0.5',
+        start: `${timestamp - 10}`,
+        commitEnd: `${timestamp + 60 * 60}`,
+        revealEnd: `${timestamp + 2 * 60 * 60}`,
+      });
+      const {auctionId} = created.events.find(({event}) => event === 'AuctionCreated').args;
+
+      // The deposit is padded above the bid so it does not give the bid away
+      const {salt} = await run('sealed:commit', {auctionId, bid: '0.6', deposit: '1'});
+      let auction = await run('sealed:status', {tokenId: this.tokenId});
+      expect(auction.auctionId).to.be.equal(auctionId);
+      expect(auction.status).to.be.equal('commit');
+      expect(auction.highestBid).to.be.null;
+
+      await bre.ethers.provider.send('evm_increaseTime', [60 * 60 + 1]);
+      await run('sealed:reveal', {auctionId, bid: '0.6', salt});
+      auction = await run('sealed:status', {auctionId});
+      expect(auction.status).to.be.equal('reveal');
+      expect(auction.highestBid).to.be.deep.equal({bidder: deployer, bid: '600000000000000000'});
+
+      await bre.ethers.provider.send('evm_increaseTime', [60 * 60 + 1]);
+      const {events} = await run('sealed:result', {auctionId});
+      expect(events.map(({event}) => event)).to.be.deep.equal(['RevenuePaid', 'AuctionResulted']);
+
+      // What is left of the deposit once the winning bid has been paid
+      const withdrawn = await run('sealed:withdraw', {auctionId});
+      expect(withdrawn.events[0].args.amount).to.be.equal('400000000000000000');
+
+      expect((await run('sealed:status', {auctionId})).status).to.be.equal('resulted');
+      expect((await this.garment.primarySalePrice(this.tokenId)).toString()).to.be.equal('600000000000000000');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const {expect} = require('chai');
+
+const bre = require('@nomiclabs/buidler');
+const {deploy, ref, DEPLOYER, sortByDependencies} = require('../../scripts/lib/deployer');
+const {saveDeployments} = require('../../scripts/lib/deployments');
+const localConfig = require('../../deploy/buidlerevm');
+
+const DigitalaxAccessControls = artifacts.require('DigitalaxAccessControls');
+const DigitalaxGarmentNFT = artifacts.require('DigitalaxGarmentNFT');
+const DigitalaxAuction = artifacts.require('DigitalaxAuction');
+const DigitalaxGarmentPrimarySale = artifacts.require('DigitalaxGarmentPrimarySale');
+const DigitalaxDutchAuction = artifacts.require('DigitalaxDutchAuction');
+const DigitalaxSealedBidAuction = artifacts.require('DigitalaxSealedBidAuction');
+
+contract('Deployer', function ([deployer]) {
+
+  describe('sortByDependencies()', async () => {
+    it('orders contracts after the contracts referenced in their args', async () => {
+      const sorted = sortByDependencies({
+        C: {args: [ref('B'), ref('A')]},
+        B: {args: [ref('A'), DEPLOYER]},
+        A: {},
+      });
+      expect(sorted).to.be.deep.equal(['A', 'B', 'C']);
+    });
+
+    it('fails on unknown contracts', async () => {
+      expect(() => sortByDependencies({A: {args: [ref('B')]}})).to.throw('Unknown contract B referenced by A');
+    });
+
+    it('fails on circular dependencies', async () => {
+      expect(() => sortByDependencies({
+        A: {args: [ref('B')]},
+        B: {args: [ref('A')]},
+      })).to.throw('Circular dependency between A -> B -> A');
+    });
+  });
+
+  describe('deploy()', async () => {
+    before(async () => {
+      this.deployments = await deploy(bre, localConfig);
+    });
+
+    it('deploys every contract', async () => {
+      expect(Object.keys(this.deployments)).to.have.members(Object.keys(localConfig.contracts));
+    });
+
+    it('records the deployment details', async () => {
+      const {address, blockNumber, transactionHash, args, artifactHash} = this.deployments.DigitalaxGarmentNFT;
+
+      const receipt = await web3.eth.getTransactionReceipt(transactionHash);
+      expect(receipt.contractAddress).to.be.equal(address);
+      expect(receipt.blockNumber).to.be.equal(blockNumber);
+
+      expect(args).to.be.deep.equal([
+        this.deployments.DigitalaxAccessControls.address,
+        this.deployments.DigitalaxMaterials.address,
+      ]);
+      expect(artifactHash).to.be.equal(web3.utils.keccak256(DigitalaxGarmentNFT.bytecode));
+    });
+
+    it('grants the configured roles', async () => {
+      const accessControls = await DigitalaxAccessControls.at(this.deployments.DigitalaxAccessControls.address);
+      expect(await accessControls.hasMinterRole(deployer)).to.be.true;
+      expect(await accessControls.hasSmartContractRole(this.deployments.DigitalaxGarmentFactory.address)).to.be.true;
+      expect(await accessControls.hasSmartContractRole(this.deployments.DigitalaxAuction.address)).to.be.true;
+      expect(await accessControls.hasSmartContractRole(this.deployments.DigitalaxGarmentPrimarySale.address)).to.be.true;
+      expect(await accessControls.hasSmartContractRole(this.deployments.DigitalaxDutchAuction.address)).to.be.true;
+      expect(await accessControls.hasSmartContractRole(this.deployments.DigitalaxSealedBidAuction.address)).to.be.true;
+    });
+
+    it('applies the auction config', async () => {
+      const auction = await DigitalaxAuction.at(this.deployments.DigitalaxAuction.address);
+      expect(await auction.bidWithdrawalLockTime()).to.be.bignumber.equal('86400');
+      expect(await auction.platformFee()).to.be.bignumber.equal('0');
+      expect(await auction.minBidIncrement()).to.be.bignumber.equal('10000000000000000');
+
+      const garment = await DigitalaxGarmentNFT.at(this.deployments.DigitalaxGarmentNFT.address);
+      expect(await garment.isApprovedForAll(deployer, auction.address)).to.be.true;
+    });
+
+    it('applies the primary sale config', async () => {
+      const sale = await DigitalaxGarmentPrimarySale.at(this.deployments.DigitalaxGarmentPrimarySale.address);
+      expect(await sale.platformFee()).to.be.bignumber.equal('0');
+
+      const garment = await DigitalaxGarmentNFT.at(this.deployments.DigitalaxGarmentNFT.address);
+      expect(await garment.isApprovedForAll(deployer, sale.address)).to.be.true;
+    });
+
+    it('applies the dutch auction config', async () => {
+      const dutchAuction = await DigitalaxDutchAuction.at(this.deployments.DigitalaxDutchAuction.address);
+      expect(await dutchAuction.platformFee()).to.be.bignumber.equal('0');
+
+      const garment = await DigitalaxGarmentNFT.at(this.deployments.DigitalaxGarmentNFT.address);
+      expect(await garment.isApprovedForAll(deployer, dutchAuction.address)).to.be.true;
+    });
+
+    it('applies the sealed-bid auction config', async () => {
+      const sealedBidAuction = await DigitalaxSealedBidAuction.at(this.deployments.DigitalaxSealedBidAuction.address);
+      expect(await sealedBidAuction.platformFee()).to.be.bignumber.equal('0');
+
+      const garment = await DigitalaxGarmentNFT.at(this.deployments.DigitalaxGarmentNFT.address);
+      expect(await garment.isApprovedForAll(deployer, sealedBidAuction.address)).to.be.true;
+    });
+
+    it('skips contracts already deployed from the same bytecode', async () => {
+      const deployments = await deploy(bre, localConfig);
+      expect(deployments).to.be.deep.equal(this.deployments);
+    });
+
+    it('fails when a deployed contract was built from different bytecode', async () => {
+      saveDeployments(bre.network.name, {
+        ...this.deployments,
+        DigitalaxAuction: {...this.deployments.DigitalaxAuction, artifactHash: web3.utils.keccak256('0x00')},
+      });
+
+      try {
+        await deploy(bre, localConfig);
+        expect.fail('should have thrown');
+      } catch (e) {
+        expect(e.message).to.contain(`DigitalaxAuction deployed at ${this.deployments.DigitalaxAuction.address} was built from different bytecode`);
+      } finally {
+        saveDeployments(bre.network.name, this.deployments);
+      }
+    });
+
+    it('fails when a deployed contract has no artifact hash recorded', async () => {
+      const {artifactHash, ...legacyAuction} = this.deployments.DigitalaxAuction;
+      saveDeployments(bre.network.name, {...this.deployments, DigitalaxAuction: legacyAuction});
+
+      try {
+        await deploy(bre, localConfig);
+        expect.fail('should have thrown');
+      } catch (e) {
+        expect(e.message).to.contain(`DigitalaxAuction deployed at ${legacyAuction.address} has no artifact hash recorded`);
+      } finally {
+        saveDeployments(bre.network.name, this.deployments);
+      }
+    });
+  });
+});
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {expect} = require('chai');
+
+const {ethers} = require('@nomiclabs/buidler');
+const {loadManifest} = require('../../scripts/lib/manifest');
+const {mintDrop} = require('../../scripts/lib/drop');
+const {Journal} = require('../../scripts/lib/journal');
+const {DESIGNERS, FUND_MULTISIG_ADDRESS} = require('../../scripts/constants');
+
+const DigitalaxAccessControls = artifacts.require('DigitalaxAccessControls');
+const DigitalaxMaterials = artifacts.require('DigitalaxMaterials');
+const DigitalaxGarmentNFT = artifacts.require('DigitalaxGarmentNFT');
+const DigitalaxGarmentFactory = artifacts.require('DigitalaxGarmentFactory');
+
+contract('Drop manifests', function ([admin, beneficiary, ...otherAccounts]) {
+
+  const writeManifest = (name, contents) => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'drop-')), name);
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+
+  const YAML_MANIFEST = `
+name: test-drop
+beneficiary: '${beneficiary}'
+children:
+  DF001:
+    uri: strandOneUri
+  DF002:
+    uri: strandTwoUri
+garments:
+  - name: first
+    uri: garmentOneUri
+    designer: msistema
+    children:
+      DF001: 1
+      DF002: 3
+  - name: second
+    uri: garmentTwoUri
+    designer: FUND_MULTISIG_ADDRESS
+    children:
+      DF002: 2
+  - name: third
+    uri: garmentThreeUri
+    designer: '${otherAccounts[0]}'
+    splits:
+      '${otherAccounts[0]}': 6000
+      msistema: 4000
+`;
+
+  beforeEach(async () => {
+    this.accessControls = await DigitalaxAccessControls.new({from: admin});
+    this.materials = await DigitalaxMaterials.new('DigitalaxMaterials', 'DXM', this.accessControls.address, {from: admin});
+    this.garment = await DigitalaxGarmentNFT.new(this.accessControls.address, this.materials.address, {from: admin});
+    this.factory = await DigitalaxGarmentFactory.new(
+      this.garment.address,
+      this.materials.address,
+      this.accessControls.address,
+      {from: admin}
+    );
+    await this.accessControls.addMinterRole(admin, {from: admin});
+    await this.accessControls.addSmartContractRole(this.factory.address, {from: admin});
+
+    this.contracts = {
+      factory: await ethers.getContractAt('DigitalaxGarmentFactory', this.factory.address),
+      materials: await ethers.getContractAt('DigitalaxMaterials', this.materials.address),
+    };
+  });
+
+  describe('loadManifest()', async () => {
+    it('resolves designers, beneficiaries and children from YAML', async () => {
+      const manifest = loadManifest(writeManifest('drop.yml', YAML_MANIFEST));
+
+      expect(manifest.name).to.be.equal('test-drop');
+      expect(manifest.children).to.be.deep.equal([
+        {name: 'DF001', uri: 'strandOneUri'},
+        {name: 'DF002', uri: 'strandTwoUri'},
+      ]);
+
+      const [first, second, third] = manifest.garments;
+      expect(first.designer).to.be.equal(DESIGNERS.msistema);
+      expect(first.beneficiary).to.be.equal(beneficiary);
+      expect(first.children).to.be.deep.equal([{name: 'DF001', amount: 1}, {name: 'DF002', amount: 3}]);
+      expect(second.designer).to.be.equal(FUND_MULTISIG_ADDRESS);
+      expect(third.designer).to.be.equal(otherAccounts[0]);
+      expect(third.children).to.be.deep.equal([]);
+      expect(first.recipe).to.be.equal(0);
+      expect(first.splits).to.be.deep.equal([]);
+      expect(third.splits).to.be.deep.equal([
+        {recipient: otherAccounts[0], split: 6000},
+        {recipient: DESIGNERS.msistema, split: 4000},
+      ]);
+    });
+
+    it('resolves URIs from hash files relative to the metadata directory', async () => {
+      const file = writeManifest('drop.json', JSON.stringify({
+        metadataDirectory: 'metadata',
+        beneficiary,
+        children: {DF001: {hash: 'DF001.json'}},
+        garments: [],
+      }));
+      fs.mkdirSync(path.join(path.dirname(file), 'metadata'));
+      fs.writeFileSync(path.join(path.dirname(file), 'metadata', 'DF001.json'), JSON.stringify({uri: 'hashedUri'}));
+
+      const manifest = loadManifest(file);
+      expect(manifest.name).to.be.equal('drop');
+      expect(manifest.children).to.be.deep.equal([{name: 'DF001', uri: 'hashedUri'}]);
+    });
+
+    it('fails when a garment uses an unknown child', async () => {
+      const file = writeManifest('drop.json', JSON.stringify({
+        beneficiary,
+        garments: [{name: 'first', uri: 'garmentOneUri', designer: 'msistema', children: {DF001: 1}}],
+      }));
+      expect(() => loadManifest(file)).to.throw('garment [first] uses child [DF001] which is not listed under children');
+    });
+
+    it('fails when the splits do not add up to 10000', async () => {
+      const file = writeManifest('drop.json', JSON.stringify({
+        beneficiary,
+        garments: [{name: 'first', uri: 'garmentOneUri', designer: 'msistema', splits: {msistema: 5000}}],
+      }));
+      expect(() => loadManifest(file)).to.throw('garment [first] splits must add up to 10000 basis points');
+    });
+
+    it('fails when a garment has a recipe but no children', async () => {
+      const file = writeManifest('drop.json', JSON.stringify({
+        beneficiary,
+        garments: [{name: 'first', uri: 'garmentOneUri', designer: 'msistema', recipe: 1}],
+      }));
+      expect(() => loadManifest(file)).to.throw('garment [first] has a recipe but no children');
+    });
+
+    it('fails when a designer is unknown', async () => {
+      const file = writeManifest('drop.json', JSON.stringify({
+        beneficiary,
+        garments: [{name: 'first', uri: 'garmentOneUri', designer: 'nobody'}],
+      }));
+      expect(() => loadManifest(file)).to.throw('garment [first] designer [nobody] is not an address, designer or known constant');
+    });
+  });
+
+  describe('mintDrop()', async () => {
+    it('creates the children and mints every garment', async () => {
+      const manifest = loadManifest(writeManifest('drop.yml', YAML_MANIFEST));
+      const report = await mintDrop({...this.contracts, manifest});
+
+      expect(report.children).to.be.deep.equal({DF001: '1', DF002: '2'});
+      expect(Object.keys(report.garments)).to.be.deep.equal(['first', 'second', 'third']);
+      expect(report.garments.first.tokenId).to.be.equal('1');
+      expect(report.garments.third.tokenId).to.be.equal('3');
+
+      expect(await this.garment.tokenURI('1')).to.be.equal('garmentOneUri');
+      expect(await this.garment.garmentDesigners('1')).to.be.equal(DESIGNERS.msistema);
+      expect(await this.garment.ownerOf('1')).to.be.equal(beneficiary);
+      expect(await this.garment.childBalance('1', this.materials.address, '2')).to.be.bignumber.equal('3');
+      expect(await this.garment.childBalance('2', this.materials.address, '2')).to.be.bignumber.equal('2');
+
+      const {_recipients, _splits} = await this.garment.getRevenueSplit('3');
+      expect(_recipients).to.be.deep.equal([otherAccounts[0], DESIGNERS.msistema]);
+      expect(_splits.map(split => split.toString())).to.be.deep.equal(['6000', '4000']);
+      expect((await this.garment.getRevenueSplit('1'))._recipients).to.be.deep.equal([]);
+    });
+
+    it('reuses children which already exist on chain', async () => {
+      await this.factory.createNewChildren(['someOtherUri', 'strandTwoUri'], {from: admin});
+
+      const manifest = loadManifest(writeManifest('drop.yml', YAML_MANIFEST));
+      const report = await mintDrop({...this.contracts, manifest});
+
+      expect(report.children).to.be.deep.equal({DF001: '3', DF002: '2'});
+      expect(await this.materials.tokenIdPointer()).to.be.bignumber.equal('3');
+    });
+
+    it('skips everything already confirmed in the journal when re-run', async () => {
+      const manifest = loadManifest(writeManifest('drop.yml', YAML_MANIFEST));
+      const journal = new Journal({provider: ethers.provider});
+
+      const firstReport = await mintDrop({...this.contracts, manifest, journal});
+      const secondReport = await mintDrop({...this.contracts, manifest, journal});
+
+      expect(secondReport).to.be.deep.equal(firstReport);
+      expect(await this.garment.tokenIdPointer()).to.be.bignumber.equal('3');
+      expect(await this.materials.tokenIdPointer()).to.be.bignumber.equal('2');
+    });
+  });
+});
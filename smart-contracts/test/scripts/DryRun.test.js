@@ -0,0 +1,75 @@
+const {expect} = require('chai');
+
+const bre = require('@nomiclabs/buidler');
+const {startSimulation, DryRunTracer} = require('../../scripts/lib/dryRun');
+
+const DigitalaxAccessControls = artifacts.require('DigitalaxAccessControls');
+const DigitalaxMaterials = artifacts.require('DigitalaxMaterials');
+const DigitalaxGarmentNFT = artifacts.require('DigitalaxGarmentNFT');
+const DigitalaxGarmentFactory = artifacts.require('DigitalaxGarmentFactory');
+
+contract('Dry run', function ([admin, designer, ...otherAccounts]) {
+
+  beforeEach(async () => {
+    this.accessControls = await DigitalaxAccessControls.new({from: admin});
+    this.materials = await DigitalaxMaterials.new('DigitalaxMaterials', 'DXM', this.accessControls.address, {from: admin});
+    this.garment = await DigitalaxGarmentNFT.new(this.accessControls.address, this.materials.address, {from: admin});
+    this.factory = await DigitalaxGarmentFactory.new(
+      this.garment.address,
+      this.materials.address,
+      this.accessControls.address,
+      {from: admin}
+    );
+    await this.accessControls.addMinterRole(admin, {from: admin});
+    await this.accessControls.addSmartContractRole(this.factory.address, {from: admin});
+
+    const [signer] = await bre.ethers.getSigners();
+    this.simulation = await startSimulation(bre, signer);
+    this.tracer = new DryRunTracer(bre, this.simulation.provider, {
+      DigitalaxGarmentNFT: {address: this.garment.address},
+      DigitalaxMaterials: {address: this.materials.address},
+    });
+
+    const factory = await bre.ethers.getContractAt('DigitalaxGarmentFactory', this.factory.address, this.simulation.signer);
+    this.tracedFactory = this.tracer.trace(factory, 'DigitalaxGarmentFactory');
+  });
+
+  it('applies calls to the simulation and reverts them once finished', async () => {
+    const tx = await this.tracedFactory.createNewChildren(['strandOneUri', 'strandTwoUri']);
+    await tx.wait();
+    await this.tracedFactory.mintParentWithChildren('garmentUri', designer, ['1', '2'], ['1', '2'], admin);
+
+    expect(await this.materials.tokenIdPointer()).to.be.bignumber.equal('2');
+    expect(await this.garment.tokenIdPointer()).to.be.bignumber.equal('1');
+    expect(this.tracer.calls).to.be.deep.equal([
+      {description: 'DigitalaxGarmentFactory.createNewChildren', gas: this.tracer.calls[0].gas},
+      {description: 'DigitalaxGarmentFactory.mintParentWithChildren', gas: this.tracer.calls[1].gas},
+    ]);
+
+    await this.simulation.finish();
+
+    expect(await this.materials.tokenIdPointer()).to.be.bignumber.equal('0');
+    expect(await this.garment.tokenIdPointer()).to.be.bignumber.equal('0');
+  });
+
+  it('stops on the first revert', async () => {
+    await this.accessControls.removeMinterRole(admin, {from: admin});
+
+    try {
+      await this.tracedFactory.createNewChildren(['strandOneUri']);
+      expect.fail('should have reverted');
+    } catch (e) {
+      expect(e.message).to.contain('Dry run stopped - DigitalaxGarmentFactory.createNewChildren reverts');
+      expect(e.message).to.contain('DigitalaxGarmentFactory.createNewChildren: Sender must be minter');
+    }
+
+    await this.simulation.finish();
+  });
+
+  it('passes read only calls straight through', async () => {
+    expect(await this.tracedFactory.materials()).to.be.equal(this.materials.address);
+    expect(this.tracer.calls).to.be.deep.equal([]);
+
+    await this.simulation.finish();
+  });
+});
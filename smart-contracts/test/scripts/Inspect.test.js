@@ -0,0 +1,163 @@
+const {ether, constants} = require('@openzeppelin/test-helpers');
+const {expect} = require('chai');
+
+const bre = require('@nomiclabs/buidler');
+const {deploy} = require('../../scripts/lib/deployer');
+const {renderGarment, renderTree} = require('../../scripts/lib/inspect');
+const localConfig = require('../../deploy/buidlerevm');
+
+const DigitalaxAuction = artifacts.require('DigitalaxAuction');
+const DigitalaxGarmentFactory = artifacts.require('DigitalaxGarmentFactory');
+const DigitalaxGarmentNFT = artifacts.require('DigitalaxGarmentNFT');
+const DigitalaxMaterials = artifacts.require('DigitalaxMaterials');
+
+contract('Inspection tasks', function ([deployer, designer, bidder]) {
+
+  const run = (name, args) => bre.run(name, {json: true, ...args});
+
+  before(async () => {
+    const deployments = await deploy(bre, localConfig);
+
+    this.auction = await DigitalaxAuction.at(deployments.DigitalaxAuction.address);
+    this.factory = await DigitalaxGarmentFactory.at(deployments.DigitalaxGarmentFactory.address);
+    this.garment = await DigitalaxGarmentNFT.at(deployments.DigitalaxGarmentNFT.address);
+    this.materials = await DigitalaxMaterials.at(deployments.DigitalaxMaterials.address);
+  });
+
+  beforeEach(async () => {
+    await this.factory.createNewChildren(['inspectStrandUri'], {from: deployer});
+    this.childId = (await this.materials.tokenIdPointer()).toString();
+
+    await this.factory.mintParentWithChildren('inspectGarmentUri', designer, [this.childId], ['3'], deployer, {from: deployer});
+    this.tokenId = (await this.garment.tokenIdPointer()).toString();
+  });
+
+  describe('garment:tree', async () => {
+    it('shows the garment with its strands', async () => {
+      expect(await run('garment:tree', {tokenId: this.tokenId})).to.be.deep.equal({
+        tokenId: this.tokenId,
+        owner: deployer,
+        tokenUri: 'inspectGarmentUri',
+        designer,
+        primarySalePrice: '0',
+        children: [{
+          contract: this.materials.address,
+          id: this.childId,
+          balance: '3',
+          uri: 'inspectStrandUri',
+          totalSupply: '3',
+        }],
+        accessories: [],
+        auction: {
+          auctionId: '0',
+          status: 'not listed',
+          paymentToken: constants.ZERO_ADDRESS,
+          reservePrice: '0',
+          buyNowPrice: '0',
+          startTime: 0,
+          endTime: 0,
+          resulted: false,
+          reserveMet: false,
+          highestBid: null,
+        },
+      });
+    });
+
+    it('renders the garment as a tree', async () => {
+      const tree = renderGarment(await run('garment:tree', {tokenId: this.tokenId}));
+
+      expect(tree.split('\n')).to.be.deep.equal([
+        `Garment #${this.tokenId}`,
+        `├─ owner: ${deployer}`,
+        `├─ designer: ${designer}`,
+        '├─ uri: inspectGarmentUri',
+        '├─ primary sale price: 0.0 ETH',
+        '├─ strands (1)',
+        `│  └─ #${this.childId} x3 - inspectStrandUri`,
+        `│     ├─ contract: ${this.materials.address}`,
+        '│     └─ total supply: 3',
+        '└─ auction: not listed',
+      ]);
+    });
+
+    it('fails for a garment which does not exist', async () => {
+      try {
+        await run('garment:tree', {tokenId: '99999'});
+        expect.fail('should have thrown');
+      } catch (e) {
+        expect(e.message).to.contain('Garment [99999] does not exist');
+      }
+    });
+  });
+
+  describe('auction:status', async () => {
+    beforeEach(async () => {
+      const {timestamp} = await bre.ethers.provider.getBlock('latest');
+      this.startTime = timestamp - 10;
+      this.endTime = timestamp + 60 * 60;
+
+      await this.auction.createAuction(this.tokenId, ether('0.1'), this.startTime, this.endTime, '0', '0', '0', {from: deployer});
+      this.auctionId = (await this.auction.auctionIdPointer()).toString();
+    });
+
+    it('follows the auction from live to ended', async () => {
+      let status = await run('auction:status', {tokenId: this.tokenId});
+      expect(status).to.be.deep.equal({
+        auctionId: this.auctionId,
+        status: 'live',
+        paymentToken: constants.ZERO_ADDRESS,
+        reservePrice: ether('0.1').toString(),
+        buyNowPrice: '0',
+        startTime: this.startTime,
+        endTime: this.endTime,
+        resulted: false,
+        reserveMet: false,
+        highestBid: null,
+      });
+
+      await this.auction.placeBid(this.tokenId, {from: bidder, value: ether('0.05')});
+      status = await run('auction:status', {tokenId: this.tokenId});
+      expect(status.reserveMet).to.be.false;
+      expect(status.highestBid.bidder).to.be.equal(bidder);
+      expect(status.highestBid.bid).to.be.equal(ether('0.05').toString());
+
+      await this.auction.placeBid(this.tokenId, {from: bidder, value: ether('0.2')});
+      expect((await run('auction:status', {tokenId: this.tokenId})).reserveMet).to.be.true;
+
+      await bre.ethers.provider.send('evm_increaseTime', [60 * 60 + 1]);
+      await bre.ethers.provider.send('evm_mine', []);
+      expect((await run('auction:status', {tokenId: this.tokenId})).status).to.be.equal('ended');
+
+      await this.auction.resultAuction(this.tokenId, {from: deployer});
+      expect((await run('auction:status', {tokenId: this.tokenId})).status).to.be.equal('resulted');
+    });
+  });
+
+  describe('roles:list', async () => {
+    it('shows the roles held by an account', async () => {
+      expect(await run('roles:list', {account: bidder})).to.be.deep.equal({
+        account: bidder,
+        roles: {'admin': false, 'minter': false, 'smart-contract': false},
+      });
+    });
+  });
+
+  describe('renderTree', async () => {
+    it('indents nested children', async () => {
+      expect(renderTree({
+        label: 'root',
+        children: [
+          {label: 'a', children: [{label: 'a1'}, {label: 'a2'}]},
+          {label: 'b', children: [{label: 'b1'}]},
+        ],
+      })).to.be.equal([
+        'root',
+        '├─ a',
+        '│  ├─ a1',
+        '│  └─ a2',
+        '└─ b',
+        '   └─ b1',
+      ].join('\n'));
+    });
+  });
+});
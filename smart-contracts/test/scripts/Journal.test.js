@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {expect} = require('chai');
+
+const {ethers} = require('@nomiclabs/buidler');
+const {Journal} = require('../../scripts/lib/journal');
+
+const DigitalaxAccessControls = artifacts.require('DigitalaxAccessControls');
+
+contract('Journal', function ([admin, minter, ...otherAccounts]) {
+
+  beforeEach(async () => {
+    this.accessControls = await DigitalaxAccessControls.new({from: admin});
+    this.ethersAccessControls = await ethers.getContractAt('DigitalaxAccessControls', this.accessControls.address);
+
+    this.file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'journal-')), 'journal.json');
+    this.sent = 0;
+
+    this.grantMinter = (journal, key = 'minter') => journal.run(
+      key,
+      () => {
+        this.sent += 1;
+        return this.ethersAccessControls.addMinterRole(minter);
+      },
+      (receipt) => ({blockNumber: receipt.blockNumber})
+    );
+  });
+
+  it('records the confirmed transaction and its result against the key', async () => {
+    const journal = new Journal({provider: ethers.provider, file: this.file});
+    const result = await this.grantMinter(journal);
+
+    const {minter: entry} = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    expect(entry.status).to.be.equal('confirmed');
+    expect(entry.result).to.be.deep.equal(result);
+
+    const receipt = await ethers.provider.getTransactionReceipt(entry.transactionHash);
+    expect(receipt.blockNumber).to.be.equal(result.blockNumber);
+    expect(await this.accessControls.hasMinterRole(minter)).to.be.true;
+  });
+
+  it('skips keys already confirmed on chain when re-run', async () => {
+    const firstResult = await this.grantMinter(new Journal({provider: ethers.provider, file: this.file}));
+    const secondResult = await this.grantMinter(new Journal({provider: ethers.provider, file: this.file}));
+
+    expect(this.sent).to.be.equal(1);
+    expect(secondResult).to.be.deep.equal(firstResult);
+  });
+
+  it('completes a pending entry which has since been mined', async () => {
+    const tx = await this.ethersAccessControls.addMinterRole(minter);
+    fs.writeFileSync(this.file, JSON.stringify({minter: {status: 'pending', transactionHash: tx.hash}}));
+
+    const journal = new Journal({provider: ethers.provider, file: this.file});
+    const result = await this.grantMinter(journal);
+
+    expect(this.sent).to.be.equal(0);
+    expect(result.blockNumber).to.be.equal((await tx.wait()).blockNumber);
+    expect(journal.entries.minter.status).to.be.equal('confirmed');
+  });
+
+  it('sends again when the recorded transaction was dropped', async () => {
+    const droppedHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('dropped'));
+    fs.writeFileSync(this.file, JSON.stringify({minter: {status: 'pending', transactionHash: droppedHash}}));
+
+    const journal = new Journal({provider: ethers.provider, file: this.file});
+    await this.grantMinter(journal);
+
+    expect(this.sent).to.be.equal(1);
+    expect(journal.entries.minter.transactionHash).to.not.be.equal(droppedHash);
+  });
+
+  it('never writes when read only', async () => {
+    const journal = new Journal({provider: ethers.provider, file: this.file, readOnly: true});
+    await this.grantMinter(journal);
+
+    expect(journal.entries.minter.status).to.be.equal('confirmed');
+    expect(fs.existsSync(this.file)).to.be.false;
+  });
+});
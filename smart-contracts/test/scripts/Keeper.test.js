@@ -0,0 +1,134 @@
+const {ether, constants} = require('@openzeppelin/test-helpers');
+const {expect} = require('chai');
+
+const bre = require('@nomiclabs/buidler');
+const {AuctionKeeper} = require('../../scripts/lib/keeper');
+
+const DigitalaxAccessControls = artifacts.require('DigitalaxAccessControls');
+const DigitalaxMaterials = artifacts.require('DigitalaxMaterials');
+const DigitalaxGarmentNFT = artifacts.require('DigitalaxGarmentNFT');
+const DigitalaxAuction = artifacts.require('DigitalaxAuctionMock');
+
+contract('AuctionKeeper', function ([admin, minter, platformFeeAddress, designer, bidder]) {
+
+  const TOKEN_ONE_ID = '1';
+  const TOKEN_TWO_ID = '2';
+
+  beforeEach(async () => {
+    const fromBlock = await bre.ethers.provider.getBlockNumber();
+
+    this.accessControls = await DigitalaxAccessControls.new({from: admin});
+    await this.accessControls.addMinterRole(minter, {from: admin});
+
+    this.materials = await DigitalaxMaterials.new('DigitalaxMaterials', 'DXM', this.accessControls.address, {from: admin});
+    this.token = await DigitalaxGarmentNFT.new(this.accessControls.address, this.materials.address, {from: admin});
+    this.auction = await DigitalaxAuction.new(this.accessControls.address, this.token.address, platformFeeAddress, {from: admin});
+    await this.accessControls.addSmartContractRole(this.auction.address, {from: admin});
+
+    // Two garments up for auction between 0 and 10
+    await this.auction.setNowOverride('2');
+    for (const tokenId of [TOKEN_ONE_ID, TOKEN_TWO_ID]) {
+      await this.token.mint(minter, 'garmentUri', designer, {from: minter});
+      await this.token.approve(this.auction.address, tokenId, {from: minter});
+      await this.auction.createAuction(tokenId, ether('0.5'), '0', '10', '0', '0', '0', {from: minter});
+    }
+
+    const [signer] = await bre.ethers.getSigners();
+    const auction = await bre.ethers.getContractAt('DigitalaxAuctionMock', this.auction.address, signer);
+
+    this.clock = 0;
+    this.logs = [];
+    this.keeper = new AuctionKeeper({
+      auction,
+      fromBlock,
+      maxGasPrice: ether('0.001').toString(),
+      maxAttempts: 2,
+      retryDelay: 1000,
+      now: async () => (await auction.nowOverride()).toNumber(),
+      clock: () => this.clock,
+      log: (message) => this.logs.push(message),
+    });
+  });
+
+  it('leaves auctions alone until they end', async () => {
+    await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('1')});
+
+    expect(await this.keeper.tick()).to.be.deep.equal({resulted: [], cancelled: []});
+    expect(Object.keys(this.keeper.auctions)).to.be.deep.equal([TOKEN_ONE_ID, TOKEN_TWO_ID]);
+  });
+
+  it('results auctions with a winning bid and cancels those without bids', async () => {
+    await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('1')});
+    await this.auction.setNowOverride('11');
+
+    expect(await this.keeper.tick()).to.be.deep.equal({resulted: [TOKEN_ONE_ID], cancelled: [TOKEN_TWO_ID]});
+
+    expect(await this.token.ownerOf(TOKEN_ONE_ID)).to.be.equal(bidder);
+    expect((await this.auction.getAuction(TOKEN_ONE_ID))._resulted).to.be.true;
+    expect((await this.auction.getAuction(TOKEN_TWO_ID))._endTime).to.be.bignumber.equal('0');
+
+    // Nothing left to do
+    expect(await this.keeper.tick()).to.be.deep.equal({resulted: [], cancelled: []});
+    expect(this.keeper.auctions).to.be.deep.equal({});
+  });
+
+  it('follows end time updates', async () => {
+    await this.keeper.tick();
+    await this.auction.updateAuctionEndTime(TOKEN_ONE_ID, '20', {from: admin});
+    await this.auction.setNowOverride('11');
+
+    expect(await this.keeper.tick()).to.be.deep.equal({resulted: [], cancelled: [TOKEN_TWO_ID]});
+
+    await this.auction.setNowOverride('21');
+    expect(await this.keeper.tick()).to.be.deep.equal({resulted: [], cancelled: [TOKEN_ONE_ID]});
+  });
+
+  it('leaves auctions which ended below their reserve for an admin', async () => {
+    await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('0.2')});
+    await this.auction.setNowOverride('11');
+
+    expect(await this.keeper.tick()).to.be.deep.equal({resulted: [], cancelled: [TOKEN_TWO_ID]});
+    expect(this.logs).to.include(`Auction [${TOKEN_ONE_ID}] ended below its reserve - leaving it for an admin`);
+
+    // Resulted once the reserve is lowered
+    await this.auction.updateAuctionReservePrice(TOKEN_ONE_ID, ether('0.1'), {from: admin});
+    expect(await this.keeper.tick()).to.be.deep.equal({resulted: [TOKEN_ONE_ID], cancelled: []});
+  });
+
+  it('waits while the gas price is above the cap', async () => {
+    this.keeper.maxGasPrice = bre.ethers.BigNumber.from('1');
+    await this.auction.setNowOverride('11');
+
+    expect(await this.keeper.tick()).to.be.deep.equal({resulted: [], cancelled: []});
+    expect(this.logs.find(message => message.includes('above the cap'))).to.not.be.undefined;
+
+    this.keeper.maxGasPrice = null;
+    expect(await this.keeper.tick()).to.be.deep.equal({resulted: [], cancelled: [TOKEN_ONE_ID, TOKEN_TWO_ID]});
+  });
+
+  it('backs off and retries failures, giving up after the max attempts', async () => {
+    await this.auction.placeBid(TOKEN_ONE_ID, {from: bidder, value: ether('1')});
+    await this.auction.placeBid(TOKEN_TWO_ID, {from: bidder, value: ether('1')});
+
+    // Resulting fails without approval
+    await this.token.approve(constants.ZERO_ADDRESS, TOKEN_ONE_ID, {from: minter});
+    await this.token.approve(constants.ZERO_ADDRESS, TOKEN_TWO_ID, {from: minter});
+    await this.auction.setNowOverride('11');
+
+    expect(await this.keeper.tick()).to.be.deep.equal({resulted: [], cancelled: []});
+    expect(this.keeper.auctions[TOKEN_ONE_ID].attempts).to.be.equal(1);
+    expect(this.keeper.auctions[TOKEN_ONE_ID].retryAt).to.be.equal(1000);
+
+    // Not retried until the delay has passed
+    await this.token.approve(this.auction.address, TOKEN_ONE_ID, {from: minter});
+    expect(await this.keeper.tick()).to.be.deep.equal({resulted: [], cancelled: []});
+
+    this.clock = 1000;
+    expect(await this.keeper.tick()).to.be.deep.equal({resulted: [TOKEN_ONE_ID], cancelled: []});
+    expect(this.keeper.closed).to.be.deep.equal([TOKEN_ONE_ID]);
+
+    // The second failure is the last attempt
+    expect(this.keeper.failed).to.be.deep.equal([TOKEN_TWO_ID]);
+    expect(this.keeper.auctions).to.be.deep.equal({});
+  });
+});
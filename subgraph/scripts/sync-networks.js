@@ -0,0 +1,67 @@
+/**
+ * Regenerates networks/<network>.json from the smart contract deployments registry so that
+ * the addresses and start blocks rendered into subgraph.yaml always match the latest deployment
+ *
+ * Usage: node scripts/sync-networks.js <network>
+ */
+const fs = require('fs');
+const path = require('path');
+
+const network = process.argv[2];
+if (!network) {
+  console.error('Usage: node scripts/sync-networks.js <network>');
+  process.exit(1);
+}
+
+const deploymentsFile = path.join(__dirname, '..', '..', 'smart-contracts', 'deployments', `${network}.json`);
+const templateFile = path.join(__dirname, '..', 'subgraph.template.yaml');
+const networkFile = path.join(__dirname, '..', 'networks', `${network}.json`);
+
+if (!fs.existsSync(deploymentsFile)) {
+  console.error(`No deployments recorded for [${network}] - expected ${deploymentsFile}`);
+  process.exit(1);
+}
+
+const deployments = JSON.parse(fs.readFileSync(deploymentsFile, 'utf8'));
+
+// Every data source in the template is rendered from {{<ContractName>Address}} and {{<ContractName>StartBlock}}
+const template = fs.readFileSync(templateFile, 'utf8');
+const contractNames = [];
+const addressPlaceholder = /{{(\w+)Address}}/g;
+let match;
+while ((match = addressPlaceholder.exec(template)) !== null) {
+  if (!contractNames.includes(match[1])) {
+    contractNames.push(match[1]);
+  }
+}
+
+// Data sources wrapped in a {{#<ContractName>Address}} section are only rendered once that contract is deployed
+const optionalContractNames = [];
+const optionalSection = /{{#(\w+)Address}}/g;
+while ((match = optionalSection.exec(template)) !== null) {
+  optionalContractNames.push(match[1]);
+}
+
+const networkConfig = {network};
+const missing = [];
+contractNames.forEach(contractName => {
+  const deployment = deployments[contractName];
+  if (!deployment || !deployment.address || deployment.blockNumber === undefined) {
+    if (optionalContractNames.includes(contractName)) {
+      console.log(`Skipping optional data source [${contractName}] - not deployed on [${network}]`);
+      return;
+    }
+    missing.push(contractName);
+    return;
+  }
+  networkConfig[`${contractName}Address`] = deployment.address;
+  networkConfig[`${contractName}StartBlock`] = deployment.blockNumber;
+});
+
+if (missing.length) {
+  console.error(`Address and block number required for [${missing.join(', ')}] in ${deploymentsFile}`);
+  process.exit(1);
+}
+
+fs.writeFileSync(networkFile, `${JSON.stringify(networkConfig, null, 2)}\n`);
+console.log(`Synced ${networkFile} with ${deploymentsFile}`);
@@ -1,4 +1,4 @@
-import {BigInt} from "@graphprotocol/graph-ts/index";
+import {BigInt, Bytes} from "@graphprotocol/graph-ts/index";
 
 import {
     AuctionCancelled,
@@ -11,7 +11,10 @@ import {
     UpdateAuctionEndTime,
     UpdateAuctionReservePrice,
     UpdateAuctionStartTime,
-    UpdateBidWithdrawalLockTime, UpdateMinBidIncrement, UpdatePlatformFee, UpdatePlatformFeeRecipient
+    UpdateBidWithdrawalLockTime, UpdateMinBidIncrement, UpdatePlatformFee, UpdatePlatformFeeRecipient,
+    UpdateBidExtensionWindow, UpdateBidExtensionTime, UpdatePaymentToken, AuctionPaymentToken,
+    UpdatePullRefunds, UpdateAllowContractBidders, UpdateAuctionBuyNowPrice, AuctionBoughtNow, RevenuePaid,
+    UpdatePlatformFeeOnTotal, UpdateDesignerPlatformFee, AuctionPlatformFee
 } from "../generated/DigitalaxAuction/DigitalaxAuction";
 
 import {
@@ -21,19 +24,25 @@ import {
     DigitalaxAuctionContract
 } from "../generated/schema"
 
-import {ZERO} from "./constants";
+import {ZERO, ZERO_ADDRESS} from "./constants";
 import {loadOrCreateGarmentDesigner} from "./factory/DigitalaxGarmentDesigner.factory";
 import {loadOrCreateDigitalaxCollector} from "./factory/DigitalaxCollector.factory";
 import {loadDayFromEvent} from "./factory/Day.factory";
 import {loadOrCreateGarmentNFTGlobalStats} from "./factory/DigitalaxGarmentNFTGlobalStats.factory";
+import {recordRevenuePayout} from "./factory/DigitalaxRevenueRecipient.factory";
 
 export function handleAuctionCreated(event: AuctionCreated): void {
     let contract = DigitalaxAuction.bind(event.address);
     let tokenId = event.params.garmentTokenId;
+    let auctionId = tokenId.toString()
+        .concat("-")
+        .concat(event.params.auctionId.toString());
+
+    let garment = DigitalaxGarment.load(tokenId.toString());
 
-    let garmentDesigner = loadOrCreateGarmentDesigner(tokenId.toString());
+    let garmentDesigner = loadOrCreateGarmentDesigner(garment.designer.toHexString());
     let listings = garmentDesigner.listings;
-    listings.push(tokenId.toString());
+    listings.push(auctionId);
     garmentDesigner.listings = listings;
     garmentDesigner.save();
 
@@ -42,7 +51,7 @@ export function handleAuctionCreated(event: AuctionCreated): void {
         .concat("-")
         .concat(event.transaction.hash.toHexString())
         .concat("-")
-        .concat(event.transaction.index.toString());
+        .concat(event.logIndex.toString());
 
     let auctionEvent = new DigitalaxGarmentAuctionHistory(eventId);
     auctionEvent.token = tokenId.toString();
@@ -51,23 +60,40 @@ export function handleAuctionCreated(event: AuctionCreated): void {
     auctionEvent.transactionHash = event.transaction.hash
     auctionEvent.save()
 
-    // TODO: handle re-listing
-    let auction = new DigitalaxGarmentAuction(tokenId.toString());
-    let garment = DigitalaxGarment.load(event.params.garmentTokenId.toString());
+    // Every listing is a new auction, leaving any previous auctions of the garment as they were
+    let auction = new DigitalaxGarmentAuction(auctionId);
+    auction.auctionType = "English";
+    auction.auctionId = event.params.auctionId;
     auction.garment = tokenId.toString();
     auction.designer = garment.designer.toHexString();
     auction.history = tokenId.toString();
     auction.contract = event.address.toHexString();
 
     // Auction config
-    let auctionResult = contract.auctions(tokenId);
-    auction.reservePrice = auctionResult.value0;
-    auction.startTime = auctionResult.value1;
-    auction.endTime = auctionResult.value2;
-    auction.resulted = auctionResult.value3;
+    let auctionResult = contract.auctions(event.params.auctionId);
+    auction.reservePrice = auctionResult.value1;
+    auction.startTime = auctionResult.value2;
+    auction.endTime = auctionResult.value3;
+    auction.resulted = auctionResult.value4;
     auction.resultedTime = event.block.timestamp;
+    auction.cancelled = false;
+
+    // Updated by AuctionPaymentToken and UpdateAuctionBuyNowPrice, which follow in the same transaction, when set
+    auction.paymentToken = ZERO_ADDRESS;
+    auction.buyNowPrice = ZERO;
+    auction.boughtNow = false;
+
+    // Updated by AuctionPlatformFee which follows in the same transaction
+    auction.platformFee = contract.platformFee();
+    auction.platformFeeOnTotal = contract.platformFeeOnTotal();
     auction.save();
 
+    let auctions = garment.auctions;
+    auctions.push(auctionId);
+    garment.auctions = auctions;
+    garment.currentAuction = auctionId;
+    garment.save();
+
     loadOrCreateGarmentNFTGlobalStats();
 }
 
@@ -77,50 +103,61 @@ export function handleDigitalaxAuctionContractDeployed(event: DigitalaxAuctionCo
     let auctionConfig = new DigitalaxAuctionContract(event.address.toHexString());
     auctionConfig.minBidIncrement = contract.minBidIncrement();
     auctionConfig.bidWithdrawalLockTime = contract.bidWithdrawalLockTime();
+    // Bid extensions are disabled until configured
+    auctionConfig.bidExtensionWindow = ZERO;
+    auctionConfig.bidExtensionTime = ZERO;
+    auctionConfig.paymentTokens = new Array<Bytes>();
+    auctionConfig.pullRefunds = false;
+    auctionConfig.allowContractBidders = false;
     auctionConfig.platformFee = contract.platformFee();
+    auctionConfig.platformFeeOnTotal = false;
     auctionConfig.platformFeeRecipient = contract.platformFeeRecipient();
     auctionConfig.totalSales = ZERO;
     auctionConfig.save();
 }
 
 export function handleBidPlaced(event: BidPlaced): void {
-    let contract = DigitalaxAuction.bind(event.address);
     let tokenId = event.params.garmentTokenId;
 
-    let auction = DigitalaxGarmentAuction.load(tokenId.toString());
+    let auction = loadCurrentAuction(tokenId);
 
-    // Record bid as part of day
-    let day = loadDayFromEvent(event);
+    // Taken from the event rather than getHighestBidder() - a buy-now bid results the auction in the same transaction
+    let bid = event.params.bid;
 
-    let topBidder = contract.getHighestBidder(event.params.garmentTokenId)
-    let bidDeltaWithPreviousBid = ZERO;
-    if (!auction.topBidder) {
-        bidDeltaWithPreviousBid = day.totalBidValue.plus(topBidder.value1);
-    } else {
-        // This is key - we want to record the difference between the last highest bid and this new bid on this day
-        bidDeltaWithPreviousBid = day.totalBidValue.plus(topBidder.value1.minus((auction.topBid as BigInt)));
-    }
+    // Day and global stats are in ETH so token bids are left out
+    if (isPaidInEth(auction)) {
+        // Record bid as part of day
+        let day = loadDayFromEvent(event);
 
-    day.totalBidValue = bidDeltaWithPreviousBid;
-    day.totalNetBidActivity = day.totalBidValue.minus(day.totalWithdrawalValue);
+        let bidDeltaWithPreviousBid = ZERO;
+        if (!auction.topBidder) {
+            bidDeltaWithPreviousBid = day.totalBidValue.plus(bid);
+        } else {
+            // This is key - we want to record the difference between the last highest bid and this new bid on this day
+            bidDeltaWithPreviousBid = day.totalBidValue.plus(bid.minus((auction.topBid as BigInt)));
+        }
 
-    day.save();
+        day.totalBidValue = bidDeltaWithPreviousBid;
+        day.totalNetBidActivity = day.totalBidValue.minus(day.totalWithdrawalValue);
 
-    let globalStats = loadOrCreateGarmentNFTGlobalStats();
-    globalStats.totalActiveBidsValue = globalStats.totalActiveBidsValue.plus(bidDeltaWithPreviousBid);
-    globalStats.save();
+        day.save();
+
+        let globalStats = loadOrCreateGarmentNFTGlobalStats();
+        globalStats.totalActiveBidsValue = globalStats.totalActiveBidsValue.plus(bidDeltaWithPreviousBid);
+        globalStats.save();
+    }
 
     // Record top bidder
     auction.topBidder = loadOrCreateDigitalaxCollector(event.params.bidder).id
-    auction.topBid = topBidder.value1
-    auction.lastBidTime = topBidder.value2
+    auction.topBid = bid
+    auction.lastBidTime = event.block.timestamp
     auction.save()
 
     let eventId = tokenId.toString()
         .concat("-")
         .concat(event.transaction.hash.toHexString())
         .concat("-")
-        .concat(event.transaction.index.toString());
+        .concat(event.logIndex.toString());
 
     // Record event
     let auctionEvent = new DigitalaxGarmentAuctionHistory(eventId);
@@ -140,7 +177,7 @@ export function handleBidWithdrawn(event: BidWithdrawn): void {
         .concat("-")
         .concat(event.transaction.hash.toHexString())
         .concat("-")
-        .concat(event.transaction.index.toString());
+        .concat(event.logIndex.toString());
 
     let auctionEvent = new DigitalaxGarmentAuctionHistory(eventId);
     auctionEvent.token = DigitalaxGarment.load(event.params.garmentTokenId.toString()).id
@@ -152,21 +189,23 @@ export function handleBidWithdrawn(event: BidWithdrawn): void {
     auctionEvent.save()
 
     // Clear down bids
-    let auction = DigitalaxGarmentAuction.load(tokenId.toString());
+    let auction = loadCurrentAuction(tokenId);
     auction.topBidder = null
     auction.topBid = null
     auction.lastBidTime = null
     auction.save();
 
-    // Record withdrawal as part of day
-    let day = loadDayFromEvent(event);
-    day.totalWithdrawalValue = day.totalWithdrawalValue.plus(event.params.bid);
-    day.totalNetBidActivity = day.totalBidValue.minus(day.totalWithdrawalValue);
-    day.save();
+    if (isPaidInEth(auction)) {
+        // Record withdrawal as part of day
+        let day = loadDayFromEvent(event);
+        day.totalWithdrawalValue = day.totalWithdrawalValue.plus(event.params.bid);
+        day.totalNetBidActivity = day.totalBidValue.minus(day.totalWithdrawalValue);
+        day.save();
 
-    let globalStats = loadOrCreateGarmentNFTGlobalStats();
-    globalStats.totalActiveBidsValue = globalStats.totalActiveBidsValue.minus(event.params.bid);
-    globalStats.save();
+        let globalStats = loadOrCreateGarmentNFTGlobalStats();
+        globalStats.totalActiveBidsValue = globalStats.totalActiveBidsValue.minus(event.params.bid);
+        globalStats.save();
+    }
 }
 
 export function handleAuctionResulted(event: AuctionResulted): void {
@@ -176,7 +215,7 @@ export function handleAuctionResulted(event: AuctionResulted): void {
         .concat("-")
         .concat(event.transaction.hash.toHexString())
         .concat("-")
-        .concat(event.transaction.index.toString());
+        .concat(event.logIndex.toString());
 
     let auctionEvent = new DigitalaxGarmentAuctionHistory(eventId);
     auctionEvent.token = DigitalaxGarment.load(event.params.garmentTokenId.toString()).id
@@ -187,21 +226,59 @@ export function handleAuctionResulted(event: AuctionResulted): void {
     auctionEvent.transactionHash = event.transaction.hash
     auctionEvent.save()
 
-    // Record winning bid
-    let auctionConfig = DigitalaxAuctionContract.load(event.address.toHexString());
-    auctionConfig.totalSales = auctionConfig.totalSales.plus(event.params.winningBid)
-
     // Result the auction
-    let auction = DigitalaxGarmentAuction.load(tokenId.toString());
+    let auction = loadCurrentAuction(tokenId);
     auction.resulted = true
     auction.resultedTime = event.block.timestamp
     auction.save();
 
-    // Record global stats
-    let globalStats = loadOrCreateGarmentNFTGlobalStats();
-    globalStats.totalActiveBidsValue = globalStats.totalActiveBidsValue.minus(event.params.winningBid);
-    globalStats.totalSalesValue = globalStats.totalSalesValue.plus(event.params.winningBid);
-    globalStats.save();
+    if (isPaidInEth(auction)) {
+        // Record winning bid
+        let auctionConfig = DigitalaxAuctionContract.load(event.address.toHexString());
+        auctionConfig.totalSales = auctionConfig.totalSales.plus(event.params.winningBid)
+        auctionConfig.save();
+
+        // Record global stats
+        let globalStats = loadOrCreateGarmentNFTGlobalStats();
+        globalStats.totalActiveBidsValue = globalStats.totalActiveBidsValue.minus(event.params.winningBid);
+        globalStats.totalSalesValue = globalStats.totalSalesValue.plus(event.params.winningBid);
+        globalStats.save();
+    }
+}
+
+export function handleAuctionBoughtNow(event: AuctionBoughtNow): void {
+/*
+    event AuctionBoughtNow(
+        uint256 indexed garmentTokenId,
+        address indexed buyer,
+        uint256 price
+    );
+    Follows BidPlaced and AuctionResulted in the same transaction
+ */
+    let tokenId = event.params.garmentTokenId;
+
+    let eventId = tokenId.toString()
+        .concat("-")
+        .concat(event.transaction.hash.toHexString())
+        .concat("-")
+        .concat(event.logIndex.toString());
+
+    let auctionEvent = new DigitalaxGarmentAuctionHistory(eventId);
+    auctionEvent.token = DigitalaxGarment.load(event.params.garmentTokenId.toString()).id
+    auctionEvent.eventName = "AuctionBoughtNow"
+    auctionEvent.bidder = loadOrCreateDigitalaxCollector(event.params.buyer).id
+    auctionEvent.timestamp = event.block.timestamp
+    auctionEvent.value = event.params.price
+    auctionEvent.transactionHash = event.transaction.hash
+    auctionEvent.save()
+
+    let auction = loadCurrentAuction(tokenId);
+    auction.boughtNow = true
+    auction.save();
+}
+
+export function handleRevenuePaid(event: RevenuePaid): void {
+    recordRevenuePayout(event, event.params.garmentTokenId, event.params.recipient, event.params.paymentToken, event.params.amount);
 }
 
 export function handleAuctionCancelled(event: AuctionCancelled): void {
@@ -211,7 +288,7 @@ export function handleAuctionCancelled(event: AuctionCancelled): void {
         .concat("-")
         .concat(event.transaction.hash.toHexString())
         .concat("-")
-        .concat(event.transaction.index.toString());
+        .concat(event.logIndex.toString());
 
     let auctionEvent = new DigitalaxGarmentAuctionHistory(eventId);
     auctionEvent.token = DigitalaxGarment.load(event.params.garmentTokenId.toString()).id
@@ -221,9 +298,9 @@ export function handleAuctionCancelled(event: AuctionCancelled): void {
     auctionEvent.save()
 
     // Clear down bids
-    let auction = DigitalaxGarmentAuction.load(tokenId.toString());
+    let auction = loadCurrentAuction(tokenId);
 
-    if (auction.topBid) {
+    if (auction.topBid && isPaidInEth(auction)) {
         // adjust global stats
         let globalStats = loadOrCreateGarmentNFTGlobalStats();
         globalStats.totalActiveBidsValue = globalStats.totalActiveBidsValue.minus((auction.topBid as BigInt));
@@ -233,7 +310,13 @@ export function handleAuctionCancelled(event: AuctionCancelled): void {
     auction.topBidder = null
     auction.topBid = null
     auction.lastBidTime = null
+    auction.cancelled = true
     auction.save();
+
+    // The garment can be listed again
+    let garment = DigitalaxGarment.load(tokenId.toString());
+    garment.currentAuction = null;
+    garment.save();
 }
 
 export function handleUpdateBidWithdrawalLockTime(event: UpdateBidWithdrawalLockTime): void {
@@ -258,6 +341,86 @@ export function handleUpdateMinBidIncrement(event: UpdateMinBidIncrement): void
     auctionConfig.save();
 }
 
+export function handleUpdateBidExtensionWindow(event: UpdateBidExtensionWindow): void {
+/*
+    event UpdateBidExtensionWindow(
+        uint256 bidExtensionWindow
+    );
+ */
+    let auctionConfig = DigitalaxAuctionContract.load(event.address.toHexString());
+    auctionConfig.bidExtensionWindow = event.params.bidExtensionWindow;
+    auctionConfig.save();
+}
+
+export function handleUpdateBidExtensionTime(event: UpdateBidExtensionTime): void {
+/*
+    event UpdateBidExtensionTime(
+        uint256 bidExtensionTime
+    );
+ */
+    let auctionConfig = DigitalaxAuctionContract.load(event.address.toHexString());
+    auctionConfig.bidExtensionTime = event.params.bidExtensionTime;
+    auctionConfig.save();
+}
+
+export function handleUpdatePaymentToken(event: UpdatePaymentToken): void {
+/*
+    event UpdatePaymentToken(
+        address indexed paymentToken,
+        bool allowed
+    );
+ */
+    let auctionConfig = DigitalaxAuctionContract.load(event.address.toHexString());
+
+    let paymentTokens = new Array<Bytes>();
+    let existing = auctionConfig.paymentTokens;
+    for (let i = 0; i < existing.length; i++) {
+        if (existing[i].toHexString() != event.params.paymentToken.toHexString()) {
+            paymentTokens.push(existing[i]);
+        }
+    }
+    if (event.params.allowed) {
+        paymentTokens.push(event.params.paymentToken);
+    }
+
+    auctionConfig.paymentTokens = paymentTokens;
+    auctionConfig.save();
+}
+
+export function handleUpdatePullRefunds(event: UpdatePullRefunds): void {
+/*
+    event UpdatePullRefunds(
+        bool pullRefunds
+    );
+ */
+    let auctionConfig = DigitalaxAuctionContract.load(event.address.toHexString());
+    auctionConfig.pullRefunds = event.params.pullRefunds;
+    auctionConfig.save();
+}
+
+export function handleUpdateAllowContractBidders(event: UpdateAllowContractBidders): void {
+/*
+    event UpdateAllowContractBidders(
+        bool allowContractBidders
+    );
+ */
+    let auctionConfig = DigitalaxAuctionContract.load(event.address.toHexString());
+    auctionConfig.allowContractBidders = event.params.allowContractBidders;
+    auctionConfig.save();
+}
+
+export function handleAuctionPaymentToken(event: AuctionPaymentToken): void {
+/*
+    event AuctionPaymentToken(
+        uint256 indexed garmentTokenId,
+        address indexed paymentToken
+    );
+ */
+    let auction = loadCurrentAuction(event.params.garmentTokenId);
+    auction.paymentToken = event.params.paymentToken;
+    auction.save();
+}
+
 export function handleUpdateAuctionReservePrice(event: UpdateAuctionReservePrice): void {
 /*
     event UpdateAuctionReservePrice(
@@ -265,11 +428,23 @@ export function handleUpdateAuctionReservePrice(event: UpdateAuctionReservePrice
         uint256 reservePrice
     );
  */
-    let auction = DigitalaxGarmentAuction.load(event.params.garmentTokenId.toString());
+    let auction = loadCurrentAuction(event.params.garmentTokenId);
     auction.reservePrice = event.params.reservePrice
     auction.save();
 }
 
+export function handleUpdateAuctionBuyNowPrice(event: UpdateAuctionBuyNowPrice): void {
+/*
+    event UpdateAuctionBuyNowPrice(
+        uint256 indexed garmentTokenId,
+        uint256 buyNowPrice
+    );
+ */
+    let auction = loadCurrentAuction(event.params.garmentTokenId);
+    auction.buyNowPrice = event.params.buyNowPrice
+    auction.save();
+}
+
 export function handleUpdateAuctionStartTime(event: UpdateAuctionStartTime): void {
 /*
     event UpdateAuctionStartTime(
@@ -277,7 +452,7 @@ export function handleUpdateAuctionStartTime(event: UpdateAuctionStartTime): voi
         uint256 startTime
     );
  */
-    let auction = DigitalaxGarmentAuction.load(event.params.garmentTokenId.toString());
+    let auction = loadCurrentAuction(event.params.garmentTokenId);
     auction.startTime = event.params.startTime
     auction.save();
 }
@@ -288,8 +463,9 @@ export function handleUpdateAuctionEndTime(event: UpdateAuctionEndTime): void {
         uint256 indexed garmentTokenId,
         uint256 endTime
     );
+    Emitted by admin updates and by bids placed in the extension window
  */
-    let auction = DigitalaxGarmentAuction.load(event.params.garmentTokenId.toString());
+    let auction = loadCurrentAuction(event.params.garmentTokenId);
     auction.endTime = event.params.endTime
     auction.save();
 }
@@ -305,6 +481,30 @@ event UpdatePlatformFee(
     auctionConfig.save();
 }
 
+export function handleUpdatePlatformFeeOnTotal(event: UpdatePlatformFeeOnTotal): void {
+    let auctionConfig = DigitalaxAuctionContract.load(event.address.toHexString());
+    auctionConfig.platformFeeOnTotal = event.params.platformFeeOnTotal;
+    auctionConfig.save();
+}
+
+export function handleUpdateDesignerPlatformFee(event: UpdateDesignerPlatformFee): void {
+    let garmentDesigner = loadOrCreateGarmentDesigner(event.params.designer.toHexString());
+    if (event.params.enabled) {
+        garmentDesigner.platformFee = event.params.platformFee;
+    } else {
+        garmentDesigner.platformFee = null;
+    }
+    garmentDesigner.save();
+}
+
+// The effective fee of an auction, emitted when it is created and whenever it is overridden
+export function handleAuctionPlatformFee(event: AuctionPlatformFee): void {
+    let auction = loadCurrentAuction(event.params.garmentTokenId);
+    auction.platformFee = event.params.platformFee;
+    auction.platformFeeOnTotal = event.params.feeOnTotal;
+    auction.save();
+}
+
 export function handleUpdatePlatformFeeRecipient(event: UpdatePlatformFeeRecipient): void {
 /*
     event UpdatePlatformFeeRecipient(
@@ -315,3 +515,13 @@ export function handleUpdatePlatformFeeRecipient(event: UpdatePlatformFeeRecipie
     auctionConfig.platformFeeRecipient = event.params.platformFeeRecipient;
     auctionConfig.save();
 }
+
+// The open, or last resulted, english auction of the garment
+function loadCurrentAuction(tokenId: BigInt): DigitalaxGarmentAuction {
+    let garment = DigitalaxGarment.load(tokenId.toString());
+    return DigitalaxGarmentAuction.load(garment.currentAuction as string) as DigitalaxGarmentAuction;
+}
+
+function isPaidInEth(auction: DigitalaxGarmentAuction): boolean {
+    return auction.paymentToken.toHexString() == ZERO_ADDRESS.toHexString();
+}
@@ -0,0 +1,346 @@
+import {BigInt, Bytes} from "@graphprotocol/graph-ts/index";
+
+import {
+    AuctionCancelled,
+    AuctionCreated,
+    AuctionResulted,
+    BidPlaced,
+    BidWithdrawn,
+    DigitalaxAuctionLegacy,
+    DigitalaxAuctionContractDeployed,
+    UpdateAuctionEndTime,
+    UpdateAuctionReservePrice,
+    UpdateAuctionStartTime,
+    UpdateBidWithdrawalLockTime, UpdateMinBidIncrement, UpdatePlatformFee, UpdatePlatformFeeRecipient
+} from "../generated/DigitalaxAuctionLegacy/DigitalaxAuctionLegacy";
+
+import {
+    DigitalaxGarmentAuction,
+    DigitalaxGarment,
+    DigitalaxGarmentAuctionHistory,
+    DigitalaxAuctionContract
+} from "../generated/schema"
+
+import {ZERO, ZERO_ADDRESS} from "./constants";
+import {loadOrCreateGarmentDesigner} from "./factory/DigitalaxGarmentDesigner.factory";
+import {loadOrCreateDigitalaxCollector} from "./factory/DigitalaxCollector.factory";
+import {loadDayFromEvent} from "./factory/Day.factory";
+import {loadOrCreateGarmentNFTGlobalStats} from "./factory/DigitalaxGarmentNFTGlobalStats.factory";
+
+/*
+ * The first DigitalaxAuction deployed to mainnet - it predates auction IDs, payment tokens, buy-now prices and revenue splits,
+ * keeping a single auction per garment keyed by the garment token ID. Its auctions are recorded as english auctions on the
+ * same entities as DigitalaxAuction.
+ */
+
+export function handleAuctionCreated(event: AuctionCreated): void {
+/*
+    event AuctionCreated(
+        uint256 indexed garmentTokenId
+    );
+ */
+    let contract = DigitalaxAuctionLegacy.bind(event.address);
+    let tokenId = event.params.garmentTokenId;
+    let garment = DigitalaxGarment.load(tokenId.toString());
+
+    let eventId = tokenId.toString()
+        .concat("-")
+        .concat(event.transaction.hash.toHexString())
+        .concat("-")
+        .concat(event.logIndex.toString());
+
+    let garmentDesigner = loadOrCreateGarmentDesigner(garment.designer.toHexString());
+    let listings = garmentDesigner.listings;
+    listings.push(eventId);
+    garmentDesigner.listings = listings;
+    garmentDesigner.save();
+
+    let auctionEvent = new DigitalaxGarmentAuctionHistory(eventId);
+    auctionEvent.token = tokenId.toString();
+    auctionEvent.eventName = "AuctionCreated"
+    auctionEvent.timestamp = event.block.timestamp
+    auctionEvent.transactionHash = event.transaction.hash
+    auctionEvent.save()
+
+    // Legacy auctions have no ID of their own so each listing is keyed by the event creating it
+    let auction = new DigitalaxGarmentAuction(eventId);
+    auction.auctionType = "English";
+    auction.garment = tokenId.toString();
+    auction.designer = garment.designer.toHexString();
+    auction.history = tokenId.toString();
+    auction.contract = event.address.toHexString();
+
+    // Auction config
+    let auctionResult = contract.auctions(tokenId);
+    auction.reservePrice = auctionResult.value0;
+    auction.startTime = auctionResult.value1;
+    auction.endTime = auctionResult.value2;
+    auction.resulted = auctionResult.value3;
+    auction.resultedTime = event.block.timestamp;
+    auction.cancelled = false;
+
+    // Legacy auctions are always paid in ETH and have no buy-now price
+    auction.paymentToken = ZERO_ADDRESS;
+    auction.buyNowPrice = ZERO;
+    auction.boughtNow = false;
+
+    // The fee above the reserve follows the global fee until the auction is resulted
+    auction.platformFee = contract.platformFee();
+    auction.platformFeeOnTotal = false;
+    auction.save();
+
+    let auctions = garment.auctions;
+    auctions.push(eventId);
+    garment.auctions = auctions;
+    garment.currentAuction = eventId;
+    garment.save();
+
+    loadOrCreateGarmentNFTGlobalStats();
+}
+
+export function handleDigitalaxAuctionContractDeployed(event: DigitalaxAuctionContractDeployed): void {
+    let contract = DigitalaxAuctionLegacy.bind(event.address);
+
+    let auctionConfig = new DigitalaxAuctionContract(event.address.toHexString());
+    auctionConfig.minBidIncrement = contract.minBidIncrement();
+    auctionConfig.bidWithdrawalLockTime = contract.bidWithdrawalLockTime();
+    // Not supported by the legacy contract
+    auctionConfig.bidExtensionWindow = ZERO;
+    auctionConfig.bidExtensionTime = ZERO;
+    auctionConfig.paymentTokens = new Array<Bytes>();
+    auctionConfig.pullRefunds = false;
+    auctionConfig.allowContractBidders = false;
+    auctionConfig.platformFee = contract.platformFee();
+    auctionConfig.platformFeeOnTotal = false;
+    auctionConfig.platformFeeRecipient = contract.platformFeeRecipient();
+    auctionConfig.totalSales = ZERO;
+    auctionConfig.save();
+}
+
+export function handleBidPlaced(event: BidPlaced): void {
+    let tokenId = event.params.garmentTokenId;
+
+    let auction = loadCurrentAuction(tokenId);
+    if (!auction) {
+        return;
+    }
+
+    let bid = event.params.bid;
+
+    // Record bid as part of day
+    let day = loadDayFromEvent(event);
+
+    let bidDeltaWithPreviousBid = ZERO;
+    if (!auction.topBidder) {
+        bidDeltaWithPreviousBid = day.totalBidValue.plus(bid);
+    } else {
+        // This is key - we want to record the difference between the last highest bid and this new bid on this day
+        bidDeltaWithPreviousBid = day.totalBidValue.plus(bid.minus((auction.topBid as BigInt)));
+    }
+
+    day.totalBidValue = bidDeltaWithPreviousBid;
+    day.totalNetBidActivity = day.totalBidValue.minus(day.totalWithdrawalValue);
+
+    day.save();
+
+    let globalStats = loadOrCreateGarmentNFTGlobalStats();
+    globalStats.totalActiveBidsValue = globalStats.totalActiveBidsValue.plus(bidDeltaWithPreviousBid);
+    globalStats.save();
+
+    // Record top bidder
+    auction.topBidder = loadOrCreateDigitalaxCollector(event.params.bidder).id
+    auction.topBid = bid
+    auction.lastBidTime = event.block.timestamp
+    auction.save()
+
+    let eventId = tokenId.toString()
+        .concat("-")
+        .concat(event.transaction.hash.toHexString())
+        .concat("-")
+        .concat(event.logIndex.toString());
+
+    // Record event
+    let auctionEvent = new DigitalaxGarmentAuctionHistory(eventId);
+    auctionEvent.token = tokenId.toString()
+    auctionEvent.eventName = "BidPlaced"
+    auctionEvent.bidder = loadOrCreateDigitalaxCollector(event.params.bidder).id
+    auctionEvent.timestamp = event.block.timestamp
+    auctionEvent.value = bid
+    auctionEvent.transactionHash = event.transaction.hash
+    auctionEvent.save()
+}
+
+export function handleBidWithdrawn(event: BidWithdrawn): void {
+    let tokenId = event.params.garmentTokenId;
+
+    let eventId = tokenId.toString()
+        .concat("-")
+        .concat(event.transaction.hash.toHexString())
+        .concat("-")
+        .concat(event.logIndex.toString());
+
+    let auctionEvent = new DigitalaxGarmentAuctionHistory(eventId);
+    auctionEvent.token = tokenId.toString()
+    auctionEvent.eventName = "BidWithdrawn"
+    auctionEvent.bidder = loadOrCreateDigitalaxCollector(event.params.bidder).id
+    auctionEvent.timestamp = event.block.timestamp
+    auctionEvent.value = event.params.bid
+    auctionEvent.transactionHash = event.transaction.hash
+    auctionEvent.save()
+
+    // Clear down bids
+    let auction = loadCurrentAuction(tokenId);
+    if (auction) {
+        auction.topBidder = null
+        auction.topBid = null
+        auction.lastBidTime = null
+        auction.save();
+    }
+
+    // Record withdrawal as part of day
+    let day = loadDayFromEvent(event);
+    day.totalWithdrawalValue = day.totalWithdrawalValue.plus(event.params.bid);
+    day.totalNetBidActivity = day.totalBidValue.minus(day.totalWithdrawalValue);
+    day.save();
+
+    let globalStats = loadOrCreateGarmentNFTGlobalStats();
+    globalStats.totalActiveBidsValue = globalStats.totalActiveBidsValue.minus(event.params.bid);
+    globalStats.save();
+}
+
+export function handleAuctionResulted(event: AuctionResulted): void {
+    let tokenId = event.params.garmentTokenId;
+
+    let eventId = tokenId.toString()
+        .concat("-")
+        .concat(event.transaction.hash.toHexString())
+        .concat("-")
+        .concat(event.logIndex.toString());
+
+    let auctionEvent = new DigitalaxGarmentAuctionHistory(eventId);
+    auctionEvent.token = tokenId.toString()
+    auctionEvent.eventName = "AuctionResulted"
+    auctionEvent.bidder = loadOrCreateDigitalaxCollector(event.params.winner).id
+    auctionEvent.timestamp = event.block.timestamp
+    auctionEvent.value = event.params.winningBid
+    auctionEvent.transactionHash = event.transaction.hash
+    auctionEvent.save()
+
+    // Result the auction, fixing the fee it was charged
+    let auction = loadCurrentAuction(tokenId);
+    if (auction) {
+        auction.resulted = true
+        auction.resultedTime = event.block.timestamp
+        auction.platformFee = DigitalaxAuctionContract.load(event.address.toHexString()).platformFee
+        auction.save();
+    }
+
+    // Record winning bid
+    let auctionConfig = DigitalaxAuctionContract.load(event.address.toHexString());
+    auctionConfig.totalSales = auctionConfig.totalSales.plus(event.params.winningBid)
+    auctionConfig.save();
+
+    // Record global stats
+    let globalStats = loadOrCreateGarmentNFTGlobalStats();
+    globalStats.totalActiveBidsValue = globalStats.totalActiveBidsValue.minus(event.params.winningBid);
+    globalStats.totalSalesValue = globalStats.totalSalesValue.plus(event.params.winningBid);
+    globalStats.save();
+}
+
+export function handleAuctionCancelled(event: AuctionCancelled): void {
+    let tokenId = event.params.garmentTokenId;
+
+    let eventId = tokenId.toString()
+        .concat("-")
+        .concat(event.transaction.hash.toHexString())
+        .concat("-")
+        .concat(event.logIndex.toString());
+
+    let auctionEvent = new DigitalaxGarmentAuctionHistory(eventId);
+    auctionEvent.token = tokenId.toString()
+    auctionEvent.eventName = "AuctionCancelled"
+    auctionEvent.timestamp = event.block.timestamp
+    auctionEvent.transactionHash = event.transaction.hash
+    auctionEvent.save()
+
+    let auction = loadCurrentAuction(tokenId);
+    if (!auction) {
+        return;
+    }
+
+    if (auction.topBid) {
+        // adjust global stats
+        let globalStats = loadOrCreateGarmentNFTGlobalStats();
+        globalStats.totalActiveBidsValue = globalStats.totalActiveBidsValue.minus((auction.topBid as BigInt));
+        globalStats.save();
+    }
+
+    // Clear down bids
+    auction.topBidder = null
+    auction.topBid = null
+    auction.lastBidTime = null
+    auction.cancelled = true
+    auction.save();
+
+    // The garment can be listed again
+    let garment = DigitalaxGarment.load(tokenId.toString());
+    garment.currentAuction = null;
+    garment.save();
+}
+
+export function handleUpdateBidWithdrawalLockTime(event: UpdateBidWithdrawalLockTime): void {
+    let auctionConfig = DigitalaxAuctionContract.load(event.address.toHexString());
+    auctionConfig.bidWithdrawalLockTime = event.params.bidWithdrawalLockTime;
+    auctionConfig.save();
+}
+
+export function handleUpdateMinBidIncrement(event: UpdateMinBidIncrement): void {
+    let auctionConfig = DigitalaxAuctionContract.load(event.address.toHexString());
+    auctionConfig.minBidIncrement = event.params.minBidIncrement;
+    auctionConfig.save();
+}
+
+export function handleUpdateAuctionReservePrice(event: UpdateAuctionReservePrice): void {
+    let auction = loadCurrentAuction(event.params.garmentTokenId);
+    if (auction) {
+        auction.reservePrice = event.params.reservePrice
+        auction.save();
+    }
+}
+
+export function handleUpdateAuctionStartTime(event: UpdateAuctionStartTime): void {
+    let auction = loadCurrentAuction(event.params.garmentTokenId);
+    if (auction) {
+        auction.startTime = event.params.startTime
+        auction.save();
+    }
+}
+
+export function handleUpdateAuctionEndTime(event: UpdateAuctionEndTime): void {
+    let auction = loadCurrentAuction(event.params.garmentTokenId);
+    if (auction) {
+        auction.endTime = event.params.endTime
+        auction.save();
+    }
+}
+
+export function handleUpdatePlatformFee(event: UpdatePlatformFee): void {
+    let auctionConfig = DigitalaxAuctionContract.load(event.address.toHexString());
+    auctionConfig.platformFee = event.params.platformFee;
+    auctionConfig.save();
+}
+
+export function handleUpdatePlatformFeeRecipient(event: UpdatePlatformFeeRecipient): void {
+    let auctionConfig = DigitalaxAuctionContract.load(event.address.toHexString());
+    auctionConfig.platformFeeRecipient = event.params.platformFeeRecipient;
+    auctionConfig.save();
+}
+
+// The open, or last resulted, auction of the garment - null when it is not listed
+function loadCurrentAuction(tokenId: BigInt): DigitalaxGarmentAuction | null {
+    let garment = DigitalaxGarment.load(tokenId.toString());
+    if (garment == null || garment.currentAuction == null) {
+        return null;
+    }
+    return DigitalaxGarmentAuction.load(garment.currentAuction as string);
+}
@@ -0,0 +1,230 @@
+import {BigInt} from "@graphprotocol/graph-ts/index";
+
+import {
+    AuctionCancelled,
+    AuctionCreated,
+    AuctionResulted,
+    RevenuePaid,
+    DigitalaxDutchAuction,
+    DigitalaxDutchAuctionContractDeployed,
+    UpdateAuctionPrices,
+    UpdateAuctionTimes,
+    UpdatePlatformFee,
+    UpdatePlatformFeeRecipient
+} from "../generated/DigitalaxDutchAuction/DigitalaxDutchAuction";
+
+import {
+    DigitalaxGarmentAuction,
+    DigitalaxGarment,
+    DigitalaxGarmentAuctionHistory,
+    DigitalaxDutchAuctionContract
+} from "../generated/schema"
+
+import {ZERO, ZERO_ADDRESS} from "./constants";
+import {loadOrCreateGarmentDesigner} from "./factory/DigitalaxGarmentDesigner.factory";
+import {loadOrCreateDigitalaxCollector} from "./factory/DigitalaxCollector.factory";
+import {loadOrCreateGarmentNFTGlobalStats} from "./factory/DigitalaxGarmentNFTGlobalStats.factory";
+import {recordRevenuePayout} from "./factory/DigitalaxRevenueRecipient.factory";
+
+export function handleDigitalaxDutchAuctionContractDeployed(event: DigitalaxDutchAuctionContractDeployed): void {
+    let contract = DigitalaxDutchAuction.bind(event.address);
+
+    let auctionConfig = new DigitalaxDutchAuctionContract(event.address.toHexString());
+    auctionConfig.platformFee = contract.platformFee();
+    auctionConfig.platformFeeRecipient = contract.platformFeeRecipient();
+    auctionConfig.totalSales = ZERO;
+    auctionConfig.save();
+}
+
+export function handleAuctionCreated(event: AuctionCreated): void {
+/*
+    event AuctionCreated(
+        uint256 indexed garmentTokenId,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 priceDropInterval
+    );
+ */
+    let tokenId = event.params.garmentTokenId;
+    let garment = DigitalaxGarment.load(tokenId.toString());
+
+    let eventId = tokenId.toString()
+        .concat("-")
+        .concat(event.transaction.hash.toHexString())
+        .concat("-")
+        .concat(event.logIndex.toString());
+
+    let garmentDesigner = loadOrCreateGarmentDesigner(garment.designer.toHexString());
+    let listings = garmentDesigner.listings;
+    listings.push(eventId);
+    garmentDesigner.listings = listings;
+    garmentDesigner.save();
+
+    let auctionEvent = new DigitalaxGarmentAuctionHistory(eventId);
+    auctionEvent.token = tokenId.toString()
+    auctionEvent.eventName = "DutchAuctionCreated"
+    auctionEvent.timestamp = event.block.timestamp
+    auctionEvent.value = event.params.startPrice
+    auctionEvent.transactionHash = event.transaction.hash
+    auctionEvent.save()
+
+    // Dutch auctions have no ID of their own so each listing is keyed by the event creating it
+    let auction = new DigitalaxGarmentAuction(eventId);
+    auction.auctionType = "Dutch";
+    auction.garment = tokenId.toString();
+    auction.designer = garment.designer.toHexString();
+    auction.history = tokenId.toString();
+    auction.dutchContract = event.address.toHexString();
+
+    // Auction config
+    auction.startPrice = event.params.startPrice;
+    auction.reservePrice = event.params.floorPrice;
+    auction.startTime = event.params.startTime;
+    auction.endTime = event.params.endTime;
+    auction.priceDropInterval = event.params.priceDropInterval;
+    auction.resulted = false;
+    auction.resultedTime = event.block.timestamp;
+    auction.cancelled = false;
+
+    // Dutch auctions are always paid in ETH and have no buy-now price
+    auction.paymentToken = ZERO_ADDRESS;
+    auction.buyNowPrice = ZERO;
+    auction.boughtNow = false;
+
+    // The fee above the floor price follows the global fee until the garment is bought
+    auction.platformFee = DigitalaxDutchAuctionContract.load(event.address.toHexString()).platformFee;
+    auction.platformFeeOnTotal = false;
+    auction.save();
+
+    let auctions = garment.auctions;
+    auctions.push(eventId);
+    garment.auctions = auctions;
+    garment.currentDutchAuction = eventId;
+    garment.save();
+
+    loadOrCreateGarmentNFTGlobalStats();
+}
+
+export function handleAuctionResulted(event: AuctionResulted): void {
+/*
+    event AuctionResulted(
+        uint256 indexed garmentTokenId,
+        address indexed winner,
+        uint256 price
+    );
+    The first buyer wins - there are no bids before it
+ */
+    let tokenId = event.params.garmentTokenId;
+
+    let eventId = tokenId.toString()
+        .concat("-")
+        .concat(event.transaction.hash.toHexString())
+        .concat("-")
+        .concat(event.logIndex.toString());
+
+    let auctionEvent = new DigitalaxGarmentAuctionHistory(eventId);
+    auctionEvent.token = tokenId.toString()
+    auctionEvent.eventName = "DutchAuctionResulted"
+    auctionEvent.bidder = loadOrCreateDigitalaxCollector(event.params.winner).id
+    auctionEvent.timestamp = event.block.timestamp
+    auctionEvent.value = event.params.price
+    auctionEvent.transactionHash = event.transaction.hash
+    auctionEvent.save()
+
+    let auction = loadCurrentAuction(tokenId);
+    auction.resulted = true
+    auction.resultedTime = event.block.timestamp
+    auction.topBidder = loadOrCreateDigitalaxCollector(event.params.winner).id
+    auction.topBid = event.params.price
+    auction.lastBidTime = event.block.timestamp
+
+    let auctionConfig = DigitalaxDutchAuctionContract.load(event.address.toHexString());
+    auction.platformFee = auctionConfig.platformFee
+    auction.save();
+
+    auctionConfig.totalSales = auctionConfig.totalSales.plus(event.params.price)
+    auctionConfig.save();
+
+    let globalStats = loadOrCreateGarmentNFTGlobalStats();
+    globalStats.totalSalesValue = globalStats.totalSalesValue.plus(event.params.price);
+    globalStats.save();
+}
+
+export function handleRevenuePaid(event: RevenuePaid): void {
+    // Dutch auctions are always paid in ETH
+    recordRevenuePayout(event, event.params.garmentTokenId, event.params.recipient, ZERO_ADDRESS, event.params.amount);
+}
+
+export function handleAuctionCancelled(event: AuctionCancelled): void {
+    let tokenId = event.params.garmentTokenId;
+
+    let eventId = tokenId.toString()
+        .concat("-")
+        .concat(event.transaction.hash.toHexString())
+        .concat("-")
+        .concat(event.logIndex.toString());
+
+    let auctionEvent = new DigitalaxGarmentAuctionHistory(eventId);
+    auctionEvent.token = tokenId.toString()
+    auctionEvent.eventName = "DutchAuctionCancelled"
+    auctionEvent.timestamp = event.block.timestamp
+    auctionEvent.transactionHash = event.transaction.hash
+    auctionEvent.save()
+
+    let auction = loadCurrentAuction(tokenId);
+    auction.cancelled = true
+    auction.save();
+
+    // The garment can be listed again
+    let garment = DigitalaxGarment.load(tokenId.toString());
+    garment.currentDutchAuction = null;
+    garment.save();
+}
+
+export function handleUpdateAuctionPrices(event: UpdateAuctionPrices): void {
+/*
+    event UpdateAuctionPrices(
+        uint256 indexed garmentTokenId,
+        uint256 startPrice,
+        uint256 floorPrice
+    );
+ */
+    let auction = loadCurrentAuction(event.params.garmentTokenId);
+    auction.startPrice = event.params.startPrice
+    auction.reservePrice = event.params.floorPrice
+    auction.save();
+}
+
+export function handleUpdateAuctionTimes(event: UpdateAuctionTimes): void {
+/*
+    event UpdateAuctionTimes(
+        uint256 indexed garmentTokenId,
+        uint256 startTime,
+        uint256 endTime
+    );
+ */
+    let auction = loadCurrentAuction(event.params.garmentTokenId);
+    auction.startTime = event.params.startTime
+    auction.endTime = event.params.endTime
+    auction.save();
+}
+
+export function handleUpdatePlatformFee(event: UpdatePlatformFee): void {
+    let auctionConfig = DigitalaxDutchAuctionContract.load(event.address.toHexString());
+    auctionConfig.platformFee = event.params.platformFee;
+    auctionConfig.save();
+}
+
+export function handleUpdatePlatformFeeRecipient(event: UpdatePlatformFeeRecipient): void {
+    let auctionConfig = DigitalaxDutchAuctionContract.load(event.address.toHexString());
+    auctionConfig.platformFeeRecipient = event.params.platformFeeRecipient;
+    auctionConfig.save();
+}
+
+// The open, or last resulted, dutch auction of the garment
+function loadCurrentAuction(tokenId: BigInt): DigitalaxGarmentAuction {
+    let garment = DigitalaxGarment.load(tokenId.toString());
+    return DigitalaxGarmentAuction.load(garment.currentDutchAuction as string) as DigitalaxGarmentAuction;
+}
@@ -1,9 +1,13 @@
-import {log, BigInt, Address, store} from "@graphprotocol/graph-ts/index";
+import {log, BigInt, Address, Bytes, store} from "@graphprotocol/graph-ts/index";
 
 import {
     Transfer,
     ReceivedChild,
+    TransferBatchChild,
+    ReceivedERC721Child,
+    TransferERC721Child,
     DigitalaxGarmentTokenUriUpdate,
+    GarmentRevenueSplitSet,
     DigitalaxGarmentNFT as DigitalaxGarmentNFTContract
 } from "../generated/DigitalaxGarmentNFT/DigitalaxGarmentNFT";
 
@@ -13,8 +17,9 @@ import {
 import {loadOrCreateGarmentDesigner} from "./factory/DigitalaxGarmentDesigner.factory";
 import {loadOrCreateDigitalaxCollector} from "./factory/DigitalaxCollector.factory";
 
-import {ZERO_ADDRESS} from "./constants";
+import {ZERO, ZERO_ADDRESS} from "./constants";
 import {loadOrCreateDigitalaxGarmentChild} from "./factory/DigitalaxGarmentChild.factory";
+import {loadOrCreateDigitalaxGarmentERC721Child} from "./factory/DigitalaxGarmentERC721Child.factory";
 
 export function handleTransfer(event: Transfer): void {
     // log.info("Handle Garment Transfer @ Hash {}", [event.transaction.hash.toHexString()]);
@@ -29,6 +34,10 @@ export function handleTransfer(event: Transfer): void {
         garment.primarySalePrice = contract.primarySalePrice(event.params.tokenId);
         garment.tokenUri = contract.tokenURI(event.params.tokenId);
         garment.children = new Array<string>();
+        garment.erc721Children = new Array<string>();
+        garment.revenueSplitRecipients = new Array<Bytes>();
+        garment.revenueSplits = new Array<BigInt>();
+        garment.auctions = new Array<string>();
         garment.save();
 
         let collector = loadOrCreateDigitalaxCollector(event.params.to);
@@ -92,7 +101,7 @@ export function handleChildReceived(event: ReceivedChild): void {
 
     let garment = DigitalaxGarment.load(event.params.toTokenId.toString());
 
-    let child = loadOrCreateDigitalaxGarmentChild(event, event.params.toTokenId, event.params.childTokenId);
+    let child = loadOrCreateDigitalaxGarmentChild(event.params.childContract, event.params.toTokenId, event.params.childTokenId);
     child.amount = child.amount.plus(event.params.amount);
     child.save();
 
@@ -103,8 +112,83 @@ export function handleChildReceived(event: ReceivedChild): void {
     garment.save();
 }
 
+// triggered when children are taken out of a parent, either partially by its owner or all of them when it is burnt
+export function handleChildrenTransferred(event: TransferBatchChild): void {
+    let garment = DigitalaxGarment.load(event.params.fromTokenId.toString());
+
+    let childTokenIds = event.params.childTokenIds;
+    let amounts = event.params.amounts;
+    for (let i = 0; i < childTokenIds.length; i++) {
+        let child = loadOrCreateDigitalaxGarmentChild(event.params.childContract, event.params.fromTokenId, childTokenIds[i]);
+        child.amount = child.amount.minus(amounts[i]);
+
+        if (child.amount.gt(ZERO)) {
+            child.save();
+            continue;
+        }
+
+        // None left so the child is no longer part of the garment
+        let currentChildren = garment.children;
+        let children = new Array<string>();
+        for (let j = 0; j < currentChildren.length; j++) {
+            if (currentChildren[j] != child.id) {
+                children.push(currentChildren[j]);
+            }
+        }
+        garment.children = children;
+        store.remove('DigitalaxGarmentChild', child.id);
+    }
+
+    garment.save();
+}
+
+// triggered when a parent receives an ERC721 child such as an accessory
+export function handleERC721ChildReceived(event: ReceivedERC721Child): void {
+    let garment = DigitalaxGarment.load(event.params.toTokenId.toString());
+
+    let child = loadOrCreateDigitalaxGarmentERC721Child(event.params.childContract, event.params.toTokenId, event.params.childTokenId);
+
+    let erc721Children = garment.erc721Children;
+    erc721Children.push(child.id);
+    garment.erc721Children = erc721Children;
+
+    garment.save();
+}
+
+// triggered for each ERC721 child released when a parent is burnt
+export function handleERC721ChildTransferred(event: TransferERC721Child): void {
+    let garment = DigitalaxGarment.load(event.params.fromTokenId.toString());
+
+    let child = loadOrCreateDigitalaxGarmentERC721Child(event.params.childContract, event.params.fromTokenId, event.params.childTokenId);
+
+    let currentChildren = garment.erc721Children;
+    let erc721Children = new Array<string>();
+    for (let i = 0; i < currentChildren.length; i++) {
+        if (currentChildren[i] != child.id) {
+            erc721Children.push(currentChildren[i]);
+        }
+    }
+    garment.erc721Children = erc721Children;
+    garment.save();
+
+    store.remove('DigitalaxGarmentERC721Child', child.id);
+}
+
 export function handleUriUpdated(event: DigitalaxGarmentTokenUriUpdate): void {
     let garment = DigitalaxGarment.load(event.params._tokenId.toString());
     garment.tokenUri = event.params._tokenUri;
     garment.save();
 }
+
+export function handleRevenueSplitSet(event: GarmentRevenueSplitSet): void {
+    let garment = DigitalaxGarment.load(event.params._tokenId.toString());
+
+    let recipients = new Array<Bytes>();
+    for (let i = 0; i < event.params._recipients.length; i++) {
+        recipients.push(event.params._recipients[i]);
+    }
+
+    garment.revenueSplitRecipients = recipients;
+    garment.revenueSplits = event.params._splits;
+    garment.save();
+}
@@ -0,0 +1,140 @@
+import {BigInt} from "@graphprotocol/graph-ts/index";
+
+import {
+    DigitalaxGarmentPrimarySale,
+    DigitalaxGarmentPrimarySaleContractDeployed,
+    ListingCreated,
+    ListingCancelled,
+    Purchased,
+    RevenuePaid,
+    UpdateListingPrice,
+    UpdateListingStartTime,
+    UpdatePlatformFee,
+    UpdatePlatformFeeRecipient
+} from "../generated/DigitalaxGarmentPrimarySale/DigitalaxGarmentPrimarySale";
+
+import {
+    DigitalaxGarmentListing,
+    DigitalaxGarmentPurchase,
+    DigitalaxGarmentPrimarySaleContract
+} from "../generated/schema"
+
+import {ZERO, ONE, ZERO_ADDRESS} from "./constants";
+import {loadOrCreateDigitalaxCollector} from "./factory/DigitalaxCollector.factory";
+import {loadOrCreateGarmentNFTGlobalStats} from "./factory/DigitalaxGarmentNFTGlobalStats.factory";
+import {recordRevenuePayout} from "./factory/DigitalaxRevenueRecipient.factory";
+
+export function handleDigitalaxGarmentPrimarySaleContractDeployed(event: DigitalaxGarmentPrimarySaleContractDeployed): void {
+    let contract = DigitalaxGarmentPrimarySale.bind(event.address);
+
+    let saleConfig = new DigitalaxGarmentPrimarySaleContract(event.address.toHexString());
+    saleConfig.platformFee = contract.platformFee();
+    saleConfig.platformFeeRecipient = contract.platformFeeRecipient();
+    saleConfig.totalSales = ZERO;
+    saleConfig.save();
+}
+
+export function handleListingCreated(event: ListingCreated): void {
+/*
+    event ListingCreated(
+        uint256 indexed listingId,
+        uint256[] garmentTokenIds,
+        uint256 bundleSize,
+        uint256 price,
+        uint256 startTime,
+        uint256 maxPerWallet
+    );
+ */
+    let listing = new DigitalaxGarmentListing(event.params.listingId.toString());
+    listing.garments = toGarmentIds(event.params.garmentTokenIds);
+    listing.bundleSize = event.params.bundleSize;
+    listing.price = event.params.price;
+    listing.startTime = event.params.startTime;
+    listing.maxPerWallet = event.params.maxPerWallet;
+    listing.bundlesSold = ZERO;
+    listing.cancelled = false;
+    listing.contract = event.address.toHexString();
+    listing.save();
+}
+
+export function handlePurchased(event: Purchased): void {
+/*
+    event Purchased(
+        uint256 indexed listingId,
+        address indexed buyer,
+        uint256[] garmentTokenIds,
+        uint256 price
+    );
+ */
+    let listingId = event.params.listingId.toString();
+
+    let purchaseId = listingId
+        .concat("-")
+        .concat(event.transaction.hash.toHexString())
+        .concat("-")
+        .concat(event.logIndex.toString());
+
+    let purchase = new DigitalaxGarmentPurchase(purchaseId);
+    purchase.listing = listingId;
+    purchase.buyer = loadOrCreateDigitalaxCollector(event.params.buyer).id;
+    purchase.garments = toGarmentIds(event.params.garmentTokenIds);
+    purchase.price = event.params.price;
+    purchase.timestamp = event.block.timestamp;
+    purchase.transactionHash = event.transaction.hash;
+    purchase.save();
+
+    let listing = DigitalaxGarmentListing.load(listingId);
+    listing.bundlesSold = listing.bundlesSold.plus(ONE);
+    listing.save();
+
+    let saleConfig = DigitalaxGarmentPrimarySaleContract.load(event.address.toHexString());
+    saleConfig.totalSales = saleConfig.totalSales.plus(event.params.price);
+    saleConfig.save();
+
+    let globalStats = loadOrCreateGarmentNFTGlobalStats();
+    globalStats.totalSalesValue = globalStats.totalSalesValue.plus(event.params.price);
+    globalStats.save();
+}
+
+export function handleRevenuePaid(event: RevenuePaid): void {
+    // Listings are always paid in ETH
+    recordRevenuePayout(event, event.params.garmentTokenId, event.params.recipient, ZERO_ADDRESS, event.params.amount);
+}
+
+export function handleListingCancelled(event: ListingCancelled): void {
+    let listing = DigitalaxGarmentListing.load(event.params.listingId.toString());
+    listing.cancelled = true;
+    listing.save();
+}
+
+export function handleUpdateListingPrice(event: UpdateListingPrice): void {
+    let listing = DigitalaxGarmentListing.load(event.params.listingId.toString());
+    listing.price = event.params.price;
+    listing.save();
+}
+
+export function handleUpdateListingStartTime(event: UpdateListingStartTime): void {
+    let listing = DigitalaxGarmentListing.load(event.params.listingId.toString());
+    listing.startTime = event.params.startTime;
+    listing.save();
+}
+
+export function handleUpdatePlatformFee(event: UpdatePlatformFee): void {
+    let saleConfig = DigitalaxGarmentPrimarySaleContract.load(event.address.toHexString());
+    saleConfig.platformFee = event.params.platformFee;
+    saleConfig.save();
+}
+
+export function handleUpdatePlatformFeeRecipient(event: UpdatePlatformFeeRecipient): void {
+    let saleConfig = DigitalaxGarmentPrimarySaleContract.load(event.address.toHexString());
+    saleConfig.platformFeeRecipient = event.params.platformFeeRecipient;
+    saleConfig.save();
+}
+
+function toGarmentIds(garmentTokenIds: Array<BigInt>): Array<string> {
+    let garmentIds = new Array<string>();
+    for (let i = 0; i < garmentTokenIds.length; i++) {
+        garmentIds.push(garmentTokenIds[i].toString());
+    }
+    return garmentIds;
+}
@@ -1,30 +1,29 @@
-import {BigInt, ethereum, Address} from "@graphprotocol/graph-ts/index";
+import {BigInt, Address} from "@graphprotocol/graph-ts/index";
 import {ZERO} from "../constants";
 
 import {DigitalaxGarmentChild} from "../../generated/schema";
-import {DigitalaxGarmentNFT as DigitalaxGarmentNFTContract} from "../../generated/DigitalaxGarmentNFT/DigitalaxGarmentNFT";
 import {DigitalaxMaterials as DigitalaxMaterialsContract} from "../../generated/DigitalaxMaterials/DigitalaxMaterials";
 
 export function loadOrCreateDigitalaxGarmentChild(
-    event: ethereum.Event,
+    childContractAddress: Address,
     parentTokenId: BigInt,
     childTokenId: BigInt
 ): DigitalaxGarmentChild {
 
-    let contract = DigitalaxGarmentNFTContract.bind(event.address);
-
-    let childContract = DigitalaxMaterialsContract.bind(contract.childContract());
-
-    // {parent-token-id}-{child-token-id}
-    let childId = parentTokenId.toString() + '-' + childTokenId.toString();
+    // {parent-token-id}-{child-contract}-{child-token-id}
+    let childId = parentTokenId.toString() + '-' + childContractAddress.toHexString() + '-' + childTokenId.toString();
 
     let garmentChild = DigitalaxGarmentChild.load(childId);
     if (garmentChild == null) {
+        // Partner child contracts are only known to be ERC1155 so the URI may not be available
+        let childContract = DigitalaxMaterialsContract.bind(childContractAddress);
+        let tokenUri = childContract.try_uri(childTokenId);
+
         garmentChild = new DigitalaxGarmentChild(childId);
         garmentChild.childId = childTokenId;
         garmentChild.parentId = parentTokenId;
-        garmentChild.contract = contract.childContract();
-        garmentChild.tokenUri = childContract.uri(childTokenId);
+        garmentChild.contract = childContractAddress;
+        garmentChild.tokenUri = tokenUri.reverted ? '' : tokenUri.value;
         garmentChild.amount = ZERO
     }
     garmentChild.save();
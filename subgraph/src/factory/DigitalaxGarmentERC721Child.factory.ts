@@ -0,0 +1,30 @@
+import {BigInt, Address} from "@graphprotocol/graph-ts/index";
+
+import {DigitalaxGarmentERC721Child} from "../../generated/schema";
+import {DigitalaxGarmentNFT as ERC721Contract} from "../../generated/DigitalaxGarmentNFT/DigitalaxGarmentNFT";
+
+export function loadOrCreateDigitalaxGarmentERC721Child(
+    childContractAddress: Address,
+    parentTokenId: BigInt,
+    childTokenId: BigInt
+): DigitalaxGarmentERC721Child {
+
+    // {parent-token-id}-{child-contract}-{child-token-id}
+    let childId = parentTokenId.toString() + '-' + childContractAddress.toHexString() + '-' + childTokenId.toString();
+
+    let garmentChild = DigitalaxGarmentERC721Child.load(childId);
+    if (garmentChild == null) {
+        // Only the ERC721 metadata of the child contract is read, which it may not implement
+        let childContract = ERC721Contract.bind(childContractAddress);
+        let tokenUri = childContract.try_tokenURI(childTokenId);
+
+        garmentChild = new DigitalaxGarmentERC721Child(childId);
+        garmentChild.childId = childTokenId;
+        garmentChild.parentId = parentTokenId;
+        garmentChild.contract = childContractAddress;
+        garmentChild.tokenUri = tokenUri.reverted ? '' : tokenUri.value;
+    }
+    garmentChild.save();
+
+    return garmentChild as DigitalaxGarmentERC721Child;
+}
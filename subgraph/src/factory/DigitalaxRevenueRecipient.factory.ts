@@ -0,0 +1,48 @@
+import {Address, BigInt, Bytes, ethereum} from "@graphprotocol/graph-ts/index";
+import {ZERO, ZERO_ADDRESS} from "../constants";
+
+import {DigitalaxRevenuePayout, DigitalaxRevenueRecipient} from "../../generated/schema";
+
+export function loadOrCreateRevenueRecipient(recipient: Address): DigitalaxRevenueRecipient {
+    let revenueRecipient = DigitalaxRevenueRecipient.load(recipient.toHexString());
+    if (revenueRecipient == null) {
+        revenueRecipient = new DigitalaxRevenueRecipient(recipient.toHexString());
+        revenueRecipient.totalEarnings = ZERO;
+        revenueRecipient.payouts = new Array<string>();
+    }
+    revenueRecipient.save();
+    return revenueRecipient as DigitalaxRevenueRecipient;
+}
+
+export function recordRevenuePayout(
+    event: ethereum.Event,
+    garmentTokenId: BigInt,
+    recipient: Address,
+    paymentToken: Bytes,
+    amount: BigInt
+): void {
+    // {garment-token-id}-{transaction-hash}-{log-index}
+    let payoutId = garmentTokenId.toString()
+        .concat("-")
+        .concat(event.transaction.hash.toHexString())
+        .concat("-")
+        .concat(event.logIndex.toString());
+
+    let payout = new DigitalaxRevenuePayout(payoutId);
+    payout.garment = garmentTokenId.toString();
+    payout.recipient = recipient.toHexString();
+    payout.paymentToken = paymentToken;
+    payout.amount = amount;
+    payout.timestamp = event.block.timestamp;
+    payout.transactionHash = event.transaction.hash;
+    payout.save();
+
+    let revenueRecipient = loadOrCreateRevenueRecipient(recipient);
+    if (paymentToken.equals(ZERO_ADDRESS)) {
+        revenueRecipient.totalEarnings = revenueRecipient.totalEarnings.plus(amount);
+    }
+    let payouts = revenueRecipient.payouts;
+    payouts.push(payoutId);
+    revenueRecipient.payouts = payouts;
+    revenueRecipient.save();
+}